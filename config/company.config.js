@@ -0,0 +1,17 @@
+// Company details printed on statements and other customer-facing documents
+
+const companyConfig = {
+  name: process.env.COMPANY_NAME || 'Dullet Industries',
+  address: process.env.COMPANY_ADDRESS || '',
+  phone: process.env.COMPANY_PHONE || '',
+  email: process.env.COMPANY_EMAIL || '',
+  // Optional PNG/JPEG logo printed on delivery bills
+  logoPath: process.env.COMPANY_LOGO_PATH || '',
+  // GST registration used when a godown has none of its own
+  gstin: process.env.COMPANY_GSTIN || '',
+  state: process.env.COMPANY_STATE || '',
+  city: process.env.COMPANY_CITY || '',
+  pincode: process.env.COMPANY_PINCODE || '',
+};
+
+module.exports = companyConfig;
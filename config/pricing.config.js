@@ -1,5 +1,6 @@
 // Central pricing configuration for quick-order SKUs
 // Prices are in INR per KG
+// Live prices are kept in the PriceList collection; CITY_CONFIG only seeds it on first start
 
 const QUICK_PRODUCT_BASES = [
   {
@@ -72,9 +73,10 @@ const CITY_TOKENS = {
   jammu: ["jammu"],
 };
 
-function buildProduct(baseKey, cityKey, pricePerKg = null) {
+// `bases` defaults to the built-in list; callers pass the active products from the product master
+function buildProduct(baseKey, cityKey, pricePerKg = null, bases = QUICK_PRODUCT_BASES) {
   const normalizedCity = cityKey.split(":")[0];
-  const base = QUICK_PRODUCT_BASES.find((p) => p.key === baseKey);
+  const base = bases.find((p) => p.key === baseKey);
   if (!base) return null;
 
   return {
@@ -86,7 +88,7 @@ function buildProduct(baseKey, cityKey, pricePerKg = null) {
   };
 }
 
-function getProductsForGodown(godown) {
+function getProductsForGodown(godown, bases = QUICK_PRODUCT_BASES) {
   const city = (godown?.location?.city || "").toLowerCase();
   const config = CITY_CONFIG[city];
   if (!config) return [];
@@ -96,7 +98,7 @@ function getProductsForGodown(godown) {
   const products = [];
 
   configs.forEach((cfg) => {
-    const product = buildProduct(cfg.productKey, city, cfg.pricePerKg);
+    const product = buildProduct(cfg.productKey, city, cfg.pricePerKg, bases);
     if (product) {
       products.push(product);
     }
@@ -105,11 +107,11 @@ function getProductsForGodown(godown) {
   return products;
 }
 
-function getProductsForGodowns(godowns = []) {
+function getProductsForGodowns(godowns = [], bases = QUICK_PRODUCT_BASES) {
   const seen = new Set();
   const products = [];
   godowns.forEach((g) => {
-    const list = getProductsForGodown(g);
+    const list = getProductsForGodown(g, bases);
     list.forEach((prod) => {
       if (prod && !seen.has(prod.key)) {
         seen.add(prod.key);
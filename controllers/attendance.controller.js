@@ -125,7 +125,8 @@ const updateAttendance = async (req, res) => {
     res.status(200).json(result);
   } catch (error) {
     const statusCode = error.message.includes('not found') ? 404 :
-                      error.message.includes('Access denied') ? 403 : 500;
+                      error.message.includes('Access denied') ? 403 :
+                      error.message.startsWith('Period ') ? 409 : 500;
     res.status(statusCode).json({
       success: false,
       message: error.message
@@ -140,7 +141,8 @@ const deleteAttendance = async (req, res) => {
     res.status(200).json(result);
   } catch (error) {
     const statusCode = error.message.includes('not found') ? 404 :
-                      error.message.includes('Access denied') ? 403 : 500;
+                      error.message.includes('Access denied') ? 403 :
+                      error.message.startsWith('Period ') ? 409 : 500;
     res.status(statusCode).json({
       success: false,
       message: error.message
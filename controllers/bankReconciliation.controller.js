@@ -0,0 +1,147 @@
+const bankReconciliationService = require("../services/bankReconciliation.service");
+
+// Map service errors to HTTP status codes
+const buildErrorResponse = (res, error, defaultStatus = 500) => {
+  const statusCode =
+    error.message === "Bank statement not found" ? 404 :
+    error.message === "Statement line not found" ? 404 :
+    error.message === "Statement format not found" ? 404 :
+    error.message === "Transaction not found" ? 404 :
+    error.message === "Customer not found" ? 404 :
+    error.message.startsWith("Statement is already imported") ? 409 :
+    error.message.startsWith("Statement line is already") ? 409 :
+    error.message.startsWith("Statement line is no longer") ? 409 :
+    error.message === "Transaction is already reconciled" ? 409 :
+    error.message.startsWith("Day ") ? 409 :
+    error.message.startsWith("Period ") ? 409 :
+    error.message.startsWith("No transactions found") ? 400 :
+    error.message.endsWith("is required") ? 400 :
+    error.message.startsWith("Invalid ") ? 400 :
+    error.message.startsWith("Cheque ") ? 400 :
+    error.message.endsWith("must be greater than 0") ? 400 :
+    error.name === "ValidationError" ? 400 :
+    error.name === "CastError" ? 400 :
+    defaultStatus;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: error.message,
+  });
+};
+
+// Saved statement formats
+const getFormats = async (req, res) => {
+  try {
+    const result = await bankReconciliationService.getFormats();
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Create or update a statement format
+const saveFormat = async (req, res) => {
+  try {
+    const result = await bankReconciliationService.saveFormat(req.params.name, req.body, req.user.id);
+    res.status(200).json({ ...result, message: "Statement format saved successfully" });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Upload a bank statement and auto-match its credits
+const importStatement = async (req, res) => {
+  try {
+    const result = await bankReconciliationService.importStatement(req.file, req.body, req.user.id);
+    const { summary } = result.data.statement;
+    res.status(201).json({
+      ...result,
+      message: `Statement imported: ${summary.matched} matched, ${summary.suggested} with suggestions, ${summary.unmatched} unmatched`,
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// List imported statements
+const getStatements = async (req, res) => {
+  try {
+    const result = await bankReconciliationService.getStatements(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get a statement with its lines
+const getStatementById = async (req, res) => {
+  try {
+    const result = await bankReconciliationService.getStatementById(req.params.id, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Run auto-matching again
+const rematchStatement = async (req, res) => {
+  try {
+    const result = await bankReconciliationService.rematchStatement(req.params.id, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Match a line to a payment by hand
+const matchLine = async (req, res) => {
+  try {
+    const result = await bankReconciliationService.matchLine(req.params.id, req.params.lineId, req.body, req.user.id);
+    res.status(200).json({ ...result, message: "Statement line matched successfully" });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Reopen a matched or ignored line
+const unmatchLine = async (req, res) => {
+  try {
+    const result = await bankReconciliationService.unmatchLine(req.params.id, req.params.lineId, req.user.id);
+    res.status(200).json({ ...result, message: "Statement line reopened successfully" });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Leave a line out of reconciliation
+const ignoreLine = async (req, res) => {
+  try {
+    const result = await bankReconciliationService.ignoreLine(req.params.id, req.params.lineId, req.body, req.user.id);
+    res.status(200).json({ ...result, message: "Statement line ignored" });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Record an unmatched credit as a customer payment
+const convertLine = async (req, res) => {
+  try {
+    const result = await bankReconciliationService.convertLine(req.params.id, req.params.lineId, req.body, req.user.id);
+    res.status(201).json({ ...result, message: "Payment recorded from statement line" });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getFormats,
+  saveFormat,
+  importStatement,
+  getStatements,
+  getStatementById,
+  rematchStatement,
+  matchLine,
+  unmatchLine,
+  ignoreLine,
+  convertLine,
+};
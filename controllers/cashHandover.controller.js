@@ -0,0 +1,114 @@
+const cashHandoverService = require("../services/cashHandover.service");
+
+// Map service errors to HTTP status codes
+const buildErrorResponse = (res, error, defaultStatus = 500) => {
+  const statusCode =
+    error.message === "Cash handover not found" ? 404 :
+    error.message === "Driver not found" ? 404 :
+    error.message.startsWith("Drivers can only") ? 403 :
+    error.message.startsWith("Drivers cannot") ? 403 :
+    error.message.startsWith("Cash handover is already") ? 409 :
+    error.message.startsWith("Cash handover is no longer") ? 409 :
+    error.message.startsWith("No collections") ? 400 :
+    error.message.endsWith("is required") ? 400 :
+    error.message.startsWith("Invalid ") ? 400 :
+    error.name === "ValidationError" ? 400 :
+    error.name === "CastError" ? 400 :
+    error.name === "BSONError" ? 400 :
+    defaultStatus;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: error.message,
+  });
+};
+
+// Cash each driver is carrying
+const getCashInHand = async (req, res) => {
+  try {
+    const result = await cashHandoverService.getCashInHand(req.query, req.user);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Driver hands over a day's collections
+const submitHandover = async (req, res) => {
+  try {
+    const handover = await cashHandoverService.submitHandover(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: "Cash handover submitted and awaiting confirmation",
+      data: { handover },
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Cashier confirms the cash received
+const confirmHandover = async (req, res) => {
+  try {
+    const handover = await cashHandoverService.confirmHandover(req.params.id, req.body, req.user);
+    res.status(200).json({
+      success: true,
+      message: handover.hasShortfall
+        ? `Cash handover confirmed with a shortfall of ${handover.shortfallAmount}`
+        : "Cash handover confirmed successfully",
+      data: { handover },
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// List handovers
+const getHandovers = async (req, res) => {
+  try {
+    const result = await cashHandoverService.getHandovers(req.query, req.user);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get a handover
+const getHandoverById = async (req, res) => {
+  try {
+    const result = await cashHandoverService.getHandoverById(req.params.id, req.user);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Collected vs deposited per driver per day
+const getCollectionReport = async (req, res) => {
+  try {
+    const result = await cashHandoverService.getCollectionReport(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Orders behind one driver-day of the report
+const getCollectionReportOrders = async (req, res) => {
+  try {
+    const result = await cashHandoverService.getCollectionReportOrders(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getCashInHand,
+  submitHandover,
+  confirmHandover,
+  getHandovers,
+  getHandoverById,
+  getCollectionReport,
+  getCollectionReportOrders,
+};
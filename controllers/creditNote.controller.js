@@ -0,0 +1,94 @@
+const creditNoteService = require("../services/creditNote.service");
+
+// Map service errors to HTTP status codes
+const buildErrorResponse = (res, error, defaultStatus = 500) => {
+  const statusCode =
+    error.message === "Order not found" ? 404 :
+    error.message === "Credit note not found" ? 404 :
+    error.message.startsWith("Credit note is already") ? 409 :
+    error.message.startsWith("Credit note is no longer pending") ? 409 :
+    error.message.startsWith("Payments of order") ? 409 :
+    error.message.startsWith("Only part of the") ? 409 :
+    error.message.startsWith("Returns can only be raised") ? 400 :
+    error.message.startsWith("Return quantity") ? 400 :
+    error.message.endsWith("is required") ? 400 :
+    error.message.startsWith("Invalid ") ? 400 :
+    error.name === "ValidationError" ? 400 :
+    error.name === "CastError" ? 400 :
+    defaultStatus;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: error.message,
+  });
+};
+
+// Raise a return against a delivered order
+const createCreditNote = async (req, res) => {
+  try {
+    const creditNote = await creditNoteService.createCreditNote(req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      message: "Return raised and awaiting approval",
+      data: { creditNote },
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// List credit notes
+const getCreditNotes = async (req, res) => {
+  try {
+    const result = await creditNoteService.getCreditNotes(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get a credit note
+const getCreditNoteById = async (req, res) => {
+  try {
+    const result = await creditNoteService.getCreditNoteById(req.params.id);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Approve a return: restock the goods and credit the customer
+const approveCreditNote = async (req, res) => {
+  try {
+    const creditNote = await creditNoteService.approveCreditNote(req.params.id, req.user.id);
+    res.status(200).json({
+      success: true,
+      message: "Credit note approved successfully",
+      data: { creditNote },
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Reject a pending return
+const rejectCreditNote = async (req, res) => {
+  try {
+    const creditNote = await creditNoteService.rejectCreditNote(req.params.id, req.body.reason, req.user.id);
+    res.status(200).json({
+      success: true,
+      message: "Credit note rejected successfully",
+      data: { creditNote },
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  createCreditNote,
+  getCreditNotes,
+  getCreditNoteById,
+  approveCreditNote,
+  rejectCreditNote,
+};
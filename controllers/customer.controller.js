@@ -1,4 +1,5 @@
 const customerService = require("../services/customer.service");
+const ledgerService = require("../services/ledger.service");
 
 // Get all customers controller
 const getAllCustomers = async (req, res) => {
@@ -150,6 +151,88 @@ const getCustomerStats = async (req, res) => {
   }
 };
 
+// Get customer balance controller
+const getCustomerBalance = async (req, res) => {
+  try {
+    const result = await customerService.getCustomerBalance(req.params.id);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message === "Customer not found") {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+};
+
+const sendLedgerError = (res, error) => {
+  const status =
+    error.message === "Customer not found" ? 404 :
+    error.message.startsWith("Invalid") ? 400 :
+    500;
+  res.status(status).json({
+    success: false,
+    message: error.message,
+  });
+};
+
+const ledgerFileName = (ledger, extension) => {
+  const code = ledger.customer.customerId || ledger.customer._id.toString();
+  return `ledger-${code}-${new Date().toISOString().split("T")[0]}.${extension}`;
+};
+
+// Get customer ledger statement controller
+const getCustomerLedger = async (req, res) => {
+  try {
+    const ledger = await ledgerService.getCustomerLedger(req.params.id, req.query);
+    res.status(200).json({
+      success: true,
+      data: ledger,
+    });
+  } catch (error) {
+    sendLedgerError(res, error);
+  }
+};
+
+// Export customer ledger statement to Excel controller
+const exportCustomerLedgerExcel = async (req, res) => {
+  try {
+    const ledger = await ledgerService.getCustomerLedger(req.params.id, req.query);
+    const buffer = await ledgerService.generateLedgerExcel(ledger);
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${ledgerFileName(ledger, "xlsx")}"`);
+    res.setHeader("Content-Length", buffer.length);
+    return res.send(buffer);
+  } catch (error) {
+    sendLedgerError(res, error);
+  }
+};
+
+// Export customer ledger statement to PDF controller
+const exportCustomerLedgerPdf = async (req, res) => {
+  try {
+    const ledger = await ledgerService.getCustomerLedger(req.params.id, req.query);
+    const buffer = await ledgerService.generateLedgerPdf(ledger);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${ledgerFileName(ledger, "pdf")}"`);
+    res.setHeader("Content-Length", buffer.length);
+    return res.send(buffer);
+  } catch (error) {
+    sendLedgerError(res, error);
+  }
+};
+
 module.exports = {
   getAllCustomers,
   getCustomerById,
@@ -158,4 +241,8 @@ module.exports = {
   deleteCustomer,
   reactivateCustomer,
   getCustomerStats,
+  getCustomerBalance,
+  getCustomerLedger,
+  exportCustomerLedgerExcel,
+  exportCustomerLedgerPdf,
 };
@@ -0,0 +1,87 @@
+const dayCloseService = require("../services/dayClose.service");
+
+// Map service errors to HTTP status codes
+const buildErrorResponse = (res, error, defaultStatus = 500) => {
+  const statusCode =
+    error.message === "Day close not found" ? 404 :
+    error.message === "Godown not found" ? 404 :
+    error.message === "Day is already closed" ? 409 :
+    error.message === "Day is not closed" ? 409 :
+    error.message.endsWith("is required") ? 400 :
+    error.message.startsWith("Invalid ") ? 400 :
+    error.name === "ValidationError" ? 400 :
+    error.name === "CastError" ? 400 :
+    error.name === "BSONError" ? 400 :
+    defaultStatus;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: error.message,
+  });
+};
+
+// Day book of a godown for a day
+const getDayBook = async (req, res) => {
+  try {
+    const result = await dayCloseService.getDayBook(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Close a godown's day
+const closeDay = async (req, res) => {
+  try {
+    const dayClose = await dayCloseService.closeDay(req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      message: `Day ${dayClose.businessDate} closed for ${dayClose.godown.name}`,
+      data: { dayClose },
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Reopen a closed day
+const reopenDay = async (req, res) => {
+  try {
+    const dayClose = await dayCloseService.reopenDay(req.params.id, req.body, req.user.id);
+    res.status(200).json({
+      success: true,
+      message: `Day ${dayClose.businessDate} reopened`,
+      data: { dayClose },
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// List closed days
+const getDayCloses = async (req, res) => {
+  try {
+    const result = await dayCloseService.getDayCloses(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get a closed day with its reopening history
+const getDayCloseById = async (req, res) => {
+  try {
+    const result = await dayCloseService.getDayCloseById(req.params.id);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getDayBook,
+  closeDay,
+  reopenDay,
+  getDayCloses,
+  getDayCloseById,
+};
@@ -0,0 +1,98 @@
+const eWayBillService = require("../services/eWayBill.service");
+
+// Map service errors to HTTP status codes
+const buildErrorResponse = (res, error, defaultStatus = 500) => {
+  const statusCode =
+    error.message === "Order not found" ? 404 :
+    error.message === "Transit not found" ? 404 :
+    error.message === "Invoice not found" ? 404 :
+    error.message.endsWith("(godown) not found") ? 404 :
+    error.message.startsWith("Order has no invoice") ? 400 :
+    error.message.startsWith("Transit is not from one of our godowns") ? 400 :
+    error.message.startsWith("Invalid ") ? 400 :
+    error.name === "CastError" ? 400 :
+    defaultStatus;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: error.message,
+  });
+};
+
+// Send the built bill as JSON, or as a file for the portal's bulk upload with download=true
+const sendBill = (res, result, query) => {
+  if (query.download !== "true") {
+    return res.status(200).json({ success: true, data: result });
+  }
+
+  if (result.errors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      message: "E-way bill failed validation",
+      data: { errors: result.errors },
+    });
+  }
+
+  const fileName = `eway-bill-${String(result.source.reference).replace(/[^A-Za-z0-9-]/g, "-")}.json`;
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  return res.send(JSON.stringify(result.payload, null, 2));
+};
+
+// Build the e-way bill JSON of an order
+const getOrderEWayBill = async (req, res) => {
+  try {
+    const result = await eWayBillService.buildForOrder(req.params.orderId, req.query);
+    sendBill(res, result, req.query);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Build the e-way bill JSON of a transit
+const getTransitEWayBill = async (req, res) => {
+  try {
+    const result = await eWayBillService.buildForTransit(req.params.transitId, req.query);
+    sendBill(res, result, req.query);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Record the e-way bill generated for an order
+const recordOrderEWayBill = async (req, res) => {
+  try {
+    const result = await eWayBillService.recordEWayBill("order", req.params.orderId, req.body, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Record the e-way bill generated for a transit
+const recordTransitEWayBill = async (req, res) => {
+  try {
+    const result = await eWayBillService.recordEWayBill("transit", req.params.transitId, req.body, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Open transits with an expired or expiring e-way bill
+const getExpiringTransits = async (req, res) => {
+  try {
+    const result = await eWayBillService.getExpiringTransits(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getOrderEWayBill,
+  getTransitEWayBill,
+  recordOrderEWayBill,
+  recordTransitEWayBill,
+  getExpiringTransits,
+};
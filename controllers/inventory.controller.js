@@ -43,11 +43,17 @@ const createInventory = async (req, res) => {
     res.status(201).json(result);
   } catch (error) {
     if (error.message.includes("required") || 
-        error.message.includes("Invalid")) {
+        error.message.includes("Invalid") ||
+        error.message.startsWith("Product ")) {
       res.status(400).json({
         success: false,
         message: error.message,
       });
+    } else if (error.message.startsWith("Day ") || error.message.startsWith("Period ")) {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+      });
     } else {
       res.status(500).json({
         success: false,
@@ -72,11 +78,19 @@ const updateInventory = async (req, res) => {
         success: false,
         message: error.message,
       });
-    } else if (error.message.includes("Invalid")) {
+    } else if (
+      error.message.includes("Invalid") ||
+      error.message.startsWith("Product ")
+    ) {
       res.status(400).json({
         success: false,
         message: error.message,
       });
+    } else if (error.message.startsWith("Day ") || error.message.startsWith("Period ")) {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+      });
     } else {
       res.status(500).json({
         success: false,
@@ -100,6 +114,11 @@ const deleteInventory = async (req, res) => {
         success: false,
         message: error.message,
       });
+    } else if (error.message.startsWith("Day ") || error.message.startsWith("Period ")) {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+      });
     } else {
       res.status(500).json({
         success: false,
@@ -122,6 +141,26 @@ const getInventoryStats = async (req, res) => {
   }
 };
 
+// Get stock on hand balances
+const getStockBalance = async (req, res) => {
+  try {
+    const result = await inventoryService.getStockBalance(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes("Invalid")) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+};
+
 // Get inventory by godown
 const getInventoryByGodown = async (req, res) => {
   try {
@@ -168,6 +207,7 @@ module.exports = {
   updateInventory,
   deleteInventory,
   getInventoryStats,
+  getStockBalance,
   getInventoryByGodown,
   getInventoryAuditTrail,
 };
\ No newline at end of file
@@ -0,0 +1,134 @@
+const invoiceService = require("../services/invoice.service");
+const eInvoiceService = require("../services/eInvoice.service");
+
+// Map service errors to HTTP status codes
+const buildErrorResponse = (res, error, defaultStatus = 500) => {
+  const statusCode =
+    error.message === "Invoice not found" ? 404 :
+    error.message === "Order not found" ? 404 :
+    error.message === "Customer not found" ? 404 :
+    error.message.startsWith("Invoices can only be issued") ? 400 :
+    error.message.startsWith("Cannot invoice") ? 400 :
+    error.message.startsWith("Order must be") ? 400 :
+    error.message.startsWith("dateFrom and dateTo") ? 400 :
+    error.message.startsWith("Invalid ") ? 400 :
+    error.message.startsWith("Order has no invoice") ? 400 :
+    error.message.startsWith("IRN is already recorded") ? 409 :
+    error.name === "CastError" ? 400 :
+    defaultStatus;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: error.message,
+  });
+};
+
+// Get invoices
+const getInvoices = async (req, res) => {
+  try {
+    const result = await invoiceService.getInvoices(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get invoice by ID
+const getInvoiceById = async (req, res) => {
+  try {
+    const result = await invoiceService.getInvoiceById(req.params.id);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get the invoice of an order
+const getInvoiceByOrder = async (req, res) => {
+  try {
+    const result = await invoiceService.getInvoiceByOrder(req.params.orderId);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Issue the invoice of a dispatched/delivered order
+const issueInvoice = async (req, res) => {
+  try {
+    const result = await invoiceService.issueInvoice(req.params.orderId, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Download an invoice as PDF
+const downloadInvoicePdf = async (req, res) => {
+  try {
+    const { data } = await invoiceService.getInvoiceById(req.params.id);
+    const buffer = await invoiceService.generateInvoicePdf(data.invoice);
+    const fileName = `invoice-${data.invoice.invoiceNumber.replace(/\//g, "-")}.pdf`;
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Content-Length", buffer.length);
+    return res.send(buffer);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Preview the e-invoice JSON of a date range with its validation errors
+const exportEInvoices = async (req, res) => {
+  try {
+    const result = await eInvoiceService.exportEInvoices(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Download the e-invoice JSON for bulk upload; refused while any document is invalid
+// unless skipInvalid=true
+const downloadEInvoices = async (req, res) => {
+  try {
+    const { data } = await eInvoiceService.exportEInvoices(req.query);
+
+    if (data.errors.length > 0 && req.query.skipInvalid !== "true") {
+      return res.status(422).json({
+        success: false,
+        message: `${data.errors.length} invoice(s) failed validation. Fix them or pass skipInvalid=true to download the rest.`,
+        data: { summary: data.summary, errors: data.errors },
+      });
+    }
+
+    const fileName = `e-invoices-${req.query.dateFrom}-to-${req.query.dateTo}.json`;
+    res.setHeader("Content-Type", "application/json");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    return res.send(JSON.stringify(data.documents, null, 2));
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Record the IRN returned by the e-invoice portal on the order
+const recordIrn = async (req, res) => {
+  try {
+    const result = await eInvoiceService.recordIrn(req.params.orderId, req.body, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getInvoiceById,
+  getInvoiceByOrder,
+  issueInvoice,
+  downloadInvoicePdf,
+  exportEInvoices,
+  downloadEInvoices,
+  recordIrn,
+};
@@ -1,4 +1,5 @@
 const orderService = require('../services/order.service');
+const deliveryBillService = require('../services/deliveryBill.service');
 const { uploadToS3, uploadBase64ToS3 } = require('../utils/s3Upload');
 
 const uploadOrderImage = async ({ file, base64Input, customerId, folder = 'orders/captured', orderType = 'order' }) => {
@@ -35,6 +36,15 @@ const buildErrorResponse = (res, error, defaultStatus = 500) => {
     error.message.startsWith('Order must be') ? 400 :
     error.message.startsWith('Cannot assign driver') ? 400 :
     error.message.startsWith('Driver not found') ? 404 :
+    error.message.startsWith('Insufficient stock') ? 409 :
+    error.message.startsWith('Order is on credit hold') ? 409 :
+    error.message.startsWith('Order is not on credit hold') ? 400 :
+    error.message.startsWith('Release reason is required') ? 400 :
+    error.message.startsWith('Override reason is required') ? 400 :
+    error.message.startsWith('Order has no godown') ? 400 :
+    error.message.startsWith('Cannot convert') ? 400 :
+    error.message.startsWith('Invalid watermark') ? 400 :
+    error.message === 'Customer not found' ? 404 :
     defaultStatus;
 
   return res.status(statusCode).json({
@@ -174,8 +184,32 @@ const getCustomerOrderHistory = async (req, res) => {
 // Approve order controller
 const approveOrder = async (req, res) => {
   try {
-    const { notes } = req.body;
-    const result = await orderService.approveOrder(req.params.id, req.user.id, notes);
+    const { notes, overrideStock, overrideReason } = req.body;
+    const result = await orderService.approveOrder(req.params.id, req.user.id, notes, {
+      overrideStock: overrideStock === true || overrideStock === 'true',
+      overrideReason
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Release credit hold controller
+const releaseCreditHold = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const result = await orderService.releaseCreditHold(req.params.id, req.user.id, reason);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get stock availability for an order controller
+const getStockAvailability = async (req, res) => {
+  try {
+    const result = await orderService.getStockAvailability(req.params.id);
     res.status(200).json(result);
   } catch (error) {
     buildErrorResponse(res, error);
@@ -685,6 +719,38 @@ const getOrCreateDeliveryTimePdfChanges = async (req, res) => {
   }
 };
 
+// Download the printable delivery bill built from the delivery time snapshot
+const downloadDeliveryBillPdf = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!orderId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid Order ID format'
+      });
+    }
+
+    const { watermark, store } = req.query;
+    const { buffer, fileName, file } = await deliveryBillService.generateDeliveryBill(
+      orderId,
+      { watermark: watermark || undefined, store: store === 'true' },
+      req.user.id
+    );
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', buffer.length);
+    if (file) {
+      res.setHeader('X-File-Url', file.fileUrl);
+    }
+    return res.send(buffer);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
 // Update delivery status controller
 const updateDeliveryStatus = async (req, res) => {
   try {
@@ -734,6 +800,8 @@ module.exports = {
   updateOrder,
   updateOrderStatus,
   approveOrder,
+  releaseCreditHold,
+  getStockAvailability,
   rejectOrder,
   getPendingOrdersForApproval,
   moveToProduction,
@@ -761,6 +829,7 @@ module.exports = {
   getDeliveryTimePdfChanges,
   createDeliveryTimePdfChanges,
   getOrCreateDeliveryTimePdfChanges,
+  downloadDeliveryBillPdf,
   updateDeliveryStatus,
   getCustomerPendingOrders
 };
@@ -0,0 +1,100 @@
+const paymentReminderService = require("../services/paymentReminder.service");
+
+// Map service errors to HTTP status codes
+const buildErrorResponse = (res, error, defaultStatus = 500) => {
+  const statusCode =
+    error.message === "Customer not found" ? 404 :
+    error.message === "Reminder template not found" ? 404 :
+    error.message === "Customer has no dues to remind about" ? 400 :
+    error.message.startsWith("Invalid ") ? 400 :
+    error.name === "ValidationError" ? 400 :
+    error.name === "CastError" ? 400 :
+    error.name === "BSONError" ? 400 :
+    defaultStatus;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: error.message,
+  });
+};
+
+// List reminder templates
+const getTemplates = async (req, res) => {
+  try {
+    const result = await paymentReminderService.getTemplates();
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Edit a reminder template
+const updateTemplate = async (req, res) => {
+  try {
+    const template = await paymentReminderService.updateTemplate(req.params.kind, req.body, req.user.id);
+    res.status(200).json({
+      success: true,
+      message: "Reminder template updated successfully",
+      data: { template },
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Send the reminders due now instead of waiting for the job
+const sendDueReminders = async (req, res) => {
+  try {
+    const summary = await paymentReminderService.sendDueReminders();
+    res.status(200).json({
+      success: true,
+      message: `${summary.sent} reminder(s) sent, ${summary.failed} failed`,
+      data: summary,
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Remind one customer now
+const sendCustomerReminder = async (req, res) => {
+  try {
+    const result = await paymentReminderService.sendCustomerReminder(req.params.customerId, req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      message: `${result.reminders.filter((reminder) => reminder.status === "sent").length} reminder(s) sent`,
+      data: result,
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Reminder log
+const getReminders = async (req, res) => {
+  try {
+    const result = await paymentReminderService.getReminders(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Reminders sent to one customer
+const getCustomerReminders = async (req, res) => {
+  try {
+    const result = await paymentReminderService.getReminders({ ...req.query, customerId: req.params.customerId });
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  updateTemplate,
+  sendDueReminders,
+  sendCustomerReminder,
+  getReminders,
+  getCustomerReminders,
+};
@@ -0,0 +1,75 @@
+const periodLockService = require("../services/periodLock.service");
+
+// Map service errors to HTTP status codes
+const buildErrorResponse = (res, error, defaultStatus = 500) => {
+  const statusCode =
+    error.message === "Period lock not found" ? 404 :
+    error.message === "Period is already locked" ? 409 :
+    error.message === "Period is not locked" ? 409 :
+    error.message.endsWith("is required") ? 400 :
+    error.message.startsWith("Invalid ") ? 400 :
+    error.name === "ValidationError" ? 400 :
+    error.name === "CastError" ? 400 :
+    error.name === "BSONError" ? 400 :
+    defaultStatus;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: error.message,
+  });
+};
+
+// Lock a month, financial year or custom range
+const lockPeriod = async (req, res) => {
+  try {
+    const periodLock = await periodLockService.lockPeriod(req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      message: `Period ${periodLock.label} locked`,
+      data: { periodLock },
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Lift a period lock
+const unlockPeriod = async (req, res) => {
+  try {
+    const periodLock = await periodLockService.unlockPeriod(req.params.id, req.body, req.user.id);
+    res.status(200).json({
+      success: true,
+      message: `Period ${periodLock.label} unlocked`,
+      data: { periodLock },
+    });
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// List period locks
+const getPeriodLocks = async (req, res) => {
+  try {
+    const result = await periodLockService.getPeriodLocks(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Changes made inside locked periods with the override permission
+const getOverrides = async (req, res) => {
+  try {
+    const result = await periodLockService.getOverrides(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  lockPeriod,
+  unlockPeriod,
+  getPeriodLocks,
+  getOverrides,
+};
@@ -0,0 +1,103 @@
+const priceListService = require("../services/priceList.service");
+
+// Map service errors to HTTP status codes
+const buildErrorResponse = (res, error, defaultStatus = 500) => {
+  const statusCode =
+    error.message === "Price list not found" ? 404 :
+    error.message === "Product not found" ? 404 :
+    error.message === "Godown not found" ? 404 :
+    error.message.startsWith("No price list applies") ? 404 :
+    error.message.includes("required") ? 400 :
+    error.message.startsWith("Invalid") ? 400 :
+    error.message.startsWith("Price overlaps") ? 409 :
+    defaultStatus;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: error.message,
+  });
+};
+
+// Get price lists
+const getPriceLists = async (req, res) => {
+  try {
+    const result = await priceListService.getPriceLists(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get price history of a product
+const getPriceHistory = async (req, res) => {
+  try {
+    const result = await priceListService.getPriceHistory(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Resolve the price applicable to a product
+const getApplicablePrice = async (req, res) => {
+  try {
+    const result = await priceListService.getApplicablePrice(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get price list entry by ID
+const getPriceListById = async (req, res) => {
+  try {
+    const result = await priceListService.getPriceListById(req.params.id);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Create price list version
+const createPriceList = async (req, res) => {
+  try {
+    const result = await priceListService.createPriceList(req.body, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Update price list entry
+const updatePriceList = async (req, res) => {
+  try {
+    const result = await priceListService.updatePriceList(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Deactivate price list entry
+const deletePriceList = async (req, res) => {
+  try {
+    const result = await priceListService.deletePriceList(req.params.id, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getPriceLists,
+  getPriceHistory,
+  getApplicablePrice,
+  getPriceListById,
+  createPriceList,
+  updatePriceList,
+  deletePriceList,
+};
@@ -0,0 +1,121 @@
+const productService = require("../services/product.service");
+
+// Get all products
+const getAllProducts = async (req, res) => {
+  try {
+    const result = await productService.getAllProducts(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Get product by ID
+const getProductById = async (req, res) => {
+  try {
+    const result = await productService.getProductById(req.params.id);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message === "Product not found") {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+};
+
+// Create new product
+const createProduct = async (req, res) => {
+  try {
+    const result = await productService.createProduct(req.body, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    if (
+      error.message.includes("required") ||
+      error.message.includes("Invalid") ||
+      error.message.includes("already exists")
+    ) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+};
+
+// Update product
+const updateProduct = async (req, res) => {
+  try {
+    const result = await productService.updateProduct(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message === "Product not found") {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    } else if (
+      error.message.includes("Invalid") ||
+      error.message.includes("already exists")
+    ) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+};
+
+// Deactivate product
+const deleteProduct = async (req, res) => {
+  try {
+    const result = await productService.deleteProduct(
+      req.params.id,
+      req.user.id
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message === "Product not found") {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+};
+
+module.exports = {
+  getAllProducts,
+  getProductById,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+};
@@ -74,6 +74,21 @@ const createProduction = async (req, res) => {
         success: false,
         message: "Batch ID already exists",
       });
+    } else if (error.message.startsWith("Unable to determine godown")) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    } else if (error.message === "Godown not found") {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    } else if (error.message.startsWith("Day ") || error.message.startsWith("Period ")) {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+      });
     } else {
       res.status(500).json({
         success: false,
@@ -139,6 +154,21 @@ const updateProduction = async (req, res) => {
         success: false,
         message: "Batch ID already exists",
       });
+    } else if (error.message.startsWith("Unable to determine godown")) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    } else if (error.message === "Godown not found") {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    } else if (error.message.startsWith("Day ") || error.message.startsWith("Period ")) {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+      });
     } else {
       res.status(500).json({
         success: false,
@@ -159,6 +189,11 @@ const deleteProduction = async (req, res) => {
         success: false,
         message: error.message,
       });
+    } else if (error.message.startsWith("Day ") || error.message.startsWith("Period ")) {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+      });
     } else {
       res.status(500).json({
         success: false,
@@ -382,4 +382,27 @@ exports.exportSalesExecutiveReportsToExcel = async (req, res) => {
   }
 };
 
+/**
+ * Get Receivables Ageing Report
+ * @route GET /api/reports/receivables-ageing
+ */
+exports.getReceivablesAgeing = async (req, res) => {
+  try {
+    const { groupBy, asOf, godownId, customerId, salesExecutiveId } = req.query;
 
+    const report = await reportService.getReceivablesAgeing(
+      { groupBy, asOf, godownId, customerId, salesExecutiveId },
+      req.user
+    );
+
+    return sendSuccess(res, report, "Receivables ageing report retrieved successfully");
+  } catch (error) {
+    console.error("Error fetching receivables ageing report:", error);
+    const status = error.message.startsWith("Invalid")
+      ? 400
+      : error.message.startsWith("Access denied")
+        ? 403
+        : 500;
+    return sendError(res, error.message, status);
+  }
+};
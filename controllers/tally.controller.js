@@ -0,0 +1,87 @@
+const tallyService = require("../services/tally.service");
+
+// Map service errors to HTTP status codes
+const buildErrorResponse = (res, error, defaultStatus = 500) => {
+  const statusCode =
+    error.message === "Tally export not found" ? 404 :
+    error.message.startsWith("No new vouchers") ? 404 :
+    error.message.startsWith("dateFrom and dateTo") ? 400 :
+    error.message.startsWith("Invalid ") ? 400 :
+    error.message.endsWith("not found in godownLedgers") ? 400 :
+    error.message.endsWith("not found in customerLedgers") ? 400 :
+    error.name === "CastError" ? 400 :
+    defaultStatus;
+
+  return res.status(statusCode).json({
+    success: false,
+    message: error.message,
+  });
+};
+
+// Get the Tally ledger mapping
+const getConfig = async (req, res) => {
+  try {
+    const result = await tallyService.getConfig();
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Update the Tally ledger mapping
+const updateConfig = async (req, res) => {
+  try {
+    const result = await tallyService.updateConfig(req.body, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Export sales and receipt vouchers as Tally import XML
+const exportVouchers = async (req, res) => {
+  try {
+    const { xml, exportId, summary } = await tallyService.exportVouchers(
+      { ...req.body, includeExported: req.body.includeExported === true || req.body.includeExported === "true" },
+      req.user.id
+    );
+    const fileName = `tally-${req.body.dateFrom}-to-${req.body.dateTo}.xml`;
+
+    res.setHeader("Content-Type", "application/xml");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("X-Export-Id", String(exportId));
+    res.setHeader("X-Voucher-Count", String(summary.sales + summary.receipts));
+    res.setHeader("X-Skipped-Count", String(summary.skipped));
+    return res.send(xml);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get past Tally exports
+const getExports = async (req, res) => {
+  try {
+    const result = await tallyService.getExports(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get one Tally export with its vouchers
+const getExportById = async (req, res) => {
+  try {
+    const result = await tallyService.getExportById(req.params.id);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+module.exports = {
+  getConfig,
+  updateConfig,
+  exportVouchers,
+  getExports,
+  getExportById,
+};
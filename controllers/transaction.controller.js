@@ -90,14 +90,110 @@ class TransactionController {
       if (!userId) {
         return res.status(401).json(createResponse(false, 'User authentication required', null, 401));
       }
-      const { customerId, amountPaid,orderIds=[], paymentMode, transactionDate } = req.body || {};
-      const result = await transactionService.allocateCustomerPayment({ customerId, amountPaid,orderIds, paymentMode, transactionDate }, userId);
+      const { customerId, amountPaid,orderIds=[], paymentMode, transactionDate, cheque, reference } = req.body || {};
+      const result = await transactionService.allocateCustomerPayment({ customerId, amountPaid,orderIds, paymentMode, transactionDate, cheque, reference }, userId);
       return res.status(result.statusCode || (result.success ? 200 : 400)).json(result);
     } catch (error) {
       console.error('Error in allocateCustomerPayment controller:', error);
       res.status(500).json(createResponse(false, 'Internal server error', null, 500));
     }
   }
+
+  /**
+   * Apply a customer's on-account credit to open orders
+   */
+  async applyOnAccountCredit(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json(createResponse(false, 'User authentication required', null, 401));
+      }
+      const { customerId, orderIds = [], amount } = req.body || {};
+      const result = await transactionService.applyOnAccountCredit({ customerId, orderIds, amount }, userId);
+      return res.status(result.statusCode || (result.success ? 200 : 400)).json(result);
+    } catch (error) {
+      console.error('Error in applyOnAccountCredit controller:', error);
+      if (error.name === 'CastError') {
+        return res.status(400).json(createResponse(false, 'Invalid customer or order ID format', null, 400));
+      }
+      res.status(500).json(createResponse(false, 'Internal server error', null, 500));
+    }
+  }
+
+  /**
+   * Get on-account credit of a customer
+   */
+  async getCustomerCredit(req, res) {
+    try {
+      const result = await transactionService.getCustomerCredit(req.params.customerId);
+      return res.status(result.statusCode || (result.success ? 200 : 400)).json(result);
+    } catch (error) {
+      console.error('Error in getCustomerCredit controller:', error);
+      if (error.name === 'CastError') {
+        return res.status(400).json(createResponse(false, 'Invalid customer ID format', null, 400));
+      }
+      res.status(500).json(createResponse(false, 'Internal server error', null, 500));
+    }
+  }
+
+  /**
+   * Reverse a payment, optionally re-allocating the same receipt
+   */
+  async reverseTransaction(req, res) {
+    try {
+      const { reason, reallocate } = req.body || {};
+      const result = await transactionService.reverseTransaction(req.params.id, { reason, reallocate }, req.user.id);
+      const statusCode = result.success ? 200
+        : result.message === 'Transaction not found' ? 404
+        : result.message === 'Transaction is already reversed' ? 409
+        : result.message.startsWith('Day ') || result.message.startsWith('Period ') ? 409
+        : 400;
+      return res.status(statusCode).json(result);
+    } catch (error) {
+      console.error('Error in reverseTransaction controller:', error);
+      if (error.name === 'CastError') {
+        return res.status(400).json(createResponse(false, 'Invalid transaction or order ID format', null, 400));
+      }
+      res.status(500).json(createResponse(false, 'Internal server error', null, 500));
+    }
+  }
+
+  /**
+   * Record a cheque being deposited, cleared or bounced
+   */
+  async updateChequeStatus(req, res) {
+    try {
+      const result = await transactionService.updateChequeStatus(req.params.id, req.body || {}, req.user.id);
+      const statusCode = result.success ? 200
+        : result.message === 'Transaction not found' ? 404
+        : result.message.startsWith('Cheque status changed') ? 409
+        : result.message.startsWith('Day ') || result.message.startsWith('Period ') ? 409
+        : 400;
+      return res.status(statusCode).json(result);
+    } catch (error) {
+      console.error('Error in updateChequeStatus controller:', error);
+      if (error.name === 'CastError') {
+        return res.status(400).json(createResponse(false, 'Invalid transaction ID format', null, 400));
+      }
+      res.status(500).json(createResponse(false, 'Internal server error', null, 500));
+    }
+  }
+
+  /**
+   * Get the register of cheques awaiting deposit
+   */
+  async getChequeRegister(req, res) {
+    try {
+      const result = await transactionService.getChequeRegister(req.query);
+      return res.status(result.statusCode || (result.success ? 200 : 400)).json(result);
+    } catch (error) {
+      console.error('Error in getChequeRegister controller:', error);
+      if (error.name === 'CastError') {
+        return res.status(400).json(createResponse(false, 'Invalid customer ID format', null, 400));
+      }
+      res.status(500).json(createResponse(false, 'Internal server error', null, 500));
+    }
+  }
 }
 
 module.exports = new TransactionController();
\ No newline at end of file
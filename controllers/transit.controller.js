@@ -1,15 +1,29 @@
 const transitService = require('../services/transit.service');
+const transitClaimService = require('../services/transitClaim.service');
 
 const buildErrorResponse = (res, error, defaultStatus = 500) => {
   const statusCode =
     error.message === 'Transit not found' ? 404 :
+    error.message === 'Claim not found' ? 404 :
     error.message === 'From location (godown) not found' ? 404 :
     error.message === 'To location (godown) not found' ? 404 :
     error.message === 'Driver not found' ? 404 :
     error.message === 'Assigned user not found' ? 404 :
+    error.message.startsWith('Product not found') ? 404 :
+    error.message.endsWith('is inactive') ? 400 :
     error.message.startsWith('Only ') ? 403 :
     error.message.startsWith('Access denied') ? 403 :
     error.message.startsWith('Cannot change status') ? 400 :
+    error.message.startsWith('Received quantit') ? 400 :
+    error.message.startsWith('Receipt items are required') ? 400 :
+    error.message.startsWith('Cannot receive a transit') ? 400 :
+    error.message.startsWith('Cannot change claim status') ? 400 :
+    error.message.startsWith('Invalid ') ? 400 :
+    error.message.endsWith('is listed more than once') ? 400 :
+    error.message.endsWith('is not part of this transit') ? 400 :
+    error.message.startsWith('Product details and locations cannot be changed') ? 400 :
+    error.message.startsWith('Cannot convert') ? 400 :
+    error.message.startsWith('Unsupported unit') ? 400 :
     error.message.startsWith('From location and to location') ? 400 :
     error.message.startsWith('At least one product') ? 400 :
     error.message.includes('is required') ? 400 :
@@ -89,6 +103,17 @@ const updateTransit = async (req, res) => {
       }
     }
     
+    if (transitData.receivedItems && typeof transitData.receivedItems === 'string') {
+      try {
+        transitData.receivedItems = JSON.parse(transitData.receivedItems);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid receivedItems format"
+        });
+      }
+    }
+
     // Parse removedAttachments if provided
     if (transitData.removedAttachments && typeof transitData.removedAttachments === 'string') {
       try {
@@ -124,7 +149,7 @@ const deleteTransit = async (req, res) => {
 // Update transit status controller
 const updateTransitStatus = async (req, res) => {
   try {
-    const { status, notes } = req.body;
+    const { status, notes, receivedItems } = req.body;
     
     if (!status) {
       return res.status(400).json({
@@ -141,7 +166,14 @@ const updateTransitStatus = async (req, res) => {
       });
     }
 
-    const result = await transitService.updateTransitStatus(req.params.id, status, req.user, notes);
+    if (receivedItems !== undefined && !Array.isArray(receivedItems)) {
+      return res.status(400).json({
+        success: false,
+        message: 'receivedItems must be an array'
+      });
+    }
+
+    const result = await transitService.updateTransitStatus(req.params.id, status, req.user, notes, receivedItems);
     res.status(200).json(result);
   } catch (error) {
     buildErrorResponse(res, error);
@@ -229,6 +261,7 @@ const bulkUpdateTransitStatus = async (req, res) => {
 
     for (const transitId of transitIds) {
       try {
+        // Bulk receipts take every line as fully received; partial receipts need per-transit quantities
         const result = await transitService.updateTransitStatus(transitId, status, req.user, notes);
         results.push({ transitId, success: true, data: result.data });
       } catch (error) {
@@ -355,6 +388,87 @@ const getTransitAuditTrail = async (req, res) => {
   }
 };
 
+// Record a receipt with received, damaged and short quantities per line
+const receiveTransit = async (req, res) => {
+  try {
+    let { items, remarks } = req.body;
+
+    // Parse JSON fields sent as FormData
+    if (items && typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid items format'
+        });
+      }
+    }
+
+    const result = await transitService.receiveTransit(
+      req.params.id,
+      { items, remarks, photos: req.files || [] },
+      req.user
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get shortage/damage claims
+const getClaims = async (req, res) => {
+  try {
+    const result = await transitClaimService.getClaims(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Get claim by ID
+const getClaimById = async (req, res) => {
+  try {
+    const result = await transitClaimService.getClaimById(req.params.claimId);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Open claims by transporter
+const getOpenClaimsReport = async (req, res) => {
+  try {
+    const result = await transitClaimService.getOpenClaimsReport(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
+// Settle or reject a claim
+const resolveClaim = async (req, res) => {
+  try {
+    const { status, settledAmount, notes } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
+    const result = await transitClaimService.resolveClaim(
+      req.params.claimId,
+      { status, settledAmount, notes },
+      req.user
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    buildErrorResponse(res, error);
+  }
+};
+
 module.exports = {
   getAllTransits,
   getTransitById,
@@ -369,5 +483,10 @@ module.exports = {
   getTransitByTransitId,
   getPendingTransits,
   getMyTransits,
-  getTransitAuditTrail
+  getTransitAuditTrail,
+  receiveTransit,
+  getClaims,
+  getClaimById,
+  getOpenClaimsReport,
+  resolveClaim
 };
\ No newline at end of file
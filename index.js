@@ -5,6 +5,7 @@ const path = require("path");
 const { connectDB } = require("./config/database");
 const { specs, swaggerUi } = require("./config/swagger");
 const { errorHandler, notFound } = require("./utils/errorHandler");
+const { startJobs } = require("./jobs");
 
 // Import routes
 const authRoutes = require("./routes/auth.routes");
@@ -21,6 +22,17 @@ const transitRoutes = require("./routes/transit.routes");
 const transactionRoutes = require("./routes/transaction.routes");
 const productionRoutes = require("./routes/production.routes");
 const uploadRoutes = require("./routes/upload.routes");
+const productRoutes = require("./routes/product.routes");
+const priceListRoutes = require("./routes/priceList.routes");
+const invoiceRoutes = require("./routes/invoice.routes");
+const eWayBillRoutes = require("./routes/eWayBill.routes");
+const tallyRoutes = require("./routes/tally.routes");
+const creditNoteRoutes = require("./routes/creditNote.routes");
+const cashHandoverRoutes = require("./routes/cashHandover.routes");
+const bankReconciliationRoutes = require("./routes/bankReconciliation.routes");
+const dayCloseRoutes = require("./routes/dayClose.routes");
+const periodLockRoutes = require("./routes/periodLock.routes");
+const paymentReminderRoutes = require("./routes/paymentReminder.routes");
 
 const app = express();
 const Models = require("./models");
@@ -66,6 +78,17 @@ app.use("/api/transits", transitRoutes);
 app.use("/api/transactions", transactionRoutes);
 app.use("/api/productions", productionRoutes);
 app.use("/api/upload", uploadRoutes);
+app.use("/api/products", productRoutes);
+app.use("/api/price-lists", priceListRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/e-way-bills", eWayBillRoutes);
+app.use("/api/tally", tallyRoutes);
+app.use("/api/credit-notes", creditNoteRoutes);
+app.use("/api/cash-handovers", cashHandoverRoutes);
+app.use("/api/bank-reconciliation", bankReconciliationRoutes);
+app.use("/api/day-close", dayCloseRoutes);
+app.use("/api/period-locks", periodLockRoutes);
+app.use("/api/payment-reminders", paymentReminderRoutes);
 
 /**
  * @swagger
@@ -118,6 +141,7 @@ const startServer = async () => {
   try {
     await connectDB();
     await Models.seedDefaults?.();
+    startJobs();
 
     app.listen(PORT, HOST, () => {
       console.log(`
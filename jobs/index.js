@@ -0,0 +1,52 @@
+// Background jobs started with the server
+// Intervals are in hours and can be tuned from the environment
+
+const orderService = require("../services/order.service");
+const eWayBillService = require("../services/eWayBill.service");
+const paymentReminderService = require("../services/paymentReminder.service");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const runJob = async (name, task) => {
+  try {
+    const result = await task();
+    console.log(`[jobs] ${name} completed`, result || "");
+  } catch (error) {
+    console.error(`[jobs] ${name} failed:`, error);
+  }
+};
+
+// Run a job now and then every `hours`; timers don't keep the process alive
+const schedule = (name, hours, task) => {
+  runJob(name, task);
+  const timer = setInterval(() => runJob(name, task), hours * HOUR_MS);
+  timer.unref();
+  return timer;
+};
+
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === "true") {
+    console.log("[jobs] Background jobs disabled");
+    return;
+  }
+
+  schedule(
+    "Mark overdue orders",
+    Number(process.env.OVERDUE_CHECK_INTERVAL_HOURS) || 6,
+    () => orderService.markOverdueOrders()
+  );
+
+  schedule(
+    "Flag expiring e-way bills",
+    Number(process.env.EWAY_BILL_CHECK_INTERVAL_HOURS) || 1,
+    () => eWayBillService.flagExpiringTransits()
+  );
+
+  schedule(
+    "Send payment reminders",
+    Number(process.env.PAYMENT_REMINDER_INTERVAL_HOURS) || 24,
+    () => paymentReminderService.sendDueReminders()
+  );
+};
+
+module.exports = { startJobs };
@@ -41,7 +41,9 @@ const auditLogSchema = new mongoose.Schema({
       'settings',
       'auth',
       'transits',
-      "transactions"
+      "transactions",
+      'products',
+      'pricing'
     ]
   },
   resourceType: {
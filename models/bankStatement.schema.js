@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+
+const statementLineSchema = new mongoose.Schema({
+  // Row of the uploaded file
+  rowNumber: {
+    type: Number,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  // UTR / cheque number from the reference column, or picked out of the description
+  reference: {
+    type: String,
+    trim: true,
+  },
+  credit: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  debit: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  balance: {
+    type: Number,
+  },
+  // Only credits are reconciled; debits are kept as ignored
+  status: {
+    type: String,
+    enum: ["unmatched", "suggested", "matched", "converted", "ignored"],
+    default: "unmatched",
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+  },
+  matchMethod: {
+    type: String,
+    enum: ["auto", "manual", "converted"],
+  },
+  matchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  matchedAt: {
+    type: Date,
+  },
+  // Possible payments for a line that could not be matched on its own, best first
+  suggestions: [
+    {
+      transaction: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+      score: { type: Number },
+      reasons: [{ type: String }],
+      _id: false,
+    },
+  ],
+  ignoredReason: {
+    type: String,
+    trim: true,
+  },
+});
+
+const bankStatementSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      required: true,
+    },
+    // Hash of the file, so the same statement is not imported twice
+    fileHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    bankAccount: {
+      type: String,
+      trim: true,
+    },
+    // Format used to read the file; the mapping is kept as it was at import time
+    formatName: {
+      type: String,
+      trim: true,
+    },
+    mapping: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    periodFrom: {
+      type: Date,
+    },
+    periodTo: {
+      type: Date,
+    },
+    lines: [statementLineSchema],
+    summary: {
+      totalLines: { type: Number, default: 0 },
+      skippedRows: { type: Number, default: 0 },
+      totalCredits: { type: Number, default: 0 },
+      totalDebits: { type: Number, default: 0 },
+      creditLines: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      converted: { type: Number, default: 0 },
+      suggested: { type: Number, default: 0 },
+      unmatched: { type: Number, default: 0 },
+      ignored: { type: Number, default: 0 },
+      matchedAmount: { type: Number, default: 0 },
+    },
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bankStatementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("BankStatement", bankStatementSchema);
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// Column layout of a bank's statement export, picked by name when a statement is imported.
+// Columns are given as the header text, a column number (1 = first) or a column letter.
+const bankStatementFormatSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    bankName: {
+      type: String,
+      trim: true,
+    },
+    // Row holding the column headers; rows above it (account details etc.) are skipped
+    headerRow: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    columns: {
+      date: { type: String, trim: true, required: true },
+      description: { type: String, trim: true },
+      reference: { type: String, trim: true },
+      // Either separate credit/debit columns, or one amount column (negative or marked Dr = debit)
+      credit: { type: String, trim: true },
+      debit: { type: String, trim: true },
+      amount: { type: String, trim: true },
+      drCr: { type: String, trim: true },
+      balance: { type: String, trim: true },
+    },
+    // Tokens DD, MM, MMM, YYYY, YY in the bank's order, e.g. DD/MM/YYYY or DD-MMM-YY
+    dateFormat: {
+      type: String,
+      trim: true,
+      default: "DD/MM/YYYY",
+    },
+    // Days either side of the statement date a payment may have been recorded on
+    dateWindowDays: {
+      type: Number,
+      min: 0,
+      max: 30,
+      default: 3,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("BankStatementFormat", bankStatementFormatSchema);
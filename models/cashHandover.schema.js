@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+
+const handoverCollectionSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: {
+      type: String,
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    paymentTerms: {
+      type: String,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    collectedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+const cashHandoverSchema = new mongoose.Schema(
+  {
+    handoverNumber: {
+      type: String,
+      unique: true,
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Godown whose cashier receives the cash
+    godown: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Godown",
+      required: true,
+    },
+    // Day the cash was collected on (YYYY-MM-DD, UTC like the reports)
+    businessDate: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Business date must be YYYY-MM-DD"],
+    },
+    // Delivery collections covered by this handover
+    collections: {
+      type: [handoverCollectionSchema],
+      validate: [(val) => val.length > 0, "At least one collection is required."],
+    },
+    totalCollected: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // What the driver says they are handing over
+    declaredAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // What the cashier counted; set on confirmation
+    receivedAmount: {
+      type: Number,
+      min: 0,
+    },
+    // receivedAmount - totalCollected; negative when cash is missing
+    variance: {
+      type: Number,
+      default: 0,
+    },
+    shortfallAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    hasShortfall: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["submitted", "confirmed"],
+      default: "submitted",
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    confirmedAt: {
+      type: Date,
+    },
+    cashierNotes: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cashHandoverSchema.index({ driver: 1, businessDate: 1 });
+cashHandoverSchema.index({ godown: 1, status: 1 });
+cashHandoverSchema.index({ hasShortfall: 1, businessDate: 1 });
+
+cashHandoverSchema.pre("save", async function (next) {
+  if (!this.handoverNumber) {
+    try {
+      const lastHandover = await this.constructor
+        .findOne({ handoverNumber: { $regex: /^HND\d{5}$/ } })
+        .sort({ handoverNumber: -1 })
+        .select("handoverNumber")
+        .lean();
+
+      let nextNumber = 1;
+      if (lastHandover && lastHandover.handoverNumber) {
+        nextNumber = parseInt(lastHandover.handoverNumber.replace("HND", "")) + 1;
+      }
+
+      this.handoverNumber = `HND${String(nextNumber).padStart(5, "0")}`;
+    } catch (error) {
+      console.error("Error generating handover number:", error);
+      this.handoverNumber = `HND${Date.now().toString().slice(-6)}`;
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model("CashHandover", cashHandoverSchema);
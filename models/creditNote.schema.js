@@ -0,0 +1,176 @@
+const mongoose = require("mongoose");
+
+const creditNoteItemSchema = new mongoose.Schema(
+  {
+    // Line of the order the goods are returned from
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    productName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    unit: {
+      type: String,
+      required: true,
+    },
+    packaging: {
+      type: String,
+    },
+    // In the unit of the order line
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    quantityKg: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Rate of the order line
+    ratePerUnit: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Saleable goods go back into stock, damaged goods are written off after receipt
+    condition: {
+      type: String,
+      enum: ["saleable", "damaged"],
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const creditNoteSchema = new mongoose.Schema(
+  {
+    // Assigned on approval
+    creditNoteNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    financialYear: {
+      type: String,
+    },
+    sequence: {
+      type: Number,
+      min: 1,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: {
+      type: String,
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    godown: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Godown",
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+    invoiceNumber: {
+      type: String,
+    },
+    items: {
+      type: [creditNoteItemSchema],
+      validate: [(val) => val.length > 0, "At least one return item is required."],
+    },
+    // Line amounts, less the share of the order discount, plus tax at the order's rate
+    subtotal: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    discount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    taxAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    totalAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    // How the credit was settled on approval: against the order's due, and the part
+    // already paid for that went back to the customer's on-account credit
+    settlement: {
+      adjustedAmount: { type: Number, min: 0, default: 0 },
+      releasedToCredit: { type: Number, min: 0, default: 0 },
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: {
+      type: Date,
+    },
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    rejectedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+creditNoteSchema.index({ order: 1, status: 1 });
+creditNoteSchema.index({ customer: 1, status: 1, approvedAt: 1 });
+creditNoteSchema.index({ financialYear: 1, sequence: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model("CreditNote", creditNoteSchema);
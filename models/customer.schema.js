@@ -78,6 +78,16 @@ const customerSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Unallocated payments held for the customer (sum of unallocatedAmount of their transactions)
+  onAccountCredit: {
+    type: Number,
+    default: 0
+  },
+  // Apply on-account credit to new orders automatically, oldest credit first
+  autoApplyCredit: {
+    type: Boolean,
+    default: true
+  },
   // Customer Status
   isActive: {
     type: Boolean,
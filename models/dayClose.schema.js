@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+
+const amountSchema = {
+  count: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 },
+};
+
+// Figures of one godown's business day, frozen when the day is closed
+const dayBookSchema = new mongoose.Schema(
+  {
+    orders: {
+      count: { type: Number, default: 0 },
+      totalAmount: { type: Number, default: 0 },
+      byStatus: [{ status: String, ...amountSchema, _id: false }],
+    },
+    deliveries: {
+      count: { type: Number, default: 0 },
+      totalAmount: { type: Number, default: 0 },
+      // Collected by drivers at delivery
+      collected: { type: Number, default: 0 },
+    },
+    // Payments dated that day, by transactionMode
+    receipts: {
+      byMode: [{ mode: String, ...amountSchema, _id: false }],
+      total: { type: Number, default: 0 },
+      count: { type: Number, default: 0 },
+      reversals: amountSchema,
+      bouncedCheques: amountSchema,
+      net: { type: Number, default: 0 },
+    },
+    // Drivers' cash handed over to the godown cashier for that day
+    cashHandovers: {
+      count: { type: Number, default: 0 },
+      collected: { type: Number, default: 0 },
+      received: { type: Number, default: 0 },
+      shortfall: { type: Number, default: 0 },
+      pending: { type: Number, default: 0 },
+    },
+    // Stock movements in KG
+    stock: {
+      byType: [{ inventoryType: String, entries: Number, quantityKg: Number, _id: false }],
+      byProduct: [
+        {
+          product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+          productName: String,
+          inwardKg: Number,
+          outwardKg: Number,
+          netKg: Number,
+          _id: false,
+        },
+      ],
+      inwardKg: { type: Number, default: 0 },
+      outwardKg: { type: Number, default: 0 },
+      netKg: { type: Number, default: 0 },
+    },
+  },
+  { _id: false }
+);
+
+const dayCloseSchema = new mongoose.Schema(
+  {
+    godown: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Godown",
+      required: true,
+    },
+    // YYYY-MM-DD, UTC like the other day-wise reports
+    businessDate: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Business date must be YYYY-MM-DD"],
+    },
+    // Reopened days accept edits again until they are closed once more
+    status: {
+      type: String,
+      enum: ["closed", "reopened"],
+      default: "closed",
+    },
+    figures: {
+      type: dayBookSchema,
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    closedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Number of times the day was signed off
+    version: {
+      type: Number,
+      default: 1,
+    },
+    reopenings: [
+      {
+        reopenedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reopenedAt: { type: Date },
+        reason: { type: String, trim: true },
+        // Figures as signed off before the reopening
+        figures: { type: dayBookSchema },
+        closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        closedAt: { type: Date },
+        _id: false,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dayCloseSchema.index({ godown: 1, businessDate: 1 }, { unique: true });
+dayCloseSchema.index({ businessDate: 1, status: 1 });
+
+module.exports = mongoose.model("DayClose", dayCloseSchema);
@@ -122,7 +122,32 @@ const deliveryTimePdfChangesSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: false
-  }
+  },
+
+  // Printed bills stored in S3
+  billFiles: [{
+    fileUrl: {
+      type: String,
+      required: true
+    },
+    fileKey: {
+      type: String,
+      required: true
+    },
+    watermark: {
+      type: String,
+      enum: ['original', 'duplicate', null],
+      default: null
+    },
+    generatedAt: {
+      type: Date,
+      default: Date.now
+    },
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
 }, {
   timestamps: true
 });
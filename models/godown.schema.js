@@ -18,6 +18,14 @@ const godownSchema = new mongoose.Schema(
       city: { type: String, required: true, trim: true },
       state: { type: String, required: true, trim: true },
       area: { type: String, trim: true }, // e.g., East/West for Delhi
+      address: { type: String, trim: true }, // full address printed on invoices
+      pincode: { type: String, trim: true },
+    },
+    // GST registration the godown invoices under (falls back to the company GSTIN)
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
     },
     allowedProducts: [
       {
@@ -11,6 +11,20 @@ const Inventory = require('./inventory.schema');
 const Transit = require('./transit.schema');
 const Production = require('./production.schema');
 const DeliveryTimePdfChanges = require('./deliveryTimePdfChanges.schema');
+const Product = require('./product.schema');
+const PriceList = require('./priceList.schema');
+const TransitClaim = require('./transitClaim.schema');
+const Invoice = require('./invoice.schema');
+const TallyConfig = require('./tallyConfig.schema');
+const TallyExport = require('./tallyExport.schema');
+const CreditNote = require('./creditNote.schema');
+const CashHandover = require('./cashHandover.schema');
+const BankStatement = require('./bankStatement.schema');
+const BankStatementFormat = require('./bankStatementFormat.schema');
+const DayClose = require('./dayClose.schema');
+const PeriodLock = require('./periodLock.schema');
+const ReminderTemplate = require('./reminderTemplate.schema');
+const PaymentReminder = require('./paymentReminder.schema');
 
 module.exports = {
   User,
@@ -25,7 +39,21 @@ module.exports = {
   Inventory,
   Transit,
   Production,
-  DeliveryTimePdfChanges
+  DeliveryTimePdfChanges,
+  Product,
+  PriceList,
+  TransitClaim,
+  Invoice,
+  TallyConfig,
+  TallyExport,
+  CreditNote,
+  CashHandover,
+  BankStatement,
+  BankStatementFormat,
+  DayClose,
+  PeriodLock,
+  ReminderTemplate,
+  PaymentReminder
 };
 
 // Helper to seed core defaults where available
@@ -40,6 +68,15 @@ module.exports.seedDefaults = async () => {
     if (typeof Godown.seedDefaultGodowns === 'function') {
       await Godown.seedDefaultGodowns();
     }
+    if (typeof Product.seedDefaultProducts === 'function') {
+      await Product.seedDefaultProducts();
+    }
+    if (typeof PriceList.seedDefaultPriceLists === 'function') {
+      await PriceList.seedDefaultPriceLists();
+    }
+    if (typeof ReminderTemplate.seedDefaultTemplates === 'function') {
+      await ReminderTemplate.seedDefaultTemplates();
+    }
   } catch (e) {
     console.error('Default seeds failed:', e);
   }
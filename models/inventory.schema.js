@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { toKg } = require('../utils/units');
 
 const inventorySchema = new mongoose.Schema(
   {
@@ -9,7 +10,7 @@ const inventorySchema = new mongoose.Schema(
     },
     inventoryType: {
       type: String,
-      enum: ['New Stock', 'Stock Sold', 'Damaged / Return'],
+      enum: ['New Stock', 'Stock Sold', 'Damaged / Return', 'Raw Material Consumed', 'Transfer Out', 'Transfer In', 'Sales Return'],
       required: true,
     },
 
@@ -35,6 +36,13 @@ const inventorySchema = new mongoose.Schema(
       required: false,
     },
 
+    // Goods dispatched to a godown but not yet received are kept in a separate bucket
+    stockBucket: {
+      type: String,
+      enum: ['On Hand', 'In Transit'],
+      default: 'On Hand',
+    },
+
     pricePerKg: {
       type: Number,
       required: false,
@@ -45,6 +53,42 @@ const inventorySchema = new mongoose.Schema(
       trim: true,
     },
 
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: false,
+    },
+
+    productName: {
+      type: String,
+      trim: true,
+    },
+
+    // Document that generated this movement automatically (empty for manual entries)
+    sourceModel: {
+      type: String,
+      enum: ['Order', 'Production', 'Transit', 'CreditNote'],
+      required: false,
+    },
+
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'sourceModel',
+      required: false,
+    },
+
+    // Set on a reversing entry: points at the movement it cancels out
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      required: false,
+    },
+
+    isReversed: {
+      type: Boolean,
+      default: false,
+    },
+
     loggedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -61,7 +105,10 @@ inventorySchema.index({ stockId: 1 });
 inventorySchema.index({ inventoryType: 1 });
 inventorySchema.index({ dateOfStock: 1 });
 inventorySchema.index({ godown: 1 });
+inventorySchema.index({ stockBucket: 1 });
+inventorySchema.index({ product: 1 });
 inventorySchema.index({ loggedBy: 1 });
+inventorySchema.index({ sourceModel: 1, source: 1 });
 
 // Generate stock ID before saving
 inventorySchema.pre('save', async function(next) {
@@ -119,9 +166,9 @@ inventorySchema.virtual('quantityWithUnit').get(function () {
   return `${this.quantity} ${this.unit}`;
 });
 
-// Optional: convert Quintal to Kg if needed (for consistency)
+// Convert the stored quantity to Kg (for consistency)
 inventorySchema.methods.getQuantityInKg = function () {
-  return this.unit === 'Quintal' ? this.quantity * 100 : this.quantity;
+  return toKg(this.quantity, this.unit);
 };
 
 // Ensure virtual fields are serialized
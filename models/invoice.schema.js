@@ -0,0 +1,221 @@
+const mongoose = require("mongoose");
+
+// Seller/buyer snapshot printed on the invoice
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true },
+    code: { type: String, trim: true },
+    address: { type: String, trim: true },
+    gstin: { type: String, trim: true, uppercase: true },
+    state: { type: String, trim: true },
+    stateCode: { type: String, trim: true },
+    phone: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const invoiceItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    productName: {
+      type: String,
+      required: true,
+    },
+    hsnCode: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    unit: {
+      type: String,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Share of the order discount
+    discount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    taxableValue: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    gstRate: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    cgstRate: { type: Number, default: 0 },
+    cgstAmount: { type: Number, default: 0 },
+    sgstRate: { type: Number, default: 0 },
+    sgstAmount: { type: Number, default: 0 },
+    igstRate: { type: Number, default: 0 },
+    igstAmount: { type: Number, default: 0 },
+    total: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    // e.g. JAL/2526/0001 - sequential per godown per financial year
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    financialYear: {
+      type: String,
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    invoiceDate: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    orderNumber: {
+      type: String,
+      trim: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    godown: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Godown",
+    },
+    supplier: partySchema,
+    buyer: partySchema,
+    placeOfSupply: {
+      state: { type: String, trim: true },
+      stateCode: { type: String, trim: true },
+    },
+    // Intra-state: CGST + SGST; inter-state: IGST
+    supplyType: {
+      type: String,
+      enum: ["intra", "inter"],
+      required: true,
+    },
+    items: {
+      type: [invoiceItemSchema],
+      validate: [(val) => val.length > 0, "At least one invoice item is required."],
+    },
+    totals: {
+      amount: { type: Number, default: 0 },
+      discount: { type: Number, default: 0 },
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      totalTax: { type: Number, default: 0 },
+      invoiceValue: { type: Number, default: 0 },
+    },
+    // Order stage that triggered the invoice
+    generatedAt: {
+      type: String,
+      enum: ["dispatch", "delivery", "manual"],
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Cancelled with its order; the document and its number are kept
+    status: {
+      type: String,
+      enum: ["issued", "cancelled"],
+      default: "issued",
+    },
+    cancellation: {
+      type: {
+        cancelledAt: { type: Date },
+        cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reason: { type: String, trim: true },
+      },
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invoiceSchema.index({ godown: 1, financialYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ customer: 1, invoiceDate: -1 });
+invoiceSchema.index({ invoiceDate: -1 });
+
+// Invoices are legal documents: once issued they are never changed or deleted
+const IMMUTABLE_ERROR = "Invoices cannot be modified once issued";
+
+// The one change allowed after issue: an updateOne marking the invoice cancelled
+const isCancellation = (query) => {
+  const { $set, ...rest } = query.getUpdate() || {};
+  const otherOperators = Object.keys(rest).filter(
+    (operator) => !(operator === "$setOnInsert" && Object.keys(rest[operator]).every((key) => key === "createdAt"))
+  );
+  return (
+    otherOperators.length === 0 &&
+    $set?.status === "cancelled" &&
+    Object.keys($set).every((key) => ["status", "cancellation", "updatedAt"].includes(key.split(".")[0]))
+  );
+};
+
+invoiceSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error(IMMUTABLE_ERROR));
+  }
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  invoiceSchema.pre(operation, function (next) {
+    if (operation === "updateOne" && isCancellation(this)) return next();
+    next(new Error(IMMUTABLE_ERROR));
+  });
+});
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
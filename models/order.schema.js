@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 
 const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: false
+  },
   productName: {
     type: String,
     required: true
@@ -40,6 +45,16 @@ const orderItemSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Price list entry in force when the order was placed
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    required: false
+  },
+  listPricePerKg: {
+    type: Number,
+    required: false
+  },
 });
 
 const orderSchema = new mongoose.Schema({
@@ -178,6 +193,11 @@ const orderSchema = new mongoose.Schema({
     type: Date,
     required: false
   },
+  // When the goods reached the customer; credit days run from here
+  deliveryDate: {
+    type: Date,
+    required: false
+  },
   managerApproval: {
     type: {
       approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -207,6 +227,86 @@ const orderSchema = new mongoose.Schema({
     },
     default: {}
   },
+  // Stock held at the godown between approval and dispatch
+  stockReservation: {
+    type: {
+      status: { type: String, enum: ['reserved', 'released', 'consumed'] },
+      items: [
+        {
+          product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+          productName: { type: String },
+          quantityKg: { type: Number, default: 0 }
+        }
+      ],
+      reservedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reservedAt: { type: Date },
+      releasedAt: { type: Date },
+      // Approval against insufficient stock
+      override: {
+        reason: { type: String },
+        approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        approvedAt: { type: Date },
+        shortfalls: [
+          {
+            productName: { type: String },
+            requiredKg: { type: Number },
+            availableKg: { type: Number }
+          }
+        ]
+      }
+    },
+    default: undefined
+  },
+  // GST invoice issued at dispatch/delivery
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: false
+  },
+  invoiceNumber: {
+    type: String,
+    required: false
+  },
+  // E-way bill generated on the portal for the consignment
+  eWayBill: {
+    type: {
+      ewbNumber: { type: String, trim: true },
+      ewbDate: { type: Date },
+      validUntil: { type: Date },
+      vehicleNumber: { type: String, trim: true },
+      distance: { type: Number },
+      recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      recordedAt: { type: Date }
+    },
+    default: undefined
+  },
+  // IRN registration returned by the e-invoice portal for the order's invoice
+  eInvoice: {
+    type: {
+      irn: { type: String, trim: true },
+      ackNo: { type: String, trim: true },
+      ackDate: { type: Date },
+      signedQrCode: { type: String },
+      recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      recordedAt: { type: Date }
+    },
+    default: undefined
+  },
+  // Set when the customer's credit check fails; the order cannot be approved until released
+  creditHold: {
+    type: {
+      status: { type: String, enum: ['on_hold', 'released'] },
+      reasons: [{ type: String }],
+      exposure: { type: Number },
+      creditLimit: { type: Number },
+      overdueAmount: { type: Number },
+      heldAt: { type: Date },
+      releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      releasedAt: { type: Date },
+      releaseReason: { type: String }
+    },
+    default: undefined
+  },
   signatures: {
     type: {
       pickupProof: { type: String },
@@ -220,7 +320,9 @@ const orderSchema = new mongoose.Schema({
       amountCollected: { type: Number, default: 0 },
       notes: { type: String },
       recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-      recordedAt: { type: Date, default: Date.now }
+      recordedAt: { type: Date, default: Date.now },
+      // Driver's cash handover that covered this collection
+      handover: { type: mongoose.Schema.Types.ObjectId, ref: 'CashHandover' }
     }
   ],
   // Payment Information (for orders only)
@@ -241,6 +343,12 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Value of approved credit notes (returned goods); reduces what is still due on the order
+  returnedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   // Delivery Information
   deliveryAddress: {
     street: String,
@@ -322,8 +430,12 @@ orderSchema.index({ deliveryStatus: 1 });
 orderSchema.index({ orderDate: -1 });
 orderSchema.index({ createdBy: 1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ 'creditHold.status': 1 });
+orderSchema.index({ 'eInvoice.irn': 1 }, { sparse: true });
 orderSchema.index({ type: 1 });
+orderSchema.index({ 'driverAssignment.driver': 1, 'settlements.recordedAt': 1 });
 orderSchema.index({ scheduleDate: 1 });
+orderSchema.index({ godown: 1, 'stockReservation.status': 1 });
 
 // Custom validation for type-specific requirements
 orderSchema.pre('validate', function (next) {
@@ -493,7 +605,7 @@ orderSchema.pre('validate', function (next) {
 
 // Virtual for remaining amount
 orderSchema.virtual('remainingAmount').get(function () {
-  return this.totalAmount - this.paidAmount;
+  return this.totalAmount - this.paidAmount - (this.returnedAmount || 0);
 });
 
 // Virtual for order age in days
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// One reminder sent (or attempted) to a customer on one channel
+const paymentReminderSchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["upcoming", "overdue"],
+      required: true,
+    },
+    // schedule: sent by the reminder job; manual: sent from the API
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    channel: {
+      type: String,
+      enum: ["email", "sms", "whatsapp"],
+      required: true,
+    },
+    recipient: {
+      type: String,
+      required: true,
+    },
+    provider: {
+      type: String,
+    },
+    subject: {
+      type: String,
+    },
+    body: {
+      type: String,
+    },
+    // Orders the reminder was about, with what was due at the time
+    orders: [
+      {
+        order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+        orderNumber: String,
+        outstanding: Number,
+        dueDate: Date,
+        daysPastDue: Number,
+        _id: false,
+      },
+    ],
+    totalDue: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["sent", "failed"],
+      required: true,
+    },
+    messageId: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentReminderSchema.index({ customer: 1, createdAt: -1 });
+paymentReminderSchema.index({ "orders.order": 1, kind: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PaymentReminder", paymentReminderSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// A range of business days whose orders, payments, stock entries and attendance can no longer be changed
+const periodLockSchema = new mongoose.Schema(
+  {
+    periodType: {
+      type: String,
+      enum: ["month", "financialYear", "custom"],
+      required: true,
+    },
+    // e.g. "Sep 2026", "FY 2025-26"
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // YYYY-MM-DD, UTC like the day close. No start date locks everything up to the end date.
+    startDate: {
+      type: String,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Start date must be YYYY-MM-DD"],
+    },
+    endDate: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "End date must be YYYY-MM-DD"],
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lockedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    unlockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    unlockedAt: {
+      type: Date,
+    },
+    unlockReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+periodLockSchema.index({ isActive: 1, endDate: 1 });
+
+module.exports = mongoose.model("PeriodLock", periodLockSchema);
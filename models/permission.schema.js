@@ -25,6 +25,8 @@ const permissionSchema = new mongoose.Schema({
       'attendance',
       'audit',
       'transits',
+      'products',
+      'pricing',
     ]
   },
   action: {
@@ -79,6 +81,8 @@ permissionSchema.statics.seedDefaultPermissions = async function() {
     { name: 'orders.editPrice', module: 'orders', action: 'editPrice', description: 'Edit order price' },
     { name: 'orders.manageStatus', module: 'orders', action: 'manageStatus', description: 'Edit order status' },
     { name: 'orders.manageDeliveryStatus', module: 'orders', action: 'manageDeliveryStatus', description: 'Edit order deliveryStatus' },
+    { name: 'orders.overrideStock', module: 'orders', action: 'overrideStock', description: 'Approve orders against insufficient stock' },
+    { name: 'orders.releaseCreditHold', module: 'orders', action: 'releaseCreditHold', description: 'Release orders held for credit limit or overdue invoices' },
     
     // Stock Management
     { name: 'stock.create', module: 'stock', action: 'create', description: 'Add stock entries' },
@@ -109,6 +113,7 @@ permissionSchema.statics.seedDefaultPermissions = async function() {
     
     // Settings
     { name: 'settings.manage', module: 'settings', action: 'manage', description: 'Manage system settings' },
+    { name: 'settings.overridePeriodLock', module: 'settings', action: 'overridePeriodLock', description: 'Change records dated inside a locked period' },
     
     // Attendance Management
     { name: 'attendance.create', module: 'attendance', action: 'create', description: 'Mark attendance' },
@@ -127,6 +132,18 @@ permissionSchema.statics.seedDefaultPermissions = async function() {
     { name: 'transits.update', module: 'transits', action: 'update', description: 'Update transits' },
     { name: 'transits.delete', module: 'transits', action: 'delete', description: 'Delete transits' },
     { name: 'transits.manage', module: 'transits', action: 'manage', description: 'Manage transit assignments and status' },
+
+    // Product Master
+    { name: 'products.create', module: 'products', action: 'create', description: 'Create new products' },
+    { name: 'products.read', module: 'products', action: 'read', description: 'View products' },
+    { name: 'products.update', module: 'products', action: 'update', description: 'Update product details' },
+    { name: 'products.delete', module: 'products', action: 'delete', description: 'Delete products' },
+
+    // Price Lists
+    { name: 'pricing.create', module: 'pricing', action: 'create', description: 'Create price list versions' },
+    { name: 'pricing.read', module: 'pricing', action: 'read', description: 'View price lists and price history' },
+    { name: 'pricing.update', module: 'pricing', action: 'update', description: 'Update price list entries' },
+    { name: 'pricing.delete', module: 'pricing', action: 'delete', description: 'Deactivate price list entries' },
   ];
 
   for (const permission of defaultPermissions) {
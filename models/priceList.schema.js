@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+// One row = the price of a product for a scope over a period.
+// Scope fields left empty apply to every city / godown / customer type.
+const priceListSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    pricePerKg: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    city: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    godown: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Godown",
+    },
+    customerType: {
+      type: String,
+      enum: ["Retailer", "Distributor", "Wholesaler"],
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true,
+    },
+    // Empty while the price is still current
+    effectiveTo: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceListSchema.index({ product: 1, effectiveFrom: -1 });
+priceListSchema.index({ city: 1, godown: 1, customerType: 1 });
+
+priceListSchema.pre("validate", function (next) {
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate("effectiveTo", "Effective to date cannot be before effective from date");
+  }
+  next();
+});
+
+// Seed city prices that used to be hard-coded in CITY_CONFIG (only when no price list exists yet)
+priceListSchema.statics.seedDefaultPriceLists = async function () {
+  const existing = await this.countDocuments();
+  if (existing > 0) return;
+
+  const Product = mongoose.model("Product");
+  const { CITY_CONFIG } = require("../config/pricing.config");
+
+  for (const [city, configs] of Object.entries(CITY_CONFIG)) {
+    for (const cfg of configs) {
+      const product = await Product.findOne({ skuCode: cfg.productKey.toUpperCase() });
+      if (!product) continue;
+
+      await this.create({
+        product: product._id,
+        pricePerKg: cfg.pricePerKg,
+        city,
+        effectiveFrom: new Date(0),
+        notes: "Migrated from pricing config",
+      });
+    }
+  }
+};
+
+module.exports = mongoose.model("PriceList", priceListSchema);
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+const productSchema = new mongoose.Schema(
+  {
+    skuCode: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    category: {
+      type: String,
+      enum: ["atta", "chokar", "wheat", "wastage", "other"],
+      default: "atta",
+    },
+    bagSizeKg: {
+      type: Number,
+      min: 0,
+    },
+    hsnCode: {
+      type: String,
+      trim: true,
+    },
+    defaultPackaging: {
+      type: String,
+      trim: true,
+    },
+    // Listed on the quick-order screen (priced per city)
+    isQuickProduct: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+productSchema.index({ name: 1 });
+productSchema.index({ category: 1, isActive: 1 });
+
+// Key used by quick orders and city pricing, e.g. FAMILY_ATTA -> family_atta
+productSchema.virtual("key").get(function () {
+  return this.skuCode ? this.skuCode.toLowerCase() : undefined;
+});
+
+productSchema.set("toJSON", { virtuals: true });
+productSchema.set("toObject", { virtuals: true });
+
+// Seed the products that used to be hard-coded as quick-order SKUs
+productSchema.statics.seedDefaultProducts = async function () {
+  const { QUICK_PRODUCT_BASES } = require("../config/pricing.config");
+
+  for (const base of QUICK_PRODUCT_BASES) {
+    await this.findOneAndUpdate(
+      { skuCode: base.key.toUpperCase() },
+      {
+        $setOnInsert: {
+          skuCode: base.key.toUpperCase(),
+          name: base.name,
+          category: base.category,
+          bagSizeKg: base.bagSizeKg,
+          hsnCode: "1101",
+          defaultPackaging: base.defaultPackaging,
+          isQuickProduct: true,
+          isActive: true,
+        },
+      },
+      { upsert: true, new: true }
+    );
+  }
+};
+
+module.exports = mongoose.model("Product", productSchema);
@@ -29,6 +29,12 @@ const productionSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Godown the location resolves to; stock of finished batches is posted here
+    godown: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Godown",
+      required: false,
+    },
     machine: {
       type: String,
       required: false,
@@ -57,6 +63,11 @@ const productionSchema = new mongoose.Schema(
     },
     outputDetails: [
       {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: false,
+        },
         itemName: {
           type: String,
           required: () => this.status === "Finished",
@@ -161,6 +172,7 @@ productionSchema.pre("save", async function (next) {
 productionSchema.index({ productionDate: 1 });
 productionSchema.index({ shift: 1 });
 productionSchema.index({ location: 1 });
+productionSchema.index({ godown: 1 });
 productionSchema.index({ operator: 1 });
 productionSchema.index({ createdBy: 1 });
 productionSchema.index({ batchId: 1 });
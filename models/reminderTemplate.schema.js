@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+const CHANNELS = ["email", "sms", "whatsapp"];
+
+// Message sent to customers about their dues, one per reminder kind. Placeholders in
+// {{double braces}}: customerName, totalDue, orderCount, orders, dueDate, daysPastDue.
+const reminderTemplateSchema = new mongoose.Schema(
+  {
+    // upcoming: before the due date; overdue: after it
+    kind: {
+      type: String,
+      enum: ["upcoming", "overdue"],
+      required: true,
+      unique: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    channels: {
+      type: [{ type: String, enum: CHANNELS }],
+      default: ["email", "sms"],
+    },
+    // upcoming: days before the due date to remind; overdue: days past due to start reminding
+    offsetDays: {
+      type: Number,
+      min: 0,
+      default: 3,
+    },
+    // Overdue orders are reminded again after this many days; 0 reminds once
+    repeatEveryDays: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    email: {
+      subject: { type: String, trim: true, default: "" },
+      body: { type: String, default: "" },
+    },
+    sms: {
+      body: { type: String, default: "" },
+    },
+    whatsapp: {
+      body: { type: String, default: "" },
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Add the default templates that are missing; edited ones are left alone
+reminderTemplateSchema.statics.seedDefaultTemplates = async function () {
+  const defaults = [
+    {
+      kind: "upcoming",
+      channels: ["email", "sms"],
+      offsetDays: 3,
+      repeatEveryDays: 0,
+      email: {
+        subject: "Payment of Rs. {{totalDue}} due on {{dueDate}}",
+        body:
+          "Dear {{customerName}},\n\nThis is a reminder that Rs. {{totalDue}} against {{orderCount}} order(s) falls due on {{dueDate}}:\n\n{{orders}}\n\nPlease arrange the payment on time.\n\nRegards,\nDullet Industries",
+      },
+      sms: {
+        body: "Dear {{customerName}}, Rs. {{totalDue}} is due on {{dueDate}} for {{orderCount}} order(s). Please pay on time. - Dullet Industries",
+      },
+      whatsapp: {
+        body: "Dear {{customerName}}, Rs. {{totalDue}} is due on {{dueDate}}:\n{{orders}}\n- Dullet Industries",
+      },
+    },
+    {
+      kind: "overdue",
+      channels: ["email", "sms"],
+      offsetDays: 1,
+      repeatEveryDays: 7,
+      email: {
+        subject: "Overdue payment of Rs. {{totalDue}}",
+        body:
+          "Dear {{customerName}},\n\nRs. {{totalDue}} against {{orderCount}} order(s) is overdue, the oldest by {{daysPastDue}} day(s):\n\n{{orders}}\n\nPlease clear the dues at the earliest. Ignore this message if you have already paid.\n\nRegards,\nDullet Industries",
+      },
+      sms: {
+        body: "Dear {{customerName}}, Rs. {{totalDue}} is overdue by up to {{daysPastDue}} day(s). Please clear the dues at the earliest. - Dullet Industries",
+      },
+      whatsapp: {
+        body: "Dear {{customerName}}, Rs. {{totalDue}} is overdue:\n{{orders}}\nPlease clear the dues at the earliest. - Dullet Industries",
+      },
+    },
+  ];
+
+  for (const template of defaults) {
+    await this.updateOne({ kind: template.kind }, { $setOnInsert: template }, { upsert: true });
+  }
+};
+
+module.exports = mongoose.model("ReminderTemplate", reminderTemplateSchema);
@@ -61,6 +61,7 @@ roleSchema.statics.seedDefaultRoles = async function () {
         .filter(
           (p) =>
             !p.name.includes("settings.manage") &&
+            !p.name.includes("settings.overridePeriodLock") &&
             !p.name.includes("users.delete")
         )
         .map((p) => p._id),
@@ -86,7 +87,8 @@ roleSchema.statics.seedDefaultRoles = async function () {
             (p.module === "godowns" && p.action === "read") ||
             (p.module === "audit" && p.action === "read")||
             (p.module === "orders" && p.action === "manageStatus")||
-            (p.module === "orders" && p.action === "manageDeliveryStatus")
+            (p.module === "orders" && p.action === "manageDeliveryStatus")||
+            (p.module === "orders" && p.action === "overrideStock")
             
         )
         .map((p) => p._id),
@@ -105,7 +107,9 @@ roleSchema.statics.seedDefaultRoles = async function () {
             // (p.module === "stock" && p.action === "read") ||
             (p.module === "attendance" &&
               ["create", "read"].includes(p.action)) ||
-            (p.module === "godowns" && p.action === "read")
+            (p.module === "godowns" && p.action === "read") ||
+            (p.module === "products" && p.action === "read") ||
+            (p.module === "pricing" && p.action === "read")
         )
         .map((p) => p._id),
       isDefault: true,
@@ -117,7 +121,7 @@ roleSchema.statics.seedDefaultRoles = async function () {
         .filter(
           (p) =>
             p.action === "read" &&
-            ["orders", "stock", "production", "attendance", "godowns"].includes(
+            ["orders", "stock", "production", "attendance", "godowns", "products"].includes(
               p.module
             )
         )
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// Ledger names used in the Tally export. A single document (key "default") holds the mapping.
+const tallyConfigSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    // Company name as it appears in Tally (SVCURRENTCOMPANY); empty imports into the open company
+    companyName: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    ledgers: {
+      sales: { type: String, trim: true, default: "Sales" },
+      cgst: { type: String, trim: true, default: "CGST" },
+      sgst: { type: String, trim: true, default: "SGST" },
+      igst: { type: String, trim: true, default: "IGST" },
+      roundOff: { type: String, trim: true, default: "Round Off" },
+    },
+    // Cash/bank ledger debited on a receipt, by transaction mode
+    receiptLedgers: {
+      Cash: { type: String, trim: true, default: "Cash" },
+      Cheque: { type: String, trim: true, default: "Bank" },
+      Online: { type: String, trim: true, default: "Bank" },
+      Credit: { type: String, trim: true, default: "Bank" },
+    },
+    // Sales ledger per godown (falls back to ledgers.sales)
+    godownLedgers: [
+      {
+        godown: { type: mongoose.Schema.Types.ObjectId, ref: "Godown", required: true },
+        salesLedger: { type: String, trim: true, required: true },
+        _id: false,
+      },
+    ],
+    // Party ledger per customer (falls back to the business name)
+    customerLedgers: [
+      {
+        customer: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", required: true },
+        ledgerName: { type: String, trim: true, required: true },
+        _id: false,
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("TallyConfig", tallyConfigSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// One Tally export run and the vouchers it contained, so re-runs skip them
+const tallyExportSchema = new mongoose.Schema(
+  {
+    dateFrom: {
+      type: Date,
+      required: true,
+    },
+    dateTo: {
+      type: Date,
+      required: true,
+    },
+    voucherTypes: [
+      {
+        type: String,
+        enum: ["sales", "receipts"],
+      },
+    ],
+    vouchers: [
+      {
+        voucherType: { type: String, enum: ["Sales", "Receipt"], required: true },
+        sourceModel: { type: String, enum: ["Order", "Transaction"], required: true },
+        sourceId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        voucherNumber: { type: String, trim: true },
+        partyLedger: { type: String, trim: true },
+        amount: { type: Number, default: 0 },
+        _id: false,
+      },
+    ],
+    totals: {
+      sales: { type: Number, default: 0 },
+      receipts: { type: Number, default: 0 },
+    },
+    exportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+tallyExportSchema.index({ "vouchers.sourceId": 1 });
+tallyExportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("TallyExport", tallyExportSchema);
@@ -22,6 +22,12 @@ const orderSchema = require("./order.schema");
       required: true,
     },
 
+    // Bank reference of an online receipt (UTR / IMPS / NEFT reference), used to match bank statements
+    reference: {
+      type: String,
+      trim: true,
+    },
+
     // Reference model type (either "Order" or "Customer")
     transactionForModel: {
       type: String,
@@ -62,6 +68,129 @@ const orderSchema = require("./order.schema");
       min: 0,
     },
 
+    // Amount credited to each order, from the payment itself or from its on-account credit later on
+    allocations: [
+      {
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        allocatedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        allocatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        // Set when the amount went back to on-account credit: the order was cancelled/rejected,
+        // or a credit note covered goods that had already been paid for
+        releasedAt: {
+          type: Date,
+        },
+        // Set when the payment itself was undone (bounced cheque) and the order reopened
+        reversedAt: {
+          type: Date,
+        },
+        _id: false,
+      },
+    ],
+
+    // Part of amountPaid not yet applied to any order (on-account credit of the customer)
+    unallocatedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Cheque received: instrument details and where it is in clearing
+    cheque: {
+      type: {
+        number: { type: String, trim: true },
+        bank: { type: String, trim: true },
+        branch: { type: String, trim: true },
+        chequeDate: { type: Date },
+        status: { type: String, enum: ["received", "deposited", "cleared", "bounced"], default: "received" },
+        depositedAt: { type: Date },
+        clearedAt: { type: Date },
+        bouncedAt: { type: Date },
+        bounceReason: { type: String, trim: true },
+        // Charged to the customer for the bounce; recovered from later payments
+        bounceCharge: { type: Number, min: 0, default: 0 },
+        bounceChargeRecovered: { type: Number, min: 0, default: 0 },
+        history: [
+          {
+            status: { type: String },
+            at: { type: Date, default: Date.now },
+            by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            notes: { type: String, trim: true },
+            _id: false,
+          },
+        ],
+      },
+      default: undefined,
+    },
+
+    // Bounce charges of earlier cheques taken out of this payment before it was allocated
+    chargeRecoveries: [
+      {
+        transaction: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Transaction",
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        _id: false,
+      },
+    ],
+
+    // Set on a reversing entry: the payment it cancels out
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+
+    // Set on a payment that was reversed
+    reversal: {
+      type: {
+        reversedAt: { type: Date },
+        reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reason: { type: String, trim: true },
+        reversingTransaction: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+        // The same receipt allocated again, when the reversal was a re-allocation
+        reallocatedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+      },
+      default: undefined,
+    },
+
+    // Set on a payment re-allocated from a reversed one
+    reallocatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+
+    // Set once the receipt has been matched to a bank statement line
+    reconciliation: {
+      type: {
+        statement: { type: mongoose.Schema.Types.ObjectId, ref: "BankStatement" },
+        line: { type: mongoose.Schema.Types.ObjectId },
+        method: { type: String, enum: ["auto", "manual", "converted"] },
+        reconciledAt: { type: Date },
+        reconciledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      },
+      default: undefined,
+    },
+
     // Optional extra information container for backward-compatible enhancements
     // This can hold computed values and snapshots without breaking existing clients
     extraInfo: {
@@ -73,6 +202,13 @@ const orderSchema = require("./order.schema");
   { timestamps: true }
 );
 
+transactionSchema.index({ customer: 1, unallocatedAmount: 1, transactionDate: 1 });
+transactionSchema.index({ "allocations.order": 1 });
+transactionSchema.index({ "cheque.status": 1, "cheque.chequeDate": 1 });
+transactionSchema.index({ reversalOf: 1 }, { sparse: true });
+transactionSchema.index({ amountPaid: 1, transactionDate: 1 });
+transactionSchema.index({ reference: 1 }, { sparse: true });
+
 // Auto-generate sequential transactionId
 transactionSchema.pre("save", async function (next) {
   if (!this.transactionId) {
@@ -113,15 +249,16 @@ transactionSchema.pre("save", async function (next) {
       this.transactionId = `TRANS${timestamp}`;
     }
   }
-  if(this.customer && this.transactionForModel === "Order"){
+  // Reversing entries are written after the orders were reopened, so they get no snapshot
+  if(this.customer && this.transactionForModel === "Order" && !this.reversalOf){
     const outstandingOrders = await orderSchema.find({
       customer: this.customer,
       type: 'order', // Only consider orders, not visits
       paymentStatus: { $in: ['pending', 'partial', 'overdue'] }
-    }).select('totalAmount paidAmount').lean();
+    }).select('totalAmount paidAmount returnedAmount').lean();
 
     const calculatedOutstanding = outstandingOrders.reduce((total, order) => {
-      return total + (order.totalAmount - (order.paidAmount || 0));
+      return total + (order.totalAmount - (order.paidAmount || 0) - (order.returnedAmount || 0));
     }, 0);
     this.extraInfo = {
       ...this.extraInfo,
@@ -2,6 +2,11 @@ const mongoose = require("mongoose");
 
 const productDetailSchema = new mongoose.Schema(
   {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: false,
+    },
     productName: {
       type: String,
       required: true,
@@ -17,6 +22,22 @@ const productDetailSchema = new mongoose.Schema(
       enum:  ['KG', 'Quintal', 'Ton', 'Bags',"40Kg Bags"],
       required: true,
     },
+    // Running totals recorded at the destination, in the line's unit
+    receivedQuantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    damagedQuantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    shortQuantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     additionalNote: {
       type: String,
       trim: true,
@@ -25,6 +46,50 @@ const productDetailSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// One unloading at the destination: what arrived per line, with photos and remarks
+const receiptSchema = new mongoose.Schema(
+  {
+    items: [
+      {
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        productName: { type: String, required: true, trim: true },
+        unit: { type: String, required: true },
+        receivedQuantity: { type: Number, min: 0, default: 0 },
+        damagedQuantity: { type: Number, min: 0, default: 0 },
+        shortQuantity: { type: Number, min: 0, default: 0 },
+        remarks: { type: String, trim: true },
+      },
+    ],
+    photos: [
+      {
+        fileName: { type: String, required: true },
+        fileType: { type: String, required: true },
+        fileSize: { type: Number, required: true },
+        url: { type: String, required: true },
+        uploadedAt: { type: Date, default: Date.now },
+      },
+    ],
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    claim: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TransitClaim",
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
 const transitSchema = new mongoose.Schema(
   {
     transitId: {
@@ -37,6 +102,11 @@ const transitSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Godown matched from fromLocation when the transit is dispatched (empty for outside sources)
+    fromGodown: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Godown",
+    },
     toLocation: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Godown",
@@ -89,6 +159,22 @@ const transitSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // E-way bill generated on the portal for the consignment
+    eWayBill: {
+      type: {
+        ewbNumber: { type: String, trim: true },
+        ewbDate: { type: Date },
+        validUntil: { type: Date },
+        vehicleNumber: { type: String, trim: true },
+        distance: { type: Number },
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        recordedAt: { type: Date },
+        // Set once the expiry alert has been raised
+        expiryAlertedAt: { type: Date },
+      },
+      default: undefined,
+    },
+    receipts: [receiptSchema],
     remarks: {
       type: String,
       trim: true,
@@ -139,6 +225,8 @@ const transitSchema = new mongoose.Schema(
     timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
   }
 );
+transitSchema.index({ "eWayBill.validUntil": 1, status: 1 });
+
 // Generate transit ID before saving
 transitSchema.pre('save', async function(next) {
   if (!this.transitId) {
@@ -0,0 +1,172 @@
+const mongoose = require("mongoose");
+
+const claimItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    productName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    unit: {
+      type: String,
+      required: true,
+    },
+    shortQuantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    damagedQuantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    shortKg: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    damagedKg: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Short + damaged, in KG
+    quantityKg: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Price list rate at the destination godown on the dispatch date (0 when no price applies)
+    ratePerKg: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const transitClaimSchema = new mongoose.Schema(
+  {
+    claimNumber: {
+      type: String,
+      unique: true,
+      index: true,
+    },
+    transit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transit",
+      required: true,
+    },
+    transitId: {
+      type: String,
+      trim: true,
+    },
+    transporterName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    vehicleNumber: {
+      type: String,
+      trim: true,
+    },
+    items: {
+      type: [claimItemSchema],
+      validate: [(val) => val.length > 0, "At least one claim item is required."],
+    },
+    totalAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["Open", "Settled", "Rejected"],
+      default: "Open",
+    },
+    settledAmount: {
+      type: Number,
+      min: 0,
+    },
+    resolutionNotes: {
+      type: String,
+      trim: true,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    photos: [
+      {
+        fileName: { type: String, required: true },
+        fileType: { type: String, required: true },
+        fileSize: { type: Number, required: true },
+        url: { type: String, required: true },
+        uploadedAt: { type: Date, default: Date.now },
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+transitClaimSchema.index({ transit: 1, status: 1 });
+transitClaimSchema.index({ transporterName: 1, status: 1 });
+
+// Generate claim number before saving
+transitClaimSchema.pre("save", async function (next) {
+  if (!this.claimNumber) {
+    try {
+      const lastClaim = await this.constructor
+        .findOne({ claimNumber: { $regex: /^CLM\d{5}$/ } })
+        .sort({ claimNumber: -1 })
+        .select("claimNumber")
+        .lean();
+
+      let nextNumber = 1;
+      if (lastClaim && lastClaim.claimNumber) {
+        nextNumber = parseInt(lastClaim.claimNumber.replace("CLM", "")) + 1;
+      }
+
+      this.claimNumber = `CLM${String(nextNumber).padStart(5, "0")}`;
+    } catch (error) {
+      console.error("Error generating claim number:", error);
+      this.claimNumber = `CLM${Date.now().toString().slice(-6)}`;
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model("TransitClaim", transitClaimSchema);
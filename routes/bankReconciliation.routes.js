@@ -0,0 +1,396 @@
+const express = require('express');
+const multer = require('multer');
+const bankReconciliationController = require('../controllers/bankReconciliation.controller');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+// Statements are parsed straight from memory
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BankStatementMapping:
+ *       type: object
+ *       required: [columns]
+ *       properties:
+ *         headerRow:
+ *           type: integer
+ *           default: 1
+ *           description: Row holding the column headers; rows above it are skipped
+ *         columns:
+ *           type: object
+ *           required: [date]
+ *           description: Header text, column number (1 = first) or column letter of each field. Give credit/debit, or amount with an optional drCr column.
+ *           properties:
+ *             date:
+ *               type: string
+ *             description:
+ *               type: string
+ *             reference:
+ *               type: string
+ *               description: UTR / reference column; without it references are picked out of the description
+ *             credit:
+ *               type: string
+ *             debit:
+ *               type: string
+ *             amount:
+ *               type: string
+ *             drCr:
+ *               type: string
+ *             balance:
+ *               type: string
+ *         dateFormat:
+ *           type: string
+ *           default: DD/MM/YYYY
+ *           description: DD, MM, MMM, YYYY and YY tokens in the bank's order
+ *         dateWindowDays:
+ *           type: integer
+ *           default: 3
+ *           description: Days either side of the statement date a payment may have been recorded on
+ */
+
+/**
+ * @swagger
+ * /api/bank-reconciliation/formats:
+ *   get:
+ *     summary: List saved statement formats
+ *     tags: [Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statement formats retrieved successfully
+ */
+router.get('/formats', authenticate, authorize('billing.read'), bankReconciliationController.getFormats);
+
+/**
+ * @swagger
+ * /api/bank-reconciliation/formats/{name}:
+ *   put:
+ *     summary: Create or update a statement format
+ *     tags: [Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BankStatementMapping'
+ *               - type: object
+ *                 properties:
+ *                   bankName:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Statement format saved successfully
+ *       400:
+ *         description: Date column, or credit/amount column, missing
+ */
+router.put('/formats/:name', authenticate, authorize('billing.update'), bankReconciliationController.saveFormat);
+
+/**
+ * @swagger
+ * /api/bank-reconciliation/statements:
+ *   post:
+ *     summary: Import a bank statement
+ *     description: Reads a CSV or Excel (.xlsx) statement with a saved format or an inline mapping. Each credit is matched to an Online or Cheque payment of the same amount; a unique match on UTR or cheque number, or the only payment in the date window, is matched automatically and the rest get suggestions.
+ *     tags: [Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 description: Name of a saved statement format
+ *               mapping:
+ *                 type: string
+ *                 description: BankStatementMapping as JSON, instead of a saved format
+ *               bankAccount:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Statement imported and matched
+ *       400:
+ *         description: Missing file or mapping, unsupported file, or columns not found
+ *       404:
+ *         description: Statement format not found
+ *       409:
+ *         description: Statement already imported
+ *   get:
+ *     summary: List imported statements
+ *     tags: [Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: bankAccount
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Statements retrieved successfully
+ */
+router.post('/statements', authenticate, authorize('billing.create'), upload.single('file'), bankReconciliationController.importStatement);
+router.get('/statements', authenticate, authorize('billing.read'), bankReconciliationController.getStatements);
+
+/**
+ * @swagger
+ * /api/bank-reconciliation/statements/{id}:
+ *   get:
+ *     summary: Get a statement with its lines, matches and suggestions
+ *     tags: [Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [unmatched, suggested, matched, converted, ignored]
+ *     responses:
+ *       200:
+ *         description: Statement retrieved successfully
+ *       404:
+ *         description: Bank statement not found
+ */
+router.get('/statements/:id', authenticate, authorize('billing.read'), bankReconciliationController.getStatementById);
+
+/**
+ * @swagger
+ * /api/bank-reconciliation/statements/{id}/rematch:
+ *   post:
+ *     summary: Run auto-matching again on the open lines
+ *     description: Use after entering payments that were missing when the statement was imported.
+ *     tags: [Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Open lines matched again
+ *       404:
+ *         description: Bank statement not found
+ */
+router.post('/statements/:id/rematch', authenticate, authorize('billing.update'), bankReconciliationController.rematchStatement);
+
+/**
+ * @swagger
+ * /api/bank-reconciliation/statements/{id}/lines/{lineId}/match:
+ *   patch:
+ *     summary: Match a line to a payment
+ *     description: Usually one of the line's suggestions. The payment must be for the same amount and not reconciled yet.
+ *     tags: [Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [transactionId]
+ *             properties:
+ *               transactionId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Statement line matched successfully
+ *       400:
+ *         description: Amount differs or payment was reversed
+ *       404:
+ *         description: Statement, line or transaction not found
+ *       409:
+ *         description: Line already matched or payment already reconciled
+ */
+router.patch('/statements/:id/lines/:lineId/match', authenticate, authorize('billing.update'), bankReconciliationController.matchLine);
+
+/**
+ * @swagger
+ * /api/bank-reconciliation/statements/{id}/lines/{lineId}/unmatch:
+ *   patch:
+ *     summary: Reopen a matched or ignored line
+ *     description: Frees the matched payment and suggests matches again.
+ *     tags: [Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Statement line reopened successfully
+ *       400:
+ *         description: Line is not matched or ignored
+ *       404:
+ *         description: Statement or line not found
+ */
+router.patch('/statements/:id/lines/:lineId/unmatch', authenticate, authorize('billing.update'), bankReconciliationController.unmatchLine);
+
+/**
+ * @swagger
+ * /api/bank-reconciliation/statements/{id}/lines/{lineId}/ignore:
+ *   patch:
+ *     summary: Leave a credit out of reconciliation
+ *     description: For credits that are not customer payments, such as interest or transfers between own accounts.
+ *     tags: [Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Statement line ignored
+ *       400:
+ *         description: Reason is required
+ *       409:
+ *         description: Line already matched, converted or ignored
+ */
+router.patch('/statements/:id/lines/:lineId/ignore', authenticate, authorize('billing.update'), bankReconciliationController.ignoreLine);
+
+/**
+ * @swagger
+ * /api/bank-reconciliation/statements/{id}/lines/{lineId}/convert:
+ *   post:
+ *     summary: Record an unmatched credit as a customer payment
+ *     description: Creates the payment for the line's amount, date and reference through the customer payment allocation (to orderIds, or oldest open orders first) and reconciles it to the line.
+ *     tags: [Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [customerId]
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *               orderIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               paymentMode:
+ *                 type: string
+ *                 enum: [Online, Cheque]
+ *                 default: Online
+ *               cheque:
+ *                 $ref: '#/components/schemas/ChequeDetails'
+ *     responses:
+ *       201:
+ *         description: Payment recorded from statement line
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Statement, line or customer not found
+ *       409:
+ *         description: Line already matched, converted or ignored
+ */
+router.post('/statements/:id/lines/:lineId/convert', authenticate, authorize('billing.create'), bankReconciliationController.convertLine);
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const cashHandoverController = require('../controllers/cashHandover.controller');
+const { authenticate, authorize, authorizePermissionOrRole } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+const driverAccess = authorizePermissionOrRole('orders.manage', ['Manager', 'Admin', 'Super Admin', 'Driver']);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CashHandoverRequest:
+ *       type: object
+ *       properties:
+ *         driverId:
+ *           type: string
+ *           description: Driver whose collections are handed over. Defaults to the caller; drivers can only hand over their own.
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Day the cash was collected (YYYY-MM-DD). Defaults to today.
+ *         godownId:
+ *           type: string
+ *           description: Godown whose cashier receives the cash. Defaults to the driver's primary godown.
+ *         declaredAmount:
+ *           type: number
+ *           description: Cash the driver says they are handing over. Defaults to the total collected.
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/cash-handovers/cash-in-hand:
+ *   get:
+ *     summary: Cash each driver is carrying
+ *     description: Delivery collections (other than online payments) not yet handed over, plus handovers awaiting the cashier's confirmation. Drivers only see their own.
+ *     tags: [Cash Handovers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cash in hand retrieved successfully
+ */
+router.get('/cash-in-hand', authenticate, driverAccess, cashHandoverController.getCashInHand);
+
+/**
+ * @swagger
+ * /api/cash-handovers/report:
+ *   get:
+ *     summary: Collected vs deposited per driver per day
+ *     description: Cash collected at delivery against cash confirmed by the cashier, with amounts awaiting confirmation, not yet handed over and short. Defaults to the last 7 days.
+ *     tags: [Cash Handovers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collection report retrieved successfully
+ *       400:
+ *         description: Invalid date
+ */
+router.get('/report', authenticate, authorize('reports.read'), cashHandoverController.getCollectionReport);
+
+/**
+ * @swagger
+ * /api/cash-handovers/report/orders:
+ *   get:
+ *     summary: Orders behind a driver's collections on one day
+ *     tags: [Cash Handovers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Collections retrieved successfully
+ *       400:
+ *         description: Driver or date missing or invalid
+ */
+router.get('/report/orders', authenticate, authorize('reports.read'), cashHandoverController.getCollectionReportOrders);
+
+/**
+ * @swagger
+ * /api/cash-handovers:
+ *   post:
+ *     summary: Hand over a day's collections to a godown cashier
+ *     description: Takes every collection of the driver on that day that is not yet handed over. Each collection can only be handed over once.
+ *     tags: [Cash Handovers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CashHandoverRequest'
+ *     responses:
+ *       201:
+ *         description: Handover submitted and awaiting confirmation
+ *       400:
+ *         description: No collections to hand over, invalid date or amount, or no godown
+ *       403:
+ *         description: Drivers can only hand over their own collections
+ *       404:
+ *         description: Driver not found
+ *   get:
+ *     summary: List cash handovers
+ *     description: Drivers only see their own.
+ *     tags: [Cash Handovers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [submitted, confirmed]
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hasShortfall
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Handover or order number
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Cash handovers retrieved successfully
+ */
+router.post('/', authenticate, driverAccess, cashHandoverController.submitHandover);
+router.get('/', authenticate, driverAccess, cashHandoverController.getHandovers);
+
+/**
+ * @swagger
+ * /api/cash-handovers/{id}:
+ *   get:
+ *     summary: Get a cash handover
+ *     tags: [Cash Handovers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cash handover retrieved successfully
+ *       404:
+ *         description: Cash handover not found
+ */
+router.get('/:id', authenticate, driverAccess, cashHandoverController.getHandoverById);
+
+/**
+ * @swagger
+ * /api/cash-handovers/{id}/confirm:
+ *   patch:
+ *     summary: Confirm the cash received from a driver
+ *     description: The cashier enters the cash counted. Anything less than the driver collected is recorded as a shortfall and flagged.
+ *     tags: [Cash Handovers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [receivedAmount]
+ *             properties:
+ *               receivedAmount:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cash handover confirmed
+ *       400:
+ *         description: Received amount missing or invalid
+ *       403:
+ *         description: Drivers cannot confirm their own handover
+ *       404:
+ *         description: Cash handover not found
+ *       409:
+ *         description: Cash handover already confirmed
+ */
+router.patch('/:id/confirm', authenticate, authorize('billing.update'), cashHandoverController.confirmHandover);
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const creditNoteController = require('../controllers/creditNote.controller');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CreditNoteRequest:
+ *       type: object
+ *       required: [orderId, items, reason]
+ *       properties:
+ *         orderId:
+ *           type: string
+ *           description: Delivered order the goods are returned from
+ *         reason:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [orderItem, quantity, condition]
+ *             properties:
+ *               orderItem:
+ *                 type: string
+ *                 description: _id of the order line
+ *               quantity:
+ *                 type: number
+ *                 description: In the unit of the order line, up to what is not yet returned
+ *               condition:
+ *                 type: string
+ *                 enum: [saleable, damaged]
+ *               reason:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/credit-notes:
+ *   post:
+ *     summary: Raise a return against a delivered order
+ *     description: Values the returned lines at the order's rates, with the order discount spread by value and tax at the order's rate. Nothing is posted until the credit note is approved.
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreditNoteRequest'
+ *     responses:
+ *       201:
+ *         description: Return raised and awaiting approval
+ *       400:
+ *         description: Order not delivered, invalid item or quantity beyond what is returnable
+ *       404:
+ *         description: Order not found
+ *   get:
+ *     summary: List credit notes
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Credit note or order number
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Credit notes retrieved successfully
+ */
+router.post('/', authenticate, authorize('orders.update'), creditNoteController.createCreditNote);
+router.get('/', authenticate, authorize('orders.read'), creditNoteController.getCreditNotes);
+
+/**
+ * @swagger
+ * /api/credit-notes/{id}:
+ *   get:
+ *     summary: Get a credit note
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Credit note retrieved successfully
+ *       404:
+ *         description: Credit note not found
+ */
+router.get('/:id', authenticate, authorize('orders.read'), creditNoteController.getCreditNoteById);
+
+/**
+ * @swagger
+ * /api/credit-notes/{id}/approve:
+ *   patch:
+ *     summary: Approve a return
+ *     description: Numbers the credit note (CN/FY/sequence), posts the goods back into the order's godown as Sales Return (damaged goods are written off again as Damaged / Return) and credits the order. The part of the credit covering goods already paid for goes to the customer's on-account credit.
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Credit note approved successfully
+ *       404:
+ *         description: Credit note not found
+ *       409:
+ *         description: Credit note is not pending
+ */
+router.patch('/:id/approve', authenticate, authorize('orders.approve'), creditNoteController.approveCreditNote);
+
+/**
+ * @swagger
+ * /api/credit-notes/{id}/reject:
+ *   patch:
+ *     summary: Reject a return
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Credit note rejected successfully
+ *       400:
+ *         description: Rejection reason is required
+ *       404:
+ *         description: Credit note not found
+ *       409:
+ *         description: Credit note is not pending
+ */
+router.patch('/:id/reject', authenticate, authorize('orders.approve'), creditNoteController.rejectCreditNote);
+
+module.exports = router;
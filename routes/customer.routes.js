@@ -169,6 +169,9 @@ router.get('/:id', authenticate, authorize('customers.read'), customerController
  *               creditDays:
  *                 type: number
  *                 example: 30
+ *               autoApplyCredit:
+ *                 type: boolean
+ *                 description: Apply on-account credit to new orders automatically (default true)
  *               customerType:
  *                 type: string
  *                 enum: [Retailer, Distributor, Wholesaler]
@@ -233,6 +236,8 @@ router.post('/', authenticate, authorize('customers.create'), customerController
  *                 type: number
  *               creditDays:
  *                 type: number
+ *               autoApplyCredit:
+ *                 type: boolean
  *               customerType:
  *                 type: string
  *                 enum: [Retailer, Distributor, Wholesaler]
@@ -310,6 +315,148 @@ router.delete('/:id', authenticate, authorize('customers.delete'), customerContr
  */
 router.put('/:id/activate', authenticate, authorize('customers.update'), customerController.reactivateCustomer);
 
+/**
+ * @swagger
+ * /api/customers/{id}/balance:
+ *   get:
+ *     summary: Get customer balance
+ *     description: Outstanding amount on orders, unallocated on-account credit, and the net payable after the credit
+ *     tags: [Customer Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     responses:
+ *       200:
+ *         description: Balance retrieved successfully
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id/balance', authenticate, authorize('customers.read'), customerController.getCustomerBalance);
+
+/**
+ * @swagger
+ * /api/customers/{id}/ledger:
+ *   get:
+ *     summary: Get customer ledger statement
+ *     description: Orders (debit) and payments (credit) in date order with opening, running and closing balance. A positive balance is owed by the customer, a negative one is an advance.
+ *     tags: [Customer Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Statement start date (defaults to the first entry; earlier entries make up the opening balance)
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Statement end date (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Ledger retrieved successfully (includes the customer's current onAccountCredit)
+ *       400:
+ *         description: Invalid date range
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id/ledger', authenticate, authorize('customers.read'), customerController.getCustomerLedger);
+
+/**
+ * @swagger
+ * /api/customers/{id}/ledger/export/excel:
+ *   get:
+ *     summary: Export customer ledger statement to Excel
+ *     tags: [Customer Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Statement start date (defaults to the first entry; earlier entries make up the opening balance)
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Statement end date (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id/ledger/export/excel', authenticate, authorize('customers.read'), customerController.exportCustomerLedgerExcel);
+
+/**
+ * @swagger
+ * /api/customers/{id}/ledger/export/pdf:
+ *   get:
+ *     summary: Export customer ledger statement to PDF
+ *     tags: [Customer Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Statement start date (defaults to the first entry; earlier entries make up the opening balance)
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Statement end date (defaults to today)
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id/ledger/export/pdf', authenticate, authorize('customers.read'), customerController.exportCustomerLedgerPdf);
+
 /**
  * @swagger
  * /api/customers/stats:
@@ -0,0 +1,173 @@
+const express = require('express');
+const dayCloseController = require('../controllers/dayClose.controller');
+const { authenticate, authorize, authorizeRole } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/day-close/day-book:
+ *   get:
+ *     summary: Day book of a godown
+ *     description: Orders, deliveries, receipts by payment mode, cash handovers and stock movements for one day. A closed day returns the figures as signed off, with the live figures alongside.
+ *     tags: [Day Close]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: godown
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Business day (YYYY-MM-DD). Defaults to today.
+ *     responses:
+ *       200:
+ *         description: Day book retrieved successfully
+ *       400:
+ *         description: Godown missing or invalid date
+ *       404:
+ *         description: Godown not found
+ */
+router.get('/day-book', authenticate, authorize('reports.read'), dayCloseController.getDayBook);
+
+/**
+ * @swagger
+ * /api/day-close:
+ *   post:
+ *     summary: Close a godown's day
+ *     description: Freezes the day book as signed off. Orders, payments and stock entries of the godown dated that day can no longer be created, edited or deleted until an admin reopens the day.
+ *     tags: [Day Close]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [godown]
+ *             properties:
+ *               godown:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Business day (YYYY-MM-DD). Defaults to today.
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Day closed successfully
+ *       400:
+ *         description: Godown missing, invalid date or day not started yet
+ *       404:
+ *         description: Godown not found
+ *       409:
+ *         description: Day is already closed
+ *   get:
+ *     summary: List closed and reopened days
+ *     tags: [Day Close]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [closed, reopened]
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Day closes retrieved successfully
+ */
+router.post('/', authenticate, authorize('billing.update'), dayCloseController.closeDay);
+router.get('/', authenticate, authorize('reports.read'), dayCloseController.getDayCloses);
+
+/**
+ * @swagger
+ * /api/day-close/{id}:
+ *   get:
+ *     summary: Get a closed day with its reopening history
+ *     tags: [Day Close]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Day close retrieved successfully
+ *       404:
+ *         description: Day close not found
+ */
+router.get('/:id', authenticate, authorize('reports.read'), dayCloseController.getDayCloseById);
+
+/**
+ * @swagger
+ * /api/day-close/{id}/reopen:
+ *   patch:
+ *     summary: Reopen a closed day
+ *     description: Admins only. The signed-off figures are kept in the reopening history and the day accepts changes again until it is closed once more.
+ *     tags: [Day Close]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Day reopened successfully
+ *       400:
+ *         description: Reopen reason is required
+ *       404:
+ *         description: Day close not found
+ *       409:
+ *         description: Day is not closed
+ */
+router.patch('/:id/reopen', authenticate, authorizeRole(['Admin', 'Super Admin']), dayCloseController.reopenDay);
+
+module.exports = router;
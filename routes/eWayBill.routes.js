@@ -0,0 +1,189 @@
+const express = require('express');
+const eWayBillController = require('../controllers/eWayBill.controller');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     EWayBillDistance:
+ *       in: query
+ *       name: distance
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *         maximum: 4000
+ *       description: Approximate distance in km; 0 (default) lets the portal calculate it from the PIN codes
+ *     EWayBillTransporterId:
+ *       in: query
+ *       name: transporterId
+ *       schema:
+ *         type: string
+ *       description: Transporter GSTIN/TRANSIN when a hired transporter carries the goods
+ *     EWayBillDownload:
+ *       in: query
+ *       name: download
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: Download the bulk upload JSON instead of the preview (refused with 422 while the bill fails validation)
+ *   schemas:
+ *     EWayBillRecord:
+ *       type: object
+ *       required: [ewbNumber, validUntil]
+ *       properties:
+ *         ewbNumber:
+ *           type: string
+ *           description: 12 digit e-way bill number
+ *         ewbDate:
+ *           type: string
+ *           format: date-time
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *         distance:
+ *           type: number
+ *         vehicleNumber:
+ *           type: string
+ *           description: Defaults to the vehicle on the order/transit
+ */
+
+/**
+ * @swagger
+ * /api/e-way-bills/transits/expiring:
+ *   get:
+ *     summary: Open transits whose e-way bill has expired or is about to
+ *     description: Transits not yet Received or Cancelled whose e-way bill validity ends within the window. A background job also logs an alert once per transit (EWAY_BILL_EXPIRY_ALERT_HOURS, default 24).
+ *     tags: [E-Way Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: integer
+ *           default: 24
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transits with expired flag and hours left
+ */
+router.get('/transits/expiring', authenticate, authorize('transits.read'), eWayBillController.getExpiringTransits);
+
+/**
+ * @swagger
+ * /api/e-way-bills/order/{orderId}:
+ *   get:
+ *     summary: Build the e-way bill JSON of an order
+ *     description: Bulk generation JSON from the order's GST invoice (HSN, values, tax), delivery address and vehicle, with local validation. `required` tells whether the value crosses the e-way bill limit (EWAY_BILL_THRESHOLD, default 50000).
+ *     tags: [E-Way Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/EWayBillDistance'
+ *       - $ref: '#/components/parameters/EWayBillTransporterId'
+ *       - $ref: '#/components/parameters/EWayBillDownload'
+ *     responses:
+ *       200:
+ *         description: Payload, validation errors, consignment value and whether a bill is required
+ *       400:
+ *         description: Order has no invoice
+ *       404:
+ *         description: Order not found
+ *       422:
+ *         description: Download refused, bill failed validation
+ *   patch:
+ *     summary: Record the e-way bill generated for an order
+ *     tags: [E-Way Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EWayBillRecord'
+ *     responses:
+ *       200:
+ *         description: E-way bill recorded successfully
+ *       400:
+ *         description: Invalid e-way bill number or dates
+ *       404:
+ *         description: Order not found
+ */
+router.get('/order/:orderId', authenticate, authorize('orders.read'), eWayBillController.getOrderEWayBill);
+router.patch('/order/:orderId', authenticate, authorize('orders.update'), eWayBillController.recordOrderEWayBill);
+
+/**
+ * @swagger
+ * /api/e-way-bills/transit/{transitId}:
+ *   get:
+ *     summary: Build the e-way bill JSON of a transit
+ *     description: Delivery challan for an inter-godown transfer, valued at the sending godown's price list, with local validation
+ *     tags: [E-Way Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transitId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transit document ID
+ *       - $ref: '#/components/parameters/EWayBillDistance'
+ *       - $ref: '#/components/parameters/EWayBillTransporterId'
+ *       - $ref: '#/components/parameters/EWayBillDownload'
+ *     responses:
+ *       200:
+ *         description: Payload, validation errors, consignment value and whether a bill is required
+ *       400:
+ *         description: Transit is not from one of our godowns
+ *       404:
+ *         description: Transit not found
+ *       422:
+ *         description: Download refused, bill failed validation
+ *   patch:
+ *     summary: Record the e-way bill generated for a transit
+ *     tags: [E-Way Bills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transitId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EWayBillRecord'
+ *     responses:
+ *       200:
+ *         description: E-way bill recorded successfully
+ *       400:
+ *         description: Invalid e-way bill number or dates
+ *       404:
+ *         description: Transit not found
+ */
+router.get('/transit/:transitId', authenticate, authorize('transits.read'), eWayBillController.getTransitEWayBill);
+router.patch('/transit/:transitId', authenticate, authorize('transits.update'), eWayBillController.recordTransitEWayBill);
+
+module.exports = router;
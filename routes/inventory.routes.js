@@ -30,7 +30,7 @@ const router = express.Router();
  *         name: inventoryType
  *         schema:
  *           type: string
- *           enum: [New Stock, Stock Sold, Damaged / Return]
+ *           enum: [New Stock, Stock Sold, Damaged / Return, Raw Material Consumed, Transfer Out, Transfer In, Sales Return]
  *         description: Filter by inventory type
  *       - in: query
  *         name: godown
@@ -44,6 +44,12 @@ const router = express.Router();
  *           enum: [Kg, Quintal]
  *         description: Filter by unit
  *       - in: query
+ *         name: stockBucket
+ *         schema:
+ *           type: string
+ *           enum: [On Hand, In Transit]
+ *         description: Filter by stock bucket
+ *       - in: query
  *         name: dateFrom
  *         schema:
  *           type: string
@@ -77,6 +83,57 @@ const router = express.Router();
  */
 router.get('/', authenticate, authorize('stock.read'), inventoryController.getAllInventory);
 
+/**
+ * @swagger
+ * /api/inventory/balance:
+ *   get:
+ *     summary: Get stock on hand balances
+ *     description: Opening balance, inflows, outflows and closing stock per godown and per product, converted to KG. Days are business days (UTC), as in the day book. The opening balance is taken at the start of dateFrom (defaults to the as-of day). Goods dispatched by transit but not yet received are reported as inTransitKg against the destination godown and are not part of the closing stock.
+ *     tags: [Inventory Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Balance date (defaults to today)
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the movement period (defaults to the as-of day)
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *         description: Filter by godown ID
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Filter by product ID
+ *       - in: query
+ *         name: productName
+ *         schema:
+ *           type: string
+ *         description: Filter by product name (also matches entries of that product recorded under an earlier name)
+ *     responses:
+ *       200:
+ *         description: Stock balances retrieved successfully
+ *       400:
+ *         description: Invalid date parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/balance', authenticate, authorize('stock.read'), inventoryController.getStockBalance);
+
 /**
  * @swagger
  * /api/inventory/{id}:
@@ -330,7 +387,7 @@ router.get('/stats/summary', authenticate, authorize('stock.read'), inventoryCon
  *         name: inventoryType
  *         schema:
  *           type: string
- *           enum: [New Stock, Stock Sold, Damaged / Return]
+ *           enum: [New Stock, Stock Sold, Damaged / Return, Raw Material Consumed, Transfer Out, Transfer In, Sales Return]
  *         description: Filter by inventory type
  *       - in: query
  *         name: dateFrom
@@ -0,0 +1,297 @@
+const express = require('express');
+const invoiceController = require('../controllers/invoice.controller');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: Get GST invoices
+ *     description: Invoices are issued automatically when an order is dispatched (or delivered, with INVOICE_STAGE=delivery) and numbered per godown per financial year, e.g. JAL/2526/0001
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Invoice or order number
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: financialYear
+ *         schema:
+ *           type: string
+ *           example: "2025-26"
+ *       - in: query
+ *         name: supplyType
+ *         schema:
+ *           type: string
+ *           enum: [intra, inter]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [issued, cancelled]
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/', authenticate, authorize('billing.read'), invoiceController.getInvoices);
+
+/**
+ * @swagger
+ * /api/invoices/e-invoice:
+ *   get:
+ *     summary: Preview the e-invoice (IRN) JSON for a date range
+ *     description: Builds e-invoice schema 1.1 documents from the invoices of delivered orders to B2B buyers and validates them locally (GSTINs, state codes, PIN codes, HSN, GST rates and value totals). Invoices already registered and buyers without a GSTIN are left out.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dateFrom
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeRegistered
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also export invoices that already have an IRN
+ *     responses:
+ *       200:
+ *         description: Summary, valid documents and validation errors per invoice
+ *       400:
+ *         description: dateFrom and dateTo are required
+ */
+router.get('/e-invoice', authenticate, authorize('billing.read'), invoiceController.exportEInvoices);
+
+/**
+ * @swagger
+ * /api/invoices/e-invoice/download:
+ *   get:
+ *     summary: Download the e-invoice JSON for bulk upload to the portal
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dateFrom
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeRegistered
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: skipInvalid
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Download the valid documents even when some invoices fail validation
+ *     responses:
+ *       200:
+ *         description: JSON file with an array of e-invoice documents
+ *       400:
+ *         description: dateFrom and dateTo are required
+ *       422:
+ *         description: Some invoices failed validation
+ */
+router.get('/e-invoice/download', authenticate, authorize('billing.read'), invoiceController.downloadEInvoices);
+
+/**
+ * @swagger
+ * /api/invoices/order/{orderId}/irn:
+ *   patch:
+ *     summary: Record the IRN returned by the e-invoice portal
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [irn, ackNo, ackDate]
+ *             properties:
+ *               irn:
+ *                 type: string
+ *                 description: 64 character invoice reference number
+ *               ackNo:
+ *                 type: string
+ *               ackDate:
+ *                 type: string
+ *                 example: "2025-10-15 12:26:00"
+ *               signedQrCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: IRN recorded successfully
+ *       400:
+ *         description: Invalid IRN/acknowledgement or order has no invoice
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: IRN already recorded on another order
+ */
+router.patch('/order/:orderId/irn', authenticate, authorize('billing.update'), invoiceController.recordIrn);
+
+/**
+ * @swagger
+ * /api/invoices/order/{orderId}:
+ *   get:
+ *     summary: Get the invoice of an order
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *       404:
+ *         description: Invoice not found
+ *   post:
+ *     summary: Issue the invoice of an order
+ *     description: For dispatched or delivered orders that have no invoice yet (e.g. orders from before invoicing or when automatic issue failed). Returns the existing invoice if there is one.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Invoice issued successfully
+ *       400:
+ *         description: Order not dispatched/delivered, cancelled or a visit
+ *       404:
+ *         description: Order not found
+ */
+router.get('/order/:orderId', authenticate, authorize('billing.read'), invoiceController.getInvoiceByOrder);
+router.post('/order/:orderId', authenticate, authorize('billing.create'), invoiceController.issueInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   get:
+ *     summary: Get invoice by ID
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id', authenticate, authorize('billing.read'), invoiceController.getInvoiceById);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/pdf:
+ *   get:
+ *     summary: Download invoice as PDF
+ *     description: Printable tax invoice with HSN, taxable value and CGST/SGST or IGST per line
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id/pdf', authenticate, authorize('billing.read'), invoiceController.downloadInvoicePdf);
+
+module.exports = router;
@@ -61,6 +61,12 @@ const upload = multer({
  *           enum: [pending, partial, paid, overdue]
  *         description: Filter by payment status
  *       - in: query
+ *         name: creditHold
+ *         schema:
+ *           type: string
+ *           enum: [on_hold, released]
+ *         description: Filter by credit hold status
+ *       - in: query
  *         name: customerId
  *         schema:
  *           type: string
@@ -668,7 +674,7 @@ router.put('/:id/status', authenticate, authorize('orders.update'), orderControl
  * /api/orders/{id}/approve:
  *   put:
  *     summary: Approve order
- *     description: Approve a pending order (Manager and Admin only)
+ *     description: Approve a pending order (Manager and Admin only). Available stock at the order's godown (on hand minus stock reserved by other approved orders) is checked and reserved.
  *     tags: [Order Management]
  *     security:
  *       - bearerAuth: []
@@ -689,13 +695,21 @@ router.put('/:id/status', authenticate, authorize('orders.update'), orderControl
  *               notes:
  *                 type: string
  *                 example: "Order approved for production"
+ *               overrideStock:
+ *                 type: boolean
+ *                 description: Approve even though the godown does not have enough available stock (requires orders.overrideStock)
+ *               overrideReason:
+ *                 type: string
+ *                 description: Required when overrideStock is used
  *     responses:
  *       200:
- *         description: Order approved successfully
+ *         description: Order approved successfully and stock reserved at the godown
  *       404:
  *         description: Order not found
  *       400:
- *         description: Order not in pending status or insufficient permissions
+ *         description: Order not in pending status, insufficient permissions or missing override reason
+ *       409:
+ *         description: Insufficient available stock at the godown, or the order is on credit hold (over the customer's credit limit or with overdue invoices)
  *       401:
  *         description: Authentication required
  *       403:
@@ -704,6 +718,71 @@ router.put('/:id/status', authenticate, authorize('orders.update'), orderControl
 router.put('/:id/approve', authenticate, authorize('orders.approve'), orderController.approveOrder);
 router.patch('/:id/approve', authenticate, authorize('orders.approve'), orderController.approveOrder);
 
+/**
+ * @swagger
+ * /api/orders/{id}/credit-hold/release:
+ *   patch:
+ *     summary: Release an order from credit hold
+ *     description: Orders are held on creation or approval when the customer's exposure (outstanding plus the order, less on-account credit) exceeds their credit limit or they have overdue invoices. Releasing lets the order be approved.
+ *     tags: [Order Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Payment commitment from distributor by Friday"
+ *     responses:
+ *       200:
+ *         description: Credit hold released successfully
+ *       400:
+ *         description: Order is not on credit hold or reason missing
+ *       403:
+ *         description: Requires orders.releaseCreditHold
+ *       404:
+ *         description: Order not found
+ */
+router.patch('/:id/credit-hold/release', authenticate, authorize('orders.releaseCreditHold'), orderController.releaseCreditHold);
+
+/**
+ * @swagger
+ * /api/orders/{id}/stock-availability:
+ *   get:
+ *     summary: Check stock availability for an order
+ *     description: Required, on hand, reserved and available KG per product at the order's godown
+ *     tags: [Order Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Stock availability retrieved successfully
+ *       400:
+ *         description: Order has no godown
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/stock-availability', authenticate, authorize('orders.read'), orderController.getStockAvailability);
+
 /**
  * @swagger
  * /api/orders/{id}/reject:
@@ -1015,7 +1094,7 @@ router.put('/:id/complete', authenticate, authorize('orders.update'), orderContr
  * /api/orders/{id}/cancel:
  *   put:
  *     summary: Cancel order
- *     description: Cancel order (only if in pending, approved, or processing status)
+ *     description: Cancel order (only if in pending, approved, processing or dispatched status). Stock posted as sold at dispatch is reversed.
  *     tags: [Order Management]
  *     security:
  *       - bearerAuth: []
@@ -1478,6 +1557,53 @@ router.post('/:orderId/delivery-time-pdf-changes', authenticate, authorize('orde
  */
 router.get('/:orderId/delivery-time-pdf-changes/get-or-create', authenticate, authorize('orders.read'), orderController.getOrCreateDeliveryTimePdfChanges);
 
+/**
+ * @swagger
+ * /api/orders/{orderId}/delivery-time-pdf-changes/pdf:
+ *   get:
+ *     summary: Download the delivery bill as PDF
+ *     description: Printable, company-branded bill built from the delivery time snapshot (items, previous balance, paid amount and net balance). Set COMPANY_LOGO_PATH to print a logo.
+ *     tags: [Delivery Time PDF Changes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *       - in: query
+ *         name: watermark
+ *         schema:
+ *           type: string
+ *           enum: [original, duplicate]
+ *         description: Print ORIGINAL or DUPLICATE across the bill
+ *       - in: query
+ *         name: store
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also upload the PDF to S3 and record it on the snapshot; the URL is returned in the X-File-Url header
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid order ID or watermark
+ *       404:
+ *         description: Order not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/:orderId/delivery-time-pdf-changes/pdf', authenticate, authorize('orders.read'), orderController.downloadDeliveryBillPdf);
+
 /**
  * @swagger
  * /api/orders/{id}/delivery-status:
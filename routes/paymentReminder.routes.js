@@ -0,0 +1,231 @@
+const express = require('express');
+const paymentReminderController = require('../controllers/paymentReminder.controller');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReminderTemplate:
+ *       type: object
+ *       description: Message bodies take the placeholders {{customerName}}, {{totalDue}}, {{orderCount}}, {{orders}}, {{dueDate}} and {{daysPastDue}}.
+ *       properties:
+ *         isActive:
+ *           type: boolean
+ *         channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [email, sms, whatsapp]
+ *         offsetDays:
+ *           type: integer
+ *           description: Upcoming - days before the due date to remind. Overdue - days past due to start reminding.
+ *         repeatEveryDays:
+ *           type: integer
+ *           description: Overdue only - remind again after this many days; 0 reminds once
+ *         email:
+ *           type: object
+ *           properties:
+ *             subject:
+ *               type: string
+ *             body:
+ *               type: string
+ *         sms:
+ *           type: object
+ *           properties:
+ *             body:
+ *               type: string
+ *         whatsapp:
+ *           type: object
+ *           properties:
+ *             body:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/payment-reminders/templates:
+ *   get:
+ *     summary: List payment reminder templates
+ *     tags: [Payment Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reminder templates retrieved successfully
+ */
+router.get('/templates', authenticate, authorize('billing.read'), paymentReminderController.getTemplates);
+
+/**
+ * @swagger
+ * /api/payment-reminders/templates/{kind}:
+ *   put:
+ *     summary: Edit a payment reminder template
+ *     tags: [Payment Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, overdue]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReminderTemplate'
+ *     responses:
+ *       200:
+ *         description: Reminder template updated successfully
+ *       400:
+ *         description: Invalid channels or days
+ *       404:
+ *         description: Reminder template not found
+ */
+router.put('/templates/:kind', authenticate, authorize('billing.update'), paymentReminderController.updateTemplate);
+
+/**
+ * @swagger
+ * /api/payment-reminders/run:
+ *   post:
+ *     summary: Send the reminders due now
+ *     description: Runs the scheduled reminder job immediately. Orders already reminded about on a channel are skipped, as are paid orders.
+ *     tags: [Payment Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts of reminders sent, failed and skipped
+ */
+router.post('/run', authenticate, authorize('billing.update'), paymentReminderController.sendDueReminders);
+
+/**
+ * @swagger
+ * /api/payment-reminders/customers/{customerId}:
+ *   post:
+ *     summary: Remind a customer now
+ *     description: Sends a reminder for the customer's overdue orders (or, with kind upcoming or nothing overdue, the orders not yet due) regardless of earlier reminders.
+ *     tags: [Payment Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [upcoming, overdue]
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [email, sms, whatsapp]
+ *                 description: Defaults to the template's channels
+ *     responses:
+ *       201:
+ *         description: Reminders sent; channels the customer can't be reached on are listed in skippedChannels
+ *       400:
+ *         description: Customer has no dues, or invalid kind or channels
+ *       404:
+ *         description: Customer not found
+ *   get:
+ *     summary: Reminders sent to a customer
+ *     tags: [Payment Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reminders retrieved successfully
+ */
+router.post('/customers/:customerId', authenticate, authorize('billing.update'), paymentReminderController.sendCustomerReminder);
+router.get('/customers/:customerId', authenticate, authorize('billing.read'), paymentReminderController.getCustomerReminders);
+
+/**
+ * @swagger
+ * /api/payment-reminders:
+ *   get:
+ *     summary: Payment reminder log
+ *     tags: [Payment Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, overdue]
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, whatsapp]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [sent, failed]
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [schedule, manual]
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reminders retrieved successfully
+ */
+router.get('/', authenticate, authorize('billing.read'), paymentReminderController.getReminders);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const periodLockController = require('../controllers/periodLock.controller');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/period-locks:
+ *   post:
+ *     summary: Lock a period
+ *     description: Orders, payments, stock entries and attendance dated inside an active lock can't be created, edited or deleted. Users with the settings.overridePeriodLock permission still can, and each such change is written to the audit log.
+ *     tags: [Period Locks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [periodType]
+ *             properties:
+ *               periodType:
+ *                 type: string
+ *                 enum: [month, financialYear, custom]
+ *               period:
+ *                 type: string
+ *                 description: YYYY-MM for a month, YYYY-YY (April to March) for a financial year
+ *                 example: 2025-26
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Custom periods only. Leave out to lock everything up to endDate.
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Custom periods only
+ *               label:
+ *                 type: string
+ *                 description: Defaults to e.g. "Sep 2026" or "FY 2025-26"
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Period locked successfully
+ *       400:
+ *         description: Invalid period type, period or dates
+ *       409:
+ *         description: Period is already locked
+ *   get:
+ *     summary: List period locks
+ *     tags: [Period Locks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: periodType
+ *         schema:
+ *           type: string
+ *           enum: [month, financialYear, custom]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Period locks retrieved successfully
+ */
+router.post('/', authenticate, authorize('settings.manage'), periodLockController.lockPeriod);
+router.get('/', authenticate, authorize('reports.read'), periodLockController.getPeriodLocks);
+
+/**
+ * @swagger
+ * /api/period-locks/overrides:
+ *   get:
+ *     summary: Changes made inside locked periods
+ *     description: Audit log entries written when a user with the override permission changed a record dated inside a locked period.
+ *     tags: [Period Locks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: periodLock
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Overrides retrieved successfully
+ *       400:
+ *         description: Invalid date
+ */
+router.get('/overrides', authenticate, authorize('audit.read'), periodLockController.getOverrides);
+
+/**
+ * @swagger
+ * /api/period-locks/{id}/unlock:
+ *   patch:
+ *     summary: Unlock a period
+ *     tags: [Period Locks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Period unlocked successfully
+ *       400:
+ *         description: Unlock reason is required
+ *       404:
+ *         description: Period lock not found
+ *       409:
+ *         description: Period is not locked
+ */
+router.patch('/:id/unlock', authenticate, authorize('settings.manage'), periodLockController.unlockPeriod);
+
+module.exports = router;
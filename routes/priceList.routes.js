@@ -0,0 +1,286 @@
+const express = require('express');
+const priceListController = require('../controllers/priceList.controller');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/price-lists:
+ *   get:
+ *     summary: Get price lists
+ *     description: Retrieve price list entries. Pass asOf to get only the prices effective on that date.
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Product ID or SKU code
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *         description: Godown ID
+ *       - in: query
+ *         name: customerType
+ *         schema:
+ *           type: string
+ *           enum: [Retailer, Distributor, Wholesaler]
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Price lists retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/', authenticate, authorize('pricing.read'), priceListController.getPriceLists);
+
+/**
+ * @swagger
+ * /api/price-lists/history:
+ *   get:
+ *     summary: Get price history of a product
+ *     description: Every price version of a product (newest first), optionally narrowed by scope and date window
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: product
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID or SKU code
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customerType
+ *         schema:
+ *           type: string
+ *           enum: [Retailer, Distributor, Wholesaler]
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Price history retrieved successfully
+ *       400:
+ *         description: product is required
+ *       404:
+ *         description: Product not found
+ */
+router.get('/history', authenticate, authorize('pricing.read'), priceListController.getPriceHistory);
+
+/**
+ * @swagger
+ * /api/price-lists/applicable:
+ *   get:
+ *     summary: Resolve the applicable price
+ *     description: The most specific price (godown, then customer type, then city, then global) in force for a product on a date
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: product
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID or SKU code
+ *       - in: query
+ *         name: godown
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customerType
+ *         schema:
+ *           type: string
+ *           enum: [Retailer, Distributor, Wholesaler]
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Applicable price resolved
+ *       404:
+ *         description: No price list applies
+ */
+router.get('/applicable', authenticate, authorize('pricing.read'), priceListController.getApplicablePrice);
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   get:
+ *     summary: Get price list entry by ID
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price list entry retrieved successfully
+ *       404:
+ *         description: Price list not found
+ */
+router.get('/:id', authenticate, authorize('pricing.read'), priceListController.getPriceListById);
+
+/**
+ * @swagger
+ * /api/price-lists:
+ *   post:
+ *     summary: Create a price version
+ *     description: Add a price for a product and scope. The running open-ended price of the same scope is closed the moment before the new one takes effect.
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *               - pricePerKg
+ *             properties:
+ *               product:
+ *                 type: string
+ *                 description: Product ID or SKU code
+ *               pricePerKg:
+ *                 type: number
+ *                 example: 33.5
+ *               city:
+ *                 type: string
+ *                 example: "ludhiana"
+ *               godown:
+ *                 type: string
+ *               customerType:
+ *                 type: string
+ *                 enum: [Retailer, Distributor, Wholesaler]
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Price list created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Overlaps an existing price list entry
+ */
+router.post('/', authenticate, authorize('pricing.create'), priceListController.createPriceList);
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   put:
+ *     summary: Update a price list entry
+ *     description: Only effectiveTo, notes and isActive can be changed; price and scope need a new version
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Price list updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Price list not found
+ */
+router.put('/:id', authenticate, authorize('pricing.update'), priceListController.updatePriceList);
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   delete:
+ *     summary: Deactivate a price list entry
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price list deactivated successfully
+ *       404:
+ *         description: Price list not found
+ */
+router.delete('/:id', authenticate, authorize('pricing.delete'), priceListController.deletePriceList);
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const productController = require('../controllers/product.controller');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: Get all products with pagination and filtering
+ *     description: Retrieve the product/SKU master with optional search and filters
+ *     tags: [Product Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of records per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by SKU code, name or HSN code
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [atta, chokar, wheat, wastage, other]
+ *         description: Filter by category
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active flag
+ *       - in: query
+ *         name: isQuickProduct
+ *         schema:
+ *           type: boolean
+ *         description: Filter products listed on the quick-order screen
+ *     responses:
+ *       200:
+ *         description: Products retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticate, authorize('products.read'), productController.getAllProducts);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   get:
+ *     summary: Get product by ID
+ *     description: Retrieve a specific product by its ID
+ *     tags: [Product Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Product retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', authenticate, authorize('products.read'), productController.getProductById);
+
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Create new product
+ *     description: Add a product/SKU to the master
+ *     tags: [Product Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - skuCode
+ *               - name
+ *             properties:
+ *               skuCode:
+ *                 type: string
+ *                 example: "FAMILY_ATTA_10"
+ *               name:
+ *                 type: string
+ *                 example: "FAMILY ATTA 10KG"
+ *               category:
+ *                 type: string
+ *                 enum: [atta, chokar, wheat, wastage, other]
+ *               bagSizeKg:
+ *                 type: number
+ *                 example: 10
+ *               hsnCode:
+ *                 type: string
+ *                 example: "1101"
+ *               defaultPackaging:
+ *                 type: string
+ *                 example: "10kg Bags"
+ *               isQuickProduct:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Product created successfully
+ *       400:
+ *         description: Validation error or duplicate SKU code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', authenticate, authorize('products.create'), productController.createProduct);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   put:
+ *     summary: Update product
+ *     description: Update an existing product
+ *     tags: [Product Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *       400:
+ *         description: Validation error or duplicate SKU code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', authenticate, authorize('products.update'), productController.updateProduct);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   delete:
+ *     summary: Deactivate product
+ *     description: Mark a product inactive. Existing orders, transits and stock entries keep their reference.
+ *     tags: [Product Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Product deactivated successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticate, authorize('products.delete'), productController.deleteProduct);
+
+module.exports = router;
@@ -178,7 +178,7 @@ router.get('/:id', authenticate,authorize('production.read'), productionControll
  * /api/production:
  *   post:
  *     summary: Create a new production record
- *     description: Create a new production record with auto-generated batch ID
+ *     description: Create a new production record with auto-generated batch ID. A batch created as Finished consumes its input from the godown's raw material stock and posts Atta/Chokar output as New Stock.
  *     tags: [Production Management]
  *     security:
  *       - bearerAuth: []
@@ -208,6 +208,9 @@ router.get('/:id', authenticate,authorize('production.read'), productionControll
  *               location:
  *                 type: string
  *                 description: Production location
+ *               godown:
+ *                 type: string
+ *                 description: Godown ID for stock postings (optional, resolved from location when omitted)
  *               machine:
  *                 type: string
  *                 description: Machine used (optional)
@@ -276,7 +279,7 @@ router.post('/', authenticate, authorize('production.create'), upload.array('att
  * /api/production/{id}:
  *   put:
  *     summary: Update production record
- *     description: Update an existing production record
+ *     description: Update an existing production record. Stock posted for a finished batch is reversed and re-posted when its stock-related fields change.
  *     tags: [Production Management]
  *     security:
  *       - bearerAuth: []
@@ -429,7 +432,7 @@ router.get('/:id/audit-trail', authenticate, authorize('production.read'), produ
  * /api/production/{id}:
  *   delete:
  *     summary: Delete production record
- *     description: Delete a production record (admin only)
+ *     description: Delete a production record (admin only). Stock posted for a finished batch is reversed.
  *     tags: [Production Management]
  *     security:
  *       - bearerAuth: []
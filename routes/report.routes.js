@@ -19,5 +19,8 @@ router.get('/customers', reportController.getCustomerReports);
 router.get('/customers/inactive', reportController.getInactiveCustomers);
 router.get('/customers/:customerId', reportController.getCustomerPurchaseDetail);
 
+// Receivables Ageing (groupBy: customer | godown | salesExecutive)
+router.get('/receivables-ageing', reportController.getReceivablesAgeing);
+
 module.exports = router;
 
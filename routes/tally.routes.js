@@ -0,0 +1,179 @@
+const express = require('express');
+const tallyController = require('../controllers/tally.controller');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/tally/config:
+ *   get:
+ *     summary: Get the Tally ledger mapping
+ *     tags: [Tally]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ledger names for sales, tax heads, round off, receipt modes, godowns and customers
+ *   put:
+ *     summary: Update the Tally ledger mapping
+ *     description: Only the fields sent are changed; godownLedgers and customerLedgers replace the stored lists. Customers without a mapping use their business name, godowns without one use ledgers.sales.
+ *     tags: [Tally]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               companyName:
+ *                 type: string
+ *               ledgers:
+ *                 type: object
+ *                 properties:
+ *                   sales:
+ *                     type: string
+ *                   cgst:
+ *                     type: string
+ *                   sgst:
+ *                     type: string
+ *                   igst:
+ *                     type: string
+ *                   roundOff:
+ *                     type: string
+ *               receiptLedgers:
+ *                 type: object
+ *                 description: Cash/bank ledger per transaction mode
+ *                 properties:
+ *                   Cash:
+ *                     type: string
+ *                   Cheque:
+ *                     type: string
+ *                   Online:
+ *                     type: string
+ *                   Credit:
+ *                     type: string
+ *               godownLedgers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     godown:
+ *                       type: string
+ *                     salesLedger:
+ *                       type: string
+ *               customerLedgers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     customer:
+ *                       type: string
+ *                     ledgerName:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Tally mapping updated successfully
+ *       400:
+ *         description: Invalid ledger name or unknown godown/customer
+ */
+router.get('/config', authenticate, authorize('billing.read'), tallyController.getConfig);
+router.put('/config', authenticate, authorize('billing.update'), tallyController.updateConfig);
+
+/**
+ * @swagger
+ * /api/tally/export:
+ *   post:
+ *     summary: Export sales and receipt vouchers as Tally import XML
+ *     description: Sales vouchers from orders delivered in the range (party, sales ledger and CGST/SGST/IGST split) and receipt vouchers from payments, with bill-wise allocation against the orders settled. Vouchers already exported are skipped, so re-running a period only adds new entries.
+ *     tags: [Tally]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [dateFrom, dateTo]
+ *             properties:
+ *               dateFrom:
+ *                 type: string
+ *                 format: date
+ *               dateTo:
+ *                 type: string
+ *                 format: date
+ *               types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [sales, receipts]
+ *                 description: Defaults to both
+ *               includeExported:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Export again vouchers from earlier runs (e.g. a lost file)
+ *     responses:
+ *       200:
+ *         description: Tally XML file; X-Export-Id, X-Voucher-Count and X-Skipped-Count headers describe the run
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing dates or invalid types
+ *       404:
+ *         description: No new vouchers to export for this period
+ */
+router.post('/export', authenticate, authorize('billing.create'), tallyController.exportVouchers);
+
+/**
+ * @swagger
+ * /api/tally/exports:
+ *   get:
+ *     summary: Get past Tally exports
+ *     tags: [Tally]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Export runs with totals
+ */
+router.get('/exports', authenticate, authorize('billing.read'), tallyController.getExports);
+
+/**
+ * @swagger
+ * /api/tally/exports/{id}:
+ *   get:
+ *     summary: Get a Tally export with its vouchers
+ *     tags: [Tally]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export run with the vouchers it contained
+ *       404:
+ *         description: Tally export not found
+ */
+router.get('/exports/:id', authenticate, authorize('billing.read'), tallyController.getExportById);
+
+module.exports = router;
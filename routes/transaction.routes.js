@@ -1,9 +1,31 @@
 const express = require('express');
 const transactionController = require('../controllers/transaction.controller');
-const { authenticate } = require('../middlewares/auth.middleware');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChequeDetails:
+ *       type: object
+ *       description: Only for Cheque payments; the cheque starts as received
+ *       required: [number, bank, chequeDate]
+ *       properties:
+ *         number:
+ *           type: string
+ *           description: 6 digit cheque number
+ *         bank:
+ *           type: string
+ *         branch:
+ *           type: string
+ *         chequeDate:
+ *           type: string
+ *           format: date
+ *           description: Date on the cheque; later than the payment date for a post-dated cheque. Cheques older than 90 days are refused as stale.
+ */
+
 /**
  * @swagger
  * /api/transactions:
@@ -196,7 +218,7 @@ router.get('/:id', authenticate, transactionController.getTransactionById);
  * /api/transactions:
  *   post:
  *     summary: Create new transaction
- *     description: Create a new transaction record
+ *     description: Create a new transaction record. A payment against orders is applied to them oldest first, as with /allocate/customer, and any amount left over is kept as on-account credit; all orders must belong to one customer.
  *     tags: [Transaction Management]
  *     security:
  *       - bearerAuth: []
@@ -236,6 +258,11 @@ router.get('/:id', authenticate, transactionController.getTransactionById);
  *                 type: string
  *                 format: date-time
  *                 description: Transaction date (defaults to current date)
+ *               cheque:
+ *                 $ref: '#/components/schemas/ChequeDetails'
+ *               reference:
+ *                 type: string
+ *                 description: Bank reference (UTR) of an online payment, used for bank reconciliation
  *     responses:
  *       201:
  *         description: Transaction created successfully
@@ -287,7 +314,7 @@ router.post('/', authenticate, transactionController.createTransaction);
  * /api/transactions/allocate/customer:
  *   post:
  *     summary: Allocate a customer payment across unpaid/partial orders
- *     description: Applies payment to oldest unpaid orders first; updates orders and creates a transaction referencing affected orders.
+ *     description: Applies payment to oldest unpaid orders first; updates orders and creates a transaction recording the amount allocated to each order. Without orderIds, charges for bounced cheques are recovered first. Any amount left over is kept as on-account credit of the customer (the transaction is created even when no order is affected).
  *     tags: [Transaction Management]
  *     security:
  *       - bearerAuth: []
@@ -304,17 +331,65 @@ router.post('/', authenticate, transactionController.createTransaction);
  *               amountPaid:
  *                 type: number
  *                 minimum: 0.01
+ *               orderIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Restrict allocation to these orders
  *               paymentMode:
  *                 type: string
  *                 enum: [Cash, Credit, Cheque, Online]
  *               transactionDate:
  *                 type: string
  *                 format: date-time
+ *               cheque:
+ *                 $ref: '#/components/schemas/ChequeDetails'
+ *               reference:
+ *                 type: string
+ *                 description: Bank reference (UTR) of an online payment, used for bank reconciliation
  *     responses:
  *       201:
- *         description: Payment allocated and transaction created
+ *         description: Payment recorded; response includes unallocatedAmount and the customer's onAccountCredit
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/allocate/customer', authenticate, authorize('billing.update'), transactionController.allocateCustomerPayment);
+
+/**
+ * @swagger
+ * /api/transactions/apply-credit/customer:
+ *   post:
+ *     summary: Apply a customer's on-account credit to open orders
+ *     description: Consumes unallocated payment amounts (oldest payment first) against open orders (oldest order first) and updates their paidAmount/paymentStatus.
+ *     tags: [Transaction Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [customerId]
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *               orderIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Restrict to these orders (default all open orders)
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 description: Maximum credit to use (default all available credit)
+ *     responses:
  *       200:
- *         description: No orders affected but request processed
+ *         description: Credit applied; returns appliedAmount, appliedOrders and remaining onAccountCredit
  *       400:
  *         description: Validation error
  *       401:
@@ -322,6 +397,176 @@ router.post('/', authenticate, transactionController.createTransaction);
  *       500:
  *         description: Internal server error
  */
-router.post('/allocate/customer', authenticate, transactionController.allocateCustomerPayment);
+router.post('/apply-credit/customer', authenticate, authorize('billing.update'), transactionController.applyOnAccountCredit);
+
+/**
+ * @swagger
+ * /api/transactions/credit/customer/{customerId}:
+ *   get:
+ *     summary: Get on-account credit of a customer
+ *     description: Returns the unallocated credit of a customer and the payments it comes from, oldest first.
+ *     tags: [Transaction Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer credit retrieved successfully
+ *       400:
+ *         description: Invalid customer ID or customer not found
+ *       401:
+ *         description: Authentication required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/credit/customer/:customerId', authenticate, authorize('billing.read'), transactionController.getCustomerCredit);
+
+/**
+ * @swagger
+ * /api/transactions/cheques/register:
+ *   get:
+ *     summary: Register of cheques awaiting deposit
+ *     description: Cheques in the given state ordered by cheque date. For received cheques the default window is cheques dated up to `days` from today, so post-dated cheques appear once they fall due; dueForDeposit marks those whose date has arrived.
+ *     tags: [Transaction Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, deposited, cleared, bounced]
+ *           default: received
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *       - in: query
+ *         name: postDatedOnly
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Cheque date from (overrides the days window)
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Cheques with postDated, daysToChequeDate and dueForDeposit, and a summary
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/cheques/register', authenticate, authorize('billing.read'), transactionController.getChequeRegister);
+
+/**
+ * @swagger
+ * /api/transactions/{id}/reverse:
+ *   post:
+ *     summary: Reverse a payment, optionally re-allocating it
+ *     description: Takes back from each order exactly what this payment allocated to it and reopens its paymentStatus (overdue again when past due), drops the payment's on-account credit and writes a reversing entry next to the original. With reallocate, the same receipt (amount, mode, date and cheque) is allocated again as a new transaction.
+ *     tags: [Transaction Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               reallocate:
+ *                 type: object
+ *                 properties:
+ *                   orderIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Orders to allocate to (default oldest open orders first)
+ *     responses:
+ *       200:
+ *         description: Payment reversed; returns the reversing entry, reopened orders and the re-allocation
+ *       400:
+ *         description: Missing reason, reversing entry, bounced cheque, a payment with no recorded allocations, or a reversal whose re-allocation failed (the reversal itself stands)
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Transaction is already reversed
+ */
+router.post('/:id/reverse', authenticate, authorize('billing.update'), transactionController.reverseTransaction);
+
+/**
+ * @swagger
+ * /api/transactions/{id}/cheque-status:
+ *   patch:
+ *     summary: Record a cheque being deposited, cleared or bounced
+ *     description: A bounce reverses every allocation of the payment (orders get their paidAmount back and paymentStatus reopened), drops its on-account credit and can charge the customer a bounce fee, which shows in the ledger and is recovered from the next general payment.
+ *     tags: [Transaction Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [deposited, cleared, bounced]
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When it happened (defaults to now)
+ *               notes:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Required for a bounce
+ *               bounceCharge:
+ *                 type: number
+ *                 minimum: 0
+ *     responses:
+ *       200:
+ *         description: Cheque status updated; for a bounce, includes the reopened orders
+ *       400:
+ *         description: Not a cheque payment, invalid status change or missing bounce reason
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Cheque status changed meanwhile
+ */
+router.patch('/:id/cheque-status', authenticate, authorize('billing.update'), transactionController.updateChequeStatus);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
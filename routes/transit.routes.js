@@ -57,6 +57,19 @@ const upload = multer({
  *           type: string
  *           enum: [Kg, Quintal]
  *           description: Unit of measurement
+ *         receivedQuantity:
+ *           type: number
+ *           minimum: 0
+ *           readOnly: true
+ *           description: Quantity received so far at the destination, set through status updates and receipts
+ *         damagedQuantity:
+ *           type: number
+ *           minimum: 0
+ *           readOnly: true
+ *         shortQuantity:
+ *           type: number
+ *           minimum: 0
+ *           readOnly: true
  *         additionalNote:
  *           type: string
  *           description: Additional notes for the product
@@ -357,6 +370,153 @@ router.get('/location/:locationId', authenticate,authorize('transits.read'), tra
  */
 router.get('/transit-id/:transitId', authenticate,authorize('transits.read'), transitController.getTransitByTransitId);
 
+/**
+ * @swagger
+ * /api/transits/claims:
+ *   get:
+ *     summary: Get transporter claims
+ *     description: Shortage and damage claims opened from transit receipts
+ *     tags: [Transit Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Open, Settled, Rejected]
+ *       - in: query
+ *         name: transporterName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: transit
+ *         schema:
+ *           type: string
+ *         description: Transit ID
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Claims retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/claims', authenticate, authorize('transits.read'), transitController.getClaims);
+
+/**
+ * @swagger
+ * /api/transits/claims/report:
+ *   get:
+ *     summary: Open claims by transporter
+ *     description: Open shortage/damage claims grouped by transporter with the short and damaged KG and their value at price list rates
+ *     tags: [Transit Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: transporterName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Report generated successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/claims/report', authenticate, authorize('transits.read'), transitController.getOpenClaimsReport);
+
+/**
+ * @swagger
+ * /api/transits/claims/{claimId}:
+ *   get:
+ *     summary: Get claim by ID
+ *     tags: [Transit Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Claim retrieved successfully
+ *       404:
+ *         description: Claim not found
+ */
+router.get('/claims/:claimId', authenticate, authorize('transits.read'), transitController.getClaimById);
+
+/**
+ * @swagger
+ * /api/transits/claims/{claimId}/resolve:
+ *   patch:
+ *     summary: Settle or reject a claim
+ *     tags: [Transit Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Settled, Rejected]
+ *               settledAmount:
+ *                 type: number
+ *                 description: Amount recovered from the transporter (defaults to the claim value)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim resolved successfully
+ *       400:
+ *         description: Invalid status or claim already resolved
+ *       404:
+ *         description: Claim not found
+ */
+router.patch('/claims/:claimId/resolve', authenticate, authorize('transits.update'), transitController.resolveClaim);
+
 /**
  * @swagger
  * /api/transits/{id}:
@@ -466,7 +626,7 @@ router.post('/', authenticate,authorize('transits.create'), upload.array('attach
  * /api/transits/bulk-status:
  *   patch:
  *     summary: Bulk update transit status
- *     description: Update status for multiple transits
+ *     description: Update status for multiple transits. Stock is posted as for single updates; "Received" takes every line as fully received, and "Partially Received" fails per transit because it needs per-line quantities.
  *     tags: [Transit Management]
  *     security:
  *       - bearerAuth: []
@@ -506,7 +666,11 @@ router.patch('/bulk-status', authenticate,authorize('transits.update'), transitC
  * /api/transits/{id}/status:
  *   patch:
  *     summary: Update transit status
- *     description: Update the status of a specific transit
+ *     description: |
+ *       Update the status of a specific transit and post the stock transfer.
+ *       "In Transit" moves the load out of the source godown (when fromLocation matches a godown) into the in-transit bucket of the destination.
+ *       "Partially Received" and "Received" move the received quantities from the in-transit bucket into the destination's stock; on "Received", lines not listed count as fully received and any shortfall is written off.
+ *       "Cancelled" sends the outstanding quantity back to the source.
  *     tags: [Transit Management]
  *     security:
  *       - bearerAuth: []
@@ -530,6 +694,24 @@ router.patch('/bulk-status', authenticate,authorize('transits.update'), transitC
  *                 type: string
  *                 enum: [New, In Transit, Received, Partially Received, Cancelled]
  *                 description: New status
+ *               notes:
+ *                 type: string
+ *               receivedItems:
+ *                 type: array
+ *                 description: Cumulative received quantity per line, in the line's unit. Required for "Partially Received".
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - receivedQuantity
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                       description: Product ID of the line (or use productName)
+ *                     productName:
+ *                       type: string
+ *                     receivedQuantity:
+ *                       type: number
+ *                       minimum: 0
  *     responses:
  *       200:
  *         description: Status updated successfully
@@ -546,6 +728,54 @@ router.patch('/bulk-status', authenticate,authorize('transits.update'), transitC
  */
 router.patch('/:id/status', authenticate,authorize('transits.update'), transitController.updateTransitStatus);
 
+/**
+ * @swagger
+ * /api/transits/{id}/receive:
+ *   post:
+ *     summary: Record a transit receipt
+ *     description: |
+ *       Record what arrived at the destination, per product line, with photos and remarks.
+ *       Quantities are for this unloading only, in the line's unit. Received quantities move into the destination's stock;
+ *       damaged and short quantities are written off from the in-transit stock and open (or add to) a claim against the transporter.
+ *       The transit becomes "Received" once every line is fully accounted for, otherwise "Partially Received".
+ *     tags: [Transit Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: string
+ *                 description: 'JSON array of {product or productName, receivedQuantity, damagedQuantity, shortQuantity, remarks}'
+ *               remarks:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Receipt recorded successfully
+ *       400:
+ *         description: Invalid quantities or transit not in transit
+ *       404:
+ *         description: Transit not found
+ */
+router.post('/:id/receive', authenticate, authorize('transits.update'), upload.array('photos', 10), transitController.receiveTransit);
+
 /**
  * @swagger
  * /api/transits/{id}/assign-driver:
@@ -1,5 +1,6 @@
 const { Attendance, User, Godown } = require('../models');
 const { uploadBase64ToS3 } = require('../utils/s3Upload');
+const periodLockService = require('./periodLock.service');
 const mongoose = require('mongoose');
 
 // Helper to safely get an id string from either a populated document or ObjectId
@@ -305,6 +306,16 @@ class AttendanceService {
       throw new Error('Access denied: Cannot update this attendance record');
     }
 
+    // The check-in time dates the record; the stored date is local midnight
+    await periodLockService.assertPeriodOpen(attendance.checkInTime || attendance.date, {
+      userId: updatedByUser._id,
+      action: 'UPDATE',
+      module: 'attendance',
+      resourceType: 'Attendance',
+      resourceId: attendance._id,
+      description: 'Edited attendance record',
+    });
+
     // Update status if provided
     if (updateData.status && ['present', 'late', 'half_day', 'absent'].includes(updateData.status)) {
       // Prevent changing own attendance status regardless of role
@@ -384,6 +395,15 @@ class AttendanceService {
       throw new Error('Access denied: Insufficient permissions to delete attendance');
     }
 
+    await periodLockService.assertPeriodOpen(attendance.checkInTime || attendance.date, {
+      userId: deletedByUser._id,
+      action: 'DELETE',
+      module: 'attendance',
+      resourceType: 'Attendance',
+      resourceId: attendance._id,
+      description: 'Deleted attendance record',
+    });
+
     await Attendance.findByIdAndDelete(attendanceId);
 
     return {
@@ -0,0 +1,846 @@
+const crypto = require("crypto");
+const path = require("path");
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const { BankStatement, BankStatementFormat, AuditLog } = require("../models");
+const Transaction = require("../models/transaction.schema");
+const transactionService = require("./transaction.service");
+const { DAY_MS } = require("../utils/receivables");
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Receipts that arrive through the bank
+const MATCHABLE_MODES = ["Online", "Cheque"];
+
+const OPEN_LINE_STATUSES = ["unmatched", "suggested"];
+
+const MAX_SUGGESTIONS = 5;
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// NEFT/RTGS UTRs (bank code + digits) and 12-digit IMPS/UPI references
+const REFERENCE_PATTERN = /\b([A-Z]{4}[0-9A-Z]{12,18}|\d{12})\b/;
+
+const TRANSACTION_FIELDS = "transactionId transactionDate transactionMode amountPaid reference cheque.number cheque.bank cheque.status cheque.depositedAt cheque.clearedAt customer";
+
+// Plain text of a cell from either reader
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("").trim();
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    return "";
+  }
+  return String(value).trim();
+};
+
+// Column index (0-based) from a header name, column number or column letter
+const resolveColumn = (spec, header) => {
+  const value = String(spec).trim();
+  if (/^\d+$/.test(value)) return Number(value) - 1;
+
+  const byHeader = header.findIndex((cell) => cellText(cell).toLowerCase() === value.toLowerCase());
+  if (byHeader >= 0) return byHeader;
+
+  if (/^[A-Za-z]{1,2}$/.test(value)) {
+    return value
+      .toUpperCase()
+      .split("")
+      .reduce((index, letter) => index * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+  }
+  return -1;
+};
+
+// Date in the bank's format (DD, MM, MMM, YYYY, YY tokens), as a UTC day
+const parseDate = (value, format) => {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  if (value && typeof value === "object" && value.result !== undefined) {
+    return parseDate(value.result, format);
+  }
+  const raw = cellText(value);
+  if (!raw) return null;
+
+  const tokens = String(format || "DD/MM/YYYY").toUpperCase().split(/[^A-Z]+/).filter(Boolean);
+  const parts = raw.split(/[^0-9A-Za-z]+/).filter(Boolean);
+  if (parts.length < tokens.length) return null;
+
+  let day;
+  let month;
+  let year;
+  tokens.forEach((token, index) => {
+    const part = parts[index];
+    if (token === "DD" || token === "D") day = Number(part);
+    else if (token === "MM" || token === "M") month = Number(part);
+    else if (token === "MMM") month = MONTHS.indexOf(part.slice(0, 3).toLowerCase()) + 1;
+    else if (token === "YYYY") year = Number(part);
+    else if (token === "YY") year = 2000 + Number(part);
+  });
+
+  if (!(day >= 1 && day <= 31 && month >= 1 && month <= 12 && year >= 1900)) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCDate() === day ? date : null;
+};
+
+// Amount from a cell: commas, currency and Cr/Dr markers are allowed, brackets mean negative
+const parseAmount = (value) => {
+  if (typeof value === "number") return value;
+  const raw = cellText(value).replace(/,/g, "").replace(/\s+/g, "");
+  if (!raw) return 0;
+  const negative = /^\(.*\)$/.test(raw) || /^-/.test(raw) || /dr\.?$/i.test(raw);
+  const number = Number(raw.replace(/[^0-9.]/g, ""));
+  if (Number.isNaN(number)) return NaN;
+  return negative ? -number : number;
+};
+
+// Check a column mapping and fill in defaults
+const normalizeMapping = (mapping = {}) => {
+  const columns = mapping.columns || {};
+  if (!columns.date) {
+    throw new Error("Date column is required");
+  }
+  if (!columns.credit && !columns.amount) {
+    throw new Error("Credit or amount column is required");
+  }
+  const dateWindowDays = mapping.dateWindowDays === undefined ? 3 : Number(mapping.dateWindowDays);
+  if (!(dateWindowDays >= 0 && dateWindowDays <= 30)) {
+    throw new Error("Invalid date window. Must be 0 to 30 days");
+  }
+  const headerRow = mapping.headerRow === undefined ? 1 : Number(mapping.headerRow);
+  if (!(Number.isInteger(headerRow) && headerRow >= 1)) {
+    throw new Error("Invalid header row");
+  }
+
+  return {
+    headerRow,
+    columns: Object.fromEntries(
+      ["date", "description", "reference", "credit", "debit", "amount", "drCr", "balance"]
+        .filter((field) => columns[field])
+        .map((field) => [field, String(columns[field]).trim()])
+    ),
+    dateFormat: mapping.dateFormat || "DD/MM/YYYY",
+    dateWindowDays,
+  };
+};
+
+class BankReconciliationService {
+  // Saved statement formats
+  async getFormats() {
+    const formats = await BankStatementFormat.find().sort({ name: 1 }).lean();
+    return { success: true, data: { formats } };
+  }
+
+  // Create or update a statement format by name
+  async saveFormat(name, data = {}, userId) {
+    if (!name || !String(name).trim()) {
+      throw new Error("Format name is required");
+    }
+    const mapping = normalizeMapping(data);
+
+    const before = await BankStatementFormat.findOne({ name: String(name).trim() }).lean();
+    const format = await BankStatementFormat.findOneAndUpdate(
+      { name: String(name).trim() },
+      { $set: { ...mapping, bankName: data.bankName, updatedBy: userId } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    await AuditLog.create({
+      user: userId,
+      action: before ? "UPDATE" : "CREATE",
+      module: "billing",
+      resourceType: "BankStatementFormat",
+      resourceId: format._id.toString(),
+      oldValues: before,
+      newValues: format,
+      description: `Bank statement format "${format.name}" ${before ? "updated" : "created"}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return { success: true, data: { format } };
+  }
+
+  // Rows of the first sheet as arrays of cell values, with their row numbers
+  async readRows(file) {
+    const extension = path.extname(file.originalname || "").toLowerCase();
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    if (extension === ".csv") {
+      // Keep cells as text; the default reader guesses dates as MM-DD-YYYY
+      worksheet = await workbook.csv.read(Readable.from(file.buffer), { map: (datum) => datum });
+    } else if (extension === ".xlsx") {
+      await workbook.xlsx.load(file.buffer);
+      worksheet = workbook.worksheets[0];
+    } else {
+      throw new Error("Invalid file type. Upload a CSV or Excel (.xlsx) statement");
+    }
+
+    const rows = [];
+    worksheet?.eachRow((row, rowNumber) => {
+      rows.push({ rowNumber, values: row.values.slice(1) });
+    });
+    return rows;
+  }
+
+  // Statement lines from the file rows, using the column mapping
+  parseLines(rows, mapping) {
+    const headerIndex = rows.findIndex((row) => row.rowNumber === mapping.headerRow);
+    if (headerIndex < 0) {
+      throw new Error(`Invalid header row ${mapping.headerRow}: the statement has no such row`);
+    }
+    const header = rows[headerIndex].values;
+
+    const columns = {};
+    for (const [field, spec] of Object.entries(mapping.columns)) {
+      const index = resolveColumn(spec, header);
+      if (index < 0) {
+        throw new Error(`Invalid column "${spec}" for ${field}: not found in the statement header`);
+      }
+      columns[field] = index;
+    }
+
+    const lines = [];
+    let skippedRows = 0;
+    for (const { rowNumber, values } of rows.slice(headerIndex + 1)) {
+      const cell = (field) => (columns[field] === undefined ? undefined : values[columns[field]]);
+
+      // Opening/closing balance rows and footers have no usable date
+      const date = parseDate(cell("date"), mapping.dateFormat);
+      if (!date) {
+        if (values.some((value) => cellText(value))) skippedRows++;
+        continue;
+      }
+
+      let credit = 0;
+      let debit = 0;
+      if (columns.credit !== undefined) {
+        credit = parseAmount(cell("credit"));
+        debit = parseAmount(cell("debit"));
+      } else {
+        const amount = parseAmount(cell("amount"));
+        const marker = cellText(cell("drCr")).toUpperCase();
+        const isDebit = marker ? marker.startsWith("D") : amount < 0;
+        credit = isDebit ? 0 : Math.abs(amount);
+        debit = isDebit ? Math.abs(amount) : 0;
+      }
+      if (Number.isNaN(credit) || Number.isNaN(debit)) {
+        throw new Error(`Invalid amount in row ${rowNumber}`);
+      }
+      credit = round2(Math.abs(credit));
+      debit = round2(Math.abs(debit));
+      if (credit === 0 && debit === 0) {
+        skippedRows++;
+        continue;
+      }
+
+      const description = cellText(cell("description"));
+      const reference =
+        cellText(cell("reference")) || (description.toUpperCase().match(REFERENCE_PATTERN) || [])[1] || undefined;
+      const balance = columns.balance === undefined ? undefined : parseAmount(cell("balance"));
+
+      lines.push({
+        rowNumber,
+        date,
+        description,
+        reference,
+        credit,
+        debit,
+        balance: Number.isNaN(balance) ? undefined : balance,
+        status: credit > 0 ? "unmatched" : "ignored",
+        ignoredReason: credit > 0 ? undefined : "Debit entry",
+      });
+    }
+
+    return { lines, skippedRows };
+  }
+
+  /**
+   * Import a bank statement and match its credits to recorded receipts.
+   * @param {Object} file - Uploaded file (multer memory storage)
+   * @param {Object} data - { format: saved format name, or mapping (object or JSON), bankAccount }
+   * @param {string} userId - Importing user
+   */
+  async importStatement(file, { format, mapping, bankAccount } = {}, userId) {
+    if (!file || !file.buffer) {
+      throw new Error("Statement file is required");
+    }
+
+    let formatName;
+    let rawMapping;
+    if (mapping) {
+      try {
+        rawMapping = typeof mapping === "string" ? JSON.parse(mapping) : mapping;
+      } catch (error) {
+        throw new Error("Invalid mapping. Send it as JSON");
+      }
+    } else if (format) {
+      rawMapping = await BankStatementFormat.findOne({ name: String(format).trim() }).lean();
+      if (!rawMapping) {
+        throw new Error("Statement format not found");
+      }
+      formatName = rawMapping.name;
+    } else {
+      throw new Error("Statement format or column mapping is required");
+    }
+    const columnMapping = normalizeMapping(rawMapping);
+
+    const fileHash = crypto.createHash("sha256").update(file.buffer).digest("hex");
+    const existing = await BankStatement.findOne({ fileHash }).select("_id fileName createdAt").lean();
+    if (existing) {
+      throw new Error(`Statement is already imported (${existing.fileName})`);
+    }
+
+    const rows = await this.readRows(file);
+    const { lines, skippedRows } = this.parseLines(rows, columnMapping);
+    if (lines.length === 0) {
+      throw new Error("No transactions found in the statement. Check the column mapping");
+    }
+
+    const dates = lines.map((line) => line.date.getTime());
+    const statement = new BankStatement({
+      fileName: file.originalname,
+      fileHash,
+      bankAccount,
+      formatName,
+      mapping: columnMapping,
+      periodFrom: new Date(Math.min(...dates)),
+      periodTo: new Date(Math.max(...dates)),
+      lines,
+      importedBy: userId,
+    });
+    statement.summary.skippedRows = skippedRows;
+
+    await this.autoMatch(statement, userId);
+    this.updateSummary(statement);
+
+    try {
+      await statement.save();
+    } catch (error) {
+      // Free the receipts matched to lines that were never stored
+      await Transaction.updateMany({ "reconciliation.statement": statement._id }, { $unset: { reconciliation: "" } });
+      if (error.code === 11000) {
+        throw new Error(`Statement is already imported (${file.originalname})`);
+      }
+      throw error;
+    }
+
+    await AuditLog.create({
+      user: userId,
+      action: "CREATE",
+      module: "billing",
+      resourceType: "BankStatement",
+      resourceId: statement._id.toString(),
+      newValues: { fileName: statement.fileName, summary: statement.summary },
+      description:
+        `Imported bank statement ${statement.fileName}: ${statement.summary.creditLines} credit(s), ` +
+        `${statement.summary.matched} matched, ${statement.summary.suggested} with suggestions, ` +
+        `${statement.summary.unmatched} unmatched`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return this.getStatementById(statement._id);
+  }
+
+  // Receipts of the line's amount recorded around its date, or carrying its reference
+  async findCandidates(line, windowDays) {
+    const from = new Date(line.date.getTime() - windowDays * DAY_MS);
+    const to = new Date(line.date.getTime() + (windowDays + 1) * DAY_MS - 1);
+
+    const inWindow = [
+      { transactionDate: { $gte: from, $lte: to } },
+      { "cheque.depositedAt": { $gte: from, $lte: to } },
+      { "cheque.clearedAt": { $gte: from, $lte: to } },
+    ];
+    if (line.reference) {
+      inWindow.push({ reference: line.reference });
+    }
+
+    return Transaction.find({
+      transactionMode: { $in: MATCHABLE_MODES },
+      amountPaid: { $gte: line.credit - 0.005, $lte: line.credit + 0.005 },
+      reconciliation: { $exists: false },
+      reversal: { $exists: false },
+      reversalOf: { $exists: false },
+      "cheque.status": { $ne: "bounced" },
+      $or: inWindow,
+    })
+      .select(TRANSACTION_FIELDS)
+      .populate("customer", "businessName")
+      .lean();
+  }
+
+  // How well a receipt fits a line; a reference or cheque number match is decisive
+  scoreCandidate(line, transaction, windowDays) {
+    const text = `${line.reference || ""} ${line.description || ""}`.toUpperCase();
+    const reasons = ["amount"];
+    let score = 40;
+    let referenceMatch = false;
+
+    if (transaction.reference && text.includes(transaction.reference.toUpperCase())) {
+      score += 50;
+      reasons.push("reference");
+      referenceMatch = true;
+    }
+    if (transaction.cheque?.number && new RegExp(`(^|\\D)0*${transaction.cheque.number}(\\D|$)`).test(text)) {
+      score += 40;
+      reasons.push("cheque number");
+      referenceMatch = true;
+    }
+
+    const gaps = [transaction.transactionDate, transaction.cheque?.depositedAt, transaction.cheque?.clearedAt]
+      .filter(Boolean)
+      .map((date) => Math.abs(line.date.getTime() - new Date(date).getTime()) / DAY_MS);
+    const dayGap = Math.min(...gaps);
+    const inWindow = dayGap < windowDays + 1;
+    if (inWindow) {
+      score += Math.round(10 * (1 - dayGap / (windowDays + 1)));
+      reasons.push("date");
+    }
+
+    const nameWords = (transaction.customer?.businessName || "")
+      .toUpperCase()
+      .split(/[^A-Z0-9]+/)
+      .filter((word) => word.length >= 4);
+    if (nameWords.some((word) => text.includes(word))) {
+      score += 10;
+      reasons.push("customer name");
+    }
+
+    return { transaction, score, reasons, referenceMatch, inWindow };
+  }
+
+  // Mark a receipt as reconciled against a line, unless another line already has it
+  async claimTransaction(transactionId, statementId, lineId, method, userId) {
+    const result = await Transaction.updateOne(
+      { _id: transactionId, reconciliation: { $exists: false } },
+      {
+        $set: {
+          reconciliation: {
+            statement: statementId,
+            line: lineId,
+            method,
+            reconciledAt: new Date(),
+            reconciledBy: userId,
+          },
+        },
+      }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Match the statement's open credit lines. A line is matched on its own when exactly one
+   * receipt carries its reference or cheque number, or when it is the only receipt of that
+   * amount in the date window and no other line wants it. Everything else gets suggestions.
+   */
+  async autoMatch(statement, userId) {
+    const windowDays = statement.mapping?.dateWindowDays ?? 3;
+    const entries = [];
+    for (const line of statement.lines) {
+      if (line.credit > 0 && OPEN_LINE_STATUSES.includes(line.status)) {
+        const candidates = (await this.findCandidates(line, windowDays))
+          .map((transaction) => this.scoreCandidate(line, transaction, windowDays))
+          .sort((a, b) => b.score - a.score);
+        entries.push({ line, candidates, done: false });
+      }
+    }
+
+    const taken = new Set();
+    const available = (entry) => entry.candidates.filter((c) => !taken.has(c.transaction._id.toString()));
+
+    const match = async (entry, candidate) => {
+      const claimed = await this.claimTransaction(
+        candidate.transaction._id,
+        statement._id,
+        entry.line._id,
+        "auto",
+        userId
+      );
+      taken.add(candidate.transaction._id.toString());
+      if (!claimed) return;
+
+      Object.assign(entry.line, {
+        status: "matched",
+        transaction: candidate.transaction._id,
+        matchMethod: "auto",
+        matchedBy: userId,
+        matchedAt: new Date(),
+        suggestions: [],
+      });
+      entry.done = true;
+    };
+
+    // References first, so an amount-only match can't take a receipt another line names
+    for (const entry of entries) {
+      const byReference = available(entry).filter((c) => c.referenceMatch);
+      if (byReference.length === 1) await match(entry, byReference[0]);
+    }
+
+    const wanted = new Map();
+    for (const entry of entries.filter((e) => !e.done)) {
+      for (const candidate of available(entry).filter((c) => c.inWindow)) {
+        const key = candidate.transaction._id.toString();
+        wanted.set(key, (wanted.get(key) || 0) + 1);
+      }
+    }
+    for (const entry of entries.filter((e) => !e.done)) {
+      const open = available(entry);
+      const inWindow = open.filter((c) => c.inWindow);
+      if (
+        !open.some((c) => c.referenceMatch) &&
+        inWindow.length === 1 &&
+        wanted.get(inWindow[0].transaction._id.toString()) === 1
+      ) {
+        await match(entry, inWindow[0]);
+      }
+    }
+
+    for (const entry of entries.filter((e) => !e.done)) {
+      const suggestions = available(entry).slice(0, MAX_SUGGESTIONS);
+      entry.line.status = suggestions.length > 0 ? "suggested" : "unmatched";
+      entry.line.suggestions = suggestions.map((c) => ({
+        transaction: c.transaction._id,
+        score: c.score,
+        reasons: c.reasons,
+      }));
+    }
+
+    return entries.filter((entry) => entry.done).length;
+  }
+
+  // Recount the line states
+  updateSummary(statement) {
+    const credits = statement.lines.filter((line) => line.credit > 0);
+    const count = (status) => credits.filter((line) => line.status === status).length;
+
+    Object.assign(statement.summary, {
+      totalLines: statement.lines.length,
+      totalCredits: round2(credits.reduce((sum, line) => sum + line.credit, 0)),
+      totalDebits: round2(statement.lines.reduce((sum, line) => sum + (line.debit || 0), 0)),
+      creditLines: credits.length,
+      matched: count("matched"),
+      converted: count("converted"),
+      suggested: count("suggested"),
+      unmatched: count("unmatched"),
+      ignored: count("ignored"),
+      matchedAmount: round2(
+        credits
+          .filter((line) => ["matched", "converted"].includes(line.status))
+          .reduce((sum, line) => sum + line.credit, 0)
+      ),
+    });
+  }
+
+  // Get statements with pagination
+  async getStatements(query = {}) {
+    const { page = 1, limit = 10, bankAccount, dateFrom, dateTo } = query;
+
+    const filter = {};
+    if (bankAccount) filter.bankAccount = bankAccount;
+    if (dateFrom) filter.periodTo = { $gte: new Date(dateFrom) };
+    if (dateTo) filter.periodFrom = { $lte: new Date(dateTo) };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [statements, total] = await Promise.all([
+      BankStatement.find(filter)
+        .select("-lines -mapping")
+        .populate("importedBy", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      BankStatement.countDocuments(filter),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        statements,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+
+  // Get a statement with its lines, optionally only lines in one state
+  async getStatementById(statementId, { status } = {}) {
+    const transactionPopulate = {
+      select: TRANSACTION_FIELDS,
+      populate: { path: "customer", select: "businessName customerId" },
+    };
+    const statement = await BankStatement.findById(statementId)
+      .populate("importedBy", "firstName lastName")
+      .populate({ path: "lines.transaction", ...transactionPopulate })
+      .populate({ path: "lines.suggestions.transaction", ...transactionPopulate })
+      .populate("lines.matchedBy", "firstName lastName")
+      .lean();
+    if (!statement) {
+      throw new Error("Bank statement not found");
+    }
+    if (status) {
+      statement.lines = statement.lines.filter((line) => line.status === status);
+    }
+
+    return { success: true, data: { statement } };
+  }
+
+  // Load a statement and one of its lines for an update
+  async getLine(statementId, lineId) {
+    const statement = await BankStatement.findById(statementId);
+    if (!statement) {
+      throw new Error("Bank statement not found");
+    }
+    const line = statement.lines.id(lineId);
+    if (!line) {
+      throw new Error("Statement line not found");
+    }
+    return { statement, line };
+  }
+
+  // Run auto-matching again, e.g. after missing receipts were entered
+  async rematchStatement(statementId, userId) {
+    const statement = await BankStatement.findById(statementId);
+    if (!statement) {
+      throw new Error("Bank statement not found");
+    }
+
+    const matched = await this.autoMatch(statement, userId);
+    this.updateSummary(statement);
+    await statement.save();
+
+    const result = await this.getStatementById(statement._id);
+    return { ...result, message: `${matched} line(s) matched` };
+  }
+
+  // Match a line to a receipt by hand, typically one of its suggestions
+  async matchLine(statementId, lineId, { transactionId } = {}, userId) {
+    if (!transactionId) {
+      throw new Error("Transaction is required");
+    }
+    const { statement, line } = await this.getLine(statementId, lineId);
+    if (!(line.credit > 0) || !OPEN_LINE_STATUSES.includes(line.status)) {
+      throw new Error(`Statement line is already ${line.status}`);
+    }
+
+    const transaction = await Transaction.findById(transactionId).select(`${TRANSACTION_FIELDS} reconciliation reversal reversalOf`).lean();
+    if (!transaction) {
+      throw new Error("Transaction not found");
+    }
+    if (transaction.reversal || transaction.reversalOf) {
+      throw new Error("Invalid transaction: reversed payments cannot be reconciled");
+    }
+    if (Math.abs(round2(transaction.amountPaid) - line.credit) > 0.005) {
+      throw new Error(`Invalid transaction: amount ${transaction.amountPaid} does not match the statement credit ${line.credit}`);
+    }
+    if (transaction.reconciliation || !(await this.claimTransaction(transaction._id, statement._id, line._id, "manual", userId))) {
+      throw new Error("Transaction is already reconciled");
+    }
+
+    Object.assign(line, {
+      status: "matched",
+      transaction: transaction._id,
+      matchMethod: "manual",
+      matchedBy: userId,
+      matchedAt: new Date(),
+      suggestions: [],
+    });
+    this.updateSummary(statement);
+    await statement.save();
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: "billing",
+      resourceType: "BankStatement",
+      resourceId: statement._id.toString(),
+      newValues: { line: line._id, transaction: transaction.transactionId },
+      description: `Matched statement line of ${line.credit} on ${line.date.toISOString().slice(0, 10)} to payment ${transaction.transactionId}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return this.getStatementById(statement._id);
+  }
+
+  // Undo a match or an ignore; the line gets fresh suggestions
+  async unmatchLine(statementId, lineId, userId) {
+    const { statement, line } = await this.getLine(statementId, lineId);
+    if (!(line.credit > 0) || !["matched", "ignored"].includes(line.status)) {
+      throw new Error("Invalid line: only matched or ignored credits can be reopened");
+    }
+
+    const previous = { status: line.status, transaction: line.transaction };
+    if (line.transaction) {
+      await Transaction.updateOne(
+        { _id: line.transaction, "reconciliation.line": line._id },
+        { $unset: { reconciliation: "" } }
+      );
+    }
+
+    const windowDays = statement.mapping?.dateWindowDays ?? 3;
+    const candidates = (await this.findCandidates(line, windowDays))
+      .map((transaction) => this.scoreCandidate(line, transaction, windowDays))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SUGGESTIONS);
+
+    line.status = candidates.length > 0 ? "suggested" : "unmatched";
+    line.transaction = undefined;
+    line.matchMethod = undefined;
+    line.matchedBy = undefined;
+    line.matchedAt = undefined;
+    line.ignoredReason = undefined;
+    line.suggestions = candidates.map((c) => ({ transaction: c.transaction._id, score: c.score, reasons: c.reasons }));
+    this.updateSummary(statement);
+    await statement.save();
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: "billing",
+      resourceType: "BankStatement",
+      resourceId: statement._id.toString(),
+      oldValues: previous,
+      newValues: { line: line._id, status: line.status },
+      description: `Reopened ${previous.status} statement line of ${line.credit} on ${line.date.toISOString().slice(0, 10)}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return this.getStatementById(statement._id);
+  }
+
+  // Leave a credit out of reconciliation (e.g. interest, refunds, transfers between own accounts)
+  async ignoreLine(statementId, lineId, { reason } = {}, userId) {
+    if (!reason || !String(reason).trim()) {
+      throw new Error("Reason is required");
+    }
+    const { statement, line } = await this.getLine(statementId, lineId);
+    if (!OPEN_LINE_STATUSES.includes(line.status)) {
+      throw new Error(`Statement line is already ${line.status}`);
+    }
+
+    line.status = "ignored";
+    line.ignoredReason = String(reason).trim();
+    line.suggestions = [];
+    this.updateSummary(statement);
+    await statement.save();
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: "billing",
+      resourceType: "BankStatement",
+      resourceId: statement._id.toString(),
+      newValues: { line: line._id, status: "ignored", reason: line.ignoredReason },
+      description: `Ignored statement line of ${line.credit} on ${line.date.toISOString().slice(0, 10)} (${line.ignoredReason})`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return this.getStatementById(statement._id);
+  }
+
+  /**
+   * Record an unmatched credit as a new customer payment. The payment is allocated to
+   * orderIds, or to the customer's oldest open orders, and reconciled to the line.
+   * @param {Object} data - { customerId, orderIds, paymentMode (Online or Cheque, default Online), cheque }
+   */
+  async convertLine(statementId, lineId, { customerId, orderIds = [], paymentMode = "Online", cheque } = {}, userId) {
+    if (!customerId) {
+      throw new Error("Customer is required");
+    }
+    if (!MATCHABLE_MODES.includes(paymentMode)) {
+      throw new Error(`Invalid payment mode. Must be one of: ${MATCHABLE_MODES.join(", ")}`);
+    }
+
+    const { statement, line } = await this.getLine(statementId, lineId);
+    if (!(line.credit > 0) || !OPEN_LINE_STATUSES.includes(line.status)) {
+      throw new Error(`Statement line is already ${line.status}`);
+    }
+
+    // Claim the line first so it can't be turned into two payments
+    const claimed = await BankStatement.updateOne(
+      { _id: statement._id, lines: { $elemMatch: { _id: line._id, status: { $in: OPEN_LINE_STATUSES } } } },
+      { $set: { "lines.$.status": "converted" } }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw new Error("Statement line is no longer open");
+    }
+
+    let result;
+    try {
+      result = await transactionService.allocateCustomerPayment(
+        {
+          customerId,
+          amountPaid: line.credit,
+          orderIds,
+          paymentMode,
+          transactionDate: line.date,
+          cheque,
+          reference: line.reference,
+        },
+        userId
+      );
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+    if (!result.success) {
+      await BankStatement.updateOne(
+        { _id: statement._id, "lines._id": line._id },
+        { $set: { "lines.$.status": line.status } }
+      );
+      throw new Error(result.message);
+    }
+
+    const transaction = result.data.transaction;
+    await this.claimTransaction(transaction._id, statement._id, line._id, "converted", userId);
+
+    // Reload: the line status was changed underneath the loaded copy
+    const fresh = await BankStatement.findById(statement._id);
+    Object.assign(fresh.lines.id(line._id), {
+      status: "converted",
+      transaction: transaction._id,
+      matchMethod: "converted",
+      matchedBy: userId,
+      matchedAt: new Date(),
+      suggestions: [],
+    });
+    this.updateSummary(fresh);
+    await fresh.save();
+
+    await AuditLog.create({
+      user: userId,
+      action: "CREATE",
+      module: "billing",
+      resourceType: "BankStatement",
+      resourceId: statement._id.toString(),
+      newValues: { line: line._id, transaction: transaction.transactionId, customer: customerId },
+      description:
+        `Recorded statement credit of ${line.credit} on ${line.date.toISOString().slice(0, 10)} ` +
+        `as payment ${transaction.transactionId} from ${transaction.customer?.businessName || customerId}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    const { data } = await this.getStatementById(statement._id);
+    return {
+      success: true,
+      data: {
+        statement: data.statement,
+        payment: result.data,
+      },
+    };
+  }
+}
+
+module.exports = new BankReconciliationService();
@@ -0,0 +1,606 @@
+const mongoose = require("mongoose");
+const { CashHandover, Order, User, AuditLog } = require("../models");
+const { DAY_MS } = require("../utils/receivables");
+const { businessDateOf, dayWindow } = require("../utils/businessDay");
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Online payments reach the bank directly; anything else collected at delivery is carried by the driver
+const CARRIED_MATCH = { paymentTerms: { $ne: "Online" } };
+
+const DRIVER_FIELDS = "firstName lastName phone employeeId";
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const driverName = (driver) => (driver ? `${driver.firstName} ${driver.lastName}`.trim() : "Unknown");
+
+class CashHandoverService {
+  // Delivery collections as one row per settlement, attributed to the order's assigned driver
+  collectionStages(orderMatch = {}, settlementMatch = {}) {
+    return [
+      {
+        $match: {
+          type: "order",
+          "driverAssignment.driver": { $ne: null },
+          "settlements.amountCollected": { $gt: 0 },
+          ...CARRIED_MATCH,
+          ...orderMatch,
+        },
+      },
+      { $unwind: "$settlements" },
+      { $match: { "settlements.amountCollected": { $gt: 0 }, ...settlementMatch } },
+      {
+        $project: {
+          _id: 0,
+          order: "$_id",
+          orderNumber: 1,
+          customer: 1,
+          godown: 1,
+          paymentTerms: 1,
+          driver: "$driverAssignment.driver",
+          amount: "$settlements.amountCollected",
+          collectedAt: "$settlements.recordedAt",
+          handover: "$settlements.handover",
+          businessDate: { $dateToString: { format: "%Y-%m-%d", date: "$settlements.recordedAt" } },
+        },
+      },
+    ];
+  }
+
+  /**
+   * Cash each driver is carrying: collections not yet handed over, plus handovers the
+   * cashier has not confirmed yet. Drivers only see their own.
+   */
+  async getCashInHand(query = {}, user) {
+    const driverId = user?.role?.name === "Driver" ? user._id : query.driverId;
+
+    const orderMatch = {};
+    const handoverMatch = { status: "submitted" };
+    if (driverId) {
+      orderMatch["driverAssignment.driver"] = toObjectId(driverId);
+      handoverMatch.driver = toObjectId(driverId);
+    }
+    if (query.godown) {
+      orderMatch.godown = toObjectId(query.godown);
+      handoverMatch.godown = toObjectId(query.godown);
+    }
+
+    const [unsubmitted, awaiting] = await Promise.all([
+      Order.aggregate([
+        ...this.collectionStages(orderMatch, { "settlements.handover": null }),
+        {
+          $group: {
+            _id: "$driver",
+            amount: { $sum: "$amount" },
+            orders: { $sum: 1 },
+            days: { $addToSet: "$businessDate" },
+            oldestCollectionAt: { $min: "$collectedAt" },
+          },
+        },
+      ]),
+      CashHandover.aggregate([
+        { $match: handoverMatch },
+        { $group: { _id: "$driver", amount: { $sum: "$declaredAmount" }, handovers: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const rows = new Map();
+    const rowFor = (id) => {
+      const key = id.toString();
+      if (!rows.has(key)) {
+        rows.set(key, {
+          driverId: id,
+          notHandedOver: 0,
+          pendingOrders: 0,
+          pendingDays: [],
+          oldestCollectionAt: null,
+          awaitingConfirmation: 0,
+          unconfirmedHandovers: 0,
+        });
+      }
+      return rows.get(key);
+    };
+
+    for (const entry of unsubmitted) {
+      const row = rowFor(entry._id);
+      row.notHandedOver = round2(entry.amount);
+      row.pendingOrders = entry.orders;
+      row.pendingDays = entry.days.sort();
+      row.oldestCollectionAt = entry.oldestCollectionAt;
+    }
+    for (const entry of awaiting) {
+      const row = rowFor(entry._id);
+      row.awaitingConfirmation = round2(entry.amount);
+      row.unconfirmedHandovers = entry.handovers;
+    }
+
+    const drivers = await User.find({ _id: { $in: [...rows.values()].map((row) => row.driverId) } })
+      .select(DRIVER_FIELDS)
+      .lean();
+    const driverMap = new Map(drivers.map((driver) => [driver._id.toString(), driver]));
+
+    const result = [...rows.values()]
+      .map((row) => {
+        const driver = driverMap.get(row.driverId.toString());
+        return {
+          ...row,
+          driverName: driverName(driver),
+          phone: driver?.phone,
+          employeeId: driver?.employeeId,
+          cashInHand: round2(row.notHandedOver + row.awaitingConfirmation),
+        };
+      })
+      .sort((a, b) => b.cashInHand - a.cashInHand);
+
+    return {
+      success: true,
+      data: {
+        drivers: result,
+        summary: {
+          totalDrivers: result.length,
+          totalCashInHand: round2(result.reduce((sum, row) => sum + row.cashInHand, 0)),
+          totalNotHandedOver: round2(result.reduce((sum, row) => sum + row.notHandedOver, 0)),
+          totalAwaitingConfirmation: round2(result.reduce((sum, row) => sum + row.awaitingConfirmation, 0)),
+        },
+      },
+    };
+  }
+
+  /**
+   * Hand over a driver's collections for one day to a godown cashier. The collections are
+   * claimed on the orders first so the same cash can't be handed over twice.
+   * @param {Object} data - { driverId, date (YYYY-MM-DD), godownId, declaredAmount, notes }
+   * @param {Object} user - Submitting user; drivers can only submit their own collections
+   * @returns {Promise<Object>} - Submitted handover
+   */
+  async submitHandover({ driverId, date, godownId, declaredAmount, notes } = {}, user) {
+    const driver = driverId || user._id.toString();
+    if (user.role?.name === "Driver" && String(driver) !== user._id.toString()) {
+      throw new Error("Drivers can only hand over their own collections");
+    }
+
+    const driverUser = await User.findById(driver).select("firstName lastName primaryGodown").lean();
+    if (!driverUser) {
+      throw new Error("Driver not found");
+    }
+
+    const businessDate = date || businessDateOf();
+    const { start, end } = dayWindow(businessDate);
+
+    const godown = godownId || driverUser.primaryGodown;
+    if (!godown) {
+      throw new Error("Godown is required");
+    }
+
+    const hasDeclared = declaredAmount !== undefined && declaredAmount !== null && declaredAmount !== "";
+    if (hasDeclared && !(Number(declaredAmount) >= 0)) {
+      throw new Error("Invalid declared amount");
+    }
+
+    const dayMatch = { "settlements.recordedAt": { $gte: start, $lte: end } };
+    const pending = await Order.aggregate(
+      this.collectionStages({ "driverAssignment.driver": driverUser._id }, { ...dayMatch, "settlements.handover": null })
+    );
+    if (pending.length === 0) {
+      throw new Error("No collections to hand over for this date");
+    }
+
+    const handoverId = new mongoose.Types.ObjectId();
+    await Order.updateMany(
+      { _id: { $in: pending.map((entry) => entry.order) } },
+      { $set: { "settlements.$[s].handover": handoverId } },
+      {
+        arrayFilters: [
+          { "s.amountCollected": { $gt: 0 }, "s.handover": null, "s.recordedAt": { $gte: start, $lte: end } },
+        ],
+      }
+    );
+
+    // Only what this submission actually claimed; a concurrent one may have taken the rest
+    const collections = await Order.aggregate(
+      this.collectionStages({ "driverAssignment.driver": driverUser._id }, { "settlements.handover": handoverId })
+    );
+    if (collections.length === 0) {
+      throw new Error("No collections to hand over for this date");
+    }
+
+    const totalCollected = round2(collections.reduce((sum, entry) => sum + entry.amount, 0));
+    const handover = new CashHandover({
+      _id: handoverId,
+      driver: driverUser._id,
+      godown,
+      businessDate,
+      collections: collections.map((entry) => ({
+        order: entry.order,
+        orderNumber: entry.orderNumber,
+        customer: entry.customer,
+        paymentTerms: entry.paymentTerms,
+        amount: entry.amount,
+        collectedAt: entry.collectedAt,
+      })),
+      totalCollected,
+      declaredAmount: hasDeclared ? round2(declaredAmount) : totalCollected,
+      notes,
+      submittedBy: user._id,
+      submittedAt: new Date(),
+    });
+
+    try {
+      await handover.save();
+    } catch (error) {
+      // Give the collections back so they can be handed over again
+      await Order.updateMany(
+        { "settlements.handover": handoverId },
+        { $unset: { "settlements.$[s].handover": "" } },
+        { arrayFilters: [{ "s.handover": handoverId }] }
+      );
+      throw error;
+    }
+
+    const declaredShort = round2(totalCollected - handover.declaredAmount);
+    await AuditLog.create({
+      user: user._id,
+      action: "CREATE",
+      module: "billing",
+      resourceType: "CashHandover",
+      resourceId: handover._id.toString(),
+      newValues: handover.toObject(),
+      description:
+        `Cash handover ${handover.handoverNumber} submitted for ${driverName(driverUser)} on ${businessDate}: ` +
+        `${collections.length} collection(s) of ${totalCollected}, declared ${handover.declaredAmount}` +
+        (declaredShort > 0 ? ` (${declaredShort} short)` : ""),
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    await handover.populate([
+      { path: "driver", select: DRIVER_FIELDS },
+      { path: "godown", select: "name code" },
+    ]);
+    return handover;
+  }
+
+  /**
+   * Cashier confirms the cash counted against a handover. Anything less than was
+   * collected is recorded as a shortfall against the driver.
+   */
+  async confirmHandover(handoverId, { receivedAmount, notes } = {}, user) {
+    const handover = await CashHandover.findById(handoverId).populate("driver", "firstName lastName");
+    if (!handover) {
+      throw new Error("Cash handover not found");
+    }
+    if (handover.status !== "submitted") {
+      throw new Error(`Cash handover is already ${handover.status}`);
+    }
+    if (handover.driver?._id?.toString() === user._id.toString()) {
+      throw new Error("Drivers cannot confirm their own handover");
+    }
+    if (receivedAmount === undefined || receivedAmount === null || receivedAmount === "") {
+      throw new Error("Received amount is required");
+    }
+    if (!(Number(receivedAmount) >= 0)) {
+      throw new Error("Invalid received amount");
+    }
+    const received = round2(receivedAmount);
+
+    const variance = round2(received - handover.totalCollected);
+    const shortfallAmount = variance < 0 ? -variance : 0;
+    const confirmedAt = new Date();
+
+    const result = await CashHandover.updateOne(
+      { _id: handover._id, status: "submitted" },
+      {
+        $set: {
+          status: "confirmed",
+          receivedAmount: received,
+          variance,
+          shortfallAmount,
+          hasShortfall: shortfallAmount > 0,
+          confirmedBy: user._id,
+          confirmedAt,
+          cashierNotes: notes,
+        },
+      }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error("Cash handover is no longer awaiting confirmation");
+    }
+
+    const description =
+      `Cash handover ${handover.handoverNumber} from ${driverName(handover.driver)} confirmed: ` +
+      `received ${received} against ${handover.totalCollected} collected` +
+      (shortfallAmount > 0 ? `, shortfall ${shortfallAmount}` : variance > 0 ? `, excess ${variance}` : "");
+
+    await AuditLog.create({
+      user: user._id,
+      action: "APPROVE",
+      module: "billing",
+      resourceType: "CashHandover",
+      resourceId: handover._id.toString(),
+      oldValues: { status: "submitted", declaredAmount: handover.declaredAmount },
+      newValues: { status: "confirmed", receivedAmount: received, variance, shortfallAmount },
+      description,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+    if (shortfallAmount > 0) {
+      console.warn(`[cash handover] ${description}`);
+    }
+
+    return CashHandover.findById(handover._id)
+      .populate("driver", DRIVER_FIELDS)
+      .populate("godown", "name code")
+      .populate("confirmedBy", "firstName lastName")
+      .lean();
+  }
+
+  // Get handovers with filtering and pagination
+  async getHandovers(query = {}, user) {
+    const { page = 1, limit = 10, status, driverId, godown, hasShortfall, dateFrom, dateTo, search } = query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (user?.role?.name === "Driver") {
+      filter.driver = user._id;
+    } else if (driverId) {
+      filter.driver = driverId;
+    }
+    if (godown) filter.godown = godown;
+    if (hasShortfall !== undefined) filter.hasShortfall = hasShortfall === true || hasShortfall === "true";
+    if (dateFrom || dateTo) {
+      filter.businessDate = {};
+      if (dateFrom) filter.businessDate.$gte = dateFrom;
+      if (dateTo) filter.businessDate.$lte = dateTo;
+    }
+    if (search) {
+      filter.$or = [
+        { handoverNumber: { $regex: search, $options: "i" } },
+        { "collections.orderNumber": { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [handovers, total] = await Promise.all([
+      CashHandover.find(filter)
+        .select("-collections")
+        .populate("driver", DRIVER_FIELDS)
+        .populate("godown", "name code")
+        .populate("confirmedBy", "firstName lastName")
+        .sort({ businessDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      CashHandover.countDocuments(filter),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        handovers,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+
+  // Get handover by ID
+  async getHandoverById(handoverId, user) {
+    const handover = await CashHandover.findById(handoverId)
+      .populate("driver", DRIVER_FIELDS)
+      .populate("godown", "name code")
+      .populate("collections.customer", "businessName customerId")
+      .populate("submittedBy", "firstName lastName")
+      .populate("confirmedBy", "firstName lastName")
+      .lean();
+    if (!handover || (user?.role?.name === "Driver" && handover.driver?._id?.toString() !== user._id.toString())) {
+      throw new Error("Cash handover not found");
+    }
+
+    return { success: true, data: { handover } };
+  }
+
+  /**
+   * Per driver, per day: cash collected at delivery against cash handed over and
+   * confirmed by the cashier, with shortfalls. Defaults to the last 7 days.
+   */
+  async getCollectionReport(query = {}) {
+    const dateTo = query.dateTo || businessDateOf();
+    const dateFrom =
+      query.dateFrom || businessDateOf(dayWindow(dateTo).start.getTime() - 6 * DAY_MS);
+    const { start } = dayWindow(dateFrom);
+    const { end } = dayWindow(dateTo);
+
+    const orderMatch = {};
+    const handoverMatch = { businessDate: { $gte: dateFrom, $lte: dateTo } };
+    if (query.driverId) {
+      orderMatch["driverAssignment.driver"] = toObjectId(query.driverId);
+      handoverMatch.driver = toObjectId(query.driverId);
+    }
+    if (query.godown) {
+      orderMatch.godown = toObjectId(query.godown);
+      handoverMatch.godown = toObjectId(query.godown);
+    }
+
+    const [collected, handedOver] = await Promise.all([
+      Order.aggregate([
+        ...this.collectionStages(orderMatch, { "settlements.recordedAt": { $gte: start, $lte: end } }),
+        {
+          $group: {
+            _id: { driver: "$driver", date: "$businessDate" },
+            collected: { $sum: "$amount" },
+            orders: { $sum: 1 },
+            notHandedOver: { $sum: { $cond: [{ $ifNull: ["$handover", false] }, 0, "$amount"] } },
+          },
+        },
+      ]),
+      CashHandover.aggregate([
+        { $match: handoverMatch },
+        {
+          $group: {
+            _id: { driver: "$driver", date: "$businessDate" },
+            deposited: { $sum: { $cond: [{ $eq: ["$status", "confirmed"] }, "$receivedAmount", 0] } },
+            awaitingConfirmation: { $sum: { $cond: [{ $eq: ["$status", "submitted"] }, "$declaredAmount", 0] } },
+            shortfall: { $sum: "$shortfallAmount" },
+            handovers: { $push: { id: "$_id", handoverNumber: "$handoverNumber", status: "$status" } },
+          },
+        },
+      ]),
+    ]);
+
+    const rows = new Map();
+    const rowFor = ({ driver, date }) => {
+      const key = `${driver}|${date}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          driverId: driver,
+          date,
+          collected: 0,
+          orders: 0,
+          deposited: 0,
+          awaitingConfirmation: 0,
+          notHandedOver: 0,
+          shortfall: 0,
+          handovers: [],
+        });
+      }
+      return rows.get(key);
+    };
+
+    for (const entry of collected) {
+      const row = rowFor(entry._id);
+      row.collected = round2(entry.collected);
+      row.orders = entry.orders;
+      row.notHandedOver = round2(entry.notHandedOver);
+    }
+    for (const entry of handedOver) {
+      const row = rowFor(entry._id);
+      row.deposited = round2(entry.deposited);
+      row.awaitingConfirmation = round2(entry.awaitingConfirmation);
+      row.shortfall = round2(entry.shortfall);
+      row.handovers = entry.handovers;
+    }
+
+    const drivers = await User.find({ _id: { $in: [...rows.values()].map((row) => row.driverId) } })
+      .select(DRIVER_FIELDS)
+      .lean();
+    const driverMap = new Map(drivers.map((driver) => [driver._id.toString(), driver]));
+
+    const days = [...rows.values()]
+      .map((row) => ({
+        ...row,
+        driverName: driverName(driverMap.get(row.driverId.toString())),
+        difference: round2(row.collected - row.deposited),
+        hasShortfall: row.shortfall > 0,
+      }))
+      .sort((a, b) => b.date.localeCompare(a.date) || a.driverName.localeCompare(b.driverName));
+
+    const byDriver = new Map();
+    for (const row of days) {
+      const key = row.driverId.toString();
+      if (!byDriver.has(key)) {
+        byDriver.set(key, {
+          driverId: row.driverId,
+          driverName: row.driverName,
+          collected: 0,
+          deposited: 0,
+          awaitingConfirmation: 0,
+          notHandedOver: 0,
+          shortfall: 0,
+          orders: 0,
+        });
+      }
+      const total = byDriver.get(key);
+      for (const field of ["collected", "deposited", "awaitingConfirmation", "notHandedOver", "shortfall"]) {
+        total[field] = round2(total[field] + row[field]);
+      }
+      total.orders += row.orders;
+    }
+
+    const sum = (field) => round2(days.reduce((acc, row) => acc + row[field], 0));
+
+    return {
+      success: true,
+      data: {
+        dateFrom,
+        dateTo,
+        days,
+        drivers: [...byDriver.values()].sort((a, b) => b.shortfall - a.shortfall || b.collected - a.collected),
+        summary: {
+          totalCollected: sum("collected"),
+          totalDeposited: sum("deposited"),
+          totalAwaitingConfirmation: sum("awaitingConfirmation"),
+          totalNotHandedOver: sum("notHandedOver"),
+          totalShortfall: sum("shortfall"),
+          daysWithShortfall: days.filter((row) => row.hasShortfall).length,
+        },
+      },
+    };
+  }
+
+  // Orders behind a driver's collections on one day, with the handover each went into
+  async getCollectionReportOrders({ driverId, date } = {}) {
+    if (!driverId) {
+      throw new Error("Driver is required");
+    }
+    if (!date) {
+      throw new Error("Date is required");
+    }
+    const { start, end } = dayWindow(date);
+
+    const orders = await Order.aggregate([
+      ...this.collectionStages(
+        { "driverAssignment.driver": toObjectId(driverId) },
+        { "settlements.recordedAt": { $gte: start, $lte: end } }
+      ),
+      { $lookup: { from: "customers", localField: "customer", foreignField: "_id", as: "customer" } },
+      { $unwind: { path: "$customer", preserveNullAndEmptyArrays: true } },
+      { $lookup: { from: "cashhandovers", localField: "handover", foreignField: "_id", as: "handover" } },
+      { $unwind: { path: "$handover", preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          order: 1,
+          orderNumber: 1,
+          paymentTerms: 1,
+          amount: 1,
+          collectedAt: 1,
+          customer: { _id: "$customer._id", businessName: "$customer.businessName", customerId: "$customer.customerId" },
+          handover: {
+            $cond: [
+              { $ifNull: ["$handover._id", false] },
+              {
+                _id: "$handover._id",
+                handoverNumber: "$handover.handoverNumber",
+                status: "$handover.status",
+                hasShortfall: "$handover.hasShortfall",
+              },
+              null,
+            ],
+          },
+        },
+      },
+      { $sort: { collectedAt: 1 } },
+    ]);
+
+    return {
+      success: true,
+      data: {
+        driverId,
+        date,
+        orders,
+        summary: {
+          totalOrders: orders.length,
+          totalCollected: round2(orders.reduce((sum, row) => sum + row.amount, 0)),
+          notHandedOver: round2(orders.filter((row) => !row.handover).reduce((sum, row) => sum + row.amount, 0)),
+        },
+      },
+    };
+  }
+}
+
+module.exports = new CashHandoverService();
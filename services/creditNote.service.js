@@ -0,0 +1,422 @@
+const { CreditNote, Order, AuditLog } = require("../models");
+const inventoryService = require("./inventory.service");
+const transactionService = require("./transaction.service");
+const { DELIVERED_ORDER_MATCH, orderDue } = require("../utils/receivables");
+const { getFinancialYear } = require("../utils/gst");
+const { toKg } = require("../utils/units");
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const CONDITIONS = ["saleable", "damaged"];
+
+class CreditNoteService {
+  /**
+   * Raise a return against a delivered order. The credit note waits for approval
+   * before it touches stock or the customer's balance.
+   * @param {Object} data - { orderId, items: [{ orderItem, quantity, condition, reason }], reason }
+   * @param {string} userId - User raising the return
+   * @returns {Promise<Object>} - Created credit note
+   */
+  async createCreditNote({ orderId, items = [], reason } = {}, userId) {
+    if (!reason || !String(reason).trim()) {
+      throw new Error("Return reason is required");
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error("At least one return item is required");
+    }
+
+    const order = await Order.findOne({ _id: orderId, ...DELIVERED_ORDER_MATCH }).lean();
+    if (!order) {
+      const exists = await Order.exists({ _id: orderId });
+      throw new Error(exists ? "Returns can only be raised against delivered orders" : "Order not found");
+    }
+
+    const alreadyReturned = await this.getReturnedQuantities(order._id);
+    const orderLines = new Map((order.items || []).map((item) => [item._id.toString(), item]));
+
+    const returnItems = items.map((entry) => {
+      const line = orderLines.get(String(entry.orderItem));
+      if (!line) {
+        throw new Error(`Invalid order item: ${entry.orderItem}`);
+      }
+      if (!CONDITIONS.includes(entry.condition)) {
+        throw new Error(`Invalid condition for ${line.productName}. Must be one of: ${CONDITIONS.join(", ")}`);
+      }
+
+      const quantity = Number(entry.quantity);
+      if (!(quantity > 0)) {
+        throw new Error(`Invalid quantity for ${line.productName}`);
+      }
+
+      // Priced at the line's effective rate so a full return credits the full line
+      const amount = line.quantity > 0 ? round2(((line.totalAmount || 0) * quantity) / line.quantity) : 0;
+      return {
+        orderItem: line._id,
+        product: line.product,
+        productName: line.productName,
+        unit: line.unit,
+        packaging: line.packaging,
+        quantity,
+        quantityKg: round2(toKg(quantity, line.unit, line.packaging)),
+        ratePerUnit: line.ratePerUnit,
+        amount,
+        condition: entry.condition,
+        reason: entry.reason,
+      };
+    });
+
+    // Per order line, counting lines listed more than once and earlier returns
+    const requested = new Map();
+    for (const item of returnItems) {
+      const key = item.orderItem.toString();
+      requested.set(key, round2((requested.get(key) || 0) + item.quantity));
+      const line = orderLines.get(key);
+      const returnable = round2((line.quantity || 0) - (alreadyReturned.get(key) || 0));
+      if (requested.get(key) > returnable) {
+        throw new Error(`Return quantity for ${line.productName} exceeds returnable quantity ${returnable} ${line.unit}`);
+      }
+    }
+
+    const totals = this.calculateTotals(order, returnItems);
+
+    const creditNote = await CreditNote.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      customer: order.customer,
+      godown: order.godown,
+      invoice: order.invoice,
+      invoiceNumber: order.invoiceNumber,
+      items: returnItems,
+      ...totals,
+      reason: String(reason).trim(),
+      requestedBy: userId,
+    });
+
+    await AuditLog.create({
+      user: userId,
+      action: "CREATE",
+      module: "orders",
+      resourceType: "CreditNote",
+      resourceId: creditNote._id.toString(),
+      newValues: creditNote.toObject(),
+      description: `Raised return of ${totals.totalAmount} against order ${order.orderNumber}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return creditNote;
+  }
+
+  // Quantity per order line already on pending or approved credit notes
+  async getReturnedQuantities(orderId) {
+    const creditNotes = await CreditNote.find({ order: orderId, status: { $in: ["pending", "approved"] } })
+      .select("items.orderItem items.quantity")
+      .lean();
+
+    const returned = new Map();
+    for (const note of creditNotes) {
+      for (const item of note.items) {
+        const key = item.orderItem.toString();
+        returned.set(key, round2((returned.get(key) || 0) + item.quantity));
+      }
+    }
+    return returned;
+  }
+
+  // Spread the order discount by value and add tax at the order's rate, as on the invoice
+  calculateTotals(order, items) {
+    const orderSubtotal = (order.items || []).reduce((sum, item) => sum + (item.totalAmount || 0), 0);
+    const orderDiscount =
+      order.discountPercentage > 0 ? (orderSubtotal * order.discountPercentage) / 100 : order.discount || 0;
+    const gstRate = order.isTaxable ? order.taxPercentage || 5 : 0;
+
+    const subtotal = round2(items.reduce((sum, item) => sum + item.amount, 0));
+    const discount = orderSubtotal > 0 ? round2((orderDiscount * subtotal) / orderSubtotal) : 0;
+    const taxAmount = round2(((subtotal - discount) * gstRate) / 100);
+
+    return { subtotal, discount, taxAmount, totalAmount: round2(subtotal - discount + taxAmount) };
+  }
+
+  // Get credit notes with filtering and pagination
+  async getCreditNotes(query = {}) {
+    const { page = 1, limit = 10, status, customer, order, godown, dateFrom, dateTo, search } = query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (customer) filter.customer = customer;
+    if (order) filter.order = order;
+    if (godown) filter.godown = godown;
+    if (dateFrom || dateTo) {
+      filter.createdAt = {};
+      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) filter.createdAt.$lte = new Date(dateTo);
+    }
+    if (search) {
+      filter.$or = [
+        { creditNoteNumber: { $regex: search, $options: "i" } },
+        { orderNumber: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [creditNotes, total] = await Promise.all([
+      CreditNote.find(filter)
+        .populate("customer", "businessName customerId")
+        .populate("godown", "name code")
+        .populate("requestedBy", "firstName lastName")
+        .populate("approvedBy", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      CreditNote.countDocuments(filter),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        creditNotes,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+
+  // Get credit note by ID
+  async getCreditNoteById(creditNoteId) {
+    const creditNote = await CreditNote.findById(creditNoteId)
+      .populate("customer", "businessName customerId phone")
+      .populate("godown", "name code")
+      .populate("order", "orderNumber orderDate totalAmount paidAmount returnedAmount paymentStatus")
+      .populate("requestedBy", "firstName lastName")
+      .populate("approvedBy", "firstName lastName")
+      .populate("rejectedBy", "firstName lastName")
+      .lean();
+    if (!creditNote) {
+      throw new Error("Credit note not found");
+    }
+
+    return { success: true, data: { creditNote } };
+  }
+
+  /**
+   * Approve a return: number the credit note, take the goods back into the order's godown
+   * (damaged goods are written off again straight away) and credit the order. Whatever the
+   * order no longer owes is credited to the customer's on-account credit.
+   */
+  async approveCreditNote(creditNoteId, userId) {
+    const creditNote = await CreditNote.findById(creditNoteId);
+    if (!creditNote) {
+      throw new Error("Credit note not found");
+    }
+    if (creditNote.status !== "pending") {
+      throw new Error(`Credit note is already ${creditNote.status}`);
+    }
+
+    const order = await Order.findById(creditNote.order)
+      .select("orderNumber godown totalAmount paidAmount returnedAmount paymentStatus")
+      .lean();
+    if (!order) {
+      throw new Error("Order not found");
+    }
+
+    // The part of the credit the order still owes reduces its due; the rest was already
+    // paid for and goes back to the customer as on-account credit, taken from the payments
+    // allocated to the order. Payments recorded before allocations existed can't be credited back.
+    const adjustedAmount = round2(Math.min(creditNote.totalAmount, orderDue(order)));
+    const excess = round2(creditNote.totalAmount - adjustedAmount);
+    const unallocatedExcess = async () =>
+      excess > 0 ? round2(excess - (await transactionService.getOrderAllocatedAmount(order._id))) : 0;
+    if ((await unallocatedExcess()) > 0) {
+      throw new Error(
+        `Only part of the ${excess} already paid on order ${order.orderNumber} is recorded against its payments, so it can't be credited back. Reverse and re-record the order's payments, then approve again`
+      );
+    }
+
+    // Next number in the year's series; retry if another approval took it. Numbering also
+    // claims the note, so a second approval can't post it twice; undoApproval reverts the claim
+    const approvedAt = new Date();
+    const financialYear = getFinancialYear(approvedAt);
+    let numbered = false;
+    for (let attempt = 0; attempt < 5 && !numbered; attempt++) {
+      const last = await CreditNote.findOne({ financialYear: financialYear.label, sequence: { $exists: true } })
+        .sort({ sequence: -1 })
+        .select("sequence")
+        .lean();
+      const sequence = (last?.sequence || 0) + 1;
+
+      try {
+        const result = await CreditNote.updateOne(
+          { _id: creditNote._id, status: "pending" },
+          {
+            $set: {
+              status: "approved",
+              financialYear: financialYear.label,
+              sequence,
+              creditNoteNumber: `CN/${financialYear.short}/${String(sequence).padStart(4, "0")}`,
+              approvedBy: userId,
+              approvedAt,
+            },
+          }
+        );
+        if (result.modifiedCount === 0) {
+          throw new Error("Credit note is no longer pending");
+        }
+        numbered = true;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    if (!numbered) {
+      throw new Error("Could not allocate a credit note number, please retry");
+    }
+
+    let releasedToCredit = 0;
+    try {
+      // Checked again now the note is claimed, in case a payment was reversed meanwhile
+      if ((await unallocatedExcess()) > 0) {
+        throw new Error(`Payments of order ${order.orderNumber} changed during approval, please retry`);
+      }
+      await this.postReturnStock(creditNote, order, userId);
+      releasedToCredit = excess > 0 ? await transactionService.releaseOrderAllocationAmount(order._id, excess) : 0;
+      if (releasedToCredit < excess) {
+        throw new Error(`Payments of order ${order.orderNumber} changed during approval, please retry`);
+      }
+    } catch (error) {
+      await this.undoApproval(creditNote, userId);
+      // What was released is the customer's credit now; a retry sees the order owing that much more
+      if (releasedToCredit > 0) await transactionService.refreshCustomerCredit(creditNote.customer);
+      throw error;
+    }
+    if (releasedToCredit > 0) {
+      await transactionService.refreshCustomerCredit(creditNote.customer);
+    }
+
+    // Incremented rather than set, so approvals running side by side don't overwrite each other
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id },
+      { $inc: { returnedAmount: creditNote.totalAmount } },
+      { new: true }
+    )
+      .select("totalAmount paidAmount returnedAmount paymentStatus")
+      .lean();
+    const returnedAmount = round2(updatedOrder.returnedAmount);
+    const paymentStatus =
+      round2(orderDue(updatedOrder)) <= 0 ? "paid" : updatedOrder.paymentStatus === "overdue" ? "overdue" : "partial";
+    await Order.updateOne({ _id: order._id }, { $set: { paymentStatus } });
+
+    await CreditNote.updateOne(
+      { _id: creditNote._id },
+      { $set: { settlement: { adjustedAmount, releasedToCredit } } }
+    );
+
+    const approved = await CreditNote.findById(creditNote._id).lean();
+
+    await AuditLog.create({
+      user: userId,
+      action: "APPROVE",
+      module: "orders",
+      resourceType: "CreditNote",
+      resourceId: creditNote._id.toString(),
+      oldValues: { status: "pending", returnedAmount: order.returnedAmount || 0, paymentStatus: order.paymentStatus },
+      newValues: { status: "approved", creditNoteNumber: approved.creditNoteNumber, returnedAmount, paymentStatus },
+      description: `Approved credit note ${approved.creditNoteNumber} of ${creditNote.totalAmount} against order ${order.orderNumber}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return approved;
+  }
+
+  // Put a credit note whose stock or balance posting failed back to pending, taking back any stock
+  // already posted and freeing its number for the next approval
+  async undoApproval(creditNote, userId) {
+    await inventoryService.reverseSourceMovements("CreditNote", creditNote._id, userId, "Approval failed");
+    await CreditNote.updateOne(
+      { _id: creditNote._id, status: "approved" },
+      {
+        $set: { status: "pending" },
+        $unset: { financialYear: 1, sequence: 1, creditNoteNumber: 1, approvedBy: 1, approvedAt: 1 },
+      }
+    );
+  }
+
+  // Take returned goods back into stock at the order's godown, writing damaged goods off again
+  async postReturnStock(creditNote, order, userId) {
+    if (!order.godown) {
+      console.warn(`Order ${order.orderNumber} has no godown, returned stock not posted`);
+      return [];
+    }
+
+    const movements = [];
+    for (const item of creditNote.items) {
+      const base = {
+        dateOfStock: new Date(),
+        quantity: item.quantityKg,
+        unit: "Kg",
+        godown: order.godown,
+        product: item.product,
+        productName: item.productName,
+        pricePerKg: item.quantityKg > 0 ? round2(item.amount / item.quantityKg) : undefined,
+        additionalNotes: `Return against order ${order.orderNumber}`,
+      };
+      movements.push({ ...base, inventoryType: "Sales Return" });
+      if (item.condition === "damaged") {
+        movements.push({
+          ...base,
+          inventoryType: "Damaged / Return",
+          additionalNotes: `Damaged return against order ${order.orderNumber}${item.reason ? `: ${item.reason}` : ""}`,
+        });
+      }
+    }
+
+    return inventoryService.postSourceMovements("CreditNote", creditNote._id, movements, userId);
+  }
+
+  // Reject a pending return; nothing was posted, so nothing needs undoing
+  async rejectCreditNote(creditNoteId, rejectionReason, userId) {
+    if (!rejectionReason || !String(rejectionReason).trim()) {
+      throw new Error("Rejection reason is required");
+    }
+
+    const creditNote = await CreditNote.findOneAndUpdate(
+      { _id: creditNoteId, status: "pending" },
+      {
+        $set: {
+          status: "rejected",
+          rejectedBy: userId,
+          rejectedAt: new Date(),
+          rejectionReason: String(rejectionReason).trim(),
+        },
+      },
+      { new: true }
+    ).lean();
+
+    if (!creditNote) {
+      const existing = await CreditNote.findById(creditNoteId).select("status").lean();
+      throw new Error(existing ? `Credit note is already ${existing.status}` : "Credit note not found");
+    }
+
+    await AuditLog.create({
+      user: userId,
+      action: "REJECT",
+      module: "orders",
+      resourceType: "CreditNote",
+      resourceId: creditNote._id.toString(),
+      newValues: { status: "rejected", rejectionReason: creditNote.rejectionReason },
+      description: `Rejected return against order ${creditNote.orderNumber}: ${creditNote.rejectionReason}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return creditNote;
+  }
+}
+
+module.exports = new CreditNoteService();
@@ -3,6 +3,10 @@ const { AuditLog } = require("../models");
 const { Order } = require("../models");
 const { Transaction } = require("../models");
 const orderSchema = require("../models/order.schema");
+const { orderDue } = require("../utils/receivables");
+const transactionService = require("./transaction.service");
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
 
 class CustomerService {
   // Get all customers with pagination and filtering
@@ -261,6 +265,7 @@ class CustomerService {
     const customersWithBalance = customers.map((customer) => ({
       ...customer,
       netBalance: balances[customer._id.toString()] || 0,
+      netPayable: roundAmount((balances[customer._id.toString()] || 0) - (customer.onAccountCredit || 0)),
     }));
 
     const totalPages = Math.ceil(totalCustomers / parseInt(limit));
@@ -300,7 +305,7 @@ class CustomerService {
 
       // Get other orders for this customer
       const otherCustomerOrders = await Order.find(filter)
-        .select("totalAmount paidAmount")
+        .select("totalAmount paidAmount returnedAmount")
         .lean();
 
          // Safe number conversion helper
@@ -312,14 +317,12 @@ class CustomerService {
 
       // Calculate total previous balance
       const previousBalance = otherCustomerOrders.reduce((total, ord) => {
-        const totalAmt = safeNumber(ord.totalAmount);
-        const paidAmt = safeNumber(ord.paidAmount);
-        const outstanding = Math.max(0, totalAmt - paidAmt);
-        return total + outstanding;
+        return total + orderDue(ord);
       }, 0);
 
     // Calculate net balance for the customer
     customer.netBalance = previousBalance;
+    customer.netPayable = roundAmount(previousBalance - (customer.onAccountCredit || 0));
     customer.totalOrders = otherCustomerOrders?.length;
     customer.totalOrderValue = totalBalance;
 
@@ -339,9 +342,10 @@ class CustomerService {
       throw new Error("Customer with this phone number already exists");
     }
 
-    // Create customer
+    // Create customer (on-account credit only comes from payments)
+    const { onAccountCredit, ...newCustomerData } = customerData;
     const customer = new Customer({
-      ...customerData,
+      ...newCustomerData,
       createdBy,
     });
 
@@ -388,8 +392,9 @@ class CustomerService {
       }
     }
 
-    // Update customer
-    Object.assign(customer, updateData, { updatedBy });
+    // Update customer (on-account credit is maintained from payments)
+    const { onAccountCredit, ...customerUpdates } = updateData;
+    Object.assign(customer, customerUpdates, { updatedBy });
     await customer.save();
 
     // Log the action
@@ -498,26 +503,46 @@ class CustomerService {
 
       // Get other orders for this customer
       const otherCustomerOrders = await Order.find(filter)
-        .select("totalAmount paidAmount")
+        .select("totalAmount paidAmount returnedAmount")
         .lean();
 
-      // Safe number conversion helper
-      const safeNumber = (val) => (isNaN(Number(val)) ? 0 : Number(val));
-
-      // Calculate total previous balance
+      // Calculate total previous balance, net of payments and approved returns
       const previousBalance = otherCustomerOrders.reduce((total, ord) => {
-        const totalAmt = safeNumber(ord.totalAmount);
-        const paidAmt = safeNumber(ord.paidAmount);
-        const outstanding = Math.max(0, totalAmt - paidAmt);
-        return total + outstanding;
+        return total + orderDue(ord);
       }, 0);
-      return previousBalance;
+
+      // Plus charges for bounced cheques not yet recovered
+      const bounceCharges = await transactionService.getOutstandingBounceCharges(customerId);
+      return previousBalance + bounceCharges;
     } catch (error) {
       console.error("Error calculating customer balance:", error);
       return 0;
     }
   }
 
+  // Outstanding on orders, on-account credit and what is payable after the credit
+  async getCustomerBalance(customerId) {
+    const customer = await Customer.findById(customerId)
+      .select("customerId businessName creditLimit creditDays onAccountCredit autoApplyCredit")
+      .lean();
+    if (!customer) {
+      throw new Error("Customer not found");
+    }
+
+    const outstandingAmount = roundAmount(await this.calculateCustomerBalance(customerId));
+    const onAccountCredit = roundAmount(customer.onAccountCredit || 0);
+
+    return {
+      success: true,
+      data: {
+        customer,
+        outstandingAmount,
+        onAccountCredit,
+        netPayable: roundAmount(outstandingAmount - onAccountCredit),
+      },
+    };
+  }
+
   // Calculate balances for multiple customers efficiently
   async calculateMultipleCustomerBalances(customerIds) {
     try {
@@ -532,13 +557,13 @@ class CustomerService {
           type: "order", // Only consider actual orders
           paymentStatus: { $in: ["pending", "partial", "overdue"] },
         })
-        .select("customer totalAmount paidAmount")
+        .select("customer totalAmount paidAmount returnedAmount")
         .lean();
 
       // Group and sum outstanding amounts per customer
       const balances = outstandingOrders.reduce((acc, order) => {
         const customerId = order.customer.toString();
-        const outstanding = (order.totalAmount || 0) - (order.paidAmount || 0);
+        const outstanding = orderDue(order);
         acc[customerId] = (acc[customerId] || 0) + outstanding;
         return acc;
       }, {});
@@ -0,0 +1,420 @@
+const mongoose = require("mongoose");
+const { DayClose, Order, Inventory, CashHandover, Godown, AuditLog } = require("../models");
+const Transaction = require("../models/transaction.schema");
+const { toKgExpression } = require("../utils/units");
+const { STOCK_DIRECTION, ON_HAND_FILTER } = require("../utils/stock");
+const { businessDateOf, dayWindow } = require("../utils/businessDay");
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+class DayCloseService {
+  /**
+   * Throw when a write would change the figures of a closed day. Called by the order,
+   * transaction, production and inventory services before they create, edit or delete a record.
+   * @param {Array|string} godowns - Godown(s) the record belongs to; empty values are skipped
+   * @param {Date|string} date - Date of the record
+   */
+  async assertDayOpen(godowns, date) {
+    const ids = [].concat(godowns || []).filter(Boolean).map((godown) => godown._id || godown);
+    if (ids.length === 0 || !date || isNaN(new Date(date).getTime())) return;
+
+    const businessDate = businessDateOf(date);
+    const closed = await DayClose.findOne({ godown: { $in: ids }, businessDate, status: "closed" })
+      .populate("godown", "name")
+      .select("godown businessDate")
+      .lean();
+    if (closed) {
+      throw new Error(
+        `Day ${businessDate} is closed for ${closed.godown?.name || "this godown"}. An admin must reopen it before it can be changed`
+      );
+    }
+  }
+
+  // Godown a payment belongs to: that of the orders it was for, else the customer's godown
+  paymentGodownStages() {
+    return [
+      { $lookup: { from: "orders", localField: "transactionFor", foreignField: "_id", as: "forOrders" } },
+      { $lookup: { from: "customers", localField: "customer", foreignField: "_id", as: "forCustomer" } },
+      {
+        $addFields: {
+          godown: {
+            $ifNull: [
+              { $arrayElemAt: ["$forOrders.godown", 0] },
+              { $arrayElemAt: ["$forCustomer.assignedGodownId", 0] },
+            ],
+          },
+        },
+      },
+    ];
+  }
+
+  // Totals of one godown's business day, as they stand now
+  async buildDayBook(godownId, businessDate) {
+    const godown = toObjectId(godownId);
+    const { start, end } = dayWindow(businessDate);
+    const inDay = { $gte: start, $lte: end };
+
+    const [orders, deliveries, payments, handovers, stock] = await Promise.all([
+      Order.aggregate([
+        { $match: { type: "order", godown, orderDate: inDay } },
+        { $group: { _id: "$status", count: { $sum: 1 }, amount: { $sum: "$totalAmount" } } },
+        { $sort: { _id: 1 } },
+      ]),
+      Order.aggregate([
+        { $match: { type: "order", godown, deliveryDate: inDay } },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            totalAmount: { $sum: "$totalAmount" },
+            collected: {
+              $sum: {
+                $sum: {
+                  $map: {
+                    input: {
+                      $filter: {
+                        input: { $ifNull: ["$settlements", []] },
+                        cond: { $and: [{ $gte: ["$$this.recordedAt", start] }, { $lte: ["$$this.recordedAt", end] }] },
+                      },
+                    },
+                    in: "$$this.amountCollected",
+                  },
+                },
+              },
+            },
+          },
+        },
+      ]),
+      Transaction.aggregate([
+        { $match: { $or: [{ transactionDate: inDay }, { "cheque.bouncedAt": inDay }] } },
+        ...this.paymentGodownStages(),
+        { $match: { godown } },
+        {
+          $facet: {
+            receipts: [
+              { $match: { transactionDate: inDay, reversalOf: { $exists: false } } },
+              { $group: { _id: "$transactionMode", count: { $sum: 1 }, amount: { $sum: "$amountPaid" } } },
+              { $sort: { _id: 1 } },
+            ],
+            reversals: [
+              { $match: { transactionDate: inDay, reversalOf: { $exists: true } } },
+              { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: "$amountPaid" } } },
+            ],
+            bounced: [
+              { $match: { "cheque.bouncedAt": inDay } },
+              { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: "$amountPaid" } } },
+            ],
+          },
+        },
+      ]),
+      CashHandover.aggregate([
+        { $match: { godown, businessDate } },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            collected: { $sum: "$totalCollected" },
+            received: { $sum: { $ifNull: ["$receivedAmount", 0] } },
+            shortfall: { $sum: "$shortfallAmount" },
+            pending: { $sum: { $cond: [{ $eq: ["$status", "submitted"] }, "$declaredAmount", 0] } },
+          },
+        },
+      ]),
+      Inventory.aggregate([
+        { $match: { godown, dateOfStock: inDay, ...ON_HAND_FILTER } },
+        {
+          $group: {
+            _id: { inventoryType: "$inventoryType", product: "$product", productName: "$productName" },
+            entries: { $sum: 1 },
+            quantityKg: { $sum: toKgExpression() },
+          },
+        },
+      ]),
+    ]);
+
+    const { receipts = [], reversals = [], bounced = [] } = payments[0] || {};
+    const receiptTotal = round2(receipts.reduce((sum, row) => sum + row.amount, 0));
+    const reversed = { count: reversals[0]?.count || 0, amount: round2(reversals[0]?.amount) };
+    const bouncedCheques = { count: bounced[0]?.count || 0, amount: round2(bounced[0]?.amount) };
+
+    const byType = new Map();
+    const byProduct = new Map();
+    for (const row of stock) {
+      const { inventoryType, product, productName } = row._id;
+      const direction = STOCK_DIRECTION[inventoryType] || 0;
+
+      const type = byType.get(inventoryType) || { inventoryType, entries: 0, quantityKg: 0 };
+      type.entries += row.entries;
+      type.quantityKg = round2(type.quantityKg + row.quantityKg);
+      byType.set(inventoryType, type);
+
+      const key = product ? product.toString() : productName || "Unlinked";
+      const line = byProduct.get(key) || { product, productName, inwardKg: 0, outwardKg: 0, netKg: 0 };
+      if (direction > 0) line.inwardKg = round2(line.inwardKg + row.quantityKg);
+      if (direction < 0) line.outwardKg = round2(line.outwardKg + row.quantityKg);
+      line.netKg = round2(line.inwardKg - line.outwardKg);
+      byProduct.set(key, line);
+    }
+    const productLines = [...byProduct.values()].sort((a, b) => String(a.productName).localeCompare(String(b.productName)));
+    const inwardKg = round2(productLines.reduce((sum, line) => sum + line.inwardKg, 0));
+    const outwardKg = round2(productLines.reduce((sum, line) => sum + line.outwardKg, 0));
+
+    return {
+      orders: {
+        count: orders.reduce((sum, row) => sum + row.count, 0),
+        totalAmount: round2(orders.reduce((sum, row) => sum + row.amount, 0)),
+        byStatus: orders.map((row) => ({ status: row._id, count: row.count, amount: round2(row.amount) })),
+      },
+      deliveries: {
+        count: deliveries[0]?.count || 0,
+        totalAmount: round2(deliveries[0]?.totalAmount),
+        collected: round2(deliveries[0]?.collected),
+      },
+      receipts: {
+        byMode: receipts.map((row) => ({ mode: row._id, count: row.count, amount: round2(row.amount) })),
+        total: receiptTotal,
+        count: receipts.reduce((sum, row) => sum + row.count, 0),
+        reversals: reversed,
+        bouncedCheques,
+        net: round2(receiptTotal - reversed.amount - bouncedCheques.amount),
+      },
+      cashHandovers: {
+        count: handovers[0]?.count || 0,
+        collected: round2(handovers[0]?.collected),
+        received: round2(handovers[0]?.received),
+        shortfall: round2(handovers[0]?.shortfall),
+        pending: round2(handovers[0]?.pending),
+      },
+      stock: {
+        byType: [...byType.values()].sort((a, b) => a.inventoryType.localeCompare(b.inventoryType)),
+        byProduct: productLines,
+        inwardKg,
+        outwardKg,
+        netKg: round2(inwardKg - outwardKg),
+      },
+    };
+  }
+
+  // Godown and business day from a request, checked
+  async resolveDay({ godown, date } = {}) {
+    if (!godown) {
+      throw new Error("Godown is required");
+    }
+    const businessDate = date || businessDateOf();
+    dayWindow(businessDate);
+
+    const godownDoc = await Godown.findById(godown).select("name code").lean();
+    if (!godownDoc) {
+      throw new Error("Godown not found");
+    }
+    return { godown: godownDoc, businessDate };
+  }
+
+  /**
+   * Day book of a godown: the live figures, and the signed-off ones if the day was closed
+   * @param {Object} query - { godown, date (YYYY-MM-DD, default today) }
+   */
+  async getDayBook(query = {}) {
+    const { godown, businessDate } = await this.resolveDay(query);
+
+    const [figures, dayClose] = await Promise.all([
+      this.buildDayBook(godown._id, businessDate),
+      DayClose.findOne({ godown: godown._id, businessDate })
+        .select("-reopenings.figures")
+        .populate("closedBy", "firstName lastName")
+        .populate("reopenings.reopenedBy", "firstName lastName")
+        .lean(),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        godown,
+        businessDate,
+        status: dayClose?.status || "open",
+        // Frozen figures stay as signed off; live figures show what changed since a reopening
+        figures: dayClose?.status === "closed" ? dayClose.figures : figures,
+        liveFigures: figures,
+        dayClose,
+      },
+    };
+  }
+
+  /**
+   * Close a godown's day: freeze its figures as the signed-off day book and block
+   * back-dated changes to its orders, payments and stock until an admin reopens it.
+   * @param {Object} data - { godown, date (YYYY-MM-DD, default today), notes }
+   * @param {string} userId - User signing off the day
+   */
+  async closeDay({ godown: godownId, date, notes } = {}, userId) {
+    const { godown, businessDate } = await this.resolveDay({ godown: godownId, date });
+    if (businessDate > businessDateOf()) {
+      throw new Error("Invalid date: a day can't be closed before it has started");
+    }
+
+    const existing = await DayClose.findOne({ godown: godown._id, businessDate }).select("status version").lean();
+    if (existing?.status === "closed") {
+      throw new Error("Day is already closed");
+    }
+
+    const figures = await this.buildDayBook(godown._id, businessDate);
+    const closedAt = new Date();
+
+    let dayClose;
+    if (existing) {
+      const result = await DayClose.updateOne(
+        { _id: existing._id, status: "reopened" },
+        {
+          $set: { status: "closed", figures, notes, closedBy: userId, closedAt },
+          $inc: { version: 1 },
+        },
+        { runValidators: true }
+      );
+      if (result.modifiedCount === 0) {
+        throw new Error("Day is already closed");
+      }
+      dayClose = await DayClose.findById(existing._id).lean();
+    } else {
+      try {
+        dayClose = (
+          await DayClose.create({ godown: godown._id, businessDate, figures, notes, closedBy: userId, closedAt })
+        ).toObject();
+      } catch (error) {
+        if (error.code === 11000) throw new Error("Day is already closed");
+        throw error;
+      }
+    }
+
+    await AuditLog.create({
+      user: userId,
+      action: "APPROVE",
+      module: "reports",
+      resourceType: "DayClose",
+      resourceId: dayClose._id.toString(),
+      newValues: { businessDate, version: dayClose.version, figures },
+      description:
+        `Closed ${businessDate} for ${godown.name}${dayClose.version > 1 ? ` (sign-off ${dayClose.version})` : ""}: ` +
+        `${figures.orders.count} order(s), ${figures.deliveries.count} deliver(ies), receipts ${figures.receipts.total}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return { ...dayClose, godown };
+  }
+
+  // Reopen a closed day so it can be corrected; the signed-off figures are kept in its history
+  async reopenDay(dayCloseId, { reason } = {}, userId) {
+    if (!reason || !String(reason).trim()) {
+      throw new Error("Reopen reason is required");
+    }
+
+    const dayClose = await DayClose.findById(dayCloseId).populate("godown", "name code").lean();
+    if (!dayClose) {
+      throw new Error("Day close not found");
+    }
+    if (dayClose.status !== "closed") {
+      throw new Error("Day is not closed");
+    }
+
+    const reopenedAt = new Date();
+    const result = await DayClose.updateOne(
+      { _id: dayClose._id, status: "closed" },
+      {
+        $set: { status: "reopened" },
+        $push: {
+          reopenings: {
+            reopenedBy: userId,
+            reopenedAt,
+            reason: String(reason).trim(),
+            figures: dayClose.figures,
+            closedBy: dayClose.closedBy,
+            closedAt: dayClose.closedAt,
+          },
+        },
+      }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error("Day is not closed");
+    }
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: "reports",
+      resourceType: "DayClose",
+      resourceId: dayClose._id.toString(),
+      oldValues: { status: "closed", version: dayClose.version },
+      newValues: { status: "reopened" },
+      description: `Reopened ${dayClose.businessDate} for ${dayClose.godown?.name || "godown"}: ${String(reason).trim()}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return DayClose.findById(dayClose._id)
+      .select("-reopenings.figures")
+      .populate("godown", "name code")
+      .populate("reopenings.reopenedBy", "firstName lastName")
+      .lean();
+  }
+
+  // Get closed and reopened days with filtering and pagination
+  async getDayCloses(query = {}) {
+    const { page = 1, limit = 10, godown, status, dateFrom, dateTo } = query;
+
+    const filter = {};
+    if (godown) filter.godown = godown;
+    if (status) filter.status = status;
+    if (dateFrom || dateTo) {
+      filter.businessDate = {};
+      if (dateFrom) filter.businessDate.$gte = dateFrom;
+      if (dateTo) filter.businessDate.$lte = dateTo;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [dayCloses, total] = await Promise.all([
+      DayClose.find(filter)
+        .select("-reopenings.figures -figures.stock.byProduct")
+        .populate("godown", "name code")
+        .populate("closedBy", "firstName lastName")
+        .sort({ businessDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      DayClose.countDocuments(filter),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        dayCloses,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+
+  // Get a day close with its reopening history
+  async getDayCloseById(dayCloseId) {
+    const dayClose = await DayClose.findById(dayCloseId)
+      .populate("godown", "name code")
+      .populate("closedBy", "firstName lastName")
+      .populate("reopenings.reopenedBy", "firstName lastName")
+      .populate("reopenings.closedBy", "firstName lastName")
+      .lean();
+    if (!dayClose) {
+      throw new Error("Day close not found");
+    }
+
+    return { success: true, data: { dayClose } };
+  }
+}
+
+module.exports = new DayCloseService();
@@ -0,0 +1,227 @@
+const fs = require("fs");
+const { Order, Customer, Godown, DeliveryTimePdfChanges, AuditLog } = require("../models");
+const orderService = require("./order.service");
+const companyConfig = require("../config/company.config");
+const { uploadToS3 } = require("../utils/s3Upload");
+const { renderPdf, createRowDrawer, drawWatermark } = require("../utils/pdf");
+
+const WATERMARKS = ["original", "duplicate"];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" });
+
+const formatAmount = (value) =>
+  (Number(value) || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatAddress = (address = {}) =>
+  [address.street, address.city, address.state, address.pincode].filter(Boolean).join(", ");
+
+class DeliveryBillService {
+  /**
+   * Build the printable bill of an order from its delivery-time snapshot
+   * @param {string} orderId - Order ID
+   * @param {Object} options - { watermark: "original" | "duplicate", store: boolean }
+   * @param {string} userId - User generating the bill
+   * @returns {Promise<Object>} - { buffer, fileName, file } where file is set when stored in S3
+   */
+  async generateDeliveryBill(orderId, { watermark, store = false } = {}, userId) {
+    if (watermark && !WATERMARKS.includes(watermark)) {
+      throw new Error(`Invalid watermark. Must be one of: ${WATERMARKS.join(", ")}`);
+    }
+
+    const order = await Order.findById(orderId)
+      .select("orderNumber type orderDate deliveryDate invoiceNumber customer godown driverAssignment paymentTerms deliveryAddress")
+      .lean();
+    if (!order) {
+      throw new Error("Order not found");
+    }
+
+    // The snapshot is taken on first access, same as the JSON endpoint
+    let snapshot = await DeliveryTimePdfChanges.findOne({ orderId }).lean();
+    if (!snapshot) {
+      await orderService.getOrCreateDeliveryTimePdfChanges(orderId);
+      snapshot = await DeliveryTimePdfChanges.findOne({ orderId }).lean();
+    }
+
+    const [customer, godown] = await Promise.all([
+      Customer.findById(snapshot.customerId).select("businessName customerId phone address gstNumber").lean(),
+      order.godown ? Godown.findById(order.godown).select("name code location contact gstin").lean() : null,
+    ]);
+    if (!customer) {
+      throw new Error("Customer not found");
+    }
+
+    const buffer = await this.generateDeliveryBillPdf({ snapshot, order, customer, godown, watermark });
+    const fileName = `bill-${order.orderNumber}${watermark ? `-${watermark}` : ""}.pdf`;
+
+    let file = null;
+    if (store) {
+      const s3Result = await uploadToS3(buffer, fileName, "application/pdf", "orders/delivery-bills");
+      file = {
+        fileUrl: s3Result.fileUrl,
+        fileKey: s3Result.fileKey,
+        watermark: watermark || null,
+        generatedAt: new Date(),
+        generatedBy: userId,
+      };
+
+      await DeliveryTimePdfChanges.updateOne({ _id: snapshot._id }, { $push: { billFiles: file } });
+
+      await AuditLog.create({
+        user: userId,
+        action: "CREATE",
+        module: "orders",
+        resourceType: "Order",
+        resourceId: order._id.toString(),
+        newValues: file,
+        description: `Stored ${watermark ? `${watermark} ` : ""}delivery bill for order ${order.orderNumber}`,
+        ipAddress: "0.0.0.0",
+        userAgent: "System",
+      });
+    }
+
+    return { buffer, fileName, file };
+  }
+
+  /**
+   * Render the delivery bill as PDF
+   * @param {Object} bill - { snapshot, order, customer, godown, watermark }
+   * @returns {Promise<Buffer>} - PDF file
+   */
+  generateDeliveryBillPdf({ snapshot, order, customer, godown, watermark }) {
+    return renderPdf((doc) => {
+      const left = doc.page.margins.left;
+      const right = doc.page.width - doc.page.margins.right;
+
+      if (watermark) {
+        drawWatermark(doc, watermark.toUpperCase());
+      }
+
+      // Letterhead, with the logo when one is configured and readable
+      let textLeft = left;
+      if (companyConfig.logoPath && fs.existsSync(companyConfig.logoPath)) {
+        try {
+          doc.image(companyConfig.logoPath, left, doc.y, { fit: [60, 60] });
+          textLeft = left + 70;
+        } catch (error) {
+          console.error("Failed to draw company logo on delivery bill:", error);
+        }
+      }
+
+      const headerTop = doc.y;
+      doc.font("Helvetica-Bold").fontSize(16).text(companyConfig.name, textLeft, headerTop, { width: right - textLeft });
+      doc.font("Helvetica").fontSize(9);
+      const companyLines = [
+        godown?.location?.address || companyConfig.address,
+        [companyConfig.phone && `Phone: ${companyConfig.phone}`, companyConfig.email && `Email: ${companyConfig.email}`]
+          .filter(Boolean)
+          .join("  |  "),
+        (godown?.gstin || companyConfig.gstin) && `GSTIN: ${godown?.gstin || companyConfig.gstin}`,
+      ].filter(Boolean);
+      companyLines.forEach((line) => doc.text(line, textLeft, doc.y, { width: right - textLeft }));
+      doc.y = Math.max(doc.y, headerTop + 60);
+
+      doc.moveDown(0.5);
+      doc.moveTo(left, doc.y).lineTo(right, doc.y).strokeColor("#000000").lineWidth(1).stroke();
+      doc.moveDown(0.5);
+      doc.font("Helvetica-Bold").fontSize(13).text("DELIVERY BILL", left, doc.y, { width: right - left, align: "center" });
+      doc.moveDown(0.5);
+
+      // Bill to / order details side by side
+      const half = (right - left) / 2;
+      const topY = doc.y;
+      doc.font("Helvetica-Bold").fontSize(9).text("Bill To", left, topY);
+      doc.font("Helvetica").fontSize(9);
+      doc.text(`${customer.businessName}${customer.customerId ? ` (${customer.customerId})` : ""}`, left, doc.y, { width: half - 10 });
+      const customerAddress = formatAddress(order.deliveryAddress) || formatAddress(customer.address);
+      if (customerAddress) doc.text(customerAddress, { width: half - 10 });
+      if (customer.phone) doc.text(`Phone: ${customer.phone}`, { width: half - 10 });
+      if (customer.gstNumber) doc.text(`GSTIN: ${customer.gstNumber}`, { width: half - 10 });
+      const leftBottom = doc.y;
+
+      const details = [
+        ["Order No", order.orderNumber],
+        ["Order Date", order.orderDate ? formatDate(order.orderDate) : ""],
+        ["Delivery Date", order.deliveryDate ? formatDate(order.deliveryDate) : ""],
+        ["Invoice No", order.invoiceNumber],
+        ["Godown", godown?.name],
+        ["Vehicle No", order.driverAssignment?.vehicleNumber],
+        ["Payment Terms", order.paymentTerms],
+      ].filter(([, value]) => value);
+      doc.y = topY;
+      details.forEach(([label, value]) => {
+        doc.font("Helvetica").fontSize(9).text(`${label}: ${value}`, left + half, doc.y, { width: half });
+      });
+      doc.x = left;
+      doc.y = Math.max(leftBottom, doc.y) + 12;
+
+      const fixedWidth = 20 + 60 + 60 + 50 + 70 + 80;
+      const columns = [
+        { label: "#", width: 20, align: "left" },
+        { label: "Item", width: right - left - fixedWidth, align: "left" },
+        { label: "Packaging", width: 60, align: "left" },
+        { label: "Qty", width: 60, align: "right" },
+        { label: "Unit", width: 50, align: "left" },
+        { label: "Rate", width: 70, align: "right" },
+        { label: "Amount", width: 80, align: "right" },
+      ];
+
+      const drawRow = createRowDrawer(doc, columns);
+
+      drawRow(columns.map((c) => c.label), { bold: true });
+      (snapshot.items || []).forEach((item, index) => {
+        drawRow([
+          index + 1,
+          item.grade ? `${item.productName} (${item.grade})` : item.productName,
+          item.packaging || "",
+          item.quantity,
+          item.unit,
+          formatAmount(item.ratePerUnit),
+          formatAmount(item.totalAmount),
+        ]);
+      });
+
+      // totalAmount on the snapshot already includes the customer's previous balance
+      const orderTotal = round2(snapshot.totalAmount - snapshot.previousBalance);
+      const summary = [
+        ["Sub Total", snapshot.subTotal],
+        ["Tax", snapshot.taxAmount],
+        ["Bill Amount", orderTotal],
+        ["Previous Balance", snapshot.previousBalance],
+        ["Total Amount", snapshot.totalAmount],
+        ["Paid Amount", snapshot.paidAmount],
+        ["Net Balance Remaining", snapshot.netBalanceRemaining],
+      ];
+
+      doc.moveDown(0.5);
+      if (doc.y + summary.length * 14 + 80 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+      summary.forEach(([label, value]) => {
+        const bold = label === "Total Amount" || label === "Net Balance Remaining";
+        const y = doc.y;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+        doc.text(label, right - 250, y, { width: 150 });
+        doc.text(formatAmount(value), right - 100, y, { width: 100, align: "right" });
+        doc.y = y + 14;
+      });
+
+      // Signatures
+      doc.y += 40;
+      const signY = doc.y;
+      doc.moveTo(left, signY).lineTo(left + 150, signY).strokeColor("#000000").lineWidth(0.5).stroke();
+      doc.moveTo(right - 150, signY).lineTo(right, signY).stroke();
+      doc.font("Helvetica").fontSize(9);
+      doc.text("Receiver's Signature", left, signY + 4, { width: 150, align: "center" });
+      doc.text(`For ${companyConfig.name}`, right - 150, signY + 4, { width: 150, align: "center" });
+
+      doc.moveDown(2);
+      doc.font("Helvetica").fontSize(8).fillColor("#666666")
+        .text(`Recorded on ${formatDate(snapshot.recordedAt || snapshot.createdAt || new Date())}. This is a computer generated bill.`, left);
+    });
+  }
+}
+
+module.exports = new DeliveryBillService();
@@ -0,0 +1,335 @@
+const { Invoice, Order, Customer, Godown, AuditLog } = require("../models");
+const companyConfig = require("../config/company.config");
+const { DELIVERED_ORDER_MATCH } = require("../utils/receivables");
+const {
+  STATE_CODES,
+  isValidGstin,
+  getUnitQuantityCode,
+  formatGstDate,
+} = require("../utils/gst");
+
+// Version of the e-invoice JSON schema (INV-01) the export follows
+const EINVOICE_SCHEMA_VERSION = "1.1";
+
+const IRN_PATTERN = /^[0-9a-f]{64}$/i;
+const ACK_NUMBER_PATTERN = /^[0-9]{1,20}$/;
+const DOCUMENT_NUMBER_PATTERN = /^[A-Z1-9][A-Z0-9/-]{0,15}$/;
+const HSN_PATTERN = /^[0-9]{4,8}$/;
+const PHONE_PATTERN = /^[0-9]{6,12}$/;
+const GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28];
+const VALID_STATE_CODES = new Set(Object.values(STATE_CODES));
+
+// Rounding differences the portal accepts between line values and totals
+const VALUE_TOLERANCE = 1;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const splitAddress = (address = "") => {
+  const text = String(address).replace(/\s+/g, " ").trim();
+  return { Addr1: text.substring(0, 100), Addr2: text.length > 100 ? text.substring(100, 200) : undefined };
+};
+
+const phoneDigits = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "").slice(-12);
+  return PHONE_PATTERN.test(digits) ? digits : undefined;
+};
+
+const parsePin = (pincode) => (pincode ? Number(String(pincode).replace(/\s/g, "")) : undefined);
+
+class EInvoiceService {
+  /**
+   * Build the e-invoice JSON of the invoices of delivered orders in a date range.
+   * Only B2B invoices (buyer with a GSTIN) need an IRN; others are counted but left out.
+   * @param {Object} query - { dateFrom, dateTo, godown, includeRegistered }
+   * @returns {Promise<Object>} - valid documents plus the validation errors of the rest
+   */
+  async exportEInvoices(query = {}) {
+    const { dateFrom, dateTo, godown, includeRegistered } = query;
+    if (!dateFrom || !dateTo) {
+      throw new Error("dateFrom and dateTo are required");
+    }
+
+    const end = new Date(dateTo);
+    end.setHours(23, 59, 59, 999);
+    const filter = { invoiceDate: { $gte: new Date(dateFrom), $lte: end }, status: { $ne: "cancelled" } };
+    if (godown) filter.godown = godown;
+
+    const invoices = await Invoice.find(filter).sort({ invoiceDate: 1, invoiceNumber: 1 }).lean();
+
+    const [orders, customers, godowns] = await Promise.all([
+      Order.find({ _id: { $in: invoices.map((i) => i.order) }, ...DELIVERED_ORDER_MATCH })
+        .select("orderNumber eInvoice")
+        .lean(),
+      Customer.find({ _id: { $in: invoices.map((i) => i.customer) } }).select("address").lean(),
+      Godown.find({ _id: { $in: invoices.map((i) => i.godown).filter(Boolean) } }).select("location").lean(),
+    ]);
+    const orderById = new Map(orders.map((o) => [o._id.toString(), o]));
+    const customerById = new Map(customers.map((c) => [c._id.toString(), c]));
+    const godownById = new Map(godowns.map((g) => [g._id.toString(), g]));
+
+    const documents = [];
+    const errors = [];
+    const summary = { invoices: 0, valid: 0, invalid: 0, alreadyRegistered: 0, unregisteredBuyers: 0 };
+
+    invoices.forEach((invoice) => {
+      const order = orderById.get(invoice.order.toString());
+      if (!order) return; // not delivered (yet)
+
+      summary.invoices += 1;
+      if (!invoice.buyer?.gstin) {
+        summary.unregisteredBuyers += 1;
+        return;
+      }
+      if (order.eInvoice?.irn && includeRegistered !== "true") {
+        summary.alreadyRegistered += 1;
+        return;
+      }
+
+      const document = this.buildEInvoice(invoice, {
+        customer: customerById.get(invoice.customer.toString()),
+        godown: invoice.godown ? godownById.get(invoice.godown.toString()) : null,
+      });
+      const documentErrors = this.validateEInvoice(document);
+
+      if (documentErrors.length > 0) {
+        summary.invalid += 1;
+        errors.push({
+          invoiceNumber: invoice.invoiceNumber,
+          orderNumber: invoice.orderNumber,
+          order: order._id,
+          errors: documentErrors,
+        });
+      } else {
+        summary.valid += 1;
+        documents.push(document);
+      }
+    });
+
+    return {
+      success: true,
+      data: { summary, documents, errors },
+    };
+  }
+
+  /**
+   * Map an issued invoice to the e-invoice JSON schema
+   * @param {Object} invoice - Invoice document
+   * @param {Object} context - { customer, godown } for the PIN codes and cities the invoice does not hold
+   */
+  buildEInvoice(invoice, { customer, godown } = {}) {
+    const { supplier = {}, buyer = {}, totals = {} } = invoice;
+
+    const items = invoice.items.map((item, index) => ({
+      SlNo: String(index + 1),
+      PrdDesc: item.productName,
+      IsServc: "N",
+      HsnCd: item.hsnCode || "",
+      Qty: item.quantity,
+      Unit: getUnitQuantityCode(item.unit),
+      UnitPrice: round2(item.rate),
+      TotAmt: round2(item.amount),
+      Discount: round2(item.discount),
+      AssAmt: round2(item.taxableValue),
+      GstRt: item.gstRate,
+      IgstAmt: round2(item.igstAmount),
+      CgstAmt: round2(item.cgstAmount),
+      SgstAmt: round2(item.sgstAmount),
+      TotItemVal: round2(item.total),
+    }));
+
+    return {
+      Version: EINVOICE_SCHEMA_VERSION,
+      TranDtls: { TaxSch: "GST", SupTyp: "B2B", RegRev: "N", IgstOnIntra: "N" },
+      DocDtls: { Typ: "INV", No: invoice.invoiceNumber, Dt: formatGstDate(invoice.invoiceDate) },
+      SellerDtls: {
+        Gstin: supplier.gstin,
+        LglNm: supplier.name,
+        ...splitAddress(supplier.address),
+        Loc: godown?.location?.city || companyConfig.city,
+        Pin: parsePin(godown?.location?.pincode || companyConfig.pincode),
+        Stcd: supplier.stateCode,
+        Ph: phoneDigits(supplier.phone),
+        Em: companyConfig.email || undefined,
+      },
+      BuyerDtls: {
+        Gstin: buyer.gstin,
+        LglNm: buyer.name,
+        Pos: invoice.placeOfSupply?.stateCode,
+        ...splitAddress(buyer.address),
+        Loc: customer?.address?.city,
+        Pin: parsePin(customer?.address?.pincode),
+        Stcd: buyer.stateCode,
+        Ph: phoneDigits(buyer.phone),
+      },
+      ItemList: items,
+      ValDtls: {
+        AssVal: round2(totals.taxableValue),
+        CgstVal: round2(totals.cgst),
+        SgstVal: round2(totals.sgst),
+        IgstVal: round2(totals.igst),
+        TotInvVal: round2(totals.invoiceValue),
+      },
+    };
+  }
+
+  /**
+   * Check a document against the rules the portal enforces, so rejections are caught
+   * before upload
+   * @returns {string[]} - Error messages, empty when valid
+   */
+  validateEInvoice(document) {
+    const errors = [];
+    const { DocDtls, SellerDtls, BuyerDtls, ItemList = [], ValDtls } = document;
+
+    const checkText = (value, label, min, max) => {
+      const length = String(value || "").trim().length;
+      if (length < min || length > max) errors.push(`${label} must be ${min}-${max} characters`);
+    };
+
+    if (!DOCUMENT_NUMBER_PATTERN.test(DocDtls.No || "")) {
+      errors.push("Document number must be 1-16 characters of A-Z, 0-9, / and -, not starting with 0, / or -");
+    }
+
+    [
+      ["Seller", SellerDtls],
+      ["Buyer", BuyerDtls],
+    ].forEach(([party, details]) => {
+      if (!isValidGstin(details.Gstin)) {
+        errors.push(`${party} GSTIN is invalid`);
+      } else if (details.Stcd && details.Gstin.substring(0, 2) !== details.Stcd) {
+        errors.push(`${party} state code ${details.Stcd} does not match the GSTIN`);
+      }
+      checkText(details.LglNm, `${party} legal name`, 3, 100);
+      checkText(details.Addr1, `${party} address`, 1, 100);
+      checkText(details.Loc, `${party} location (city)`, 3, 50);
+      if (!details.Pin || details.Pin < 100000 || details.Pin > 999999) {
+        errors.push(`${party} PIN code is missing or invalid`);
+      }
+      if (!VALID_STATE_CODES.has(details.Stcd)) {
+        errors.push(`${party} state code is missing or invalid`);
+      }
+    });
+
+    if (SellerDtls.Gstin && SellerDtls.Gstin === BuyerDtls.Gstin) {
+      errors.push("Seller and buyer GSTIN cannot be the same");
+    }
+    if (!VALID_STATE_CODES.has(BuyerDtls.Pos)) {
+      errors.push("Place of supply is missing or invalid");
+    }
+
+    if (ItemList.length === 0 || ItemList.length > 1000) {
+      errors.push("An e-invoice must have 1-1000 items");
+    }
+
+    const interState = SellerDtls.Stcd !== BuyerDtls.Pos;
+    const sums = { AssVal: 0, CgstVal: 0, SgstVal: 0, IgstVal: 0, TotInvVal: 0 };
+
+    ItemList.forEach((item) => {
+      const label = `Item ${item.SlNo} (${item.PrdDesc})`;
+      if (!HSN_PATTERN.test(item.HsnCd)) {
+        errors.push(`${label}: HSN code is missing or invalid`);
+      }
+      if (!(item.Qty > 0)) {
+        errors.push(`${label}: quantity must be greater than 0`);
+      }
+      if (!GST_RATES.includes(item.GstRt)) {
+        errors.push(`${label}: GST rate ${item.GstRt}% is not a valid rate`);
+      }
+      if (Math.abs(item.TotAmt - item.Discount - item.AssAmt) > VALUE_TOLERANCE) {
+        errors.push(`${label}: assessable value does not equal amount less discount`);
+      }
+      const tax = item.IgstAmt + item.CgstAmt + item.SgstAmt;
+      if (Math.abs(item.AssAmt + tax - item.TotItemVal) > VALUE_TOLERANCE) {
+        errors.push(`${label}: item value does not equal assessable value plus tax`);
+      }
+      if (interState && (item.CgstAmt > 0 || item.SgstAmt > 0)) {
+        errors.push(`${label}: inter-state supply must be taxed as IGST`);
+      }
+      if (!interState && item.IgstAmt > 0) {
+        errors.push(`${label}: intra-state supply must be taxed as CGST and SGST`);
+      }
+
+      sums.AssVal += item.AssAmt;
+      sums.CgstVal += item.CgstAmt;
+      sums.SgstVal += item.SgstAmt;
+      sums.IgstVal += item.IgstAmt;
+      sums.TotInvVal += item.TotItemVal;
+    });
+
+    Object.keys(sums).forEach((key) => {
+      if (Math.abs(round2(sums[key]) - ValDtls[key]) > VALUE_TOLERANCE) {
+        errors.push(`${key} does not match the sum of the items`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Store the IRN and acknowledgement returned by the portal on the order
+   * @param {string} orderId - Order ID
+   * @param {Object} data - { irn, ackNo, ackDate, signedQrCode }
+   * @param {string} userId - User recording the IRN
+   */
+  async recordIrn(orderId, data = {}, userId) {
+    const { irn, ackNo, ackDate, signedQrCode } = data;
+
+    if (!IRN_PATTERN.test(String(irn || "").trim())) {
+      throw new Error("Invalid IRN: expected the 64 character hash returned by the portal");
+    }
+    if (!ACK_NUMBER_PATTERN.test(String(ackNo || "").trim())) {
+      throw new Error("Invalid acknowledgement number");
+    }
+    const acknowledgedAt = ackDate ? new Date(ackDate) : null;
+    if (!acknowledgedAt || isNaN(acknowledgedAt.getTime())) {
+      throw new Error("Invalid acknowledgement date");
+    }
+
+    const order = await Order.findById(orderId).select("orderNumber invoice invoiceNumber eInvoice").lean();
+    if (!order) {
+      throw new Error("Order not found");
+    }
+    if (!order.invoice) {
+      throw new Error("Order has no invoice to register");
+    }
+
+    const duplicate = await Order.findOne({ _id: { $ne: order._id }, "eInvoice.irn": irn.trim().toLowerCase() })
+      .select("orderNumber")
+      .lean();
+    if (duplicate) {
+      throw new Error(`IRN is already recorded on order ${duplicate.orderNumber}`);
+    }
+
+    const eInvoice = {
+      irn: irn.trim().toLowerCase(),
+      ackNo: String(ackNo).trim(),
+      ackDate: acknowledgedAt,
+      signedQrCode: signedQrCode || undefined,
+      recordedBy: userId,
+      recordedAt: new Date(),
+    };
+
+    await Order.updateOne({ _id: order._id }, { $set: { eInvoice } });
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: "billing",
+      resourceType: "Order",
+      resourceId: order._id.toString(),
+      oldValues: { eInvoice: order.eInvoice },
+      newValues: { eInvoice },
+      description: `Recorded IRN for invoice ${order.invoiceNumber} (order ${order.orderNumber})`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return {
+      success: true,
+      message: "IRN recorded successfully",
+      data: { orderId: order._id, orderNumber: order.orderNumber, invoiceNumber: order.invoiceNumber, eInvoice },
+    };
+  }
+}
+
+module.exports = new EInvoiceService();
@@ -0,0 +1,478 @@
+const { Order, Transit, Invoice, Customer, Godown, Product, AuditLog } = require("../models");
+const companyConfig = require("../config/company.config");
+const priceListService = require("./priceList.service");
+const { toKg } = require("../utils/units");
+const {
+  STATE_CODES,
+  isValidGstin,
+  resolveState,
+  getUnitQuantityCode,
+  formatGstDate,
+} = require("../utils/gst");
+
+// Version of the bulk generation JSON accepted by the e-way bill portal
+const EWAY_BILL_JSON_VERSION = "1.0.0621";
+
+// Consignment value above which an e-way bill is mandatory
+const EWAY_BILL_THRESHOLD = Number(process.env.EWAY_BILL_THRESHOLD) || 50000;
+
+// Hours before expiry at which an open transit is flagged
+const EXPIRY_ALERT_HOURS = Number(process.env.EWAY_BILL_EXPIRY_ALERT_HOURS) || 24;
+
+// Transits still on the road
+const OPEN_TRANSIT_STATUSES = ["Pending", "In Transit", "Partially Received"];
+
+// Portal codes
+const SUPPLY_TYPE_OUTWARD = "O";
+const SUB_SUPPLY_TYPES = { supply: 1, ownUse: 5, others: 8 };
+const TRANSACTION_TYPE_REGULAR = 1;
+const TRANS_MODE_ROAD = "1";
+const VEHICLE_TYPE_REGULAR = "R";
+const UNREGISTERED_PERSON = "URP";
+
+const EWB_NUMBER_PATTERN = /^[0-9]{12}$/;
+const DOC_NUMBER_PATTERN = /^[A-Za-z0-9/-]{1,16}$/;
+const VEHICLE_NUMBER_PATTERN = /^[A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}$/;
+const TRANSPORTER_ID_PATTERN = /^[0-9A-Z]{15}$/;
+const HSN_PATTERN = /^[0-9]{4,8}$/;
+const MAX_DISTANCE_KM = 4000;
+const VALID_STATE_CODES = new Set(Object.values(STATE_CODES));
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normalizeVehicleNumber = (vehicleNumber) => String(vehicleNumber || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const splitAddress = (address = "") => {
+  const text = String(address).replace(/\s+/g, " ").trim();
+  return [text.substring(0, 120), text.substring(120, 240)];
+};
+
+const parsePin = (pincode) => (pincode ? Number(String(pincode).replace(/\s/g, "")) : 0);
+
+// Consignor/consignee block of a godown
+const godownParty = (godown, prefix) => {
+  const gstin = godown?.gstin || companyConfig.gstin;
+  const { stateCode } = resolveState(godown?.location?.state || companyConfig.state, gstin);
+  const [addr1, addr2] = splitAddress(godown?.location?.address || companyConfig.address);
+  return {
+    [`${prefix}Gstin`]: gstin,
+    [`${prefix}TrdName`]: godown?.name ? `${companyConfig.name} - ${godown.name}` : companyConfig.name,
+    [`${prefix}Addr1`]: addr1,
+    [`${prefix}Addr2`]: addr2,
+    [`${prefix}Place`]: godown?.location?.city || companyConfig.city,
+    [`${prefix}Pincode`]: parsePin(godown?.location?.pincode || companyConfig.pincode),
+    [`${prefix}StateCode`]: Number(stateCode) || 0,
+    [`actual${prefix === "from" ? "From" : "To"}StateCode`]: Number(stateCode) || 0,
+  };
+};
+
+class EWayBillService {
+  /**
+   * Build the bulk e-way bill JSON of an order from its GST invoice
+   * @param {string} orderId - Order ID
+   * @param {Object} options - { distance, transporterId, transporterName }
+   * @returns {Promise<Object>} - { payload, errors, consignmentValue, required }
+   */
+  async buildForOrder(orderId, options = {}) {
+    const order = await Order.findById(orderId)
+      .select("orderNumber type status godown customer invoice deliveryAddress driverAssignment")
+      .lean();
+    if (!order) {
+      throw new Error("Order not found");
+    }
+    if (!order.invoice) {
+      throw new Error("Order has no invoice; issue the invoice before generating the e-way bill");
+    }
+
+    const [invoice, customer, godown] = await Promise.all([
+      Invoice.findById(order.invoice).lean(),
+      Customer.findById(order.customer).select("address").lean(),
+      order.godown ? Godown.findById(order.godown).select("name location gstin").lean() : null,
+    ]);
+    if (!invoice) {
+      throw new Error("Invoice not found");
+    }
+
+    // Goods go to the delivery address when the order has one
+    const shipTo = order.deliveryAddress?.city ? order.deliveryAddress : customer?.address || {};
+    const [toAddr1, toAddr2] = splitAddress(
+      [shipTo.street, shipTo.city, shipTo.state].filter(Boolean).join(", ") || invoice.buyer?.address
+    );
+    const shipToState = resolveState(shipTo.state, invoice.buyer?.gstin);
+
+    const bill = {
+      userGstin: invoice.supplier?.gstin,
+      supplyType: SUPPLY_TYPE_OUTWARD,
+      subSupplyType: SUB_SUPPLY_TYPES.supply,
+      subSupplyDesc: "",
+      docType: "INV",
+      docNo: invoice.invoiceNumber,
+      docDate: formatGstDate(invoice.invoiceDate),
+      ...godownParty(godown, "from"),
+      fromGstin: invoice.supplier?.gstin,
+      fromStateCode: Number(invoice.supplier?.stateCode) || 0,
+      toGstin: invoice.buyer?.gstin || UNREGISTERED_PERSON,
+      toTrdName: invoice.buyer?.name,
+      toAddr1,
+      toAddr2,
+      toPlace: shipTo.city,
+      toPincode: parsePin(shipTo.pincode),
+      toStateCode: Number(invoice.placeOfSupply?.stateCode || invoice.buyer?.stateCode) || 0,
+      actualToStateCode: Number(shipToState.stateCode || invoice.placeOfSupply?.stateCode) || 0,
+      transactionType: TRANSACTION_TYPE_REGULAR,
+      totalValue: round2(invoice.totals?.taxableValue),
+      cgstValue: round2(invoice.totals?.cgst),
+      sgstValue: round2(invoice.totals?.sgst),
+      igstValue: round2(invoice.totals?.igst),
+      cessValue: 0,
+      cessNonAdvolValue: 0,
+      otherValue: 0,
+      totInvValue: round2(invoice.totals?.invoiceValue),
+      ...this.buildTransport(order.driverAssignment?.vehicleNumber, options),
+      itemList: invoice.items.map((item, index) => ({
+        itemNo: index + 1,
+        productName: item.productName,
+        productDesc: item.productName,
+        hsnCode: Number(item.hsnCode) || 0,
+        quantity: item.quantity,
+        qtyUnit: getUnitQuantityCode(item.unit),
+        taxableAmount: round2(item.taxableValue),
+        cgstRate: item.cgstRate || 0,
+        sgstRate: item.sgstRate || 0,
+        igstRate: item.igstRate || 0,
+        cessRate: 0,
+        cessNonAdvol: 0,
+      })),
+    };
+
+    return this.finalize(bill, { type: "order", id: order._id, reference: order.orderNumber });
+  }
+
+  /**
+   * Build the bulk e-way bill JSON of an inter-godown transit. Stock transfers are valued
+   * at the price list of the sending godown and move on a delivery challan without tax.
+   * @param {string} transitId - Transit ID
+   * @param {Object} options - { distance, transporterId, transporterName }
+   */
+  async buildForTransit(transitId, options = {}) {
+    const transit = await Transit.findById(transitId).lean();
+    if (!transit) {
+      throw new Error("Transit not found");
+    }
+    if (!transit.fromGodown) {
+      throw new Error("Transit is not from one of our godowns; the supplier issues its e-way bill");
+    }
+
+    const [fromGodown, toGodown] = await Promise.all([
+      Godown.findById(transit.fromGodown).select("name location gstin").lean(),
+      Godown.findById(transit.toLocation).select("name location gstin").lean(),
+    ]);
+    if (!fromGodown) {
+      throw new Error("From location (godown) not found");
+    }
+    if (!toGodown) {
+      throw new Error("To location (godown) not found");
+    }
+
+    const productIds = transit.productDetails.map((line) => line.product).filter(Boolean);
+    const products = await Product.find({ _id: { $in: productIds } }).select("hsnCode bagSizeKg").lean();
+    const productsById = new Map(products.map((p) => [p._id.toString(), p]));
+
+    const itemList = [];
+    const unpriced = [];
+    for (const [index, line] of transit.productDetails.entries()) {
+      const product = line.product ? productsById.get(line.product.toString()) : null;
+      const price = line.product
+        ? await priceListService.resolvePriceForGodown(line.product, fromGodown._id, { date: transit.dateOfDispatch })
+        : null;
+      if (!price) unpriced.push(line.productName);
+
+      const quantityKg = toKg(line.quantity, line.unit, product?.bagSizeKg ? `${product.bagSizeKg}kg` : "");
+      itemList.push({
+        itemNo: index + 1,
+        productName: line.productName,
+        productDesc: line.productName,
+        hsnCode: Number(product?.hsnCode) || 0,
+        quantity: line.quantity,
+        qtyUnit: getUnitQuantityCode(line.unit),
+        taxableAmount: round2(quantityKg * (price?.pricePerKg || 0)),
+        cgstRate: 0,
+        sgstRate: 0,
+        igstRate: 0,
+        cessRate: 0,
+        cessNonAdvol: 0,
+      });
+    }
+
+    const from = godownParty(fromGodown, "from");
+    const to = godownParty(toGodown, "to");
+    const totalValue = round2(itemList.reduce((sum, item) => sum + item.taxableAmount, 0));
+    const sameRegistration = from.fromGstin === to.toGstin;
+
+    const bill = {
+      userGstin: from.fromGstin,
+      supplyType: SUPPLY_TYPE_OUTWARD,
+      // Moving stock within one GST registration is not a supply
+      subSupplyType: sameRegistration ? SUB_SUPPLY_TYPES.ownUse : SUB_SUPPLY_TYPES.others,
+      subSupplyDesc: sameRegistration ? "" : "Branch Transfer",
+      docType: "CHL",
+      docNo: transit.transitId,
+      docDate: formatGstDate(transit.dateOfDispatch),
+      ...from,
+      ...to,
+      transactionType: TRANSACTION_TYPE_REGULAR,
+      totalValue,
+      cgstValue: 0,
+      sgstValue: 0,
+      igstValue: 0,
+      cessValue: 0,
+      cessNonAdvolValue: 0,
+      otherValue: 0,
+      totInvValue: totalValue,
+      ...this.buildTransport(transit.vehicleNumber, {
+        transporterName: transit.transporterName,
+        ...options,
+      }),
+      itemList,
+    };
+
+    const result = this.finalize(bill, { type: "transit", id: transit._id, reference: transit.transitId });
+    unpriced.forEach((name) => result.errors.push(`No price list covers ${name} at ${fromGodown.name}; its value is 0`));
+    return result;
+  }
+
+  // Part-B (transport) fields
+  buildTransport(vehicleNumber, { distance, transporterId, transporterName } = {}) {
+    return {
+      transMode: TRANS_MODE_ROAD,
+      // 0 lets the portal work the distance out from the PIN codes
+      transDistance: String(distance === undefined || distance === "" ? 0 : Number(distance)),
+      transporterId: transporterId ? String(transporterId).trim().toUpperCase() : "",
+      transporterName: transporterName || "",
+      transDocNo: "",
+      transDocDate: "",
+      vehicleNo: normalizeVehicleNumber(vehicleNumber),
+      vehicleType: VEHICLE_TYPE_REGULAR,
+    };
+  }
+
+  finalize(bill, source) {
+    bill.mainHsnCode = bill.itemList.reduce(
+      (main, item) => (item.taxableAmount > main.taxableAmount ? item : main),
+      { hsnCode: 0, taxableAmount: -1 }
+    ).hsnCode;
+
+    return {
+      source,
+      payload: { version: EWAY_BILL_JSON_VERSION, billLists: [bill] },
+      errors: this.validateEWayBill(bill),
+      consignmentValue: bill.totInvValue,
+      required: bill.totInvValue > EWAY_BILL_THRESHOLD,
+    };
+  }
+
+  /**
+   * Check a bill against the rules the portal enforces
+   * @returns {string[]} - Error messages, empty when valid
+   */
+  validateEWayBill(bill) {
+    const errors = [];
+
+    if (!isValidGstin(bill.fromGstin)) errors.push("Consignor GSTIN is invalid");
+    if (bill.toGstin !== UNREGISTERED_PERSON && !isValidGstin(bill.toGstin)) {
+      errors.push("Consignee GSTIN is invalid");
+    }
+    if (!DOC_NUMBER_PATTERN.test(bill.docNo || "")) {
+      errors.push("Document number must be 1-16 characters of A-Z, 0-9, / and -");
+    }
+
+    [
+      ["Consignor", "from"],
+      ["Consignee", "to"],
+    ].forEach(([party, prefix]) => {
+      if (!bill[`${prefix}TrdName`]) errors.push(`${party} name is required`);
+      if (!bill[`${prefix}Place`]) errors.push(`${party} place (city) is required`);
+      const pin = bill[`${prefix}Pincode`];
+      if (!pin || pin < 100000 || pin > 999999) errors.push(`${party} PIN code is missing or invalid`);
+      const stateCode = String(bill[`${prefix}StateCode`]).padStart(2, "0");
+      if (!VALID_STATE_CODES.has(stateCode)) errors.push(`${party} state code is missing or invalid`);
+    });
+
+    const distance = Number(bill.transDistance);
+    if (!Number.isInteger(distance) || distance < 0 || distance > MAX_DISTANCE_KM) {
+      errors.push(`Distance must be a whole number of km between 0 and ${MAX_DISTANCE_KM}`);
+    }
+    if (!bill.vehicleNo) {
+      errors.push("Vehicle number is required");
+    } else if (!VEHICLE_NUMBER_PATTERN.test(bill.vehicleNo)) {
+      errors.push(`Vehicle number ${bill.vehicleNo} is not in a valid format (e.g. PB08AB1234)`);
+    }
+    if (bill.transporterId && !TRANSPORTER_ID_PATTERN.test(bill.transporterId)) {
+      errors.push("Transporter ID must be the 15 character GSTIN/TRANSIN");
+    }
+
+    if (bill.itemList.length === 0 || bill.itemList.length > 250) {
+      errors.push("An e-way bill must have 1-250 items");
+    }
+    bill.itemList.forEach((item) => {
+      const label = `Item ${item.itemNo} (${item.productName})`;
+      if (!HSN_PATTERN.test(String(item.hsnCode))) errors.push(`${label}: HSN code is missing or invalid`);
+      if (!(item.quantity > 0)) errors.push(`${label}: quantity must be greater than 0`);
+    });
+
+    const taxableTotal = round2(bill.itemList.reduce((sum, item) => sum + item.taxableAmount, 0));
+    if (Math.abs(taxableTotal - bill.totalValue) > 1) {
+      errors.push("Total value does not match the sum of the items");
+    }
+    const invoiceValue = bill.totalValue + bill.cgstValue + bill.sgstValue + bill.igstValue + bill.cessValue + bill.otherValue;
+    if (Math.abs(invoiceValue - bill.totInvValue) > 1) {
+      errors.push("Total invoice value does not equal taxable value plus tax");
+    }
+    if (!(bill.totInvValue > 0)) {
+      errors.push("Consignment value must be greater than 0");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Record the e-way bill generated on the portal for an order or transit
+   * @param {string} type - "order" or "transit"
+   * @param {string} id - Order or transit ID
+   * @param {Object} data - { ewbNumber, ewbDate, validUntil, distance, vehicleNumber }
+   * @param {string} userId - User recording the e-way bill
+   */
+  async recordEWayBill(type, id, data = {}, userId) {
+    const { ewbNumber, ewbDate, validUntil, distance, vehicleNumber } = data;
+
+    if (!EWB_NUMBER_PATTERN.test(String(ewbNumber || "").trim())) {
+      throw new Error("Invalid e-way bill number: expected 12 digits");
+    }
+    const generatedAt = ewbDate ? new Date(ewbDate) : new Date();
+    const expiresAt = validUntil ? new Date(validUntil) : null;
+    if (isNaN(generatedAt.getTime())) {
+      throw new Error("Invalid e-way bill date");
+    }
+    if (!expiresAt || isNaN(expiresAt.getTime())) {
+      throw new Error("Invalid validity date: validUntil is required");
+    }
+    if (expiresAt <= generatedAt) {
+      throw new Error("Invalid validity date: must be after the e-way bill date");
+    }
+
+    const Model = type === "transit" ? Transit : Order;
+    const record = await Model.findById(id)
+      .select(type === "transit" ? "transitId vehicleNumber eWayBill" : "orderNumber driverAssignment eWayBill")
+      .lean();
+    if (!record) {
+      throw new Error(type === "transit" ? "Transit not found" : "Order not found");
+    }
+    const reference = type === "transit" ? record.transitId : record.orderNumber;
+
+    const eWayBill = {
+      ewbNumber: String(ewbNumber).trim(),
+      ewbDate: generatedAt,
+      validUntil: expiresAt,
+      vehicleNumber: normalizeVehicleNumber(
+        vehicleNumber || (type === "transit" ? record.vehicleNumber : record.driverAssignment?.vehicleNumber)
+      ),
+      distance: distance !== undefined && distance !== "" ? Number(distance) : undefined,
+      recordedBy: userId,
+      recordedAt: new Date(),
+    };
+
+    await Model.updateOne({ _id: record._id }, { $set: { eWayBill } });
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: type === "transit" ? "transits" : "orders",
+      resourceType: type === "transit" ? "Transit" : "Order",
+      resourceId: record._id.toString(),
+      oldValues: { eWayBill: record.eWayBill },
+      newValues: { eWayBill },
+      description: `Recorded e-way bill ${eWayBill.ewbNumber} for ${type} ${reference}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return {
+      success: true,
+      message: "E-way bill recorded successfully",
+      data: { [type === "transit" ? "transitId" : "orderNumber"]: reference, eWayBill },
+    };
+  }
+
+  /**
+   * Open transits whose e-way bill has expired or expires within `hours`
+   * @param {Object} query - { hours, godown }
+   */
+  async getExpiringTransits(query = {}) {
+    const hours = Number(query.hours) || EXPIRY_ALERT_HOURS;
+    const filter = {
+      status: { $in: OPEN_TRANSIT_STATUSES },
+      "eWayBill.validUntil": { $lte: new Date(Date.now() + hours * 60 * 60 * 1000) },
+    };
+    if (query.godown) {
+      filter.$or = [{ fromGodown: query.godown }, { toLocation: query.godown }];
+    }
+
+    const transits = await Transit.find(filter)
+      .select("transitId fromLocation toLocation vehicleNumber transporterName status dateOfDispatch expectedArrivalDate eWayBill")
+      .populate("toLocation", "name code")
+      .sort({ "eWayBill.validUntil": 1 })
+      .lean();
+
+    const now = Date.now();
+    return {
+      success: true,
+      data: {
+        hours,
+        transits: transits.map((transit) => ({
+          ...transit,
+          expired: new Date(transit.eWayBill.validUntil).getTime() <= now,
+          hoursLeft: Math.round((new Date(transit.eWayBill.validUntil).getTime() - now) / (60 * 60 * 1000)),
+        })),
+      },
+    };
+  }
+
+  /**
+   * Raise an alert once for each open transit whose e-way bill is about to expire.
+   * Run from the background jobs.
+   */
+  async flagExpiringTransits() {
+    const transits = await Transit.find({
+      status: { $in: OPEN_TRANSIT_STATUSES },
+      "eWayBill.validUntil": { $lte: new Date(Date.now() + EXPIRY_ALERT_HOURS * 60 * 60 * 1000) },
+      "eWayBill.expiryAlertedAt": null,
+    })
+      .select("transitId vehicleNumber eWayBill createdBy")
+      .lean();
+
+    for (const transit of transits) {
+      const expired = new Date(transit.eWayBill.validUntil) <= new Date();
+      const description = `E-way bill ${transit.eWayBill.ewbNumber} of transit ${transit.transitId} (${transit.vehicleNumber}) ${
+        expired ? "expired" : "expires"
+      } on ${new Date(transit.eWayBill.validUntil).toLocaleString("en-IN")} and the transit is not received yet`;
+
+      await Transit.updateOne({ _id: transit._id }, { $set: { "eWayBill.expiryAlertedAt": new Date() } });
+      await AuditLog.create({
+        user: transit.createdBy,
+        action: "UPDATE",
+        module: "transits",
+        resourceType: "Transit",
+        resourceId: transit._id.toString(),
+        newValues: { eWayBill: transit.eWayBill },
+        description,
+        ipAddress: "0.0.0.0",
+        userAgent: "System",
+      });
+      console.warn(`[e-way bill] ${description}`);
+    }
+
+    return { alerted: transits.length };
+  }
+}
+
+module.exports = new EWayBillService();
@@ -1,12 +1,16 @@
 const { Godown, AuditLog } = require('../models');
+const { isValidGstin } = require('../utils/gst');
 
 class GodownService {
   async createGodown(data, createdBy) {
-    const { name, code, location, allowedProducts = [], managers = [] } = data || {};
+    const { name, code, location, gstin, allowedProducts = [], managers = [] } = data || {};
 
     if (!name || !location?.city || !location?.state) {
       throw new Error('Name, city and state are required');
     }
+    if (gstin && !isValidGstin(gstin)) {
+      throw new Error('Invalid GSTIN');
+    }
 
     const godown = new Godown({
       name: name.trim(),
@@ -14,8 +18,11 @@ class GodownService {
       location: {
         city: location.city.trim(),
         state: location.state.trim(),
-        area: location.area?.trim() || undefined
+        area: location.area?.trim() || undefined,
+        address: location.address?.trim() || undefined,
+        pincode: location.pincode?.trim() || undefined
       },
+      gstin: gstin?.trim() || undefined,
       allowedProducts,
       managers,
       createdBy
@@ -98,6 +105,24 @@ class GodownService {
     return { success: true, data: { godowns } };
   }
 
+  // Resolve a free-text location (godown name, code or city) to an active godown.
+  // Returns null when nothing matches or a city matches more than one godown.
+  async findGodownByLocation(location) {
+    const value = String(location || '').trim();
+    if (!value) return null;
+
+    const exact = new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+    const byNameOrCode = await Godown.findOne({
+      isActive: true,
+      $or: [{ name: exact }, { code: exact }]
+    });
+    if (byNameOrCode) return byNameOrCode;
+
+    const byCity = await Godown.find({ isActive: true, 'location.city': exact }).limit(2);
+    return byCity.length === 1 ? byCity[0] : null;
+  }
+
   async getGodownById(id) {
     const godown = await Godown.findById(id).lean();
     if (!godown) throw new Error('Godown not found');
@@ -108,6 +133,10 @@ class GodownService {
     const godown = await Godown.findById(id);
     if (!godown) throw new Error('Godown not found');
 
+    if (updateData?.gstin && !isValidGstin(updateData.gstin)) {
+      throw new Error('Invalid GSTIN');
+    }
+
     const oldValues = godown.toObject();
     Object.assign(godown, updateData, { updatedBy });
     await godown.save();
@@ -1,5 +1,11 @@
 const { default: mongoose } = require("mongoose");
-const { Inventory, AuditLog } = require("../models");
+const { Inventory, Godown, Product, AuditLog } = require("../models");
+const { toKgExpression } = require("../utils/units");
+const { ON_HAND_FILTER, stockDirectionExpression } = require("../utils/stock");
+const { businessDateOf, dayWindow } = require("../utils/businessDay");
+const productService = require("./product.service");
+const dayCloseService = require("./dayClose.service");
+const periodLockService = require("./periodLock.service");
 
 class InventoryService {
 // Get all inventory records with filtering and pagination
@@ -14,6 +20,7 @@ async getAllInventory(query = {}) {
     dateTo,
     loggedBy,
     search,
+    stockBucket,
   } = query;
 
   const skip = (page - 1) * limit;
@@ -22,6 +29,8 @@ async getAllInventory(query = {}) {
   if (inventoryType) filter.inventoryType = inventoryType;
   if (godown) filter.godown = new mongoose.Types.ObjectId(godown);
   if (unit) filter.unit = unit;
+  if (stockBucket === "In Transit") filter.stockBucket = "In Transit";
+  if (stockBucket === "On Hand") Object.assign(filter, ON_HAND_FILTER);
 
   if (dateFrom || dateTo) {
     filter.dateOfStock = {};
@@ -103,10 +112,17 @@ async getAllInventory(query = {}) {
       $project: {
         stockId: 1,
         inventoryType: 1,
+        stockBucket: 1,
         unit: 1,
         quantity: 1,
         dateOfStock: 1,
         additionalNotes: 1,
+        product: 1,
+        productName: 1,
+        sourceModel: 1,
+        source: 1,
+        reversalOf: 1,
+        isReversed: 1,
         createdAt: 1,
         "loggedByUser.firstName": 1,
         "loggedByUser.lastName": 1,
@@ -148,6 +164,7 @@ async getAllInventory(query = {}) {
   async getInventoryById(inventoryId) {
     const inventory = await Inventory.findById(inventoryId)
       .populate("godown", "name location")
+      .populate("product", "skuCode name category bagSizeKg")
       .populate("loggedBy", "firstName lastName")
       .lean();
 
@@ -183,9 +200,21 @@ async getAllInventory(query = {}) {
       throw new Error("Invalid unit");
     }
 
+    await dayCloseService.assertDayOpen(inventoryData.godown, inventoryData.dateOfStock);
+    await periodLockService.assertPeriodOpen(inventoryData.dateOfStock, {
+      userId: loggedBy,
+      action: "CREATE",
+      module: "inventory",
+      resourceType: "Inventory",
+      description: `Back-dated ${inventoryData.inventoryType} entry of ${inventoryData.quantity} ${inventoryData.unit}`,
+    });
+
+    // Link to the product master when a product (or a known product name) is given
+    const [linkedData] = await productService.attachProducts([inventoryData]);
+
     // Create inventory record
     const inventory = new Inventory({
-      ...inventoryData,
+      ...linkedData,
       loggedBy,
     });
 
@@ -243,6 +272,27 @@ async getAllInventory(query = {}) {
       }
     }
 
+    // Neither the day the entry is on nor the day it is moved to may be closed or locked
+    await dayCloseService.assertDayOpen(inventory.godown, inventory.dateOfStock);
+    if (updateData.godown || updateData.dateOfStock) {
+      await dayCloseService.assertDayOpen(
+        updateData.godown || inventory.godown,
+        updateData.dateOfStock || inventory.dateOfStock
+      );
+    }
+    await periodLockService.assertPeriodOpen([inventory.dateOfStock, updateData.dateOfStock], {
+      userId: updatedBy,
+      action: "UPDATE",
+      module: "inventory",
+      resourceType: "Inventory",
+      resourceId: inventory._id,
+      description: `Edited ${inventory.inventoryType} entry of ${inventory.quantity} ${inventory.unit}`,
+    });
+
+    if (updateData.product) {
+      [updateData] = await productService.attachProducts([updateData]);
+    }
+
     // Update the inventory record
     Object.assign(inventory, updateData);
     await inventory.save();
@@ -279,6 +329,16 @@ async getAllInventory(query = {}) {
       throw new Error("Inventory record not found");
     }
 
+    await dayCloseService.assertDayOpen(inventory.godown, inventory.dateOfStock);
+    await periodLockService.assertPeriodOpen(inventory.dateOfStock, {
+      userId: deletedBy,
+      action: "DELETE",
+      module: "inventory",
+      resourceType: "Inventory",
+      resourceId: inventory._id,
+      description: `Deleted ${inventory.inventoryType} entry of ${inventory.quantity} ${inventory.unit}`,
+    });
+
     const oldValues = inventory.toObject();
 
     // Permanently delete the inventory record
@@ -331,13 +391,7 @@ async getAllInventory(query = {}) {
         $group: {
           _id: "$inventoryType",
           totalQuantityKg: {
-            $sum: {
-              $cond: [
-                { $eq: ["$unit", "Quintal"] },
-                { $multiply: ["$quantity", 100] },
-                "$quantity",
-              ],
-            },
+            $sum: toKgExpression(),
           },
           totalRecords: { $sum: 1 },
           avgPricePerKg: { $avg: "$pricePerKg" },
@@ -347,17 +401,13 @@ async getAllInventory(query = {}) {
 
     // Calculate total stock in Kg
     const totalStockStats = await Inventory.aggregate([
-      { $match: filter },
+      { $match: { ...filter, ...ON_HAND_FILTER } },
       {
         $group: {
           _id: null,
           totalStockKg: {
             $sum: {
-              $cond: [
-                { $eq: ["$unit", "Quintal"] },
-                { $multiply: ["$quantity", 100] },
-                "$quantity",
-              ],
+              $multiply: [toKgExpression(), stockDirectionExpression()],
             },
           },
           totalRecords: { $sum: 1 },
@@ -365,15 +415,205 @@ async getAllInventory(query = {}) {
       },
     ]);
 
+    const inTransitStats = await Inventory.aggregate([
+      { $match: { ...filter, stockBucket: "In Transit" } },
+      {
+        $group: {
+          _id: null,
+          inTransitKg: {
+            $sum: {
+              $multiply: [toKgExpression(), stockDirectionExpression()],
+            },
+          },
+        },
+      },
+    ]);
+
     return {
       success: true,
       data: {
         byType: stats,
         total: totalStockStats[0] || { totalStockKg: 0, totalRecords: 0 },
+        inTransitKg: inTransitStats[0]?.inTransitKg || 0,
       },
     };
   }
 
+  // Get stock on hand per godown and product (in KG) as of a date
+  async getStockBalance(query = {}) {
+    const { asOf, dateFrom, godown, product, productName } = query;
+
+    const asOfDay = asOf ? new Date(asOf) : new Date();
+    if (isNaN(asOfDay.getTime())) {
+      throw new Error("Invalid asOf date");
+    }
+    const asOfDate = dayWindow(businessDateOf(asOfDay)).end;
+
+    // Opening balance is taken at the start of the period (defaults to the as-of day)
+    const periodDay = dateFrom ? new Date(dateFrom) : asOfDay;
+    if (isNaN(periodDay.getTime())) {
+      throw new Error("Invalid dateFrom date");
+    }
+    const periodStart = dayWindow(businessDateOf(periodDay)).start;
+    if (periodStart > asOfDate) {
+      throw new Error("Invalid date range: dateFrom is after asOf");
+    }
+
+    const filter = { dateOfStock: { $lte: asOfDate } };
+    if (godown) filter.godown = new mongoose.Types.ObjectId(godown);
+    if (product) {
+      filter.product = new mongoose.Types.ObjectId(product);
+    } else if (productName) {
+      // Entries of the product under any earlier name, and unlinked entries of that name
+      const named = await Product.findOne({ name: productName }).select("_id").lean();
+      filter.$or = [{ product: null, productName }, ...(named ? [{ product: named._id }] : [])];
+    }
+
+    const isOpening = { $lt: ["$dateOfStock", periodStart] };
+    const inPeriod = (direction) => ({
+      $and: [{ $not: [isOpening] }, { $eq: ["$direction", direction] }],
+    });
+
+    const rows = await Inventory.aggregate([
+      { $match: filter },
+      {
+        $addFields: {
+          quantityKg: toKgExpression(),
+          direction: stockDirectionExpression(),
+        },
+      },
+      {
+        $group: {
+          // Linked entries group by product, so a renamed product stays one line;
+          // only unlinked legacy entries fall back to their name
+          _id: {
+            godown: "$godown",
+            product: { $ifNull: ["$product", null] },
+            productName: { $cond: [{ $ifNull: ["$product", false] }, null, "$productName"] },
+            bucket: { $ifNull: ["$stockBucket", "On Hand"] },
+          },
+          lastName: { $last: "$productName" },
+          openingKg: {
+            $sum: {
+              $cond: [isOpening, { $multiply: ["$quantityKg", "$direction"] }, 0],
+            },
+          },
+          inflowKg: { $sum: { $cond: [inPeriod(1), "$quantityKg", 0] } },
+          outflowKg: { $sum: { $cond: [inPeriod(-1), "$quantityKg", 0] } },
+        },
+      },
+      { $sort: { "_id.godown": 1, "_id.product": 1, "_id.productName": 1 } },
+    ]);
+
+    const productIds = [...new Set(rows.map((r) => r._id.product).filter(Boolean).map(String))];
+    const productDocs = await Product.find({ _id: { $in: productIds } })
+      .select("name")
+      .lean();
+    const productNameById = new Map(productDocs.map((p) => [p._id.toString(), p.name]));
+
+    const godownIds = [...new Set(rows.map((r) => r._id.godown).filter(Boolean).map(String))];
+    const godownDocs = await Godown.find({ _id: { $in: godownIds } })
+      .select("name code location")
+      .lean();
+    const godownById = new Map(godownDocs.map((g) => [g._id.toString(), g]));
+
+    const emptyTotals = () => ({ openingKg: 0, inflowKg: 0, outflowKg: 0, closingKg: 0, inTransitKg: 0 });
+    const addTo = (totals, row) => {
+      totals.openingKg += row.openingKg;
+      totals.inflowKg += row.inflowKg;
+      totals.outflowKg += row.outflowKg;
+      totals.closingKg += row.closingKg;
+    };
+
+    const godowns = new Map();
+    const totals = emptyTotals();
+
+    for (const row of rows) {
+      const key = row._id.godown ? row._id.godown.toString() : "unassigned";
+      if (!godowns.has(key)) {
+        godowns.set(key, {
+          godown: godownById.get(key) || null,
+          ...emptyTotals(),
+          products: new Map(),
+        });
+      }
+
+      const entry = godowns.get(key);
+      const productId = row._id.product ? row._id.product.toString() : null;
+      const productName = productId
+        ? productNameById.get(productId) || row.lastName
+        : row._id.productName || "Unspecified";
+      const productKey = productId || `name:${productName}`;
+      if (!entry.products.has(productKey)) {
+        entry.products.set(productKey, { product: row._id.product || null, productName, ...emptyTotals() });
+      }
+      const product = entry.products.get(productKey);
+
+      const movement = {
+        openingKg: row.openingKg,
+        inflowKg: row.inflowKg,
+        outflowKg: row.outflowKg,
+        closingKg: row.openingKg + row.inflowKg - row.outflowKg,
+      };
+
+      // In-transit stock is shown against its destination godown, outside stock on hand
+      if (row._id.bucket === "In Transit") {
+        product.inTransitKg += movement.closingKg;
+        entry.inTransitKg += movement.closingKg;
+        totals.inTransitKg += movement.closingKg;
+        continue;
+      }
+
+      addTo(product, movement);
+      addTo(entry, movement);
+      addTo(totals, movement);
+    }
+
+    return {
+      success: true,
+      data: {
+        asOf: asOfDate,
+        periodStart,
+        godowns: [...godowns.values()].map((entry) => ({
+          ...entry,
+          products: [...entry.products.values()],
+        })),
+        totals,
+      },
+    };
+  }
+
+  // Current stock on hand (KG) of one product at a godown, matched by product
+  // reference or, for manual entries without one, by product name
+  async getOnHandKg(godownId, { product, productName } = {}) {
+    const productMatch = [];
+    if (product) productMatch.push({ product: new mongoose.Types.ObjectId(product) });
+    if (productName) productMatch.push({ product: null, productName });
+    if (productMatch.length === 0) return 0;
+
+    const [result] = await Inventory.aggregate([
+      {
+        $match: {
+          godown: new mongoose.Types.ObjectId(godownId),
+          ...ON_HAND_FILTER,
+          $or: productMatch,
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          onHandKg: {
+            $sum: {
+              $multiply: [toKgExpression(), stockDirectionExpression()],
+            },
+          },
+        },
+      },
+    ]);
+
+    return result?.onHandKg || 0;
+  }
+
   // Get inventory by godown
   async getInventoryByGodown(godownId, query = {}) {
     const { page = 1, limit = 10, inventoryType, dateFrom, dateTo } = query;
@@ -459,6 +699,104 @@ async getAllInventory(query = {}) {
       },
     };
   }
+
+  // Postings of a source document that are still in effect
+  async getActiveSourceMovements(sourceModel, sourceId) {
+    return Inventory.find({
+      sourceModel,
+      source: sourceId,
+      reversalOf: null,
+      isReversed: false,
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  // Check whether a source document has postings that are still in effect
+  async hasActiveSourceMovements(sourceModel, sourceId) {
+    const count = await Inventory.countDocuments({
+      sourceModel,
+      source: sourceId,
+      reversalOf: null,
+      isReversed: false,
+    });
+    return count > 0;
+  }
+
+  // Post system-generated stock movements for a source document (e.g. an order)
+  async postSourceMovements(sourceModel, sourceId, movements = [], loggedBy) {
+    const posted = [];
+
+    // Saved one at a time so the sequential stockId generator does not collide
+    for (const movement of movements) {
+      const inventory = new Inventory({
+        ...movement,
+        sourceModel,
+        source: sourceId,
+        loggedBy,
+      });
+      await inventory.save();
+      posted.push(inventory);
+
+      await AuditLog.create({
+        user: loggedBy,
+        action: "CREATE",
+        module: "inventory",
+        resourceType: "Inventory",
+        resourceId: inventory._id.toString(),
+        newValues: inventory.toObject(),
+        description: `Auto-posted ${inventory.inventoryType} for ${sourceModel} ${sourceId}: ${inventory.quantity} ${inventory.unit}`,
+        ipAddress: "0.0.0.0",
+        userAgent: "System",
+      });
+    }
+
+    return posted;
+  }
+
+  // Post an equal and opposite entry for every active movement of a source document
+  async reverseSourceMovements(sourceModel, sourceId, loggedBy, reason = "") {
+    const movements = await Inventory.find({
+      sourceModel,
+      source: sourceId,
+      reversalOf: null,
+      isReversed: false,
+    }).sort({ createdAt: 1 });
+
+    const reversals = [];
+
+    for (const movement of movements) {
+      const { _id, id, stockId, createdAt, isReversed, ...fields } = movement.toObject({ virtuals: false });
+
+      const reversal = new Inventory({
+        ...fields,
+        quantity: -movement.quantity,
+        dateOfStock: new Date(),
+        reversalOf: movement._id,
+        additionalNotes: `Reversal of ${movement.stockId}${reason ? `: ${reason}` : ""}`,
+        loggedBy,
+      });
+      await reversal.save();
+
+      movement.isReversed = true;
+      await movement.save();
+      reversals.push(reversal);
+
+      await AuditLog.create({
+        user: loggedBy,
+        action: "CREATE",
+        module: "inventory",
+        resourceType: "Inventory",
+        resourceId: reversal._id.toString(),
+        newValues: reversal.toObject(),
+        description: `Reversed ${movement.inventoryType} ${movement.stockId} for ${sourceModel} ${sourceId}${reason ? ` (${reason})` : ""}`,
+        ipAddress: "0.0.0.0",
+        userAgent: "System",
+      });
+    }
+
+    return reversals;
+  }
 }
 
 module.exports = new InventoryService();
@@ -0,0 +1,468 @@
+const { Invoice, Order, Customer, Godown, Product, AuditLog } = require("../models");
+const companyConfig = require("../config/company.config");
+const { resolveState, getFinancialYear } = require("../utils/gst");
+const { renderPdf, createRowDrawer } = require("../utils/pdf");
+
+// Order stage at which invoices are issued: "dispatch" (default) or "delivery".
+// Orders delivered without a dispatch step are invoiced at delivery either way.
+const INVOICE_STAGE = process.env.INVOICE_STAGE === "delivery" ? "delivery" : "dispatch";
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" });
+
+const formatAmount = (value) =>
+  (Number(value) || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatAddress = (address = {}) =>
+  [address.street, address.city, address.state, address.pincode].filter(Boolean).join(", ");
+
+class InvoiceService {
+  /**
+   * Issue the GST invoice of an order. Idempotent: returns the existing invoice if the
+   * order already has one, and null when invoices are not issued at this stage.
+   * @param {Object|string} orderOrId - Order document or ID
+   * @param {string} userId - User issuing the invoice
+   * @param {string} stage - "dispatch", "delivery" or "manual"
+   */
+  async generateForOrder(orderOrId, userId, stage = "manual") {
+    if (stage === "dispatch" && INVOICE_STAGE !== "dispatch") return null;
+
+    const order = await Order.findById(orderOrId?._id || orderOrId);
+    if (!order) {
+      throw new Error("Order not found");
+    }
+    if (order.type !== "order") {
+      throw new Error("Invoices can only be issued for orders");
+    }
+    if (["cancelled", "rejected"].includes(order.status)) {
+      throw new Error(`Cannot invoice a ${order.status} order`);
+    }
+
+    const existing = await Invoice.findOne({ order: order._id });
+    if (existing) return existing;
+
+    const [customer, godown] = await Promise.all([
+      Customer.findById(order.customer).lean(),
+      order.godown ? Godown.findById(order.godown).lean() : null,
+    ]);
+    if (!customer) {
+      throw new Error("Customer not found");
+    }
+
+    const supplierGstin = godown?.gstin || companyConfig.gstin;
+    const supplierState = resolveState(godown?.location?.state || companyConfig.state, supplierGstin);
+    const buyerState = resolveState(customer.address?.state, customer.gstNumber);
+
+    // Place of supply is where the goods are delivered; without it, assume a local sale
+    const placeOfSupply = buyerState.stateCode ? buyerState : supplierState;
+    const supplyType =
+      placeOfSupply.stateCode && supplierState.stateCode && placeOfSupply.stateCode !== supplierState.stateCode
+        ? "inter"
+        : "intra";
+
+    const items = await this.buildItems(order, supplyType);
+    const totals = items.reduce(
+      (sum, item) => ({
+        amount: sum.amount + item.amount,
+        discount: sum.discount + item.discount,
+        taxableValue: sum.taxableValue + item.taxableValue,
+        cgst: sum.cgst + item.cgstAmount,
+        sgst: sum.sgst + item.sgstAmount,
+        igst: sum.igst + item.igstAmount,
+      }),
+      { amount: 0, discount: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 }
+    );
+    Object.keys(totals).forEach((key) => (totals[key] = round2(totals[key])));
+    totals.totalTax = round2(totals.cgst + totals.sgst + totals.igst);
+    totals.invoiceValue = round2(totals.taxableValue + totals.totalTax);
+
+    const invoiceDate = new Date();
+    const financialYear = getFinancialYear(invoiceDate);
+    const prefix = godown?.code || "INV";
+
+    const invoiceData = {
+      financialYear: financialYear.label,
+      invoiceDate,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      customer: customer._id,
+      godown: godown?._id,
+      supplier: {
+        name: companyConfig.name,
+        code: godown?.code,
+        address: godown?.location?.address || [godown?.location?.city, companyConfig.address].filter(Boolean).join(", "),
+        gstin: supplierGstin,
+        state: supplierState.state,
+        stateCode: supplierState.stateCode,
+        phone: godown?.contact?.phone || companyConfig.phone,
+      },
+      buyer: {
+        name: customer.businessName,
+        code: customer.customerId,
+        address: formatAddress(customer.address),
+        gstin: customer.gstNumber,
+        state: buyerState.state,
+        stateCode: buyerState.stateCode,
+        phone: customer.phone,
+      },
+      placeOfSupply: { state: placeOfSupply.state, stateCode: placeOfSupply.stateCode },
+      supplyType,
+      items,
+      totals,
+      generatedAt: stage,
+      createdBy: userId,
+    };
+
+    // Next number in the godown's series for the year; retry if another invoice took it
+    let invoice;
+    for (let attempt = 0; attempt < 5 && !invoice; attempt++) {
+      const last = await Invoice.findOne({ godown: godown?._id || null, financialYear: financialYear.label })
+        .sort({ sequence: -1 })
+        .select("sequence")
+        .lean();
+      const sequence = (last?.sequence || 0) + 1;
+
+      try {
+        invoice = await Invoice.create({
+          ...invoiceData,
+          sequence,
+          invoiceNumber: `${prefix}/${financialYear.short}/${String(sequence).padStart(4, "0")}`,
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // The order was invoiced concurrently
+        const concurrent = await Invoice.findOne({ order: order._id });
+        if (concurrent) return concurrent;
+      }
+    }
+    if (!invoice) {
+      throw new Error("Could not allocate an invoice number, please retry");
+    }
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { invoice: invoice._id, invoiceNumber: invoice.invoiceNumber } }
+    );
+
+    await AuditLog.create({
+      user: userId,
+      action: "CREATE",
+      module: "billing",
+      resourceType: "Invoice",
+      resourceId: invoice._id.toString(),
+      newValues: invoice.toObject(),
+      description: `Issued invoice ${invoice.invoiceNumber} for order ${order.orderNumber}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return invoice;
+  }
+
+  // Invoice lines with the order discount spread by value and GST at the order's tax rate,
+  // so the invoice value matches the order total
+  async buildItems(order, supplyType) {
+    const subtotal = (order.items || []).reduce((sum, item) => sum + (item.totalAmount || 0), 0);
+    const discountAmount =
+      order.discountPercentage > 0 ? (subtotal * order.discountPercentage) / 100 : order.discount || 0;
+    const gstRate = order.isTaxable ? order.taxPercentage || 5 : 0;
+
+    const productIds = (order.items || []).map((item) => item.product).filter(Boolean);
+    const products = await Product.find({ _id: { $in: productIds } }).select("hsnCode").lean();
+    const hsnByProduct = new Map(products.map((p) => [p._id.toString(), p.hsnCode]));
+
+    return (order.items || []).map((item) => {
+      const amount = round2(item.totalAmount);
+      const discount = subtotal > 0 ? round2((discountAmount * (item.totalAmount || 0)) / subtotal) : 0;
+      const taxableValue = round2(amount - discount);
+
+      const line = {
+        product: item.product,
+        productName: item.productName,
+        hsnCode: item.product ? hsnByProduct.get(item.product.toString()) : undefined,
+        quantity: item.quantity,
+        unit: item.unit,
+        rate: item.ratePerUnit,
+        amount,
+        discount,
+        taxableValue,
+        gstRate,
+        cgstRate: 0,
+        cgstAmount: 0,
+        sgstRate: 0,
+        sgstAmount: 0,
+        igstRate: 0,
+        igstAmount: 0,
+      };
+
+      if (supplyType === "inter") {
+        line.igstRate = gstRate;
+        line.igstAmount = round2((taxableValue * gstRate) / 100);
+      } else {
+        line.cgstRate = gstRate / 2;
+        line.sgstRate = gstRate / 2;
+        line.cgstAmount = round2((taxableValue * gstRate) / 200);
+        line.sgstAmount = round2((taxableValue * gstRate) / 200);
+      }
+
+      line.total = round2(taxableValue + line.cgstAmount + line.sgstAmount + line.igstAmount);
+      return line;
+    });
+  }
+
+  // Get invoices with filtering and pagination
+  async getInvoices(query = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      search,
+      godown,
+      customer,
+      financialYear,
+      supplyType,
+      status,
+      dateFrom,
+      dateTo,
+    } = query;
+
+    const filter = {};
+    if (search) {
+      filter.$or = [
+        { invoiceNumber: { $regex: search, $options: "i" } },
+        { orderNumber: { $regex: search, $options: "i" } },
+      ];
+    }
+    if (godown) filter.godown = godown;
+    if (customer) filter.customer = customer;
+    if (financialYear) filter.financialYear = financialYear;
+    if (supplyType) filter.supplyType = supplyType;
+    if (status === "issued") filter.status = { $ne: "cancelled" };
+    else if (status) filter.status = status;
+    if (dateFrom || dateTo) {
+      filter.invoiceDate = {};
+      if (dateFrom) filter.invoiceDate.$gte = new Date(dateFrom);
+      if (dateTo) {
+        const end = new Date(dateTo);
+        end.setHours(23, 59, 59, 999);
+        filter.invoiceDate.$lte = end;
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .select("-items")
+        .populate("godown", "name code")
+        .sort({ invoiceDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Invoice.countDocuments(filter),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+
+  // Get invoice by ID
+  async getInvoiceById(invoiceId) {
+    const invoice = await Invoice.findById(invoiceId)
+      .populate("godown", "name code")
+      .populate("createdBy", "firstName lastName")
+      .lean();
+
+    if (!invoice) {
+      throw new Error("Invoice not found");
+    }
+
+    return {
+      success: true,
+      data: { invoice },
+    };
+  }
+
+  // Get the invoice of an order
+  async getInvoiceByOrder(orderId) {
+    const invoice = await Invoice.findOne({ order: orderId })
+      .populate("godown", "name code")
+      .populate("createdBy", "firstName lastName")
+      .lean();
+
+    if (!invoice) {
+      throw new Error("Invoice not found");
+    }
+
+    return {
+      success: true,
+      data: { invoice },
+    };
+  }
+
+  // Issue the invoice of a dispatched/delivered order that has none yet (e.g. older orders)
+  async issueInvoice(orderId, userId) {
+    const order = await Order.findById(orderId).select("status deliveryStatus type");
+    if (!order) {
+      throw new Error("Order not found");
+    }
+    const shipped =
+      ["dispatched", "delivered", "completed"].includes(order.status) || order.deliveryStatus === "delivered";
+    if (!shipped) {
+      throw new Error("Order must be dispatched or delivered before invoicing");
+    }
+
+    const invoice = await this.generateForOrder(order._id, userId, "manual");
+
+    return {
+      success: true,
+      message: "Invoice issued successfully",
+      data: { invoice },
+    };
+  }
+
+  /**
+   * Cancel the invoice of a cancelled order. The invoice keeps its number and contents.
+   * @param {Object} order - Order being cancelled
+   * @param {string} userId - User cancelling the order
+   * @param {string} reason - Why the order was cancelled
+   * @returns {Promise<boolean>} - true when an issued invoice was cancelled
+   */
+  async cancelForOrder(order, userId, reason = "") {
+    const cancellation = { cancelledAt: new Date(), cancelledBy: userId, reason: reason || "Order cancelled" };
+    const result = await Invoice.updateOne(
+      { order: order._id, status: { $ne: "cancelled" } },
+      { $set: { status: "cancelled", cancellation } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: "billing",
+      resourceType: "Invoice",
+      resourceId: String(order.invoice),
+      newValues: { status: "cancelled", cancellation },
+      description:
+        `Cancelled invoice ${order.invoiceNumber} with order ${order.orderNumber}` +
+        (order.eInvoice?.irn ? ` (IRN ${order.eInvoice.irn} must be cancelled on the e-invoice portal)` : ""),
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return true;
+  }
+
+  /**
+   * Render an invoice as a printable tax invoice
+   * @param {Object} invoice - Invoice document (lean)
+   * @returns {Promise<Buffer>} - PDF file
+   */
+  generateInvoicePdf(invoice) {
+    return renderPdf((doc) => {
+      const left = doc.page.margins.left;
+      const right = doc.page.width - doc.page.margins.right;
+      const { supplier, buyer, totals } = invoice;
+      const isInter = invoice.supplyType === "inter";
+
+      // Header
+      doc.font("Helvetica-Bold").fontSize(16).text(supplier.name, { align: "center" });
+      doc.font("Helvetica").fontSize(9);
+      if (supplier.address) doc.text(supplier.address, { align: "center" });
+      const supplierLine = [supplier.gstin && `GSTIN: ${supplier.gstin}`, supplier.state && `State: ${supplier.state} (${supplier.stateCode || "-"})`, supplier.phone]
+        .filter(Boolean)
+        .join(" | ");
+      if (supplierLine) doc.text(supplierLine, { align: "center" });
+      doc.moveDown(0.5);
+      doc.font("Helvetica-Bold").fontSize(12).text("TAX INVOICE", { align: "center" });
+      if (invoice.status === "cancelled") {
+        doc.fillColor("red").text("CANCELLED", { align: "center" }).fillColor("black");
+      }
+      doc.moveDown();
+
+      const topY = doc.y;
+      doc.font("Helvetica-Bold").fontSize(9).text("Bill To", left, topY);
+      doc.font("Helvetica").fontSize(9);
+      doc.text(buyer.name);
+      if (buyer.address) doc.text(buyer.address, { width: 260 });
+      if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`);
+      if (buyer.state) doc.text(`State: ${buyer.state} (${buyer.stateCode || "-"})`);
+      const leftBottom = doc.y;
+
+      doc.text(`Invoice No: ${invoice.invoiceNumber}`, 330, topY);
+      doc.text(`Invoice Date: ${formatDate(invoice.invoiceDate)}`);
+      doc.text(`Order No: ${invoice.orderNumber || "-"}`);
+      doc.text(`Place of Supply: ${invoice.placeOfSupply?.state || "-"} (${invoice.placeOfSupply?.stateCode || "-"})`);
+      doc.text(`Supply: ${isInter ? "Inter-state (IGST)" : "Intra-state (CGST + SGST)"}`);
+      doc.x = left;
+      doc.y = Math.max(leftBottom, doc.y) + 10;
+
+      // Items table
+      const taxColumns = isInter
+        ? [{ label: "IGST", width: 70, align: "right" }]
+        : [
+            { label: "CGST", width: 55, align: "right" },
+            { label: "SGST", width: 55, align: "right" },
+          ];
+      const fixedWidth = 20 + 48 + 60 + 55 + 65 + taxColumns.reduce((sum, c) => sum + c.width, 0) + 70;
+      const columns = [
+        { label: "#", width: 20, align: "left" },
+        { label: "Item", width: right - left - fixedWidth, align: "left" },
+        { label: "HSN", width: 48, align: "left" },
+        { label: "Qty", width: 60, align: "right" },
+        { label: "Rate", width: 55, align: "right" },
+        { label: "Taxable", width: 65, align: "right" },
+        ...taxColumns,
+        { label: "Total", width: 70, align: "right" },
+      ];
+
+      const drawRow = createRowDrawer(doc, columns);
+
+      drawRow(columns.map((c) => c.label), { bold: true });
+      invoice.items.forEach((item, index) => {
+        const taxValues = isInter
+          ? [`${formatAmount(item.igstAmount)}\n@${item.igstRate}%`]
+          : [`${formatAmount(item.cgstAmount)}\n@${item.cgstRate}%`, `${formatAmount(item.sgstAmount)}\n@${item.sgstRate}%`];
+        drawRow([
+          index + 1,
+          item.productName,
+          item.hsnCode || "-",
+          `${item.quantity} ${item.unit}`,
+          formatAmount(item.rate),
+          formatAmount(item.taxableValue),
+          ...taxValues,
+          formatAmount(item.total),
+        ]);
+      });
+
+      const taxTotals = isInter ? [formatAmount(totals.igst)] : [formatAmount(totals.cgst), formatAmount(totals.sgst)];
+      drawRow(["", "Total", "", "", "", formatAmount(totals.taxableValue), ...taxTotals, formatAmount(totals.invoiceValue)], { bold: true });
+
+      doc.moveDown();
+      doc.font("Helvetica").fontSize(9);
+      if (totals.discount > 0) doc.text(`Discount: ${formatAmount(totals.discount)}`, { align: "right" });
+      doc.text(`Taxable Value: ${formatAmount(totals.taxableValue)}`, { align: "right" });
+      doc.text(`Total Tax: ${formatAmount(totals.totalTax)}`, { align: "right" });
+      doc.font("Helvetica-Bold").fontSize(11).text(`Invoice Value: ${formatAmount(totals.invoiceValue)}`, { align: "right" });
+
+      doc.moveDown(3);
+      doc.font("Helvetica").fontSize(9).text(`For ${supplier.name}`, { align: "right" });
+      doc.moveDown(2);
+      doc.text("Authorised Signatory", { align: "right" });
+    });
+  }
+}
+
+module.exports = new InvoiceService();
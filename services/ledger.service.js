@@ -0,0 +1,424 @@
+const { default: mongoose } = require("mongoose");
+const { Order, Customer, CreditNote } = require("../models");
+const Transaction = require("../models/transaction.schema");
+const companyConfig = require("../config/company.config");
+const { renderPdf, createRowDrawer } = require("../utils/pdf");
+
+// Orders that never became a sale are left out of the ledger
+const EXCLUDED_ORDER_STATUSES = ["cancelled", "rejected"];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" });
+
+const formatAmount = (value) =>
+  (Number(value) || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+class LedgerService {
+  // Parse the statement period; dateFrom is optional (from the first entry), dateTo defaults to today
+  parsePeriod({ dateFrom, dateTo } = {}) {
+    const periodEnd = dateTo ? new Date(dateTo) : new Date();
+    if (isNaN(periodEnd.getTime())) {
+      throw new Error("Invalid dateTo date");
+    }
+    periodEnd.setHours(23, 59, 59, 999);
+
+    let periodStart = null;
+    if (dateFrom) {
+      periodStart = new Date(dateFrom);
+      if (isNaN(periodStart.getTime())) {
+        throw new Error("Invalid dateFrom date");
+      }
+      periodStart.setHours(0, 0, 0, 0);
+      if (periodStart > periodEnd) {
+        throw new Error("Invalid date range: dateFrom is after dateTo");
+      }
+    }
+
+    return { periodStart, periodEnd };
+  }
+
+  // Orders billed to the customer (debits) up to the end of the period
+  async getDebitEntries(customerId, periodEnd) {
+    const orders = await Order.find({
+      customer: customerId,
+      type: "order",
+      status: { $nin: EXCLUDED_ORDER_STATUSES },
+      orderDate: { $lte: periodEnd },
+    })
+      .select("orderNumber orderDate totalAmount status paymentStatus createdAt")
+      .lean();
+
+    return orders.map((order) => ({
+      date: order.orderDate,
+      createdAt: order.createdAt,
+      type: "Order",
+      reference: order.orderNumber,
+      referenceId: order._id,
+      description: `Order ${order.orderNumber}`,
+      debit: round2(order.totalAmount),
+      credit: 0,
+    }));
+  }
+
+  // Payments received from the customer (credits) up to the end of the period; a reversing
+  // entry is a debit that cancels the payment it reverses
+  async getCreditEntries(customerId, periodEnd) {
+    const transactions = await Transaction.find({
+      customer: customerId,
+      transactionDate: { $lte: periodEnd },
+    })
+      .populate("transactionFor", "orderNumber")
+      .populate("reversalOf", "transactionId reversal.reason")
+      .select("transactionId transactionDate transactionMode transactionForModel transactionFor amountPaid unallocatedAmount reference cheque.number cheque.bank reversalOf createdAt")
+      .lean();
+
+    return transactions.map((transaction) => {
+      if (transaction.reversalOf) {
+        const reason = transaction.reversalOf.reversal?.reason;
+        return {
+          date: transaction.transactionDate,
+          createdAt: transaction.createdAt,
+          type: "Payment Reversal",
+          reference: transaction.transactionId,
+          referenceId: transaction._id,
+          mode: transaction.transactionMode,
+          description: `Reversal of ${transaction.reversalOf.transactionId}${reason ? `: ${reason}` : ""}`,
+          debit: round2(transaction.amountPaid),
+          credit: 0,
+        };
+      }
+
+      const orderNumbers =
+        transaction.transactionForModel === "Order"
+          ? (transaction.transactionFor || []).map((o) => o?.orderNumber).filter(Boolean)
+          : [];
+
+      return {
+        date: transaction.transactionDate,
+        createdAt: transaction.createdAt,
+        type: "Payment",
+        reference: transaction.transactionId,
+        referenceId: transaction._id,
+        mode: transaction.transactionMode,
+        description: this.describePayment(transaction, orderNumbers),
+        debit: 0,
+        credit: round2(transaction.amountPaid),
+      };
+    });
+  }
+
+  // Bounced cheques (debits): the payment is taken back, plus any bounce charge
+  async getBounceEntries(customerId, periodEnd) {
+    const transactions = await Transaction.find({
+      customer: customerId,
+      "cheque.status": "bounced",
+      "cheque.bouncedAt": { $lte: periodEnd },
+    })
+      .select("transactionId amountPaid cheque createdAt")
+      .lean();
+
+    return transactions.flatMap((transaction) => {
+      const { cheque } = transaction;
+      const entries = [
+        {
+          date: cheque.bouncedAt,
+          createdAt: transaction.createdAt,
+          type: "Cheque Bounced",
+          reference: transaction.transactionId,
+          referenceId: transaction._id,
+          description: `Cheque ${cheque.number || ""} bounced${cheque.bounceReason ? `: ${cheque.bounceReason}` : ""}`,
+          debit: round2(transaction.amountPaid),
+          credit: 0,
+        },
+      ];
+      if (cheque.bounceCharge > 0) {
+        entries.push({
+          date: cheque.bouncedAt,
+          createdAt: transaction.createdAt,
+          type: "Bounce Charge",
+          reference: transaction.transactionId,
+          referenceId: transaction._id,
+          description: `Charge for bounced cheque ${cheque.number || ""}`,
+          debit: round2(cheque.bounceCharge),
+          credit: 0,
+        });
+      }
+      return entries;
+    });
+  }
+
+  // Approved credit notes for returned goods (credits) up to the end of the period
+  async getReturnEntries(customerId, periodEnd) {
+    const creditNotes = await CreditNote.find({
+      customer: customerId,
+      status: "approved",
+      approvedAt: { $lte: periodEnd },
+    })
+      .select("creditNoteNumber orderNumber totalAmount approvedAt createdAt")
+      .lean();
+
+    return creditNotes.map((creditNote) => ({
+      date: creditNote.approvedAt,
+      createdAt: creditNote.createdAt,
+      type: "Credit Note",
+      reference: creditNote.creditNoteNumber,
+      referenceId: creditNote._id,
+      description: `Goods returned against ${creditNote.orderNumber}`,
+      debit: 0,
+      credit: round2(creditNote.totalAmount),
+    }));
+  }
+
+  // e.g. "Cash payment against ORD0001, ORD0002 (500.00 on account)"
+  describePayment(transaction, orderNumbers) {
+    const unallocated = round2(transaction.unallocatedAmount || 0);
+    const mode = transaction.cheque?.number
+      ? `Cheque ${transaction.cheque.number}${transaction.cheque.bank ? ` (${transaction.cheque.bank})` : ""}`
+      : transaction.reference
+        ? `${transaction.transactionMode} (${transaction.reference})`
+        : transaction.transactionMode;
+    if (orderNumbers.length === 0) {
+      return `${mode} payment on account`;
+    }
+    return `${mode} payment against ${orderNumbers.join(", ")}${unallocated > 0 ? ` (${formatAmount(unallocated)} on account)` : ""}`;
+  }
+
+  /**
+   * Build the statement of account of a customer for a period
+   * @param {string} customerId - Customer ID
+   * @param {Object} query - { dateFrom, dateTo }
+   * @returns {Object} - Customer, period, opening/closing balance, entries with running balance and totals.
+   *                     A positive balance is owed by the customer; a negative one is an advance.
+   */
+  async getCustomerLedger(customerId, query = {}) {
+    if (!mongoose.Types.ObjectId.isValid(customerId)) {
+      throw new Error("Customer not found");
+    }
+
+    const customer = await Customer.findById(customerId)
+      .select("customerId businessName phone email address gstNumber creditLimit creditDays onAccountCredit")
+      .lean();
+    if (!customer) {
+      throw new Error("Customer not found");
+    }
+
+    const { periodStart, periodEnd } = this.parsePeriod(query);
+
+    const [debits, credits, returns, bounces] = await Promise.all([
+      this.getDebitEntries(customer._id, periodEnd),
+      this.getCreditEntries(customer._id, periodEnd),
+      this.getReturnEntries(customer._id, periodEnd),
+      this.getBounceEntries(customer._id, periodEnd),
+    ]);
+
+    // Date order; on the same instant the bill comes before the payment against it
+    const allEntries = [...debits, ...credits, ...returns, ...bounces].sort(
+      (a, b) =>
+        new Date(a.date) - new Date(b.date) ||
+        (a.debit > 0 ? 0 : 1) - (b.debit > 0 ? 0 : 1) ||
+        new Date(a.createdAt) - new Date(b.createdAt)
+    );
+
+    let openingBalance = 0;
+    const entries = [];
+    for (const entry of allEntries) {
+      if (periodStart && new Date(entry.date) < periodStart) {
+        openingBalance += entry.debit - entry.credit;
+      } else {
+        entries.push(entry);
+      }
+    }
+    openingBalance = round2(openingBalance);
+
+    let balance = openingBalance;
+    let totalDebit = 0;
+    let totalCredit = 0;
+    for (const entry of entries) {
+      balance = round2(balance + entry.debit - entry.credit);
+      totalDebit += entry.debit;
+      totalCredit += entry.credit;
+      entry.balance = balance;
+      delete entry.createdAt;
+    }
+
+    return {
+      customer,
+      period: { dateFrom: periodStart, dateTo: periodEnd },
+      openingBalance,
+      entries,
+      totals: {
+        debit: round2(totalDebit),
+        credit: round2(totalCredit),
+      },
+      closingBalance: balance,
+      // Payments not yet applied to any order, as of now
+      onAccountCredit: round2(customer.onAccountCredit || 0),
+    };
+  }
+
+  // Label a balance the way statements usually show it: owed (Dr) or advance (Cr)
+  formatBalance(value) {
+    const amount = round2(value);
+    if (amount === 0) return "0.00";
+    return `${formatAmount(Math.abs(amount))} ${amount > 0 ? "Dr" : "Cr"}`;
+  }
+
+  /**
+   * Export a ledger statement to Excel
+   * @param {Object} ledger - Result of getCustomerLedger
+   * @returns {Buffer} - xlsx file
+   */
+  async generateLedgerExcel(ledger) {
+    const ExcelJS = require("exceljs");
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Statement");
+
+    const { customer, period } = ledger;
+
+    sheet.mergeCells("A1:G1");
+    sheet.getCell("A1").value = companyConfig.name;
+    sheet.getCell("A1").font = { bold: true, size: 14 };
+
+    sheet.mergeCells("A2:G2");
+    sheet.getCell("A2").value = `Statement of Account - ${customer.businessName}${customer.customerId ? ` (${customer.customerId})` : ""}`;
+    sheet.getCell("A2").font = { bold: true, size: 12 };
+
+    sheet.mergeCells("A3:G3");
+    sheet.getCell("A3").value = `Period: ${period.dateFrom ? formatDate(period.dateFrom) : "Beginning"} to ${formatDate(period.dateTo)}`;
+
+    const headerRow = sheet.getRow(5);
+    headerRow.values = ["Date", "Type", "Reference", "Description", "Debit", "Credit", "Balance"];
+    headerRow.font = { bold: true, color: { argb: "FFFFFFFF" } };
+    headerRow.fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FF4472C4" } };
+    headerRow.alignment = { vertical: "middle", horizontal: "center" };
+
+    sheet.columns = [
+      { key: "date", width: 14 },
+      { key: "type", width: 10 },
+      { key: "reference", width: 16 },
+      { key: "description", width: 40 },
+      { key: "debit", width: 15 },
+      { key: "credit", width: 15 },
+      { key: "balance", width: 18 },
+    ];
+
+    sheet.addRow({
+      date: period.dateFrom ? new Date(period.dateFrom) : "",
+      description: "Opening Balance",
+      balance: this.formatBalance(ledger.openingBalance),
+    }).font = { italic: true };
+
+    for (const entry of ledger.entries) {
+      sheet.addRow({
+        date: new Date(entry.date),
+        type: entry.type,
+        reference: entry.reference,
+        description: entry.description,
+        debit: entry.debit || null,
+        credit: entry.credit || null,
+        balance: this.formatBalance(entry.balance),
+      });
+    }
+
+    const totalsRow = sheet.addRow({
+      description: "Total",
+      debit: ledger.totals.debit,
+      credit: ledger.totals.credit,
+    });
+    totalsRow.font = { bold: true };
+
+    const closingRow = sheet.addRow({
+      description: "Closing Balance",
+      balance: this.formatBalance(ledger.closingBalance),
+    });
+    closingRow.font = { bold: true };
+
+    if (ledger.onAccountCredit > 0) {
+      sheet.addRow({
+        description: "Unallocated On-Account Credit",
+        balance: formatAmount(ledger.onAccountCredit),
+      });
+    }
+
+    sheet.getColumn("date").numFmt = "dd-mmm-yyyy";
+    sheet.getColumn("debit").numFmt = "₹#,##0.00";
+    sheet.getColumn("credit").numFmt = "₹#,##0.00";
+    sheet.getColumn("balance").alignment = { horizontal: "right" };
+
+    return workbook.xlsx.writeBuffer();
+  }
+
+  /**
+   * Export a ledger statement to PDF
+   * @param {Object} ledger - Result of getCustomerLedger
+   * @returns {Promise<Buffer>} - PDF file
+   */
+  generateLedgerPdf(ledger) {
+    return renderPdf((doc) => {
+      const { customer, period } = ledger;
+      const left = doc.page.margins.left;
+      const right = doc.page.width - doc.page.margins.right;
+
+      // Header
+      doc.font("Helvetica-Bold").fontSize(16).text(companyConfig.name, { align: "center" });
+      doc.font("Helvetica").fontSize(9);
+      const companyLine = [companyConfig.address, companyConfig.phone, companyConfig.email].filter(Boolean).join(" | ");
+      if (companyLine) doc.text(companyLine, { align: "center" });
+      doc.moveDown(0.5);
+      doc.font("Helvetica-Bold").fontSize(12).text("Statement of Account", { align: "center" });
+      doc.moveDown();
+
+      doc.font("Helvetica-Bold").fontSize(10).text(customer.businessName);
+      doc.font("Helvetica").fontSize(9);
+      if (customer.customerId) doc.text(`Customer ID: ${customer.customerId}`);
+      const address = [customer.address?.street, customer.address?.city, customer.address?.state, customer.address?.pincode]
+        .filter(Boolean)
+        .join(", ");
+      if (address) doc.text(address);
+      if (customer.phone) doc.text(`Phone: ${customer.phone}`);
+      if (customer.gstNumber) doc.text(`GSTIN: ${customer.gstNumber}`);
+      doc.text(`Period: ${period.dateFrom ? formatDate(period.dateFrom) : "Beginning"} to ${formatDate(period.dateTo)}`);
+      doc.moveDown();
+
+      // Table
+      const columns = [
+        { label: "Date", width: 62, align: "left" },
+        { label: "Reference", width: 70, align: "left" },
+        { label: "Description", width: 165, align: "left" },
+        { label: "Debit", width: 65, align: "right" },
+        { label: "Credit", width: 65, align: "right" },
+        { label: "Balance", width: right - left - 427, align: "right" },
+      ];
+
+      const drawRow = createRowDrawer(doc, columns);
+
+      drawRow(columns.map((c) => c.label), { bold: true });
+      drawRow([period.dateFrom ? formatDate(period.dateFrom) : "", "", "Opening Balance", "", "", this.formatBalance(ledger.openingBalance)]);
+
+      for (const entry of ledger.entries) {
+        drawRow([
+          formatDate(entry.date),
+          entry.reference || "",
+          entry.description,
+          entry.debit ? formatAmount(entry.debit) : "",
+          entry.credit ? formatAmount(entry.credit) : "",
+          this.formatBalance(entry.balance),
+        ]);
+      }
+
+      drawRow(["", "", "Total", formatAmount(ledger.totals.debit), formatAmount(ledger.totals.credit), ""], { bold: true });
+      drawRow(["", "", "Closing Balance", "", "", this.formatBalance(ledger.closingBalance)], { bold: true });
+      if (ledger.onAccountCredit > 0) {
+        drawRow(["", "", "Unallocated On-Account Credit", "", "", formatAmount(ledger.onAccountCredit)]);
+      }
+
+      doc.moveDown(2);
+      doc.font("Helvetica").fontSize(8).fillColor("#666666")
+        .text(`Generated on ${formatDate(new Date())}. Dr = amount due from customer, Cr = advance held for customer.`, left);
+    });
+  }
+}
+
+module.exports = new LedgerService();
@@ -1,15 +1,72 @@
 const { Order, Customer, User, Inventory, Godown, AuditLog, DeliveryTimePdfChanges } = require("../models");
 const { uploadBase64ToS3 } = require("../utils/s3Upload");
 const transactionService = require("./transaction.service");
-const {
-  QUICK_PRODUCT_BASES,
-  CITY_CONFIG,
-  CITY_TOKENS,
-  getProductsForGodowns,
-  getProductsForGodown,
-} = require("../config/pricing.config");
+const inventoryService = require("./inventory.service");
+const productService = require("./product.service");
+const invoiceService = require("./invoice.service");
+const { toKg } = require("../utils/units");
+const { DELIVERED_ORDER_MATCH, OPEN_PAYMENT_STATUSES, orderDue, receivableStages } = require("../utils/receivables");
+const priceListService = require("./priceList.service");
+const dayCloseService = require("./dayClose.service");
+const periodLockService = require("./periodLock.service");
 const { default: mongoose } = require("mongoose");
 
+// Set by their own workflows (credit release, stock reservation, invoicing, e-way bills,
+// credit notes, driver settlements, payment allocation); never taken from an order edit
+const SERVER_MANAGED_FIELDS = [
+  "orderNumber",
+  "paidAmount",
+  "creditHold",
+  "stockReservation",
+  "invoice",
+  "invoiceNumber",
+  "eInvoice",
+  "eWayBill",
+  "returnedAmount",
+  "settlements",
+];
+
+// What an invoice is made from; fixed once the order is invoiced
+const INVOICED_FIELDS = [
+  "customer",
+  "godown",
+  "subtotal",
+  "discount",
+  "discountPercentage",
+  "taxAmount",
+  "isTaxable",
+  "taxPercentage",
+  "totalAmount",
+];
+
+const idOrValue = (value) => String(value?._id ?? value ?? "");
+
+// Fields of an edit that would change what was invoiced; a resent unchanged value doesn't count
+const invoicedFieldChanges = (order, updateData) => {
+  const changed = INVOICED_FIELDS.filter(
+    (field) => updateData[field] !== undefined && idOrValue(updateData[field]) !== idOrValue(order[field])
+  );
+  if (updateData.items !== undefined) {
+    const lineKey = (item) =>
+      [item.productName, Number(item.quantity), item.unit, Number(item.ratePerUnit)].join("|");
+    const before = (order.items || []).map(lineKey);
+    const after = (Array.isArray(updateData.items) ? updateData.items : []).map(lineKey);
+    if (before.length !== after.length || before.some((key, index) => key !== after[index])) {
+      changed.push("items");
+    }
+  }
+  return changed;
+};
+
+// Modes a payment can be recorded in
+const PAYMENT_MODES = ["Cash", "Credit", "Cheque", "Online"];
+
+// Stages before dispatch, where a credit hold still stops the order
+const PRE_DISPATCH_STATUSES = ["pending", "approved", "processing"];
+
+// Statuses at which the goods have left the godown
+const SHIPPED_STATUSES = ["dispatched", "delivered", "completed"];
+
 class OrderService {
   /**
    * Calculate the previous outstanding balance for a customer.
@@ -35,7 +92,7 @@ class OrderService {
 
     // Get other orders for this customer
     const otherCustomerOrders = await Order.find(filter)
-      .select("totalAmount paidAmount")
+      .select("totalAmount paidAmount returnedAmount")
       .lean();
     // Safe number conversion helper with 2 decimal places
     const safeNumber = (val) => {
@@ -45,9 +102,7 @@ class OrderService {
 
     // Calculate total previous balance
     const previousBalance = otherCustomerOrders.reduce((total, ord) => {
-      const totalAmt = safeNumber(ord.totalAmount);
-      const paidAmt = safeNumber(ord.paidAmount);
-      const outstanding = Math.max(0, totalAmt - paidAmt);
+      const outstanding = safeNumber(orderDue(ord));
       return safeNumber(total + outstanding);
     }, 0);
 
@@ -63,6 +118,7 @@ class OrderService {
       status = "",
       deliveryStatus = "",
       paymentStatus = "",
+      creditHold = "",
       customerId = "",
       dateFrom = "",
       dateTo = "",
@@ -89,6 +145,7 @@ class OrderService {
     if (status) filter.status = status;
     if (deliveryStatus) filter.deliveryStatus = deliveryStatus;
     if (paymentStatus) filter.paymentStatus = paymentStatus;
+    if (creditHold) filter["creditHold.status"] = creditHold;
     if (customerId) filter.customer = new mongoose.Types.ObjectId(customerId);
     if (type) filter.type = type;
 
@@ -390,11 +447,11 @@ class OrderService {
         deliveryStatus: { $nin: ["cancelled"] },
         paymentStatus: { $in: ["pending", "partial", "overdue"] },
       })
-        .select("totalAmount paidAmount")
+        .select("totalAmount paidAmount returnedAmount")
         .lean();
 
       const calculatedOutstanding = outstandingOrders.reduce((total, ord) => {
-        return total + (ord.totalAmount - (ord.paidAmount || 0));
+        return total + orderDue(ord);
       }, 0);
 
       // Attach outstanding amount to the customer data
@@ -407,6 +464,161 @@ class OrderService {
     };
   }
 
+  /**
+   * Credit check of an order: the customer's exposure (other dues plus what is unpaid on
+   * this order, less on-account credit) against the credit limit (0 = no limit), and any
+   * overdue invoices.
+   * @returns {Object} - { reasons, exposure, creditLimit, overdueAmount }; no reasons = passed
+   */
+  async evaluateCredit(order, customer) {
+    const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+    const otherDues = await this.calculatePreviousBalance(customer._id, order._id);
+    const exposure = round2(otherDues + orderDue(order) - (customer.onAccountCredit || 0));
+    const creditLimit = customer.creditLimit || 0;
+
+    const [overdue] = await Order.aggregate([
+      {
+        $match: {
+          ...DELIVERED_ORDER_MATCH,
+          customer: customer._id,
+          _id: { $ne: order._id },
+          paymentStatus: { $in: OPEN_PAYMENT_STATUSES },
+        },
+      },
+      ...receivableStages(new Date()),
+      { $match: { daysPastDue: { $gte: 1 } } },
+      { $group: { _id: null, amount: { $sum: "$outstanding" }, count: { $sum: 1 } } },
+    ]);
+    const overdueAmount = round2(overdue?.amount || 0);
+
+    const reasons = [];
+    if (creditLimit > 0 && exposure > creditLimit) {
+      reasons.push(`Exposure ${exposure.toFixed(2)} exceeds credit limit ${creditLimit.toFixed(2)}`);
+    }
+    if (overdueAmount > 0) {
+      reasons.push(`${overdue.count} overdue invoice(s) totalling ${overdueAmount.toFixed(2)}`);
+    }
+
+    return { reasons, exposure, creditLimit, overdueAmount };
+  }
+
+  // Run the credit check and hold the order if it fails. Returns true when the order was held.
+  async applyCreditCheck(order, customer, userId) {
+    const check = await this.evaluateCredit(order, customer);
+    if (check.reasons.length === 0) return false;
+
+    order.creditHold = {
+      status: "on_hold",
+      reasons: check.reasons,
+      exposure: check.exposure,
+      creditLimit: check.creditLimit,
+      overdueAmount: check.overdueAmount,
+      heldAt: new Date(),
+    };
+    order.internalNotes = order.internalNotes
+      ? `${order.internalNotes}\n[CREDIT HOLD] ${check.reasons.join("; ")}`
+      : `[CREDIT HOLD] ${check.reasons.join("; ")}`;
+    await order.save();
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: "orders",
+      resourceType: "Order",
+      resourceId: order._id.toString(),
+      newValues: { creditHold: order.creditHold },
+      description: `Order ${order.orderNumber} placed on credit hold: ${check.reasons.join("; ")}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return true;
+  }
+
+  // Release an order from credit hold so it can be approved
+  async releaseCreditHold(orderId, userId, reason = "") {
+    const { User } = require("../models");
+
+    const user = await User.findById(userId).populate("role");
+    if (!user) throw new Error("User not found");
+
+    const canRelease = await user.hasPermission("orders.releaseCreditHold");
+    if (!canRelease) {
+      throw new Error("Only users with credit release permission can release a credit hold");
+    }
+    if (!reason || !reason.trim()) {
+      throw new Error("Release reason is required to release a credit hold");
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) throw new Error("Order not found");
+    if (order.creditHold?.status !== "on_hold") {
+      throw new Error("Order is not on credit hold");
+    }
+
+    const oldValues = order.toObject();
+
+    order.creditHold.status = "released";
+    order.creditHold.releasedBy = userId;
+    order.creditHold.releasedAt = new Date();
+    order.creditHold.releaseReason = reason.trim();
+    order.updatedBy = userId;
+    order.internalNotes = order.internalNotes
+      ? `${order.internalNotes}\n[CREDIT RELEASED] ${reason.trim()}`
+      : `[CREDIT RELEASED] ${reason.trim()}`;
+    await order.save();
+
+    await AuditLog.create({
+      user: userId,
+      action: "APPROVE",
+      module: "orders",
+      resourceType: "Order",
+      resourceId: order._id.toString(),
+      oldValues,
+      newValues: order.toObject(),
+      description: `Released credit hold on order ${order.orderNumber} (${reason.trim()})`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return {
+      success: true,
+      data: { order },
+      message: "Credit hold released successfully",
+    };
+  }
+
+  // Issue the GST invoice of an order at dispatch or delivery
+  async issueOrderInvoice(order, userId, stage) {
+    if (order.type !== "order") return;
+    try {
+      const invoice = await invoiceService.generateForOrder(order._id, userId, stage);
+      if (invoice) {
+        order.invoice = invoice._id;
+        order.invoiceNumber = invoice.invoiceNumber;
+      }
+    } catch (invoiceError) {
+      console.error(`Error issuing invoice at ${stage}:`, invoiceError);
+      // Don't fail the order update if invoicing fails; it can be issued manually
+    }
+  }
+
+  // Money paid against a cancelled/rejected order goes back to the customer's on-account credit
+  async releasePaymentAllocations(order) {
+    if (order.type !== "order") return;
+    try {
+      const result = await transactionService.releaseOrderAllocations(order._id);
+      if (result.data?.releasedAmount > 0) {
+        order.paidAmount = result.data.paidAmount;
+        order.paymentStatus = result.data.paymentStatus;
+      }
+    } catch (creditError) {
+      console.error("Error releasing payment allocations of order:", creditError);
+      // Don't fail the cancellation if the credit cannot be released
+    }
+  }
+
   // Create new order
   async createOrder(orderData, createdBy) {
     // Validate customer exists
@@ -437,6 +649,17 @@ class OrderService {
       }
     }
 
+    // Link items to the product master and resolve their list price
+    if (orderData.type === "order") {
+      orderData.items = await productService.attachProducts(orderData.items);
+      orderData.items = await this.applyPriceList(
+        orderData.items,
+        orderData.godown,
+        customer.customerType,
+        createdBy
+      );
+    }
+
     // If godown provided, validate it and product availability
     if (orderData.godown) {
       const godown = await Godown.findById(orderData.godown);
@@ -496,6 +719,18 @@ class OrderService {
       } catch { }
     }
 
+    // A back-dated order can't be added to a closed day or a locked period
+    if (order.type === "order" && orderData.orderDate) {
+      await dayCloseService.assertDayOpen(order.godown, order.orderDate);
+      await periodLockService.assertPeriodOpen(order.orderDate, {
+        userId: createdBy,
+        action: "CREATE",
+        module: "orders",
+        resourceType: "Order",
+        description: `Back-dated order for ${customer.businessName}`,
+      });
+    }
+
     await order.save();
 
     // Record delivery time PDF changes for orders with payment
@@ -552,6 +787,46 @@ class OrderService {
       }
     }
 
+    // Settle the new order from the customer's on-account credit
+    if (
+      order.type === "order" &&
+      customer.autoApplyCredit !== false &&
+      customer.onAccountCredit > 0
+    ) {
+      try {
+        const creditResult = await transactionService.applyOnAccountCredit(
+          { customerId: order.customer, orderIds: [order._id] },
+          createdBy
+        );
+        const applied = creditResult.data?.appliedOrders?.[0];
+        if (applied) {
+          customer.onAccountCredit = creditResult.data.onAccountCredit;
+          order.paidAmount = applied.paidAmount;
+          order.paymentStatus = applied.paymentStatus;
+
+          await AuditLog.create({
+            user: createdBy,
+            action: "UPDATE",
+            module: "transactions",
+            resourceType: "Order",
+            resourceId: order._id.toString(),
+            description: `On-account credit of ${applied.amount} applied to order ${order.orderNumber}`,
+            ipAddress: "0.0.0.0",
+            userAgent: "System",
+          });
+        }
+      } catch (creditError) {
+        console.error("Error applying on-account credit to order:", creditError);
+        // Don't fail the order creation if the credit cannot be applied
+      }
+    }
+
+    // Hold the order if the customer is over their credit limit or has overdue invoices
+    let onCreditHold = false;
+    if (order.type === "order") {
+      onCreditHold = await this.applyCreditCheck(order, customer, createdBy);
+    }
+
     // Update customer statistics
     await Customer.findByIdAndUpdate(orderData.customer, {
       $inc: { totalOrders: 1 },
@@ -574,7 +849,9 @@ class OrderService {
     return {
       success: true,
       data: { order },
-      message: "Order created successfully",
+      message: onCreditHold
+        ? "Order created and placed on credit hold"
+        : "Order created successfully",
     };
   }
 
@@ -590,6 +867,42 @@ class OrderService {
       throw new Error("Order not found");
     }
 
+    updateData = { ...updateData };
+    // A higher paidAmount is taken as a payment and allocated like any other (see below)
+    const requestedPaidAmount = typeof updateData.paidAmount === "number" ? updateData.paidAmount : undefined;
+    for (const field of SERVER_MANAGED_FIELDS) {
+      delete updateData[field];
+    }
+
+    // The invoice stays as issued; corrections go through a credit note
+    if (order.invoice) {
+      const changed = invoicedFieldChanges(order, updateData);
+      if (changed.length > 0) {
+        throw new Error(
+          `Order is invoiced (${order.invoiceNumber}); ${changed.join(", ")} can't be changed. Raise a credit note instead`
+        );
+      }
+    }
+
+    // Orders of a closed day or locked period can't be edited, nor moved onto one
+    if (order.type === "order") {
+      await dayCloseService.assertDayOpen(order.godown, order.orderDate);
+      if (updateData.godown || updateData.orderDate) {
+        await dayCloseService.assertDayOpen(
+          updateData.godown || order.godown,
+          updateData.orderDate || order.orderDate
+        );
+      }
+      await periodLockService.assertPeriodOpen([order.orderDate, updateData.orderDate], {
+        userId: updatedBy,
+        action: "UPDATE",
+        module: "orders",
+        resourceType: "Order",
+        resourceId: order._id,
+        description: `Edited order ${order.orderNumber}`,
+      });
+    }
+
     // Store old values for audit
     const oldValues = order.toObject();
     const oldPaidAmount = order.paidAmount;
@@ -599,6 +912,17 @@ class OrderService {
     Object.assign(order, updateData, { updatedBy });
     await order.save();
 
+    // A larger order is checked against the credit limit again, even if an earlier hold was released
+    if (
+      order.type === "order" &&
+      PRE_DISPATCH_STATUSES.includes(order.status) &&
+      order.creditHold?.status !== "on_hold" &&
+      order.totalAmount > (oldValues.totalAmount || 0)
+    ) {
+      const customer = await Customer.findById(order.customer);
+      if (customer) await this.applyCreditCheck(order, customer, updatedBy);
+    }
+
     // Record delivery time PDF changes if paidAmount changed for orders
     // if (
     //   order.type === "order" &&
@@ -621,45 +945,26 @@ class OrderService {
     //   }
     // }
 
-    // Record transaction if paidAmount increased
-    if (
-      typeof updateData.paidAmount === "number" &&
-      updateData.paidAmount !== oldPaidAmount &&
-      updateData.paidAmount > oldPaidAmount
-    ) {
-      const amountDifference = updateData.paidAmount - (oldPaidAmount || 0);
-      try {
-        await transactionService.createTransaction(
-          {
-            transactionMode: order.paymentTerms || "Cash",
-            transactionForModel: "Order",
-            transactionFor: [order._id],
-            customer: order.customer,
-            amountPaid: amountDifference,
-            createdFromService: "order",
-            transactionDate: new Date(),
-          },
-          updatedBy
-        );
-
-        // Log transaction creation in audit
-        await AuditLog.create({
-          user: updatedBy,
-          action: "CREATE",
-          module: "transactions",
-          resourceType: "Transaction",
-          resourceId: order._id.toString(),
-          description: `Transaction recorded for order ${order.orderNumber} - Additional payment: ${amountDifference}`,
-          ipAddress: "0.0.0.0",
-          userAgent: "System",
-        });
-      } catch (transactionError) {
-        console.error(
-          "Error creating transaction for order update:",
-          transactionError
-        );
-        // Don't fail the order update if transaction recording fails
+    // Record the increase as a payment allocated to this order, so it can be reversed exactly
+    const additionalPayment =
+      requestedPaidAmount !== undefined ? Math.round((requestedPaidAmount - (oldPaidAmount || 0)) * 100) / 100 : 0;
+    if (additionalPayment > 0) {
+      const payment = await transactionService.allocateCustomerPayment(
+        {
+          customerId: order.customer,
+          amountPaid: additionalPayment,
+          orderIds: [order._id],
+          paymentMode: PAYMENT_MODES.includes(order.paymentTerms) ? order.paymentTerms : "Cash",
+        },
+        updatedBy
+      );
+      if (!payment.success) {
+        throw new Error(`Order updated, but the payment of ${additionalPayment} was not recorded: ${payment.message}`);
       }
+      Object.assign(
+        order,
+        await Order.findById(order._id).select("-_id paidAmount paymentStatus paymentTerms").lean()
+      );
     }
 
     // Log the action
@@ -670,12 +975,9 @@ class OrderService {
     // Build a richer description when payment fields changed
     let description = `Updated ${resourceName}: ${order.orderNumber}`;
     const changes = [];
-    if (
-      typeof updateData.paidAmount === "number" &&
-      updateData.paidAmount !== oldPaidAmount
-    ) {
+    if (order.paidAmount !== oldPaidAmount) {
       changes.push(
-        `paidAmount ${oldPaidAmount ?? 0} -> ${updateData.paidAmount}`
+        `paidAmount ${oldPaidAmount ?? 0} -> ${order.paidAmount}`
       );
     }
     if (
@@ -717,6 +1019,25 @@ class OrderService {
       throw new Error("Order not found");
     }
 
+    await dayCloseService.assertDayOpen(order.godown, order.orderDate);
+    await periodLockService.assertPeriodOpen(order.orderDate, {
+      userId: updatedBy,
+      action: "UPDATE",
+      module: "orders",
+      resourceType: "Order",
+      resourceId: order._id,
+      description: `Changed status of order ${order.orderNumber} to ${status}`,
+    });
+
+    if (
+      order.creditHold?.status === "on_hold" &&
+      !["pending", "cancelled", "rejected"].includes(status)
+    ) {
+      throw new Error(
+        `Order is on credit hold: ${order.creditHold.reasons.join("; ")}`
+      );
+    }
+
     const oldStatus = order.status;
     const oldValues = order.toObject();
 
@@ -745,6 +1066,11 @@ class OrderService {
         : notes;
     }
 
+    // Shipped goods leave the godown whichever way the order got here
+    if (SHIPPED_STATUSES.includes(status)) {
+      await this.postOrderStockMovements(order, updatedBy);
+    }
+
     await order.save();
 
     // Log the action
@@ -861,7 +1187,8 @@ class OrderService {
   }
 
   // Approve order
-  async approveOrder(orderId, approvedBy, notes = "") {
+  async approveOrder(orderId, approvedBy, notes = "", options = {}) {
+    const { overrideStock = false, overrideReason = "" } = options;
     const { User } = require("../models");
 
     const user = await User.findById(approvedBy).populate("role");
@@ -877,10 +1204,90 @@ class OrderService {
     if (order.status !== "pending")
       throw new Error("Order is not in pending status");
 
+    // Credit check, unless the hold was already released by finance
+    if (order.type === "order" && order.creditHold?.status !== "released") {
+      if (order.creditHold?.status !== "on_hold") {
+        const customer = await Customer.findById(order.customer);
+        if (customer) await this.applyCreditCheck(order, customer, approvedBy);
+      }
+      if (order.creditHold?.status === "on_hold") {
+        throw new Error(
+          `Order is on credit hold: ${order.creditHold.reasons.join("; ")}`
+        );
+      }
+    }
+
+    // Check availability at the godown and reserve the stock
+    let stockOverride = null;
+    let reservationItems = null;
+    if (order.type === "order" && order.godown) {
+      const { lines } = await this.checkStockAvailability(order);
+      const shortfalls = lines.filter((line) => line.shortfallKg > 0);
+
+      if (shortfalls.length > 0) {
+        if (!overrideStock) {
+          throw new Error(
+            `Insufficient stock: ${shortfalls
+              .map(
+                (line) =>
+                  `${line.productName} needs ${line.requiredKg} KG, ${Math.max(0, line.availableKg)} KG available`
+              )
+              .join("; ")}`
+          );
+        }
+
+        const canOverride = await user.hasPermission("orders.overrideStock");
+        if (!canOverride) {
+          throw new Error(
+            "Only Manager or Admin can approve orders against insufficient stock"
+          );
+        }
+        if (!overrideReason || !overrideReason.trim()) {
+          throw new Error(
+            "Override reason is required to approve against insufficient stock"
+          );
+        }
+
+        stockOverride = {
+          reason: overrideReason.trim(),
+          approvedBy,
+          approvedAt: new Date(),
+          shortfalls: shortfalls.map((line) => ({
+            productName: line.productName,
+            requiredKg: line.requiredKg,
+            availableKg: line.availableKg,
+          })),
+        };
+      }
+
+      reservationItems = lines.map((line) => ({
+        product: line.product,
+        productName: line.productName,
+        quantityKg: line.requiredKg,
+      }));
+    }
+
     const oldValues = order.toObject();
 
+    if (reservationItems) {
+      order.stockReservation = {
+        status: "reserved",
+        items: reservationItems,
+        reservedBy: approvedBy,
+        reservedAt: new Date(),
+        override: stockOverride || undefined,
+      };
+    }
+
+    if (stockOverride) {
+      order.internalNotes = order.internalNotes
+        ? `${order.internalNotes}\n[STOCK OVERRIDE] ${stockOverride.reason}`
+        : `[STOCK OVERRIDE] ${stockOverride.reason}`;
+    }
+
     order.status = "approved";
     order.deliveryStatus = "delivered";
+    order.deliveryDate = order.deliveryDate || new Date();
     order.approvedBy = approvedBy;
     order.approvedDate = new Date();
     order.updatedBy = approvedBy;
@@ -893,6 +1300,8 @@ class OrderService {
 
     await order.save();
 
+    await this.issueOrderInvoice(order, approvedBy, "delivery");
+
     await AuditLog.create({
       user: approvedBy,
       action: "UPDATE",
@@ -901,7 +1310,9 @@ class OrderService {
       resourceId: order._id.toString(),
       oldValues,
       newValues: order.toObject(),
-      description: `Approved order: ${order.orderNumber}`,
+      description: stockOverride
+        ? `Approved order: ${order.orderNumber} against insufficient stock (${stockOverride.reason})`
+        : `Approved order: ${order.orderNumber}`,
       ipAddress: "0.0.0.0",
       userAgent: "System",
     });
@@ -940,6 +1351,7 @@ class OrderService {
 
     order.status = "rejected";
     order.updatedBy = rejectedBy;
+    this.releaseStockReservation(order);
 
     if (notes) {
       order.internalNotes = order.internalNotes
@@ -952,6 +1364,7 @@ class OrderService {
     }
 
     await order.save();
+    await this.releasePaymentAllocations(order);
 
     await AuditLog.create({
       user: rejectedBy,
@@ -1234,6 +1647,7 @@ class OrderService {
     }
 
     order.status = "delivered";
+    order.deliveryDate = new Date();
     order.driverAssignment = {
       ...order.driverAssignment,
       deliveryAt: new Date(),
@@ -1265,6 +1679,9 @@ class OrderService {
 
     order.updatedBy = user._id;
 
+    // Post stock sold against the godown (skipped if already posted at dispatch)
+    await this.postOrderStockMovements(order, user._id);
+
     await order.save();
 
     // Record delivery time PDF changes if payment amount changed
@@ -1283,6 +1700,8 @@ class OrderService {
       // Don't fail the delivery recording if PDF recording fails
     }
 
+    await this.issueOrderInvoice(order, user._id, "delivery");
+
     // Record transaction if amount was collected during delivery
     if (amountCollected > 0) {
       try {
@@ -1518,6 +1937,230 @@ class OrderService {
     };
   }
 
+  // Attach the applicable price list entry to each linked item. Items sent without a
+  // rate are priced from the list; a rate sent by the client is kept and the list
+  // price is recorded next to it.
+  async applyPriceList(items, godownId, customerType, createdBy) {
+    if (!Array.isArray(items) || items.length === 0) return items;
+
+    let pricingGodownId = godownId;
+    if (!pricingGodownId) {
+      const creator = await User.findById(createdBy).select("primaryGodown");
+      pricingGodownId = creator?.primaryGodown;
+    }
+
+    const priced = [];
+    for (const item of items) {
+      if (!item.product) {
+        priced.push(item);
+        continue;
+      }
+
+      const price = await priceListService.resolvePriceForGodown(
+        item.product,
+        pricingGodownId,
+        { customerType }
+      );
+      if (!price) {
+        priced.push(item);
+        continue;
+      }
+
+      const pricedItem = {
+        ...item,
+        priceList: price._id,
+        listPricePerKg: price.pricePerKg,
+      };
+      const hasRate =
+        item.ratePerUnit !== undefined &&
+        item.ratePerUnit !== null &&
+        item.ratePerUnit !== "";
+      if (!hasRate) {
+        pricedItem.ratePerUnit =
+          price.pricePerKg * toKg(1, item.unit || "KG", item.packaging);
+        pricedItem.totalAmount =
+          Number(item.quantity || 0) * pricedItem.ratePerUnit;
+      }
+      priced.push(pricedItem);
+    }
+
+    return priced;
+  }
+
+  // Post a "Stock Sold" movement in KG for every item of the order against its godown.
+  // Safe to call more than once: nothing is posted while earlier postings are still active.
+  // Throws when the stock can't be posted, so the status change that called it fails too.
+  async postOrderStockMovements(order, userId) {
+    if (order.type !== "order") return [];
+
+    if (!order.godown) {
+      console.warn(
+        `Order ${order.orderNumber} has no godown, stock movements not posted`
+      );
+      return [];
+    }
+
+    if (await inventoryService.hasActiveSourceMovements("Order", order._id)) {
+      return [];
+    }
+
+    let posted;
+    try {
+      const movements = (order.items || []).map((item) => {
+        const quantityKg = toKg(item.quantity, item.unit, item.packaging);
+        return {
+          inventoryType: "Stock Sold",
+          dateOfStock: new Date(),
+          quantity: quantityKg,
+          unit: "Kg",
+          godown: order.godown,
+          product: item.product,
+          productName: item.productName,
+          pricePerKg: quantityKg > 0 ? item.totalAmount / quantityKg : undefined,
+          additionalNotes: `Order ${order.orderNumber}`,
+        };
+      });
+
+      posted = await inventoryService.postSourceMovements(
+        "Order",
+        order._id,
+        movements,
+        userId
+      );
+    } catch (error) {
+      // Take back whatever was posted before the failure, so a retry posts the whole order
+      await inventoryService.reverseSourceMovements("Order", order._id, userId, "Posting failed");
+      throw new Error(`Stock for order ${order.orderNumber} could not be posted: ${error.message}`);
+    }
+
+    // The stock has left the godown, so it no longer counts as reserved
+    if (order.stockReservation?.status === "reserved") {
+      order.stockReservation.status = "consumed";
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { "stockReservation.status": "consumed" } }
+      );
+    }
+
+    return posted;
+  }
+
+  // KG per product that an order needs from its godown
+  getOrderStockRequirements(order) {
+    const lines = new Map();
+    for (const item of order.items || []) {
+      const key = item.product
+        ? item.product.toString()
+        : `name:${item.productName}`;
+      const line = lines.get(key) || {
+        product: item.product || null,
+        productName: item.productName,
+        quantityKg: 0,
+      };
+      line.quantityKg += toKg(item.quantity, item.unit, item.packaging);
+      lines.set(key, line);
+    }
+    return [...lines.values()];
+  }
+
+  // KG of a product held by other approved, undispatched orders at a godown
+  async getReservedKg(godownId, { product, productName }, excludeOrderId = null) {
+    const productMatch = [];
+    if (product) {
+      productMatch.push({
+        "stockReservation.items.product": new mongoose.Types.ObjectId(product),
+      });
+    }
+    if (productName) {
+      productMatch.push({
+        "stockReservation.items.product": null,
+        "stockReservation.items.productName": productName,
+      });
+    }
+
+    const match = {
+      godown: new mongoose.Types.ObjectId(godownId),
+      "stockReservation.status": "reserved",
+    };
+    if (excludeOrderId) {
+      match._id = { $ne: new mongoose.Types.ObjectId(excludeOrderId) };
+    }
+
+    const [result] = await Order.aggregate([
+      { $match: match },
+      { $unwind: "$stockReservation.items" },
+      { $match: { $or: productMatch } },
+      {
+        $group: {
+          _id: null,
+          reservedKg: { $sum: "$stockReservation.items.quantityKg" },
+        },
+      },
+    ]);
+
+    return result?.reservedKg || 0;
+  }
+
+  // Available stock (on hand minus reservations) for every product of an order
+  async checkStockAvailability(order) {
+    const lines = [];
+    for (const requirement of this.getOrderStockRequirements(order)) {
+      const onHandKg = await inventoryService.getOnHandKg(order.godown, requirement);
+      const reservedKg = await this.getReservedKg(
+        order.godown,
+        requirement,
+        order._id
+      );
+      const availableKg = onHandKg - reservedKg;
+
+      lines.push({
+        product: requirement.product,
+        productName: requirement.productName,
+        requiredKg: requirement.quantityKg,
+        onHandKg,
+        reservedKg,
+        availableKg,
+        shortfallKg: Math.max(0, requirement.quantityKg - availableKg),
+      });
+    }
+
+    return {
+      lines,
+      isAvailable: lines.every((line) => line.shortfallKg === 0),
+    };
+  }
+
+  // Release a reservation held by the order (call before saving it)
+  releaseStockReservation(order) {
+    if (order.stockReservation?.status === "reserved") {
+      order.stockReservation.status = "released";
+      order.stockReservation.releasedAt = new Date();
+    }
+  }
+
+  // Stock availability of an order at its godown
+  async getStockAvailability(orderId) {
+    const order = await Order.findById(orderId);
+    if (!order) throw new Error("Order not found");
+    if (!order.godown) {
+      throw new Error("Order has no godown to check stock against");
+    }
+
+    const godown = await Godown.findById(order.godown)
+      .select("name code location")
+      .lean();
+    const availability = await this.checkStockAvailability(order);
+
+    return {
+      success: true,
+      data: {
+        godown,
+        reservation: order.stockReservation || null,
+        ...availability,
+      },
+    };
+  }
+
   // Dispatch order
   async dispatchOrder(orderId, userId, notes = "") {
     const order = await Order.findById(orderId);
@@ -1541,8 +2184,13 @@ class OrderService {
         : `[DISPATCHED] ${notes}`;
     }
 
+    // Post stock sold against the godown the order ships from
+    await this.postOrderStockMovements(order, userId);
+
     await order.save();
 
+    await this.issueOrderInvoice(order, userId, "dispatch");
+
     // Log the action
     await AuditLog.create({
       user: userId,
@@ -1594,8 +2242,13 @@ class OrderService {
         : `[DELIVERED] ${notes}`;
     }
 
+    // Normally posted at dispatch already
+    await this.postOrderStockMovements(order, userId);
+
     await order.save();
 
+    await this.issueOrderInvoice(order, userId, "delivery");
+
     // Log the action
     await AuditLog.create({
       user: userId,
@@ -1683,14 +2336,32 @@ class OrderService {
       throw new Error("Order not found");
     }
 
-    if (!["pending", "approved", "processing"].includes(order.status)) {
+    await dayCloseService.assertDayOpen(order.godown, order.orderDate);
+    await periodLockService.assertPeriodOpen(order.orderDate, {
+      userId,
+      action: "UPDATE",
+      module: "orders",
+      resourceType: "Order",
+      resourceId: order._id,
+      description: `Cancelled order ${order.orderNumber}`,
+    });
+
+    if (
+      !["pending", "approved", "processing", "dispatched"].includes(order.status)
+    ) {
       throw new Error("Cannot cancel order in current status");
     }
 
     const oldValues = order.toObject();
 
+    // A dispatched order was invoiced; the invoice goes with it
+    if (order.invoice) {
+      await invoiceService.cancelForOrder(order, userId, notes);
+    }
+
     order.status = "cancelled";
     order.updatedBy = userId;
+    this.releaseStockReservation(order);
 
     if (notes) {
       order.internalNotes = order.internalNotes
@@ -1703,6 +2374,20 @@ class OrderService {
     }
 
     await order.save();
+    await this.releasePaymentAllocations(order);
+
+    // Put back any stock that was posted as sold when the order was dispatched
+    try {
+      await inventoryService.reverseSourceMovements(
+        "Order",
+        order._id,
+        userId,
+        `Order ${order.orderNumber} cancelled`
+      );
+    } catch (stockError) {
+      console.error("Error reversing stock movements for cancellation:", stockError);
+      // Don't fail the cancellation if the stock reversal fails
+    }
 
     // Log the action
     await AuditLog.create({
@@ -2037,6 +2722,21 @@ class OrderService {
   }
 
 
+  // Quick-order product definitions from the product master, keyed like the city pricing config
+  async getQuickProductBases() {
+    const products = await productService.getQuickProductBases();
+    return products.map((p) => ({
+      key: p.key,
+      productId: p._id,
+      skuCode: p.skuCode,
+      name: p.name,
+      category: p.category,
+      bagSizeKg: p.bagSizeKg,
+      hsnCode: p.hsnCode,
+      defaultPackaging: p.defaultPackaging,
+    }));
+  }
+
   // Quick-order: expose catalog
   async getQuickProducts(requestingUser) {
     let godowns = [];
@@ -2063,7 +2763,18 @@ class OrderService {
       );
     }
 
-    const products = getProductsForGodowns(godowns);
+    const bases = await this.getQuickProductBases();
+    const seen = new Set();
+    const products = [];
+    for (const g of godowns) {
+      const list = await priceListService.getQuickProductsForGodown(g, bases);
+      list.forEach((prod) => {
+        if (!seen.has(prod.key)) {
+          seen.add(prod.key);
+          products.push(prod);
+        }
+      });
+    }
 
     return {
       success: true,
@@ -2122,7 +2833,13 @@ class OrderService {
       throw new Error("Unable to determine godown for pricing");
     }
 
-    const availableProducts = getProductsForGodown(pricingGodown);
+    // Prices are resolved from the price list in force today for this godown and customer type
+    const bases = await this.getQuickProductBases();
+    const availableProducts = await priceListService.getQuickProductsForGodown(
+      pricingGodown,
+      bases,
+      { customerType: customerDoc.customerType }
+    );
     const productMap = availableProducts.reduce((acc, p) => {
       acc[p.key] = p;
       return acc;
@@ -2163,6 +2880,7 @@ class OrderService {
       const totalAmount = quantityKg * ratePerUnit;
 
       return {
+        product: product.productId,
         productName: product.name,
         isBagSelection: it.isBagSelection,
         grade: "",
@@ -2171,6 +2889,8 @@ class OrderService {
         ratePerUnit,
         totalAmount,
         packaging: it.packaging || product.defaultPackaging || "Standard",
+        priceList: product.priceList,
+        listPricePerKg: product.pricePerKg,
       };
     });
 
@@ -2433,6 +3153,18 @@ class OrderService {
       throw new Error("Order not found");
     }
 
+    if (order.type === "order") {
+      await dayCloseService.assertDayOpen(order.godown, order.orderDate);
+      await periodLockService.assertPeriodOpen(order.orderDate, {
+        userId: deletedBy,
+        action: "DELETE",
+        module: "orders",
+        resourceType: "Order",
+        resourceId: order._id,
+        description: `Deleted order ${order.orderNumber}`,
+      });
+    }
+
     const oldValues = order.toObject();
     const resourceType = order.type === "visit" ? "Visit" : "Order";
     const resourceName = order.type === "visit" ? "visit" : "order";
@@ -2588,6 +3320,9 @@ class OrderService {
     // Update delivery status and related fields
     order.deliveryStatus = deliveryStatus;
     order.updatedBy = updatedBy;
+    if (deliveryStatus === "delivered" && !order.deliveryDate) {
+      order.deliveryDate = new Date();
+    }
 
     // Add to delivery status history
     order.deliveryStatusHistory.push({
@@ -2604,8 +3339,16 @@ class OrderService {
         : `[DELIVERY STATUS] ${notes}`;
     }
 
+    if (deliveryStatus === "delivered") {
+      await this.postOrderStockMovements(order, updatedBy);
+    }
+
     await order.save();
 
+    if (deliveryStatus === "delivered") {
+      await this.issueOrderInvoice(order, updatedBy, "delivery");
+    }
+
     // Log the action
     await AuditLog.create({
       user: updatedBy,
@@ -2636,15 +3379,15 @@ class OrderService {
         throw new Error('Customer not found');
       }
 
-      // Find orders with pending payments (totalAmount > paidAmount)
+      // Find orders with pending payments (totalAmount > paidAmount + returnedAmount)
       const pendingOrders = await Order.find({
         customer: customerId,
         type: 'order',
         status: { $nin: ["cancelled", "rejected"] },
         deliveryStatus: { $nin: ["cancelled"] },
-        $expr: { $gt: ['$totalAmount', '$paidAmount'] }
+        $expr: { $gt: ['$totalAmount', { $add: ['$paidAmount', { $ifNull: ['$returnedAmount', 0] }] }] }
       })
-        .select('_id orderNumber totalAmount paidAmount')
+        .select('_id orderNumber totalAmount paidAmount returnedAmount')
         .sort({ orderDate: -1 })
         .lean();
 
@@ -2657,6 +3400,33 @@ class OrderService {
       throw new Error(`Failed to fetch customer pending orders: ${error.message}`);
     }
   }
+
+  // Flag delivered orders that are unpaid past their customer's credit days as overdue.
+  // Runs from the scheduled jobs; payments move the order back to partial/paid.
+  async markOverdueOrders(asOf = new Date()) {
+    const pastDue = await Order.aggregate([
+      {
+        $match: {
+          ...DELIVERED_ORDER_MATCH,
+          paymentStatus: { $in: ["pending", "partial"] },
+        },
+      },
+      ...receivableStages(asOf),
+      { $match: { daysPastDue: { $gte: 1 } } },
+      { $project: { _id: 1 } },
+    ]);
+
+    if (pastDue.length === 0) {
+      return { modifiedCount: 0 };
+    }
+
+    const result = await Order.updateMany(
+      { _id: { $in: pastDue.map((o) => o._id) }, paymentStatus: { $in: ["pending", "partial"] } },
+      { $set: { paymentStatus: "overdue" } }
+    );
+
+    return { modifiedCount: result.modifiedCount };
+  }
 }
 
 module.exports = new OrderService();
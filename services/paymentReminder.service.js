@@ -0,0 +1,356 @@
+const mongoose = require("mongoose");
+const { Customer, Order, ReminderTemplate, PaymentReminder, AuditLog } = require("../models");
+const { DAY_MS, DELIVERED_ORDER_MATCH, OPEN_PAYMENT_STATUSES, receivableStages } = require("../utils/receivables");
+const { dayWindow } = require("../utils/businessDay");
+const { sendMail, isMailConfigured } = require("../utils/email");
+const { sendMessage, isChannelConfigured } = require("../utils/messaging");
+
+const CHANNELS = ["email", "sms", "whatsapp"];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const formatAmount = (value) =>
+  round2(value).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date) => new Date(date).toLocaleDateString("en-IN", { timeZone: "UTC" });
+
+const escapeHtml = (text) =>
+  String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Fill {{placeholders}}; unknown ones are left as they are
+const render = (text, values) =>
+  String(text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+class PaymentReminderService {
+  /**
+   * Delivered orders with money still to collect, with their due dates
+   * @param {Date} asOf - Reference date for days past due
+   * @param {string} customerId - Only this customer's orders
+   */
+  async getDueOrders(asOf = new Date(), customerId) {
+    return Order.aggregate([
+      {
+        $match: {
+          ...DELIVERED_ORDER_MATCH,
+          paymentStatus: { $in: OPEN_PAYMENT_STATUSES },
+          ...(customerId ? { customer: toObjectId(customerId) } : {}),
+        },
+      },
+      ...receivableStages(asOf),
+      { $match: { "customerData._id": { $exists: true }, "customerData.isActive": { $ne: false } } },
+      {
+        $project: {
+          customer: 1,
+          orderNumber: 1,
+          outstanding: 1,
+          dueDate: 1,
+          daysPastDue: 1,
+          "customerData._id": 1,
+          "customerData.businessName": 1,
+          "customerData.email": 1,
+          "customerData.phone": 1,
+        },
+      },
+      { $sort: { dueDate: 1 } },
+    ]);
+  }
+
+  // Orders a template reminds about: due within offsetDays, or at least offsetDays past due
+  selectOrders(template, orders) {
+    if (template.kind === "upcoming") {
+      return orders.filter((order) => order.daysPastDue <= 0 && order.daysPastDue >= -template.offsetDays);
+    }
+    return orders.filter((order) => order.daysPastDue >= Math.max(1, template.offsetDays));
+  }
+
+  /**
+   * Orders already reminded about on each channel: ever for upcoming reminders and overdue
+   * ones sent once, within repeatEveryDays for repeating overdue reminders
+   * @returns {Promise<Set>} - "orderId:channel" keys
+   */
+  async remindedKeys(template, orderIds, asOf) {
+    const filter = { kind: template.kind, status: "sent", "orders.order": { $in: orderIds } };
+    if (template.kind === "overdue" && template.repeatEveryDays > 0) {
+      filter.createdAt = { $gt: new Date(asOf.getTime() - template.repeatEveryDays * DAY_MS) };
+    }
+    const reminders = await PaymentReminder.find(filter).select("channel orders.order").lean();
+
+    const keys = new Set();
+    for (const reminder of reminders) {
+      for (const { order } of reminder.orders) {
+        keys.add(`${order}:${reminder.channel}`);
+      }
+    }
+    return keys;
+  }
+
+  // Placeholder values for a customer's reminder
+  buildValues(customer, orders) {
+    const totalDue = orders.reduce((sum, order) => sum + order.outstanding, 0);
+    return {
+      customerName: customer.businessName,
+      totalDue: formatAmount(totalDue),
+      orderCount: orders.length,
+      orders: orders
+        .map((order) => `${order.orderNumber}: Rs. ${formatAmount(order.outstanding)} due ${formatDate(order.dueDate)}`)
+        .join("\n"),
+      dueDate: formatDate(orders[0].dueDate),
+      daysPastDue: Math.max(0, ...orders.map((order) => order.daysPastDue)),
+    };
+  }
+
+  /**
+   * Send one reminder and log it against the customer
+   * @returns {Promise<Object|null>} - The log entry, or null when the customer can't be reached on the channel or the channel isn't set up
+   */
+  async deliver({ template, channel, customer, orders, trigger = "schedule", sentBy }) {
+    const recipient = channel === "email" ? customer.email : customer.phone;
+    const configured = channel === "email" ? isMailConfigured() : isChannelConfigured(channel);
+    if (!recipient || !configured) {
+      return null;
+    }
+
+    const values = this.buildValues(customer, orders);
+    const subject = channel === "email" ? render(template.email?.subject, values) : undefined;
+    const body = render(template[channel]?.body, values);
+
+    const entry = {
+      customer: customer._id,
+      kind: template.kind,
+      trigger,
+      channel,
+      recipient,
+      subject,
+      body,
+      orders: orders.map((order) => ({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        outstanding: round2(order.outstanding),
+        dueDate: order.dueDate,
+        daysPastDue: order.daysPastDue,
+      })),
+      totalDue: round2(orders.reduce((sum, order) => sum + order.outstanding, 0)),
+      sentBy,
+    };
+
+    try {
+      if (channel === "email") {
+        const result = await sendMail({
+          to: recipient,
+          subject,
+          text: body,
+          html: `<div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">${escapeHtml(body).replace(/\n/g, "<br/>")}</div>`,
+        });
+        Object.assign(entry, { status: "sent", provider: "smtp", messageId: result.messageId });
+      } else {
+        const result = await sendMessage({ channel, to: recipient, body });
+        Object.assign(entry, { status: "sent", provider: result.provider, messageId: result.messageId });
+      }
+    } catch (error) {
+      Object.assign(entry, { status: "failed", error: error.message });
+    }
+
+    return PaymentReminder.create(entry);
+  }
+
+  /**
+   * Send the reminders due today: upcoming dues and overdue orders, per customer and channel.
+   * Only orders still unpaid are included, so reminders stop once an order is paid; orders
+   * already reminded about on a channel are skipped (see remindedKeys).
+   * @param {Date} asOf - Reference date
+   * @returns {Promise<Object>} - { sent, failed, skipped }
+   */
+  async sendDueReminders(asOf = new Date()) {
+    const templates = await ReminderTemplate.find({ isActive: true }).lean();
+    const summary = { sent: 0, failed: 0, skipped: 0 };
+    if (templates.length === 0) return summary;
+
+    const dueOrders = await this.getDueOrders(asOf);
+
+    for (const template of templates) {
+      const orders = this.selectOrders(template, dueOrders);
+      if (orders.length === 0) continue;
+
+      const reminded = await this.remindedKeys(template, orders.map((order) => order._id), asOf);
+
+      const byCustomer = new Map();
+      for (const order of orders) {
+        const key = String(order.customer);
+        if (!byCustomer.has(key)) byCustomer.set(key, { customer: order.customerData, orders: [] });
+        byCustomer.get(key).orders.push(order);
+      }
+
+      for (const { customer, orders: customerOrders } of byCustomer.values()) {
+        for (const channel of template.channels) {
+          const pending = customerOrders.filter((order) => !reminded.has(`${order._id}:${channel}`));
+          if (pending.length === 0) continue;
+
+          const reminder = await this.deliver({ template, channel, customer, orders: pending });
+          if (!reminder) summary.skipped += 1;
+          else summary[reminder.status] += 1;
+        }
+      }
+    }
+
+    if (summary.skipped > 0 && !isMailConfigured()) {
+      console.warn("⚠️  SMTP not configured. Payment reminder emails skipped");
+    }
+    const unconfigured = ["sms", "whatsapp"].filter((channel) => !isChannelConfigured(channel));
+    if (summary.skipped > 0 && unconfigured.length > 0) {
+      console.warn(`⚠️  No messaging provider for ${unconfigured.join(", ")}. Those payment reminders skipped`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Remind a customer now, whatever was sent before
+   * @param {string} customerId - Customer to remind
+   * @param {Object} options - { kind: upcoming|overdue (default overdue when anything is past due), channels }
+   * @param {string} userId - User sending the reminder
+   */
+  async sendCustomerReminder(customerId, { kind, channels } = {}, userId) {
+    const customer = await Customer.findById(customerId).select("businessName email phone").lean();
+    if (!customer) {
+      throw new Error("Customer not found");
+    }
+    if (kind && !["upcoming", "overdue"].includes(kind)) {
+      throw new Error("Invalid kind. Must be one of: upcoming, overdue");
+    }
+    if (channels && (!Array.isArray(channels) || channels.some((channel) => !CHANNELS.includes(channel)))) {
+      throw new Error("Invalid channels. Must be any of: email, sms, whatsapp");
+    }
+
+    const dueOrders = await this.getDueOrders(new Date(), customerId);
+    const overdue = dueOrders.filter((order) => order.daysPastDue >= 1);
+    const reminderKind = kind || (overdue.length > 0 ? "overdue" : "upcoming");
+    const orders = reminderKind === "overdue" ? overdue : dueOrders.filter((order) => order.daysPastDue <= 0);
+    if (orders.length === 0) {
+      throw new Error("Customer has no dues to remind about");
+    }
+
+    const template = await ReminderTemplate.findOne({ kind: reminderKind }).lean();
+    if (!template) {
+      throw new Error("Reminder template not found");
+    }
+
+    const reminders = [];
+    const skippedChannels = [];
+    for (const channel of channels || template.channels) {
+      const reminder = await this.deliver({ template, channel, customer, orders, trigger: "manual", sentBy: userId });
+      if (reminder) reminders.push(reminder);
+      else skippedChannels.push(channel);
+    }
+
+    return { kind: reminderKind, reminders, skippedChannels };
+  }
+
+  // Get the reminder templates
+  async getTemplates() {
+    const templates = await ReminderTemplate.find()
+      .populate("updatedBy", "firstName lastName")
+      .sort({ kind: -1 })
+      .lean();
+    return { success: true, data: { templates } };
+  }
+
+  /**
+   * Edit a reminder template
+   * @param {string} kind - upcoming|overdue
+   * @param {Object} data - { isActive, channels, offsetDays, repeatEveryDays, email: { subject, body }, sms: { body }, whatsapp: { body } }
+   * @param {string} userId - User editing the template
+   */
+  async updateTemplate(kind, data = {}, userId) {
+    const template = await ReminderTemplate.findOne({ kind });
+    if (!template) {
+      throw new Error("Reminder template not found");
+    }
+    const oldValues = template.toObject();
+
+    const { isActive, channels, offsetDays, repeatEveryDays, email, sms, whatsapp } = data;
+    if (channels !== undefined) {
+      if (!Array.isArray(channels) || channels.some((channel) => !CHANNELS.includes(channel))) {
+        throw new Error("Invalid channels. Must be any of: email, sms, whatsapp");
+      }
+      template.channels = [...new Set(channels)];
+    }
+    for (const [field, value] of Object.entries({ offsetDays, repeatEveryDays })) {
+      if (value === undefined) continue;
+      if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+        throw new Error(`Invalid ${field}. Must be a whole number of days`);
+      }
+      template[field] = Number(value);
+    }
+    if (isActive !== undefined) template.isActive = isActive === true || isActive === "true";
+    if (email?.subject !== undefined) template.email.subject = email.subject;
+    if (email?.body !== undefined) template.email.body = email.body;
+    if (sms?.body !== undefined) template.sms.body = sms.body;
+    if (whatsapp?.body !== undefined) template.whatsapp.body = whatsapp.body;
+
+    template.updatedBy = userId;
+    await template.save();
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: "settings",
+      resourceType: "ReminderTemplate",
+      resourceId: template._id.toString(),
+      oldValues,
+      newValues: template.toObject(),
+      description: `Updated ${kind} payment reminder template`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return template;
+  }
+
+  // Get sent and failed reminders with filtering and pagination
+  async getReminders(query = {}) {
+    const { page = 1, limit = 10, customerId, kind, channel, status, trigger, dateFrom, dateTo } = query;
+
+    const filter = {};
+    if (customerId) filter.customer = customerId;
+    if (kind) filter.kind = kind;
+    if (channel) filter.channel = channel;
+    if (status) filter.status = status;
+    if (trigger) filter.trigger = trigger;
+    if (dateFrom || dateTo) {
+      filter.createdAt = {};
+      if (dateFrom) filter.createdAt.$gte = dayWindow(dateFrom).start;
+      if (dateTo) filter.createdAt.$lte = dayWindow(dateTo).end;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reminders, total] = await Promise.all([
+      PaymentReminder.find(filter)
+        .populate("customer", "businessName customerId phone email")
+        .populate("sentBy", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      PaymentReminder.countDocuments(filter),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        reminders,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+}
+
+module.exports = new PaymentReminderService();
@@ -0,0 +1,299 @@
+const { PeriodLock, User, AuditLog } = require("../models");
+const { BUSINESS_DATE_PATTERN, businessDateOf, dayWindow } = require("../utils/businessDay");
+
+// Holders of this permission may still change records dated inside a locked period; each change is logged
+const OVERRIDE_PERMISSION = "settings.overridePeriodLock";
+
+// Indian financial year: April to March
+const FINANCIAL_YEAR_START_MONTH = 4;
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// Last day of a month (1-12)
+const lastDayOf = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const isValidDate = (value) =>
+  BUSINESS_DATE_PATTERN.test(String(value)) && businessDateOf(`${value}T00:00:00.000Z`) === value;
+
+class PeriodLockService {
+  /**
+   * First and last business day of a period
+   * @param {Object} data - { periodType: month|financialYear|custom, period, startDate, endDate, label }
+   *   month: period YYYY-MM; financialYear: period YYYY-YY (e.g. 2025-26);
+   *   custom: endDate, with an optional startDate (without one everything up to endDate is locked)
+   * @returns {Object} - { periodType, label, startDate, endDate }
+   */
+  resolvePeriod({ periodType, period, startDate, endDate, label } = {}) {
+    if (!periodType) {
+      throw new Error("Period type is required");
+    }
+
+    if (periodType === "month") {
+      const match = /^(\d{4})-(\d{2})$/.exec(String(period || ""));
+      const month = match && Number(match[2]);
+      if (!match || month < 1 || month > 12) {
+        throw new Error("Invalid period. Use YYYY-MM for a month");
+      }
+      const year = Number(match[1]);
+      return {
+        periodType,
+        label: label || `${MONTH_NAMES[month - 1]} ${year}`,
+        startDate: `${year}-${pad(month)}-01`,
+        endDate: `${year}-${pad(month)}-${pad(lastDayOf(year, month))}`,
+      };
+    }
+
+    if (periodType === "financialYear") {
+      const match = /^(\d{4})-(\d{2}|\d{4})$/.exec(String(period || ""));
+      const year = match && Number(match[1]);
+      if (!match || String(year + 1).slice(-match[2].length) !== match[2]) {
+        throw new Error("Invalid financial year. Use YYYY-YY, e.g. 2025-26");
+      }
+      const endMonth = FINANCIAL_YEAR_START_MONTH === 1 ? 12 : FINANCIAL_YEAR_START_MONTH - 1;
+      const endYear = FINANCIAL_YEAR_START_MONTH === 1 ? year : year + 1;
+      return {
+        periodType,
+        label: label || `FY ${year}-${String(year + 1).slice(-2)}`,
+        startDate: `${year}-${pad(FINANCIAL_YEAR_START_MONTH)}-01`,
+        endDate: `${endYear}-${pad(endMonth)}-${pad(lastDayOf(endYear, endMonth))}`,
+      };
+    }
+
+    if (periodType === "custom") {
+      if (!endDate) {
+        throw new Error("End date is required");
+      }
+      if (!isValidDate(endDate) || (startDate && !isValidDate(startDate))) {
+        throw new Error("Invalid date. Use YYYY-MM-DD");
+      }
+      if (startDate && startDate > endDate) {
+        throw new Error("Invalid period: start date is after end date");
+      }
+      return {
+        periodType,
+        label: label || (startDate ? `${startDate} to ${endDate}` : `Up to ${endDate}`),
+        startDate: startDate || undefined,
+        endDate,
+      };
+    }
+
+    throw new Error("Invalid period type. Must be one of: month, financialYear, custom");
+  }
+
+  // Active lock covering a business day, if any
+  async findLock(businessDate) {
+    return PeriodLock.findOne({
+      isActive: true,
+      endDate: { $gte: businessDate },
+      // Matches locks without a start date too
+      startDate: { $not: { $gt: businessDate } },
+    })
+      .select("label startDate endDate")
+      .lean();
+  }
+
+  /**
+   * Throw when a write is dated inside a locked period. Called by the order, transaction, production,
+   * inventory and attendance services before they create, edit or delete a record.
+   * Users with the override permission get through, and the exception is written to the audit log.
+   * @param {Array|Date|string} dates - Date(s) the write touches; empty or invalid values are skipped
+   * @param {Object} context - { userId, action (CREATE|UPDATE|DELETE), module, resourceType, resourceId, description }
+   */
+  async assertPeriodOpen(dates, context = {}) {
+    const businessDates = [
+      ...new Set(
+        [].concat(dates || [])
+          .filter((date) => date && !isNaN(new Date(date).getTime()))
+          .map((date) => businessDateOf(date))
+      ),
+    ];
+
+    for (const businessDate of businessDates) {
+      const lock = await this.findLock(businessDate);
+      if (!lock) continue;
+
+      const user = context.userId ? await User.findById(context.userId) : null;
+      if (!user || !(await user.hasPermission(OVERRIDE_PERMISSION))) {
+        throw new Error(
+          `Period ${lock.label} is locked. Records dated ${businessDate} can't be created, changed or deleted`
+        );
+      }
+
+      await AuditLog.create({
+        user: user._id,
+        action: context.action || "UPDATE",
+        module: "settings",
+        resourceType: "PeriodLock",
+        resourceId: lock._id.toString(),
+        newValues: {
+          override: {
+            module: context.module,
+            resourceType: context.resourceType,
+            resourceId: context.resourceId ? String(context.resourceId) : undefined,
+            businessDate,
+          },
+        },
+        description:
+          `Locked period ${lock.label} overridden for ${businessDate}` +
+          (context.description ? `: ${context.description}` : ""),
+        ipAddress: "0.0.0.0",
+        userAgent: "System",
+      });
+    }
+  }
+
+  /**
+   * Lock a period
+   * @param {Object} data - Period (see resolvePeriod) and reason
+   * @param {string} userId - User locking the period
+   */
+  async lockPeriod(data = {}, userId) {
+    const { periodType, label, startDate, endDate } = this.resolvePeriod(data);
+
+    const existing = await PeriodLock.exists({ isActive: true, startDate: startDate || null, endDate });
+    if (existing) {
+      throw new Error("Period is already locked");
+    }
+
+    const periodLock = await PeriodLock.create({
+      periodType,
+      label,
+      startDate,
+      endDate,
+      reason: data.reason,
+      lockedBy: userId,
+    });
+
+    await AuditLog.create({
+      user: userId,
+      action: "CREATE",
+      module: "settings",
+      resourceType: "PeriodLock",
+      resourceId: periodLock._id.toString(),
+      newValues: periodLock.toObject(),
+      description: `Locked period ${label} (${startDate || "start"} to ${endDate})`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return periodLock;
+  }
+
+  // Lift a lock so the period's records can be changed again
+  async unlockPeriod(periodLockId, { reason } = {}, userId) {
+    if (!reason || !String(reason).trim()) {
+      throw new Error("Unlock reason is required");
+    }
+
+    const periodLock = await PeriodLock.findById(periodLockId);
+    if (!periodLock) {
+      throw new Error("Period lock not found");
+    }
+    if (!periodLock.isActive) {
+      throw new Error("Period is not locked");
+    }
+
+    const oldValues = periodLock.toObject();
+    periodLock.isActive = false;
+    periodLock.unlockedBy = userId;
+    periodLock.unlockedAt = new Date();
+    periodLock.unlockReason = String(reason).trim();
+    await periodLock.save();
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: "settings",
+      resourceType: "PeriodLock",
+      resourceId: periodLock._id.toString(),
+      oldValues,
+      newValues: periodLock.toObject(),
+      description: `Unlocked period ${periodLock.label}: ${periodLock.unlockReason}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return periodLock;
+  }
+
+  // Get period locks, active ones first
+  async getPeriodLocks(query = {}) {
+    const { page = 1, limit = 10, isActive, periodType } = query;
+
+    const filter = {};
+    if (isActive !== undefined && isActive !== "") filter.isActive = isActive === true || isActive === "true";
+    if (periodType) filter.periodType = periodType;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [periodLocks, total] = await Promise.all([
+      PeriodLock.find(filter)
+        .populate("lockedBy", "firstName lastName")
+        .populate("unlockedBy", "firstName lastName")
+        .sort({ isActive: -1, endDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      PeriodLock.countDocuments(filter),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        periodLocks,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+
+  // Changes made inside locked periods with the override permission
+  async getOverrides(query = {}) {
+    const { page = 1, limit = 10, periodLock, userId, dateFrom, dateTo } = query;
+
+    const filter = { resourceType: "PeriodLock", "newValues.override": { $exists: true } };
+    if (periodLock) filter.resourceId = String(periodLock);
+    if (userId) filter.user = userId;
+    if (dateFrom || dateTo) {
+      filter.createdAt = {};
+      if (dateFrom) filter.createdAt.$gte = dayWindow(dateFrom).start;
+      if (dateTo) filter.createdAt.$lte = dayWindow(dateTo).end;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [overrides, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate("user", "firstName lastName email")
+        .select("user action resourceId newValues description createdAt")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        overrides,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+}
+
+module.exports = new PeriodLockService();
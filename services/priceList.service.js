@@ -0,0 +1,448 @@
+const { default: mongoose } = require("mongoose");
+const { PriceList, Godown, AuditLog } = require("../models");
+const { CITY_TOKENS } = require("../config/pricing.config");
+const productService = require("./product.service");
+
+const VALID_CUSTOMER_TYPES = ["Retailer", "Distributor", "Wholesaler"];
+
+// Scope fields of a price list entry; missing values are stored as null (= applies to all)
+const buildScope = ({ product, city, godown, customerType }) => ({
+  product,
+  city: city ? String(city).trim().toLowerCase() : null,
+  godown: godown || null,
+  customerType: customerType || null,
+});
+
+// More specific scopes win: godown over customer type over city
+const scopeSpecificity = (entry) =>
+  (entry.godown ? 4 : 0) + (entry.customerType ? 2 : 0) + (entry.city ? 1 : 0);
+
+class PriceListService {
+  // Get price list entries, optionally only those effective on a date
+  async getPriceLists(query = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      product,
+      city,
+      godown,
+      customerType,
+      asOf,
+      includeInactive,
+    } = query;
+
+    const filter = {};
+    if (includeInactive !== "true") filter.isActive = true;
+
+    if (product) {
+      const productDoc = await productService.findProduct(product);
+      if (!productDoc) throw new Error("Product not found");
+      filter.product = productDoc._id;
+    }
+    if (city) filter.city = String(city).trim().toLowerCase();
+    if (godown) filter.godown = new mongoose.Types.ObjectId(godown);
+    if (customerType) filter.customerType = customerType;
+
+    if (asOf) {
+      const asOfDate = new Date(asOf);
+      if (isNaN(asOfDate.getTime())) throw new Error("Invalid asOf date");
+      filter.effectiveFrom = { $lte: asOfDate };
+      filter.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: asOfDate } }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [priceLists, total] = await Promise.all([
+      PriceList.find(filter)
+        .populate("product", "skuCode name category")
+        .populate("godown", "name code location")
+        .populate("createdBy", "firstName lastName")
+        .sort({ effectiveFrom: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      PriceList.countDocuments(filter),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        priceLists,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+
+  // Price history of a product: every version, newest first
+  async getPriceHistory(query = {}) {
+    const { product, city, godown, customerType, dateFrom, dateTo } = query;
+
+    if (!product) {
+      throw new Error("product is required");
+    }
+
+    const productDoc = await productService.findProduct(product);
+    if (!productDoc) throw new Error("Product not found");
+
+    const filter = { product: productDoc._id };
+    if (city) filter.city = String(city).trim().toLowerCase();
+    if (godown) filter.godown = new mongoose.Types.ObjectId(godown);
+    if (customerType) filter.customerType = customerType;
+
+    // Versions overlapping the requested window
+    if (dateTo) filter.effectiveFrom = { $lte: new Date(dateTo) };
+    if (dateFrom) {
+      filter.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: new Date(dateFrom) } }];
+    }
+
+    const history = await PriceList.find(filter)
+      .populate("godown", "name code location")
+      .populate("createdBy", "firstName lastName")
+      .populate("updatedBy", "firstName lastName")
+      .sort({ effectiveFrom: -1, createdAt: -1 })
+      .lean();
+
+    return {
+      success: true,
+      data: {
+        product: {
+          _id: productDoc._id,
+          skuCode: productDoc.skuCode,
+          name: productDoc.name,
+        },
+        history,
+      },
+    };
+  }
+
+  // Price applicable to a product for a godown and customer type on a date
+  async getApplicablePrice(query = {}) {
+    const { product, godown, customerType, date } = query;
+
+    if (!product) {
+      throw new Error("product is required");
+    }
+
+    const priceDate = date ? new Date(date) : new Date();
+    if (isNaN(priceDate.getTime())) {
+      throw new Error("Invalid date");
+    }
+
+    const productDoc = await productService.findProduct(product);
+    if (!productDoc) throw new Error("Product not found");
+
+    const priceList = await this.resolvePriceForGodown(productDoc._id, godown, {
+      customerType,
+      date: priceDate,
+    });
+    if (!priceList) {
+      throw new Error(`No price list applies to ${productDoc.name} on this date`);
+    }
+
+    return {
+      success: true,
+      data: { priceList },
+    };
+  }
+
+  // Get price list entry by ID
+  async getPriceListById(priceListId) {
+    const priceList = await PriceList.findById(priceListId)
+      .populate("product", "skuCode name category")
+      .populate("godown", "name code location")
+      .populate("createdBy", "firstName lastName")
+      .populate("updatedBy", "firstName lastName");
+
+    if (!priceList) {
+      throw new Error("Price list not found");
+    }
+
+    return {
+      success: true,
+      data: { priceList },
+    };
+  }
+
+  // Create a new price version. The current open-ended version of the same
+  // scope is closed the moment before the new one takes effect.
+  async createPriceList(priceData, createdBy) {
+    const { product, pricePerKg, city, godown, customerType, notes } = priceData || {};
+
+    if (!product || pricePerKg === undefined || pricePerKg === null || pricePerKg === "") {
+      throw new Error("product and pricePerKg are required");
+    }
+    if (Number(pricePerKg) < 0 || isNaN(Number(pricePerKg))) {
+      throw new Error("Invalid pricePerKg");
+    }
+    if (customerType && !VALID_CUSTOMER_TYPES.includes(customerType)) {
+      throw new Error("Invalid customer type");
+    }
+
+    const productDoc = await productService.findProduct(product);
+    if (!productDoc) throw new Error("Product not found");
+
+    if (godown) {
+      const godownDoc = await Godown.findById(godown);
+      if (!godownDoc) throw new Error("Godown not found");
+    }
+
+    const effectiveFrom = priceData.effectiveFrom ? new Date(priceData.effectiveFrom) : new Date();
+    const effectiveTo = priceData.effectiveTo ? new Date(priceData.effectiveTo) : null;
+    if (isNaN(effectiveFrom.getTime()) || (effectiveTo && isNaN(effectiveTo.getTime()))) {
+      throw new Error("Invalid effective dates");
+    }
+    if (effectiveTo && effectiveTo < effectiveFrom) {
+      throw new Error("Invalid effective dates: effectiveTo is before effectiveFrom");
+    }
+
+    const scope = buildScope({ product: productDoc._id, city, godown, customerType });
+
+    const overlapping = await PriceList.find({
+      ...scope,
+      isActive: true,
+      effectiveFrom: { $lte: effectiveTo || new Date(8640000000000000) },
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gte: effectiveFrom } }],
+    });
+
+    // Only the running open-ended version can be superseded; anything else is a conflict
+    const conflict = overlapping.find(
+      (entry) => entry.effectiveTo || entry.effectiveFrom >= effectiveFrom
+    );
+    if (conflict) {
+      throw new Error(
+        `Price overlaps an existing price list entry effective from ${conflict.effectiveFrom.toISOString().split("T")[0]}`
+      );
+    }
+
+    for (const previous of overlapping) {
+      const oldValues = previous.toObject();
+      previous.effectiveTo = new Date(effectiveFrom.getTime() - 1);
+      previous.updatedBy = createdBy;
+      await previous.save();
+
+      await AuditLog.create({
+        user: createdBy,
+        action: "UPDATE",
+        module: "pricing",
+        resourceType: "PriceList",
+        resourceId: previous._id.toString(),
+        oldValues,
+        newValues: previous.toObject(),
+        description: `Closed price ${previous.pricePerKg}/kg for ${productDoc.name} (superseded)`,
+        ipAddress: "0.0.0.0",
+        userAgent: "System",
+      });
+    }
+
+    const priceList = new PriceList({
+      ...scope,
+      pricePerKg: Number(pricePerKg),
+      effectiveFrom,
+      effectiveTo,
+      notes,
+      createdBy,
+    });
+    await priceList.save();
+
+    await AuditLog.create({
+      user: createdBy,
+      action: "CREATE",
+      module: "pricing",
+      resourceType: "PriceList",
+      resourceId: priceList._id.toString(),
+      newValues: priceList.toObject(),
+      description: `Set price ${priceList.pricePerKg}/kg for ${productDoc.name} from ${effectiveFrom.toISOString().split("T")[0]}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return {
+      success: true,
+      data: { priceList },
+      message: "Price list created successfully",
+    };
+  }
+
+  // Update a price list entry. Price and scope are fixed once created so the
+  // history stays truthful; change them by creating a new version instead.
+  async updatePriceList(priceListId, updateData, updatedBy) {
+    const priceList = await PriceList.findById(priceListId);
+    if (!priceList) {
+      throw new Error("Price list not found");
+    }
+
+    const lockedFields = ["product", "pricePerKg", "city", "godown", "customerType", "effectiveFrom"];
+    const lockedChange = lockedFields.find((field) => updateData[field] !== undefined);
+    if (lockedChange) {
+      throw new Error(
+        `Invalid update: ${lockedChange} cannot be changed, create a new price version instead`
+      );
+    }
+
+    const oldValues = priceList.toObject();
+
+    if (updateData.effectiveTo !== undefined) {
+      const effectiveTo = updateData.effectiveTo ? new Date(updateData.effectiveTo) : null;
+      if (effectiveTo && (isNaN(effectiveTo.getTime()) || effectiveTo < priceList.effectiveFrom)) {
+        throw new Error("Invalid effective dates: effectiveTo is before effectiveFrom");
+      }
+
+      // Extending an entry must not run into the next version of the same scope
+      const overlapping = await PriceList.findOne({
+        _id: { $ne: priceList._id },
+        product: priceList.product,
+        city: priceList.city || null,
+        godown: priceList.godown || null,
+        customerType: priceList.customerType || null,
+        isActive: true,
+        effectiveFrom: {
+          $gt: priceList.effectiveFrom,
+          $lte: effectiveTo || new Date(8640000000000000),
+        },
+      });
+      if (overlapping) {
+        throw new Error("Price overlaps an existing price list entry");
+      }
+
+      priceList.effectiveTo = effectiveTo;
+    }
+    if (updateData.notes !== undefined) priceList.notes = updateData.notes;
+    if (updateData.isActive !== undefined) priceList.isActive = updateData.isActive;
+    priceList.updatedBy = updatedBy;
+
+    await priceList.save();
+
+    await AuditLog.create({
+      user: updatedBy,
+      action: "UPDATE",
+      module: "pricing",
+      resourceType: "PriceList",
+      resourceId: priceList._id.toString(),
+      oldValues,
+      newValues: priceList.toObject(),
+      description: `Updated price list entry ${priceList._id}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return {
+      success: true,
+      data: { priceList },
+      message: "Price list updated successfully",
+    };
+  }
+
+  // Deactivate a price list entry (kept for history)
+  async deletePriceList(priceListId, updatedBy) {
+    const priceList = await PriceList.findById(priceListId);
+    if (!priceList) {
+      throw new Error("Price list not found");
+    }
+
+    const oldValues = priceList.toObject();
+    priceList.isActive = false;
+    priceList.updatedBy = updatedBy;
+    await priceList.save();
+
+    await AuditLog.create({
+      user: updatedBy,
+      action: "DELETE",
+      module: "pricing",
+      resourceType: "PriceList",
+      resourceId: priceList._id.toString(),
+      oldValues,
+      newValues: priceList.toObject(),
+      description: `Deactivated price list entry ${priceList._id}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return {
+      success: true,
+      message: "Price list deactivated successfully",
+    };
+  }
+
+  // Find the price that applies to a product for a godown/city/customer type on a date.
+  // Returns null when no price list covers it.
+  async resolvePrice({ product, godown, city, customerType, date = new Date() }) {
+    if (!product) return null;
+
+    const candidates = await PriceList.find({
+      product,
+      isActive: true,
+      effectiveFrom: { $lte: date },
+      $and: [
+        { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: date } }] },
+        { $or: [{ godown: null }, ...(godown ? [{ godown }] : [])] },
+        {
+          $or: [
+            { city: null },
+            ...(city ? [{ city: String(city).trim().toLowerCase() }] : []),
+          ],
+        },
+        { $or: [{ customerType: null }, ...(customerType ? [{ customerType }] : [])] },
+      ],
+    }).lean();
+
+    if (candidates.length === 0) return null;
+
+    candidates.sort(
+      (a, b) =>
+        scopeSpecificity(b) - scopeSpecificity(a) ||
+        new Date(b.effectiveFrom) - new Date(a.effectiveFrom)
+    );
+
+    return candidates[0];
+  }
+
+  // Resolve a price for a godown, reading its city from the godown record
+  async resolvePriceForGodown(product, godownId, { customerType, date } = {}) {
+    const godown = godownId
+      ? await Godown.findById(godownId).select("location").lean()
+      : null;
+    return this.resolvePrice({
+      product,
+      godown: godown?._id,
+      city: godown?.location?.city,
+      customerType,
+      date,
+    });
+  }
+
+  // Quick-order products that have a price for the godown, keyed `${productKey}_${city}`
+  async getQuickProductsForGodown(godown, bases = [], { customerType, date } = {}) {
+    const city = (godown?.location?.city || "").toLowerCase();
+    if (!city) return [];
+
+    const products = [];
+    for (const base of bases) {
+      const price = await this.resolvePrice({
+        product: base.productId,
+        godown: godown._id,
+        city,
+        customerType,
+        date,
+      });
+      if (!price) continue;
+
+      products.push({
+        ...base,
+        key: `${base.key}_${city.replace(/\s+/g, "_")}`,
+        pricePerKg: price.pricePerKg,
+        priceList: price._id,
+        cityTokens: CITY_TOKENS[city] || [city],
+      });
+    }
+
+    return products;
+  }
+}
+
+module.exports = new PriceListService();
@@ -0,0 +1,246 @@
+const { default: mongoose } = require("mongoose");
+const { Product, AuditLog } = require("../models");
+
+const VALID_CATEGORIES = ["atta", "chokar", "wheat", "wastage", "other"];
+
+class ProductService {
+  // Get all products with filtering and pagination
+  async getAllProducts(query = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      search = "",
+      category,
+      isActive,
+      isQuickProduct,
+    } = query;
+
+    const filter = {};
+
+    if (category) filter.category = category;
+    if (isActive !== undefined && isActive !== "") {
+      filter.isActive = isActive === true || isActive === "true";
+    }
+    if (isQuickProduct !== undefined && isQuickProduct !== "") {
+      filter.isQuickProduct = isQuickProduct === true || isQuickProduct === "true";
+    }
+
+    if (search) {
+      filter.$or = [
+        { skuCode: { $regex: search, $options: "i" } },
+        { name: { $regex: search, $options: "i" } },
+        { hsnCode: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Product.countDocuments(filter),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        products,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+
+  // Get product by ID
+  async getProductById(productId) {
+    const product = await Product.findById(productId)
+      .populate("createdBy", "firstName lastName")
+      .populate("updatedBy", "firstName lastName");
+
+    if (!product) {
+      throw new Error("Product not found");
+    }
+
+    return {
+      success: true,
+      data: { product },
+    };
+  }
+
+  // Create new product
+  async createProduct(productData, createdBy) {
+    const { skuCode, name, category } = productData || {};
+
+    if (!skuCode || !name) {
+      throw new Error("SKU code and name are required");
+    }
+
+    if (category && !VALID_CATEGORIES.includes(category)) {
+      throw new Error("Invalid product category");
+    }
+
+    const existing = await Product.findOne({ skuCode: skuCode.trim().toUpperCase() });
+    if (existing) {
+      throw new Error("Product with this SKU code already exists");
+    }
+
+    const product = new Product({
+      ...productData,
+      createdBy,
+    });
+
+    await product.save();
+
+    await AuditLog.create({
+      user: createdBy,
+      action: "CREATE",
+      module: "products",
+      resourceType: "Product",
+      resourceId: product._id.toString(),
+      newValues: product.toObject(),
+      description: `Created product: ${product.skuCode} - ${product.name}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return {
+      success: true,
+      data: { product },
+      message: "Product created successfully",
+    };
+  }
+
+  // Update product
+  async updateProduct(productId, updateData, updatedBy) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw new Error("Product not found");
+    }
+
+    if (updateData.category && !VALID_CATEGORIES.includes(updateData.category)) {
+      throw new Error("Invalid product category");
+    }
+
+    if (updateData.skuCode) {
+      const duplicate = await Product.findOne({
+        skuCode: updateData.skuCode.trim().toUpperCase(),
+        _id: { $ne: product._id },
+      });
+      if (duplicate) {
+        throw new Error("Product with this SKU code already exists");
+      }
+    }
+
+    const oldValues = product.toObject();
+
+    Object.assign(product, updateData, { updatedBy });
+    await product.save();
+
+    await AuditLog.create({
+      user: updatedBy,
+      action: "UPDATE",
+      module: "products",
+      resourceType: "Product",
+      resourceId: product._id.toString(),
+      oldValues,
+      newValues: product.toObject(),
+      description: `Updated product: ${product.skuCode} - ${product.name}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return {
+      success: true,
+      data: { product },
+      message: "Product updated successfully",
+    };
+  }
+
+  // Deactivate product (orders, transits and stock entries keep referencing it)
+  async deleteProduct(productId, updatedBy) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw new Error("Product not found");
+    }
+
+    const oldValues = product.toObject();
+    product.isActive = false;
+    product.updatedBy = updatedBy;
+    await product.save();
+
+    await AuditLog.create({
+      user: updatedBy,
+      action: "DELETE",
+      module: "products",
+      resourceType: "Product",
+      resourceId: product._id.toString(),
+      oldValues,
+      newValues: product.toObject(),
+      description: `Deactivated product: ${product.skuCode} - ${product.name}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return {
+      success: true,
+      message: "Product deactivated successfully",
+    };
+  }
+
+  // Active products offered on the quick-order screen
+  async getQuickProductBases() {
+    return Product.find({ isActive: true, isQuickProduct: true }).sort({ name: 1 });
+  }
+
+  // Look up a product by ID or SKU code; returns null when nothing matches
+  async findProduct(reference) {
+    if (!reference) return null;
+    if (mongoose.Types.ObjectId.isValid(reference)) {
+      const byId = await Product.findById(reference);
+      if (byId) return byId;
+    }
+    return Product.findOne({ skuCode: String(reference).trim().toUpperCase() });
+  }
+
+  // Link line items (order items, transit product details...) to the product master.
+  // Items that reference a product get its name filled in; free-text names are matched
+  // against active products by exact name and left unlinked when nothing matches.
+  async attachProducts(items = [], nameField = "productName") {
+    if (!Array.isArray(items) || items.length === 0) return items;
+
+    const activeProducts = await Product.find({ isActive: true }).lean();
+    const productsByName = new Map(activeProducts.map((p) => [p.name, p]));
+
+    const linked = [];
+    for (const item of items) {
+      if (item.product) {
+        const product = await this.findProduct(item.product);
+        if (!product) {
+          throw new Error(`Product not found: ${item.product}`);
+        }
+        if (!product.isActive) {
+          throw new Error(`Product ${product.name} is inactive`);
+        }
+        linked.push({
+          ...item,
+          product: product._id,
+          [nameField]: item[nameField] || product.name,
+        });
+      } else {
+        const match = productsByName.get(item[nameField]);
+        linked.push(match ? { ...item, product: match._id } : item);
+      }
+    }
+
+    return linked;
+  }
+}
+
+module.exports = new ProductService();
@@ -1,6 +1,15 @@
-const { Production, User } = require("../models");
+const { Production, User, Product, Godown } = require("../models");
 const { AuditLog } = require("../models");
 const { uploadToS3 } = require("../utils/s3Upload");
+const { toKg } = require("../utils/units");
+const productService = require("./product.service");
+const inventoryService = require("./inventory.service");
+const godownService = require("./godown.service");
+const dayCloseService = require("./dayClose.service");
+const periodLockService = require("./periodLock.service");
+
+// Outputs that go into saleable stock; wastage is not stocked
+const STOCKED_OUTPUTS = ["Atta", "Chokar"];
 
 class ProductionService {
   // Get all production records with pagination and filtering
@@ -165,6 +174,14 @@ class ProductionService {
         throw new Error("Input quantity must be greater than 0");
       }
 
+      // Link outputs to the product master
+      if (Array.isArray(productionData.outputDetails)) {
+        productionData.outputDetails = await productService.attachProducts(
+          productionData.outputDetails,
+          "itemName"
+        );
+      }
+
       // Process attachments if any - Upload to S3
       if (productionData.attachments && productionData.attachments.length > 0) {
         const processedAttachments = [];
@@ -190,6 +207,19 @@ class ProductionService {
         productionData.attachments = processedAttachments;
       }
 
+      productionData.godown = await this.resolveGodown(productionData);
+      if (productionData.status === "Finished" && !productionData.godown) {
+        throw new Error(
+          `Unable to determine godown for location ${productionData.location}`
+        );
+      }
+
+      await this.assertBatchDatesOpen([productionData], {
+        userId: createdById,
+        action: "CREATE",
+        description: `Back-dated production batch of ${productionData.inputQty} ${productionData.inputUnit}`,
+      });
+
       const newProduction = new Production({
         ...productionData,
         createdBy: createdById,
@@ -197,6 +227,9 @@ class ProductionService {
 
       const savedProduction = await newProduction.save();
 
+      // Post wheat consumption and outputs when the batch is created as finished
+      await this.syncStockMovements(savedProduction, createdById);
+
       // Populate the saved production
       const populatedProduction = await Production.findById(savedProduction._id)
         .populate("createdBy", "firstName lastName email")
@@ -261,6 +294,14 @@ class ProductionService {
         throw new Error("Input quantity must be greater than 0");
       }
 
+      // Link outputs to the product master
+      if (Array.isArray(updateData.outputDetails)) {
+        updateData.outputDetails = await productService.attachProducts(
+          updateData.outputDetails,
+          "itemName"
+        );
+      }
+
       // Handle attachments
       let finalAttachments = existingProduction.attachments || [];
 
@@ -310,6 +351,34 @@ class ProductionService {
       // Don't allow updating batchId directly
       delete updateData.batchId;
 
+      if (updateData.godown || updateData.location !== undefined) {
+        updateData.godown = await this.resolveGodown(updateData);
+      }
+      const finalStatus = updateData.status || existingProduction.status;
+      const finalGodown =
+        updateData.godown !== undefined ? updateData.godown : existingProduction.godown;
+      if (finalStatus === "Finished" && !finalGodown) {
+        throw new Error(
+          `Unable to determine godown for location ${updateData.location || existingProduction.location}`
+        );
+      }
+
+      await this.assertBatchDatesOpen(
+        [
+          existingProduction,
+          {
+            productionDate: updateData.productionDate || existingProduction.productionDate,
+            godown: finalGodown,
+          },
+        ],
+        {
+          userId: updatedById,
+          action: "UPDATE",
+          resourceId: existingProduction._id,
+          description: `Edited production batch ${existingProduction.batchId}`,
+        }
+      );
+
       const updatedProduction = await Production.findByIdAndUpdate(
         id,
         updateData,
@@ -332,6 +401,9 @@ class ProductionService {
         userAgent: "System",
       });
 
+      // Reverse and re-post stock if the batch's stock picture changed
+      await this.syncStockMovements(updatedProduction, updatedById, "Batch edited");
+
       return {
         success: true,
         data: updatedProduction,
@@ -342,6 +414,132 @@ class ProductionService {
     }
   }
 
+  // Godown a batch belongs to: an explicit godown, else its free-text location resolved
+  async resolveGodown(data = {}) {
+    if (data.godown) {
+      const godown = await Godown.findById(data.godown).select("_id");
+      if (!godown) throw new Error("Godown not found");
+      return godown._id;
+    }
+    const godown = await godownService.findGodownByLocation(data.location);
+    return godown ? godown._id : null;
+  }
+
+  // A batch's stock is posted on its production date, so closed days and locked periods apply to it
+  async assertBatchDatesOpen(batches, context = {}) {
+    for (const batch of batches) {
+      await dayCloseService.assertDayOpen(batch.godown, batch.productionDate);
+    }
+    await periodLockService.assertPeriodOpen(
+      batches.map((batch) => batch.productionDate),
+      { ...context, module: "production", resourceType: "Production" }
+    );
+  }
+
+  // Stock movements a finished batch stands for: wheat consumed, Atta/Chokar produced
+  async buildStockMovements(production) {
+    if (production.status !== "Finished" || !production.godown) return [];
+
+    const parsedDate = new Date(production.productionDate);
+    const dateOfStock = isNaN(parsedDate.getTime()) ? new Date() : parsedDate;
+    const additionalNotes = `Production batch ${production.batchId}`;
+
+    const [input] = await productService.attachProducts([
+      { productName: production.inputType },
+    ]);
+    const movements = [
+      {
+        inventoryType: "Raw Material Consumed",
+        dateOfStock,
+        quantity: toKg(production.inputQty, production.inputUnit),
+        unit: "Kg",
+        godown: production.godown,
+        product: input.product,
+        productName: production.inputType,
+        additionalNotes,
+      },
+    ];
+
+    const outputs = (production.outputDetails || []).filter((output) =>
+      STOCKED_OUTPUTS.includes(output.itemName)
+    );
+    const productIds = outputs.map((output) => output.product).filter(Boolean);
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select("name")
+      .lean();
+    const productNames = new Map(products.map((p) => [p._id.toString(), p.name]));
+
+    for (const output of outputs) {
+      movements.push({
+        inventoryType: "New Stock",
+        dateOfStock,
+        quantity: toKg(output.productQty, output.productUnit),
+        unit: "Kg",
+        godown: production.godown,
+        product: output.product,
+        productName:
+          (output.product && productNames.get(output.product.toString())) ||
+          output.itemName,
+        additionalNotes,
+      });
+    }
+
+    return movements;
+  }
+
+  // Bring a batch's stock postings in line with its current state. When anything
+  // stock-related changed, the old postings are reversed and the new ones posted.
+  async syncStockMovements(production, userId, reason = "") {
+    const signature = (movements) =>
+      JSON.stringify(
+        movements.map((m) => [
+          m.inventoryType,
+          m.productName,
+          String(m.product || ""),
+          m.quantity,
+          String(m.godown),
+          new Date(m.dateOfStock).getTime(),
+        ])
+      );
+
+    const planned = await this.buildStockMovements(production);
+    const active = await inventoryService.getActiveSourceMovements(
+      "Production",
+      production._id
+    );
+    if (signature(planned) === signature(active)) return;
+
+    const reversed = active.length
+      ? await inventoryService.reverseSourceMovements(
+          "Production",
+          production._id,
+          userId,
+          reason
+        )
+      : [];
+    const posted = planned.length
+      ? await inventoryService.postSourceMovements(
+          "Production",
+          production._id,
+          planned,
+          userId
+        )
+      : [];
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: "production",
+      resourceType: "Production",
+      resourceId: production._id.toString(),
+      oldValues: { stockMovements: active.map((m) => m.stockId) },
+      newValues: { stockMovements: posted.map((m) => m.stockId) },
+      description: `Stock for batch ${production.batchId}: reversed ${reversed.length}, posted ${posted.length} movement(s)${reason ? ` (${reason})` : ""}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+  }
+
   // Delete production record
   async deleteProduction(id, deletedBy) {
     try {
@@ -350,8 +548,22 @@ class ProductionService {
         throw new Error("Production record not found");
       }
 
+      await this.assertBatchDatesOpen([production], {
+        userId: deletedBy,
+        action: "DELETE",
+        resourceId: production._id,
+        description: `Deleted production batch ${production.batchId}`,
+      });
+
       const oldValues = production.toObject();
 
+      // Take back any stock the batch posted
+      await this.syncStockMovements(
+        { ...oldValues, status: "Deleted" },
+        deletedBy,
+        "Batch deleted"
+      );
+
       await Production.findByIdAndDelete(id);
 
       // Log audit trail
@@ -373,7 +585,11 @@ class ProductionService {
         message: "Production record deleted successfully",
       };
     } catch (error) {
-      if (error.message === "Production record not found") {
+      if (
+        error.message === "Production record not found" ||
+        error.message.startsWith("Day ") ||
+        error.message.startsWith("Period ")
+      ) {
         throw error;
       }
       throw new Error(`Failed to delete production record: ${error.message}`);
@@ -2,6 +2,12 @@ const User = require("../models/user.schema");
 const Customer = require("../models/customer.schema");
 const Order = require("../models/order.schema");
 const mongoose = require("mongoose");
+const {
+  OPEN_PAYMENT_STATUSES,
+  DELIVERED_ORDER_MATCH,
+  AGEING_BUCKETS,
+  receivableStages,
+} = require("../utils/receivables");
 
 /**
  * Get Sales Executive Reports
@@ -151,6 +157,7 @@ exports.getSalesExecutiveReports = async (
                 totalOrders: { $sum: 1 },
                 totalRevenue: { $sum: "$totalAmount" },
                 totalPaidAmount: { $sum: "$paidAmount" },
+                totalReturns: { $sum: { $ifNull: ["$returnedAmount", 0] } },
                 pendingOrders: {
                   $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] },
                 },
@@ -184,12 +191,30 @@ exports.getSalesExecutiveReports = async (
           totalOrders: { $ifNull: ["$stats.totalOrders", 0] },
           totalRevenue: { $round: [{ $ifNull: ["$stats.totalRevenue", 0] }, 2] },
           totalPaidAmount: { $round: [{ $ifNull: ["$stats.totalPaidAmount", 0] }, 2] },
+          // Approved credit notes; net revenue is what was sold less what came back
+          totalReturns: { $round: [{ $ifNull: ["$stats.totalReturns", 0] }, 2] },
+          netRevenue: {
+            $round: [
+              {
+                $subtract: [
+                  { $ifNull: ["$stats.totalRevenue", 0] },
+                  { $ifNull: ["$stats.totalReturns", 0] },
+                ],
+              },
+              2,
+            ],
+          },
           totalOutstanding: {
             $round: [
               {
                 $subtract: [
                   { $ifNull: ["$stats.totalRevenue", 0] },
-                  { $ifNull: ["$stats.totalPaidAmount", 0] },
+                  {
+                    $add: [
+                      { $ifNull: ["$stats.totalPaidAmount", 0] },
+                      { $ifNull: ["$stats.totalReturns", 0] },
+                    ],
+                  },
                 ],
               },
               2,
@@ -296,6 +321,7 @@ exports.getSalesExecutiveReports = async (
           totalOrders: { $sum: 1 },
           totalRevenue: { $sum: "$totalAmount" },
           totalPaidAmount: { $sum: "$paidAmount" },
+          totalReturns: { $sum: { $ifNull: ["$returnedAmount", 0] } },
           pendingOrders: {
             $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] },
           },
@@ -329,7 +355,9 @@ exports.getSalesExecutiveReports = async (
       totalOrders: deletedUserStats[0].totalOrders,
       totalRevenue: Math.round(deletedUserStats[0].totalRevenue * 100) / 100,
       totalPaidAmount: Math.round(deletedUserStats[0].totalPaidAmount * 100) / 100,
-      totalOutstanding: Math.round((deletedUserStats[0].totalRevenue - deletedUserStats[0].totalPaidAmount) * 100) / 100,
+      totalReturns: Math.round(deletedUserStats[0].totalReturns * 100) / 100,
+      netRevenue: Math.round((deletedUserStats[0].totalRevenue - deletedUserStats[0].totalReturns) * 100) / 100,
+      totalOutstanding: Math.round((deletedUserStats[0].totalRevenue - deletedUserStats[0].totalPaidAmount - deletedUserStats[0].totalReturns) * 100) / 100,
       avgOrderValue: deletedUserStats[0].totalOrders > 0 ?
         Math.round((deletedUserStats[0].totalRevenue / deletedUserStats[0].totalOrders) * 100) / 100 : 0,
       pendingOrders: deletedUserStats[0].pendingOrders,
@@ -393,6 +421,7 @@ exports.getSalesExecutiveReports = async (
           totalOrders: { $sum: 1 },
           totalRevenue: { $sum: "$totalAmount" },
           totalPaidAmount: { $sum: "$paidAmount" },
+          totalReturns: { $sum: { $ifNull: ["$returnedAmount", 0] } },
           pendingOrders: {
             $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] },
           },
@@ -426,7 +455,9 @@ exports.getSalesExecutiveReports = async (
       totalOrders: orphanedOrdersStats[0].totalOrders,
       totalRevenue: Math.round(orphanedOrdersStats[0].totalRevenue * 100) / 100,
       totalPaidAmount: Math.round(orphanedOrdersStats[0].totalPaidAmount * 100) / 100,
-      totalOutstanding: Math.round((orphanedOrdersStats[0].totalRevenue - orphanedOrdersStats[0].totalPaidAmount) * 100) / 100,
+      totalReturns: Math.round(orphanedOrdersStats[0].totalReturns * 100) / 100,
+      netRevenue: Math.round((orphanedOrdersStats[0].totalRevenue - orphanedOrdersStats[0].totalReturns) * 100) / 100,
+      totalOutstanding: Math.round((orphanedOrdersStats[0].totalRevenue - orphanedOrdersStats[0].totalPaidAmount - orphanedOrdersStats[0].totalReturns) * 100) / 100,
       avgOrderValue: orphanedOrdersStats[0].totalOrders > 0 ?
         Math.round((orphanedOrdersStats[0].totalRevenue / orphanedOrdersStats[0].totalOrders) * 100) / 100 : 0,
       pendingOrders: orphanedOrdersStats[0].pendingOrders,
@@ -456,6 +487,7 @@ exports.getSalesExecutiveReports = async (
       totalExecutives: reports.length,
       totalOrdersAll: reports.reduce((sum, r) => sum + r.totalOrders, 0),
       totalRevenueAll: reports.reduce((sum, r) => sum + r.totalRevenue, 0),
+      totalReturnsAll: reports.reduce((sum, r) => sum + (r.totalReturns || 0), 0),
       totalOutstandingAll: reports.reduce(
         (sum, r) => sum + r.totalOutstanding,
         0
@@ -543,6 +575,7 @@ exports.getGodownSalesReports = async (
           totalOrders: { $sum: 1 },
           totalRevenue: { $sum: "$totalAmount" },
           totalPaid: { $sum: "$paidAmount" },
+          totalReturns: { $sum: { $ifNull: ["$returnedAmount", 0] } },
           avgOrderValue: { $avg: "$totalAmount" },
         },
       },
@@ -563,8 +596,10 @@ exports.getGodownSalesReports = async (
           totalOrders: 1,
           totalRevenue: { $round: ["$totalRevenue", 2] },
           totalPaid: { $round: ["$totalPaid", 2] },
+          totalReturns: { $round: ["$totalReturns", 2] },
+          netRevenue: { $round: [{ $subtract: ["$totalRevenue", "$totalReturns"] }, 2] },
           totalOutstanding: {
-            $round: [{ $subtract: ["$totalRevenue", "$totalPaid"] }, 2],
+            $round: [{ $subtract: ["$totalRevenue", { $add: ["$totalPaid", "$totalReturns"] }] }, 2],
           },
           avgOrderValue: { $round: ["$avgOrderValue", 2] },
         },
@@ -576,6 +611,7 @@ exports.getGodownSalesReports = async (
       totalGodowns: reports.length,
       totalOrdersAll: reports.reduce((s, r) => s + r.totalOrders, 0),
       totalRevenueAll: reports.reduce((s, r) => s + r.totalRevenue, 0),
+      totalReturnsAll: reports.reduce((s, r) => s + r.totalReturns, 0),
       totalOutstandingAll: reports.reduce((s, r) => s + r.totalOutstanding, 0),
       avgOrderValueAll: reports.length
         ? reports.reduce((s, r) => s + r.avgOrderValue, 0) / reports.length
@@ -687,6 +723,21 @@ exports.getCustomerReports = async (
             }
           },
 
+          totalReturns: {
+            $sum: {
+              $cond: [
+                {
+                  $or: [
+                    { $in: ["$status", ["cancelled", "rejected"]] },
+                    { $in: ["$deliveryStatus", ["cancelled", "returned"]] }
+                  ]
+                },
+                0,
+                { $ifNull: ["$returnedAmount", 0] }
+              ]
+            }
+          },
+
           /** NEW — VALID ORDERS SUM **/
           validOrderAmountSum: {
             $sum: {
@@ -788,8 +839,10 @@ exports.getCustomerReports = async (
           totalOrders: "$totalOrders",
           totalSpent: { $round: ["$totalSpent", 2] },
           totalPaid: { $round: ["$totalPaid", 2] },
+          totalReturns: { $round: ["$totalReturns", 2] },
+          netSpent: { $round: [{ $subtract: ["$totalSpent", "$totalReturns"] }, 2] },
           totalOutstanding: {
-            $round: [{ $subtract: ["$totalSpent", "$totalPaid"] }, 2],
+            $round: [{ $subtract: ["$totalSpent", { $add: ["$totalPaid", "$totalReturns"] }] }, 2],
           },
           avgOrderValue: {
             $round: [
@@ -837,6 +890,7 @@ exports.getCustomerReports = async (
         ? allReports.filter((r) => r.daysSinceLastOrder >= inactiveDays).length
         : 0,
       totalRevenueAll: allReports.reduce((sum, r) => sum + r.totalSpent, 0),
+      totalReturnsAll: allReports.reduce((sum, r) => sum + r.totalReturns, 0),
       totalOutstandingAll: allReports.reduce(
         (sum, r) => sum + r.totalOutstanding,
         0
@@ -960,7 +1014,8 @@ exports.getInactiveCustomers = async (days = 7, godownId = null, page = 1, limit
                 "$paidAmount"
               ]
             }
-          }
+          },
+          totalReturns: { $sum: { $ifNull: ["$returnedAmount", 0] } }
         }
       }
     ]);
@@ -975,7 +1030,7 @@ exports.getInactiveCustomers = async (days = 7, godownId = null, page = 1, limit
         totalOrders: item.totalOrders || 0,
         totalSpent: item.totalSpent || 0,
         totalPaid: item.totalPaid || 0,
-        calculatedOutstanding: Math.round((item.totalSpent - item.totalPaid) * 100) / 100
+        calculatedOutstanding: Math.round((item.totalSpent - item.totalPaid - item.totalReturns) * 100) / 100
       });
     });
 
@@ -1289,6 +1344,7 @@ exports.getExecutivePerformanceDetail = async (userId, filters = {}) => {
             totalOrders: { $sum: 1 }, // This will count only non-cancelled orders, we'll update below
             totalRevenue: { $sum: "$totalAmount" },
             totalPaid: { $sum: "$paidAmount" },
+            totalReturns: { $sum: { $ifNull: ["$returnedAmount", 0] } },
             avgOrderValue: { $avg: "$totalAmount" },
             maxOrderValue: { $max: "$totalAmount" },
             minOrderValue: { $min: "$totalAmount" },
@@ -1308,6 +1364,7 @@ exports.getExecutivePerformanceDetail = async (userId, filters = {}) => {
         totalOrders: 0,
         totalRevenue: 0,
         totalPaid: 0,
+        totalReturns: 0,
         avgOrderValue: 0,
         maxOrderValue: 0,
         minOrderValue: 0,
@@ -1567,6 +1624,7 @@ exports.getCustomerPurchaseDetail = async (customerId, filters = {}) => {
           totalOrders: { $sum: 1 },
           totalSpent: { $sum: "$totalAmount" },
           totalPaid: { $sum: "$paidAmount" },
+          totalReturns: { $sum: { $ifNull: ["$returnedAmount", 0] } },
           avgOrderValue: { $avg: "$totalAmount" },
           maxOrderValue: { $max: "$totalAmount" },
           minOrderValue: { $min: "$totalAmount" },
@@ -1635,6 +1693,7 @@ exports.getCustomerPurchaseDetail = async (customerId, filters = {}) => {
         totalOrders: 0,
         totalSpent: 0,
         totalPaid: 0,
+        totalReturns: 0,
         avgOrderValue: 0,
         maxOrderValue: 0,
         minOrderValue: 0,
@@ -2006,6 +2065,7 @@ exports.generateSalesExecutiveExcel = async (
         { header: "Total Orders", key: "totalOrders", width: 15 },
         { header: "Total Revenue", key: "totalRevenue", width: 18 },
         { header: "Total Paid", key: "totalPaidAmount", width: 15 },
+        { header: "Returns", key: "totalReturns", width: 15 },
         { header: "Outstanding", key: "totalOutstanding", width: 15 },
         { header: "Avg Order Value", key: "avgOrderValue", width: 18 },
         { header: "Unique Customers", key: "uniqueCustomersCount", width: 18 },
@@ -2043,6 +2103,7 @@ exports.generateSalesExecutiveExcel = async (
         if (type !== "visit") {
           row.totalRevenue = report.totalRevenue || 0;
           row.totalPaidAmount = report.totalPaidAmount || 0;
+          row.totalReturns = report.totalReturns || 0;
           row.totalOutstanding = report.totalOutstanding || 0;
           row.avgOrderValue = report.avgOrderValue || 0;
           row.conversionRate = `${report.conversionRate || 0}%`;
@@ -2059,6 +2120,7 @@ exports.generateSalesExecutiveExcel = async (
       if (type !== "visit") {
         summarySheet.getColumn("totalRevenue").numFmt = '₹#,##0.00';
         summarySheet.getColumn("totalPaidAmount").numFmt = '₹#,##0.00';
+        summarySheet.getColumn("totalReturns").numFmt = '₹#,##0.00';
         summarySheet.getColumn("totalOutstanding").numFmt = '₹#,##0.00';
         summarySheet.getColumn("avgOrderValue").numFmt = '₹#,##0.00';
       }
@@ -2097,8 +2159,10 @@ exports.generateSalesExecutiveExcel = async (
         summarySheet.getCell(`F${summaryRowNumber}`).value = reportData.summary.totalOrdersAll || 0;
         summarySheet.getCell(`G${summaryRowNumber}`).value = reportData.summary.totalRevenueAll || 0;
         summarySheet.getCell(`G${summaryRowNumber}`).numFmt = '₹#,##0.00';
-        summarySheet.getCell(`J${summaryRowNumber}`).value = reportData.summary.avgOrderValueAll || 0;
-        summarySheet.getCell(`J${summaryRowNumber}`).numFmt = '₹#,##0.00';
+        summarySheet.getCell(`I${summaryRowNumber}`).value = reportData.summary.totalReturnsAll || 0;
+        summarySheet.getCell(`I${summaryRowNumber}`).numFmt = '₹#,##0.00';
+        summarySheet.getCell(`K${summaryRowNumber}`).value = reportData.summary.avgOrderValueAll || 0;
+        summarySheet.getCell(`K${summaryRowNumber}`).numFmt = '₹#,##0.00';
 
         // Style summary row
         for (let col = 1; col <= summarySheet.columnCount; col++) {
@@ -2348,3 +2412,143 @@ exports.generateSalesExecutiveExcel = async (
     throw new Error(`Failed to generate Excel file: ${error.message}`);
   }
 };
+
+// Grouping options of the receivables ageing report
+const AGEING_GROUPS = {
+  customer: {
+    key: "$customer",
+    lookup: { from: "customers", as: "info" },
+    project: {
+      name: "$info.businessName",
+      code: "$info.customerId",
+      creditDays: "$info.creditDays",
+      creditLimit: "$info.creditLimit",
+    },
+  },
+  godown: {
+    key: "$godown",
+    lookup: { from: "godowns", as: "info" },
+    project: { name: "$info.name", code: "$info.code" },
+  },
+  salesExecutive: {
+    key: "$createdBy",
+    lookup: { from: "users", as: "info" },
+    project: {
+      name: { $trim: { input: { $concat: [{ $ifNull: ["$info.firstName", ""] }, " ", { $ifNull: ["$info.lastName", ""] }] } } },
+      code: "$info.employeeId",
+    },
+  },
+};
+
+/**
+ * Receivables ageing: outstanding on delivered orders split by days past due
+ * (delivery date + customer credit days) into 0-30, 31-60, 61-90 and 90+ buckets,
+ * grouped by customer, godown or sales executive
+ */
+exports.getReceivablesAgeing = async (filters = {}, requestingUser = null) => {
+  const { groupBy = "customer", asOf, godownId, customerId, salesExecutiveId } = filters;
+
+  const group = AGEING_GROUPS[groupBy];
+  if (!group) {
+    throw new Error(`Invalid groupBy. Must be one of: ${Object.keys(AGEING_GROUPS).join(", ")}`);
+  }
+
+  const asOfDate = asOf ? new Date(asOf) : new Date();
+  if (isNaN(asOfDate.getTime())) {
+    throw new Error("Invalid asOf date");
+  }
+
+  const matchCriteria = {
+    ...DELIVERED_ORDER_MATCH,
+    paymentStatus: { $in: OPEN_PAYMENT_STATUSES },
+  };
+
+  // Apply user-specific godown filtering
+  const allowedGodowns = [
+    ...(requestingUser?.primaryGodown ? [requestingUser.primaryGodown._id || requestingUser.primaryGodown] : []),
+    ...(requestingUser?.accessibleGodowns?.map((g) => g._id || g) || []),
+  ].map((id) => new mongoose.Types.ObjectId(id));
+
+  if (godownId) {
+    const specificGodown = new mongoose.Types.ObjectId(godownId);
+    if (allowedGodowns.length > 0 && !allowedGodowns.some((id) => id.equals(specificGodown))) {
+      throw new Error("Access denied to this godown");
+    }
+    matchCriteria.godown = specificGodown;
+  } else if (allowedGodowns.length > 0) {
+    matchCriteria.godown = { $in: allowedGodowns };
+  }
+
+  if (customerId) matchCriteria.customer = new mongoose.Types.ObjectId(customerId);
+  if (salesExecutiveId) matchCriteria.createdBy = new mongoose.Types.ObjectId(salesExecutiveId);
+
+  const bucketKeys = ["notDue", ...AGEING_BUCKETS.map((b) => b.key)];
+  const bucketSums = Object.fromEntries(
+    bucketKeys.map((key) => [
+      key,
+      { $sum: { $cond: [{ $eq: ["$ageingBucket", key] }, "$outstanding", 0] } },
+    ])
+  );
+
+  const rows = await Order.aggregate([
+    { $match: matchCriteria },
+    ...receivableStages(asOfDate),
+    {
+      $group: {
+        _id: group.key,
+        ...bucketSums,
+        totalOutstanding: { $sum: "$outstanding" },
+        orderCount: { $sum: 1 },
+        oldestDueDate: { $min: "$dueDate" },
+        maxDaysPastDue: { $max: "$daysPastDue" },
+      },
+    },
+    {
+      $lookup: {
+        from: group.lookup.from,
+        localField: "_id",
+        foreignField: "_id",
+        as: "info",
+      },
+    },
+    { $unwind: { path: "$info", preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 1,
+        ...group.project,
+        ...Object.fromEntries(bucketKeys.map((key) => [key, { $round: [`$${key}`, 2] }])),
+        totalOutstanding: { $round: ["$totalOutstanding", 2] },
+        overdueAmount: { $round: [{ $subtract: ["$totalOutstanding", "$notDue"] }, 2] },
+        orderCount: 1,
+        oldestDueDate: 1,
+        maxDaysPastDue: { $max: [0, "$maxDaysPastDue"] },
+      },
+    },
+    { $sort: { overdueAmount: -1, totalOutstanding: -1 } },
+  ]);
+
+  const totals = rows.reduce(
+    (sum, row) => {
+      for (const key of [...bucketKeys, "totalOutstanding", "overdueAmount"]) {
+        sum[key] = Math.round((sum[key] + (row[key] || 0)) * 100) / 100;
+      }
+      sum.orderCount += row.orderCount;
+      return sum;
+    },
+    { ...Object.fromEntries(bucketKeys.map((key) => [key, 0])), totalOutstanding: 0, overdueAmount: 0, orderCount: 0 }
+  );
+
+  return {
+    asOf: asOfDate,
+    groupBy,
+    buckets: [
+      { key: "notDue", label: "Not yet due (incl. due today)" },
+      ...AGEING_BUCKETS.map((b) => ({
+        key: b.key,
+        label: b.to === null ? `More than ${b.from - 1} days past due` : `${b.key} days past due`,
+      })),
+    ],
+    rows,
+    totals,
+  };
+};
@@ -0,0 +1,509 @@
+const { Order, Invoice, Customer, Godown, TallyConfig, TallyExport, AuditLog } = require("../models");
+const Transaction = require("../models/transaction.schema");
+const { DELIVERED_ORDER_MATCH, deliveryDateExpression } = require("../utils/receivables");
+const { resolveState } = require("../utils/gst");
+
+const VOUCHER_TYPES = ["sales", "receipts"];
+const LEDGER_KEYS = ["sales", "cgst", "sgst", "igst", "roundOff"];
+const RECEIPT_MODES = ["Cash", "Cheque", "Online", "Credit"];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// Tally dates are YYYYMMDD
+const tallyDate = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, "0")}${String(d.getDate()).padStart(2, "0")}`;
+};
+
+const tallyAmount = (value) => round2(value).toFixed(2);
+
+/**
+ * Ledger line of a voucher. Tally writes debits as negative amounts with
+ * ISDEEMEDPOSITIVE=Yes and credits as positive amounts with ISDEEMEDPOSITIVE=No.
+ */
+const ledgerEntry = (ledgerName, amount, { debit, bills = [] }) => {
+  const signed = debit ? -Math.abs(amount) : Math.abs(amount);
+  const billXml = bills
+    .map(
+      (bill) =>
+        "<BILLALLOCATIONS.LIST>" +
+        (bill.name ? `<NAME>${escapeXml(bill.name)}</NAME>` : "") +
+        `<BILLTYPE>${bill.type}</BILLTYPE>` +
+        `<AMOUNT>${tallyAmount(debit ? -Math.abs(bill.amount) : Math.abs(bill.amount))}</AMOUNT>` +
+        "</BILLALLOCATIONS.LIST>"
+    )
+    .join("");
+
+  return (
+    "<ALLLEDGERENTRIES.LIST>" +
+    `<LEDGERNAME>${escapeXml(ledgerName)}</LEDGERNAME>` +
+    `<ISDEEMEDPOSITIVE>${debit ? "Yes" : "No"}</ISDEEMEDPOSITIVE>` +
+    `<ISPARTYLEDGER>${bills.length > 0 ? "Yes" : "No"}</ISPARTYLEDGER>` +
+    `<AMOUNT>${tallyAmount(signed)}</AMOUNT>` +
+    billXml +
+    "</ALLLEDGERENTRIES.LIST>"
+  );
+};
+
+class TallyService {
+  // Ledger mapping, created with the defaults on first use
+  async getConfig() {
+    const config = await TallyConfig.findOneAndUpdate(
+      { key: "default" },
+      { $setOnInsert: { key: "default" } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    )
+      .populate("godownLedgers.godown", "name code")
+      .populate("customerLedgers.customer", "businessName customerId")
+      .lean();
+
+    return {
+      success: true,
+      data: { config },
+    };
+  }
+
+  /**
+   * Update the ledger mapping. Godown and customer lists replace the stored ones.
+   * @param {Object} data - { companyName, ledgers, receiptLedgers, godownLedgers, customerLedgers }
+   * @param {string} userId - User making the change
+   */
+  async updateConfig(data = {}, userId) {
+    const { companyName, ledgers, receiptLedgers, godownLedgers, customerLedgers } = data;
+    const update = { updatedBy: userId };
+
+    if (companyName !== undefined) update.companyName = String(companyName).trim();
+
+    const setNames = (source, keys, prefix) => {
+      if (!source) return;
+      keys.forEach((key) => {
+        if (source[key] === undefined) return;
+        const name = String(source[key]).trim();
+        if (!name) {
+          throw new Error(`Invalid ledger name for ${prefix}.${key}`);
+        }
+        update[`${prefix}.${key}`] = name;
+      });
+    };
+    setNames(ledgers, LEDGER_KEYS, "ledgers");
+    setNames(receiptLedgers, RECEIPT_MODES, "receiptLedgers");
+
+    if (godownLedgers !== undefined) {
+      if (!Array.isArray(godownLedgers) || godownLedgers.some((m) => !m?.godown || !String(m.salesLedger || "").trim())) {
+        throw new Error("Invalid godownLedgers: each entry needs a godown and a salesLedger");
+      }
+      const found = await Godown.countDocuments({ _id: { $in: godownLedgers.map((m) => m.godown) } });
+      if (found !== new Set(godownLedgers.map((m) => String(m.godown))).size) {
+        throw new Error("Godown not found in godownLedgers");
+      }
+      update.godownLedgers = godownLedgers.map((m) => ({ godown: m.godown, salesLedger: String(m.salesLedger).trim() }));
+    }
+
+    if (customerLedgers !== undefined) {
+      if (!Array.isArray(customerLedgers) || customerLedgers.some((m) => !m?.customer || !String(m.ledgerName || "").trim())) {
+        throw new Error("Invalid customerLedgers: each entry needs a customer and a ledgerName");
+      }
+      const found = await Customer.countDocuments({ _id: { $in: customerLedgers.map((m) => m.customer) } });
+      if (found !== new Set(customerLedgers.map((m) => String(m.customer))).size) {
+        throw new Error("Customer not found in customerLedgers");
+      }
+      update.customerLedgers = customerLedgers.map((m) => ({ customer: m.customer, ledgerName: String(m.ledgerName).trim() }));
+    }
+
+    const before = await TallyConfig.findOne({ key: "default" }).lean();
+    await TallyConfig.updateOne({ key: "default" }, { $set: update }, { upsert: true, setDefaultsOnInsert: true });
+
+    await AuditLog.create({
+      user: userId,
+      action: "UPDATE",
+      module: "billing",
+      resourceType: "TallyConfig",
+      resourceId: "default",
+      oldValues: before,
+      newValues: update,
+      description: "Updated Tally ledger mapping",
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    const result = await this.getConfig();
+    return { ...result, message: "Tally mapping updated successfully" };
+  }
+
+  /**
+   * Build the Tally import XML of sales (delivered orders) and receipts (transactions)
+   * in a date range. Vouchers from earlier exports are skipped unless includeExported is set.
+   * @param {Object} params - { dateFrom, dateTo, types, includeExported }
+   * @param {string} userId - User running the export
+   * @returns {Promise<Object>} - { xml, exportId, summary }
+   */
+  async exportVouchers(params = {}, userId) {
+    const { dateFrom, dateTo, includeExported = false } = params;
+    if (!dateFrom || !dateTo) {
+      throw new Error("dateFrom and dateTo are required");
+    }
+
+    const types = params.types
+      ? (Array.isArray(params.types) ? params.types : String(params.types).split(",")).map((t) => t.trim())
+      : VOUCHER_TYPES;
+    if (types.length === 0 || types.some((t) => !VOUCHER_TYPES.includes(t))) {
+      throw new Error(`Invalid types. Must be any of: ${VOUCHER_TYPES.join(", ")}`);
+    }
+
+    const start = new Date(dateFrom);
+    const end = new Date(dateTo);
+    end.setHours(23, 59, 59, 999);
+
+    const { data } = await this.getConfig();
+    const config = data.config;
+    const customerLedgerById = new Map(
+      (config.customerLedgers || []).map((m) => [String(m.customer?._id || m.customer), m.ledgerName])
+    );
+    const godownLedgerById = new Map(
+      (config.godownLedgers || []).map((m) => [String(m.godown?._id || m.godown), m.salesLedger])
+    );
+
+    const sales = types.includes("sales") ? await this.getSalesSources(start, end) : [];
+    const receipts = types.includes("receipts") ? await this.getReceiptSources(start, end) : [];
+
+    // Skip anything an earlier run already exported
+    const candidateIds = [...sales.map((o) => o._id), ...receipts.map((t) => t._id)];
+    const exportedIds = includeExported
+      ? new Set()
+      : new Set(
+          (await TallyExport.distinct("vouchers.sourceId", { "vouchers.sourceId": { $in: candidateIds } })).map(String)
+        );
+    const newSales = sales.filter((o) => !exportedIds.has(String(o._id)));
+    const newReceipts = receipts.filter((t) => !exportedIds.has(String(t._id)));
+
+    if (newSales.length === 0 && newReceipts.length === 0) {
+      throw new Error("No new vouchers to export for this period");
+    }
+
+    const customerIds = [
+      ...newSales.map((o) => o.customer),
+      ...newReceipts.map((t) => t.customerId),
+    ].filter(Boolean);
+    const customers = await Customer.find({ _id: { $in: customerIds } }).select("businessName address gstNumber").lean();
+    const customerById = new Map(customers.map((c) => [String(c._id), c]));
+    const partyLedger = (customerId) =>
+      customerLedgerById.get(String(customerId)) || customerById.get(String(customerId))?.businessName || "Sundry Debtors";
+
+    const vouchers = [];
+    const voucherXml = [];
+
+    const salesVouchers = await this.buildSalesVouchers(newSales, {
+      config,
+      partyLedger,
+      salesLedger: (godownId) => (godownId && godownLedgerById.get(String(godownId))) || config.ledgers.sales,
+      customerById,
+    });
+    salesVouchers.forEach(({ record, xml }) => {
+      vouchers.push(record);
+      voucherXml.push(xml);
+    });
+
+    newReceipts.forEach((transaction) => {
+      const { record, xml } = this.buildReceiptVoucher(transaction, {
+        partyLedger: partyLedger(transaction.customerId),
+        cashLedger: config.receiptLedgers?.[transaction.transactionMode] || "Bank",
+      });
+      vouchers.push(record);
+      voucherXml.push(xml);
+    });
+
+    const xml = this.wrapEnvelope(voucherXml, config.companyName);
+
+    const totals = {
+      sales: round2(vouchers.filter((v) => v.voucherType === "Sales").reduce((sum, v) => sum + v.amount, 0)),
+      receipts: round2(vouchers.filter((v) => v.voucherType === "Receipt").reduce((sum, v) => sum + v.amount, 0)),
+    };
+    const batch = await TallyExport.create({
+      dateFrom: start,
+      dateTo: end,
+      voucherTypes: types,
+      vouchers,
+      totals,
+      exportedBy: userId,
+    });
+
+    await AuditLog.create({
+      user: userId,
+      action: "EXPORT",
+      module: "billing",
+      resourceType: "TallyExport",
+      resourceId: batch._id.toString(),
+      newValues: { dateFrom: start, dateTo: end, types, totals, vouchers: vouchers.length },
+      description: `Exported ${newSales.length} sales and ${newReceipts.length} receipt vouchers to Tally`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return {
+      xml,
+      exportId: batch._id,
+      summary: {
+        sales: newSales.length,
+        receipts: newReceipts.length,
+        skipped: sales.length + receipts.length - newSales.length - newReceipts.length,
+        totals,
+      },
+    };
+  }
+
+  // Delivered orders whose delivery date falls in the range
+  async getSalesSources(start, end) {
+    return Order.aggregate([
+      { $match: DELIVERED_ORDER_MATCH },
+      { $addFields: { voucherDate: deliveryDateExpression() } },
+      { $match: { voucherDate: { $gte: start, $lte: end } } },
+      {
+        $project: {
+          orderNumber: 1,
+          customer: 1,
+          godown: 1,
+          invoice: 1,
+          invoiceNumber: 1,
+          subtotal: 1,
+          taxAmount: 1,
+          totalAmount: 1,
+          voucherDate: 1,
+        },
+      },
+      { $sort: { voucherDate: 1, orderNumber: 1 } },
+    ]);
+  }
+
+  // Payments received in the range, with the customer resolved for order payments
+  async getReceiptSources(start, end) {
+    // A bounced cheque never became a receipt; a reversed payment and its reversing entry
+    // cancel out (one exported before its reversal has to be cancelled in Tally by hand)
+    const transactions = await Transaction.find({
+      transactionDate: { $gte: start, $lte: end },
+      "cheque.status": { $ne: "bounced" },
+      reversal: { $exists: false },
+      reversalOf: { $exists: false },
+    })
+      .sort({ transactionDate: 1, transactionId: 1 })
+      .lean();
+
+    const orderIds = transactions.flatMap((t) => [
+      ...(t.transactionForModel === "Order" ? t.transactionFor || [] : []),
+      ...(t.allocations || []).map((a) => a.order),
+    ]);
+    const orders = await Order.find({ _id: { $in: orderIds } })
+      .select("orderNumber invoiceNumber customer")
+      .lean();
+    const orderById = new Map(orders.map((o) => [String(o._id), o]));
+
+    return transactions.map((transaction) => ({
+      ...transaction,
+      customerId:
+        transaction.customer ||
+        (transaction.transactionForModel === "Customer"
+          ? transaction.transactionFor?.[0]
+          : orderById.get(String(transaction.transactionFor?.[0]))?.customer),
+      orderById,
+    }));
+  }
+
+  /**
+   * Sales vouchers from the order's GST invoice, or from the order totals for orders
+   * delivered before invoicing (tax split by the customer's and godown's states)
+   */
+  async buildSalesVouchers(orders, { config, partyLedger, salesLedger, customerById }) {
+    const invoices = await Invoice.find({ order: { $in: orders.map((o) => o._id) } }).lean();
+    const invoiceByOrder = new Map(invoices.map((i) => [String(i.order), i]));
+    const godowns = await Godown.find({ _id: { $in: orders.map((o) => o.godown).filter(Boolean) } })
+      .select("location gstin")
+      .lean();
+    const godownById = new Map(godowns.map((g) => [String(g._id), g]));
+
+    return orders.map((order) => {
+      const invoice = invoiceByOrder.get(String(order._id));
+      let taxable;
+      let cgst = 0;
+      let sgst = 0;
+      let igst = 0;
+      let partyAmount;
+
+      if (invoice) {
+        taxable = invoice.totals.taxableValue;
+        cgst = invoice.totals.cgst;
+        sgst = invoice.totals.sgst;
+        igst = invoice.totals.igst;
+        partyAmount = invoice.totals.invoiceValue;
+      } else {
+        const tax = round2(order.taxAmount);
+        taxable = round2(order.totalAmount - tax);
+        partyAmount = round2(order.totalAmount);
+
+        const customer = customerById.get(String(order.customer));
+        const godown = godownById.get(String(order.godown));
+        const buyerState = resolveState(customer?.address?.state, customer?.gstNumber).stateCode;
+        const sellerState = resolveState(godown?.location?.state, godown?.gstin).stateCode;
+        if (buyerState && sellerState && buyerState !== sellerState) {
+          igst = tax;
+        } else {
+          cgst = round2(tax / 2);
+          sgst = round2(tax - cgst);
+        }
+      }
+
+      const voucherNumber = invoice?.invoiceNumber || order.invoiceNumber || order.orderNumber;
+      const party = partyLedger(order.customer);
+      const roundOff = round2(partyAmount - taxable - cgst - sgst - igst);
+
+      const entries = [
+        ledgerEntry(party, partyAmount, { debit: true, bills: [{ name: voucherNumber, type: "New Ref", amount: partyAmount }] }),
+        ledgerEntry(salesLedger(order.godown), taxable, { debit: false }),
+      ];
+      if (cgst > 0) entries.push(ledgerEntry(config.ledgers.cgst, cgst, { debit: false }));
+      if (sgst > 0) entries.push(ledgerEntry(config.ledgers.sgst, sgst, { debit: false }));
+      if (igst > 0) entries.push(ledgerEntry(config.ledgers.igst, igst, { debit: false }));
+      if (roundOff !== 0) entries.push(ledgerEntry(config.ledgers.roundOff, Math.abs(roundOff), { debit: roundOff < 0 }));
+
+      const date = tallyDate(invoice?.invoiceDate || order.voucherDate);
+      const xml =
+        `<TALLYMESSAGE xmlns:UDF="TallyUDF"><VOUCHER REMOTEID="dullet-order-${order._id}" VCHTYPE="Sales" ACTION="Create" OBJVIEW="Accounting Voucher View">` +
+        `<DATE>${date}</DATE><EFFECTIVEDATE>${date}</EFFECTIVEDATE>` +
+        "<VOUCHERTYPENAME>Sales</VOUCHERTYPENAME>" +
+        `<VOUCHERNUMBER>${escapeXml(voucherNumber)}</VOUCHERNUMBER>` +
+        `<REFERENCE>${escapeXml(order.orderNumber)}</REFERENCE>` +
+        `<PARTYLEDGERNAME>${escapeXml(party)}</PARTYLEDGERNAME>` +
+        `<NARRATION>${escapeXml(`Order ${order.orderNumber}`)}</NARRATION>` +
+        "<ISINVOICE>No</ISINVOICE>" +
+        entries.join("") +
+        "</VOUCHER></TALLYMESSAGE>";
+
+      return {
+        record: {
+          voucherType: "Sales",
+          sourceModel: "Order",
+          sourceId: order._id,
+          voucherNumber,
+          partyLedger: party,
+          amount: round2(partyAmount),
+        },
+        xml,
+      };
+    });
+  }
+
+  // Receipt voucher: cash/bank debited, party credited against the orders the payment settled
+  buildReceiptVoucher(transaction, { partyLedger, cashLedger }) {
+    const { orderById } = transaction;
+    const amount = round2(transaction.amountPaid);
+
+    const bills = (transaction.allocations || [])
+      .filter((allocation) => allocation.amount > 0)
+      .map((allocation) => {
+        const order = orderById.get(String(allocation.order));
+        return { name: order?.invoiceNumber || order?.orderNumber, type: "Agst Ref", amount: allocation.amount };
+      });
+    // Older payments have no allocations: settle the orders they were recorded for
+    if (bills.length === 0 && transaction.transactionForModel === "Order" && (transaction.transactionFor || []).length === 1) {
+      const order = orderById.get(String(transaction.transactionFor[0]));
+      bills.push({ name: order?.invoiceNumber || order?.orderNumber, type: "Agst Ref", amount });
+    }
+    const allocated = round2(bills.reduce((sum, bill) => sum + bill.amount, 0));
+    if (amount - allocated > 0) {
+      bills.push({ type: "On Account", amount: round2(amount - allocated) });
+    }
+
+    const date = tallyDate(transaction.transactionDate);
+    const xml =
+      `<TALLYMESSAGE xmlns:UDF="TallyUDF"><VOUCHER REMOTEID="dullet-transaction-${transaction._id}" VCHTYPE="Receipt" ACTION="Create" OBJVIEW="Accounting Voucher View">` +
+      `<DATE>${date}</DATE><EFFECTIVEDATE>${date}</EFFECTIVEDATE>` +
+      "<VOUCHERTYPENAME>Receipt</VOUCHERTYPENAME>" +
+      `<VOUCHERNUMBER>${escapeXml(transaction.transactionId)}</VOUCHERNUMBER>` +
+      `<PARTYLEDGERNAME>${escapeXml(partyLedger)}</PARTYLEDGERNAME>` +
+      `<NARRATION>${escapeXml(`${transaction.transactionMode} receipt ${transaction.transactionId || ""}`.trim())}</NARRATION>` +
+      ledgerEntry(partyLedger, amount, { debit: false, bills }) +
+      ledgerEntry(cashLedger, amount, { debit: true }) +
+      "</VOUCHER></TALLYMESSAGE>";
+
+    return {
+      record: {
+        voucherType: "Receipt",
+        sourceModel: "Transaction",
+        sourceId: transaction._id,
+        voucherNumber: transaction.transactionId,
+        partyLedger,
+        amount,
+      },
+      xml,
+    };
+  }
+
+  wrapEnvelope(voucherXml, companyName) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      "<ENVELOPE>",
+      "<HEADER><TALLYREQUEST>Import Data</TALLYREQUEST></HEADER>",
+      "<BODY><IMPORTDATA>",
+      "<REQUESTDESC><REPORTNAME>Vouchers</REPORTNAME>" +
+        (companyName ? `<STATICVARIABLES><SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY></STATICVARIABLES>` : "") +
+        "</REQUESTDESC>",
+      "<REQUESTDATA>",
+      ...voucherXml,
+      "</REQUESTDATA>",
+      "</IMPORTDATA></BODY>",
+      "</ENVELOPE>",
+    ].join("\n");
+  }
+
+  // Past export runs
+  async getExports(query = {}) {
+    const { page = 1, limit = 10 } = query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [exports, total] = await Promise.all([
+      TallyExport.find()
+        .select("-vouchers")
+        .populate("exportedBy", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      TallyExport.countDocuments(),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        exports,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+
+  // One export run with its vouchers
+  async getExportById(exportId) {
+    const batch = await TallyExport.findById(exportId).populate("exportedBy", "firstName lastName").lean();
+    if (!batch) {
+      throw new Error("Tally export not found");
+    }
+
+    return {
+      success: true,
+      data: { export: batch },
+    };
+  }
+}
+
+module.exports = new TallyService();
@@ -1,7 +1,63 @@
 const Transaction = require('../models/transaction.schema');
 const { createResponse } = require('../utils/response');
-const { Order } = require('../models');
+const { Order, Customer, AuditLog } = require('../models');
 const mongoose = require('mongoose');
+const { DELIVERED_ORDER_MATCH, orderDue, receivableStages } = require('../utils/receivables');
+const dayCloseService = require('./dayClose.service');
+const periodLockService = require('./periodLock.service');
+
+const OPEN_PAYMENT_STATUSES = ['pending', 'partial', 'overdue'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Cheques older than this are stale and cannot be presented
+const CHEQUE_VALIDITY_DAYS = 90;
+
+// Allowed moves between cheque states
+const CHEQUE_TRANSITIONS = {
+  received: ['deposited', 'bounced'],
+  deposited: ['cleared', 'bounced'],
+  cleared: [],
+  bounced: [],
+};
+
+/**
+ * Validate the cheque details sent with a payment
+ * @returns {Object} - { cheque } ready to store, or { error } with the message to return
+ */
+const buildCheque = (cheque, transactionMode, transactionDate, userId) => {
+  if (!cheque) return {};
+  if (transactionMode !== 'Cheque') {
+    return { error: 'Cheque details are only allowed for Cheque payments' };
+  }
+
+  const number = String(cheque.number || '').trim();
+  if (!/^\d{6}$/.test(number)) {
+    return { error: 'Cheque number must be 6 digits' };
+  }
+  if (!cheque.bank || !String(cheque.bank).trim()) {
+    return { error: 'Cheque bank is required' };
+  }
+  const chequeDate = new Date(cheque.chequeDate);
+  if (!cheque.chequeDate || isNaN(chequeDate.getTime())) {
+    return { error: 'Valid cheque date is required' };
+  }
+  const received = transactionDate ? new Date(transactionDate) : new Date();
+  if (received - chequeDate > CHEQUE_VALIDITY_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Cheque is stale (dated more than ${CHEQUE_VALIDITY_DAYS} days ago)` };
+  }
+
+  return {
+    cheque: {
+      number,
+      bank: String(cheque.bank).trim(),
+      branch: cheque.branch,
+      chequeDate,
+      status: 'received',
+      history: [{ status: 'received', at: new Date(), by: userId }],
+    },
+  };
+};
 
 class TransactionService {
   /**
@@ -104,6 +160,31 @@ class TransactionService {
     }
   }
 
+  /**
+   * Check the day a payment lands on is not closed for its godown (that of the orders it
+   * is for, else the customer's godown) and not inside a locked period
+   * @param {Object} context - { userId, action, resourceId, description } for a logged period lock override
+   * @returns {Promise<string|null>} - Error message when the day is closed or locked
+   */
+  async lockedDateMessage({ orderIds = [], customerId }, date, context = {}) {
+    const [orders, customer] = await Promise.all([
+      orderIds.length > 0 ? Order.find({ _id: { $in: orderIds } }).select('godown').lean() : [],
+      customerId ? Customer.findById(customerId).select('assignedGodownId').lean() : null,
+    ]);
+    const godowns = orders.length > 0 ? orders.map((order) => order.godown) : [customer?.assignedGodownId];
+    try {
+      await dayCloseService.assertDayOpen(godowns, date || new Date());
+      await periodLockService.assertPeriodOpen(date || new Date(), {
+        ...context,
+        module: 'transactions',
+        resourceType: 'Transaction',
+      });
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
   /**
    * Create new transaction
    */
@@ -117,6 +198,8 @@ class TransactionService {
         amountPaid,
         transactionDate,
         createdFromService,
+        cheque,
+        reference,
       } = transactionData;
       console.log()
       // Normalize transactionFor to an array
@@ -146,6 +229,50 @@ class TransactionService {
         return createResponse(false, 'Amount paid must be greater than 0', null, 400);
       }
 
+      const chequeDetails = buildCheque(cheque, transactionMode, transactionDate, userId);
+      if (chequeDetails.error) {
+        return createResponse(false, chequeDetails.error, null, 400);
+      }
+
+      // A payment taken directly against orders settles them like any other customer payment,
+      // so each order's paidAmount matches what is allocated to it
+      if (transactionForModel === 'Order' && createdFromService !== 'order') {
+        const orders = await Order.find({ _id: { $in: transactionForArray } }).select('customer').lean();
+        const customerIds = new Set(orders.map((order) => String(order.customer)));
+        if (orders.length !== new Set(transactionForArray.map(String)).size) {
+          return createResponse(false, 'One or more orders not found', null, 404);
+        }
+        if (customerIds.size !== 1 || (customer && !customerIds.has(String(customer)))) {
+          return createResponse(false, 'All orders of a payment must belong to the same customer', null, 400);
+        }
+        return this.allocateCustomerPayment(
+          {
+            customerId: orders[0].customer,
+            amountPaid,
+            orderIds: transactionForArray,
+            paymentMode: transactionMode,
+            transactionDate,
+            cheque,
+            reference,
+          },
+          userId
+        );
+      }
+
+      // Collections recorded with a delivery belong to the delivery, not a back-dated entry
+      if (createdFromService !== 'order') {
+        const closedDay = await this.lockedDateMessage(
+          transactionForModel === 'Order'
+            ? { orderIds: transactionForArray }
+            : { customerId: customer || transactionForArray[0] },
+          transactionDate,
+          { userId, action: 'CREATE', description: `Back-dated ${transactionMode} payment of ${amountPaid}` }
+        );
+        if (closedDay) {
+          return createResponse(false, closedDay, null, 409);
+        }
+      }
+
       // Create transaction object
       const newTransaction = new Transaction({
         transactionMode,
@@ -155,9 +282,19 @@ class TransactionService {
         amountPaid,
         createdBy: userId,
         createdFromService,
-        transactionDate: transactionDate || new Date()
+        transactionDate: transactionDate || new Date(),
+        cheque: chequeDetails.cheque,
+        reference
       });
 
+      // The order service has already added a payment it records to the order's paidAmount
+      if (transactionForModel === 'Order') {
+        if (transactionForArray.length !== 1) {
+          return createResponse(false, 'A payment recorded with an order must be for that order only', null, 400);
+        }
+        newTransaction.allocations = [{ order: transactionForArray[0], amount: amountPaid, allocatedBy: userId }];
+      }
+
       // Save transaction
       const savedTransaction = await newTransaction.save();
 
@@ -185,9 +322,11 @@ class TransactionService {
    * Allocate a customer payment across unpaid/partial orders (oldest first)
    * - Fully pays oldest orders first, then partially pays next if amount remains
    * - Updates paymentStatus/paidAmount and overrides paymentTerms with selected mode
-   * - Creates a single transaction referencing affected order IDs
+   * - Creates a single transaction referencing affected order IDs, with the amount allocated to each
+   * - Whatever is left over stays on the transaction as on-account credit of the customer
+   * - Without orderIds, unrecovered bounce charges of the customer are taken out first
    */
-  async allocateCustomerPayment({ customerId, amountPaid, orderIds=[], paymentMode, transactionDate }, userId) {
+  async allocateCustomerPayment({ customerId, amountPaid, orderIds=[], paymentMode, transactionDate, cheque, reference, reallocatedFrom }, userId) {
     try {
       // Basic validation
       if (!customerId) {
@@ -201,11 +340,64 @@ class TransactionService {
         return createResponse(false, 'Invalid payment mode', null, 400);
       }
 
+      const chequeDetails = buildCheque(cheque, paymentMode, transactionDate, userId);
+      if (chequeDetails.error) {
+        return createResponse(false, chequeDetails.error, null, 400);
+      }
+
+      const customerExists = await Customer.exists({ _id: customerId });
+      if (!customerExists) {
+        return createResponse(false, 'Customer not found', null, 404);
+      }
+
+      const closedDay = await this.lockedDateMessage({ orderIds: orderIds || [], customerId }, transactionDate, {
+        userId,
+        action: 'CREATE',
+        description: `Back-dated ${paymentMode} payment of ${amountPaid}`,
+      });
+      if (closedDay) {
+        return createResponse(false, closedDay, null, 409);
+      }
+
       const session = await mongoose.startSession();
       let affectedOrderIds = [];
+      let allocations = [];
+      let chargeRecoveries = [];
       let remainingAmount = amountPaid;
+      let transactionDocId = null;
 
       await session.withTransaction(async () => {
+        // Reset in case the transaction is retried
+        affectedOrderIds = [];
+        allocations = [];
+        chargeRecoveries = [];
+        remainingAmount = amountPaid;
+
+        // A general payment first settles what the customer owes for bounced cheques
+        if (!orderIds || orderIds.length === 0) {
+          const bounced = await Transaction.find({
+            customer: customerId,
+            'cheque.status': 'bounced',
+            $expr: { $gt: ['$cheque.bounceCharge', '$cheque.bounceChargeRecovered'] },
+          })
+            .sort({ 'cheque.bouncedAt': 1 })
+            .select('_id cheque.bounceCharge cheque.bounceChargeRecovered')
+            .session(session)
+            .lean();
+
+          for (const charge of bounced) {
+            if (remainingAmount <= 0) break;
+            const amount = round2(Math.min(charge.cheque.bounceCharge - charge.cheque.bounceChargeRecovered, remainingAmount));
+            await Transaction.updateOne(
+              { _id: charge._id },
+              { $inc: { 'cheque.bounceChargeRecovered': amount } },
+              { session }
+            );
+            chargeRecoveries.push({ transaction: charge._id, amount });
+            remainingAmount = round2(remainingAmount - amount);
+          }
+        }
+
         // Build query for orders
         let orderQuery = {
           customer: customerId,
@@ -221,13 +413,13 @@ class TransactionService {
         // Find orders (either specific ones or all unpaid), oldest first
         const orders = await Order.find(orderQuery)
           .sort({ orderDate: 1 })
-          .select('_id totalAmount paidAmount paymentStatus paymentTerms')
+          .select('_id totalAmount paidAmount returnedAmount paymentStatus paymentTerms')
           .session(session);
 
         for (const ord of orders) {
           if (remainingAmount <= 0) break;
           const alreadyPaid = ord.paidAmount || 0;
-          const remainingForOrder = Math.max(0, (ord.totalAmount || 0) - alreadyPaid);
+          const remainingForOrder = orderDue(ord);
           if (remainingForOrder <= 0) continue;
 
           if (remainingAmount >= remainingForOrder) {
@@ -245,6 +437,7 @@ class TransactionService {
               { session }
             );
             affectedOrderIds.push(ord._id);
+            allocations.push({ order: ord._id, amount: round2(remainingForOrder), allocatedBy: userId });
             remainingAmount -= remainingForOrder;
           } else if (remainingAmount > 0) {
             // Partially pay this order and stop
@@ -261,52 +454,767 @@ class TransactionService {
               { session }
             );
             affectedOrderIds.push(ord._id);
+            allocations.push({ order: ord._id, amount: round2(remainingAmount), allocatedBy: userId });
             remainingAmount = 0;
             break;
           }
         }
 
-        // Create transaction only if any orders affected
-        if (affectedOrderIds.length > 0) {
-          const newTransaction = new Transaction({
-            transactionMode: paymentMode,
-            transactionForModel: 'Order',
-            transactionFor: affectedOrderIds,
-            customer: customerId,
-            amountPaid,
-            createdBy: userId,
-            createdFromService: "transaction",
-            transactionDate: transactionDate || new Date(),
-          });
-          await newTransaction.save({ session });
-        }
+        // Always record the payment; with no order affected it is held against the customer
+        const newTransaction = new Transaction({
+          transactionMode: paymentMode,
+          transactionForModel: affectedOrderIds.length > 0 ? 'Order' : 'Customer',
+          transactionFor: affectedOrderIds.length > 0 ? affectedOrderIds : [customerId],
+          customer: customerId,
+          amountPaid,
+          allocations,
+          chargeRecoveries,
+          unallocatedAmount: round2(Math.max(0, remainingAmount)),
+          createdBy: userId,
+          createdFromService: "transaction",
+          transactionDate: transactionDate || new Date(),
+          cheque: chequeDetails.cheque,
+          reference,
+          reallocatedFrom,
+        });
+        await newTransaction.save({ session });
+        transactionDocId = newTransaction._id;
       });
       session.endSession();
 
-      // Populate transaction for response (last transaction created for this customer)
-      let populatedTransaction = null;
-      if (affectedOrderIds.length > 0) {
-        populatedTransaction = await Transaction.findOne({
-          customer: customerId,
-        })
-          .sort({ createdAt: -1 })
-          .populate('customer', 'businessName customerId phone')
-          .populate('createdBy', 'firstName lastName employeeId')
-          .populate('transactionFor')
-          .lean();
-      }
+      const onAccountCredit = await this.refreshCustomerCredit(customerId);
+
+      const populatedTransaction = await Transaction.findById(transactionDocId)
+        .populate('customer', 'businessName customerId phone')
+        .populate('createdBy', 'firstName lastName employeeId')
+        .populate('transactionFor')
+        .lean();
 
       return createResponse(true, 'Payment allocated successfully', {
         transaction: populatedTransaction,
         affectedOrderIds,
         affectedOrdersCount: affectedOrderIds.length,
-        unallocatedAmount: Math.max(0, remainingAmount),
-      }, affectedOrderIds.length > 0 ? 201 : 200);
+        chargesRecovered: round2(chargeRecoveries.reduce((sum, recovery) => sum + recovery.amount, 0)),
+        unallocatedAmount: round2(Math.max(0, remainingAmount)),
+        onAccountCredit,
+      }, 201);
     } catch (error) {
       console.error('Error in allocateCustomerPayment:', error);
       throw error;
     }
   }
+
+  /**
+   * Apply a customer's on-account credit to open orders
+   * - Credit is consumed oldest payment first; orders are settled oldest first
+   * - orderIds restricts the orders, amount caps how much credit is used (default: all of it)
+   */
+  async applyOnAccountCredit({ customerId, orderIds = [], amount }, userId) {
+    try {
+      if (!customerId) {
+        return createResponse(false, 'customerId is required', null, 400);
+      }
+      const hasAmount = amount !== undefined && amount !== null && amount !== '';
+      if (hasAmount && !(Number(amount) > 0)) {
+        return createResponse(false, 'amount must be greater than 0', null, 400);
+      }
+
+      const customerExists = await Customer.exists({ _id: customerId });
+      if (!customerExists) {
+        return createResponse(false, 'Customer not found', null, 404);
+      }
+
+      const session = await mongoose.startSession();
+      let appliedOrders = [];
+      let appliedAmount = 0;
+
+      await session.withTransaction(async () => {
+        appliedOrders = [];
+        appliedAmount = 0;
+
+        const credits = await Transaction.find({ customer: customerId, unallocatedAmount: { $gt: 0 } })
+          .sort({ transactionDate: 1, createdAt: 1 })
+          .select('_id unallocatedAmount')
+          .session(session)
+          .lean();
+
+        const available = round2(credits.reduce((sum, credit) => sum + credit.unallocatedAmount, 0));
+        let remaining = hasAmount ? Math.min(round2(amount), available) : available;
+        if (remaining <= 0) return;
+
+        const orderQuery = {
+          customer: customerId,
+          type: 'order',
+          status: { $nin: ['cancelled', 'rejected'] },
+          paymentStatus: { $in: OPEN_PAYMENT_STATUSES },
+        };
+        if (orderIds && orderIds.length > 0) {
+          orderQuery._id = { $in: orderIds };
+        }
+
+        const orders = await Order.find(orderQuery)
+          .sort({ orderDate: 1 })
+          .select('_id orderNumber totalAmount paidAmount returnedAmount')
+          .session(session);
+
+        const creditUpdates = new Map();
+        let creditIndex = 0;
+
+        for (const ord of orders) {
+          if (remaining <= 0) break;
+          const due = round2(orderDue(ord));
+          if (due <= 0) continue;
+
+          const take = Math.min(due, remaining);
+          let left = take;
+
+          // Draw the amount from the oldest credits first
+          while (left > 0 && creditIndex < credits.length) {
+            const credit = credits[creditIndex];
+            const part = round2(Math.min(credit.unallocatedAmount, left));
+            credit.unallocatedAmount = round2(credit.unallocatedAmount - part);
+            left = round2(left - part);
+
+            const update = creditUpdates.get(credit._id.toString()) || { used: 0, allocations: [] };
+            update.used = round2(update.used + part);
+            update.allocations.push({ order: ord._id, amount: part, allocatedBy: userId });
+            creditUpdates.set(credit._id.toString(), update);
+
+            if (credit.unallocatedAmount <= 0) creditIndex++;
+          }
+
+          const nextPaidAmount = round2((ord.paidAmount || 0) + take);
+          const paymentStatus = orderDue({ totalAmount: ord.totalAmount, paidAmount: nextPaidAmount, returnedAmount: ord.returnedAmount }) <= 0 ? 'paid' : 'partial';
+          await Order.updateOne(
+            { _id: ord._id },
+            { $set: { paidAmount: nextPaidAmount, paymentStatus } },
+            { session }
+          );
+
+          appliedOrders.push({ order: ord._id, orderNumber: ord.orderNumber, amount: take, paidAmount: nextPaidAmount, paymentStatus });
+          appliedAmount = round2(appliedAmount + take);
+          remaining = round2(remaining - take);
+        }
+
+        // updateOne rather than save so the payment's balance snapshot is left as it was
+        for (const [creditId, update] of creditUpdates) {
+          await Transaction.updateOne(
+            { _id: creditId },
+            {
+              $inc: { unallocatedAmount: -update.used },
+              $push: { allocations: { $each: update.allocations } },
+            },
+            { session }
+          );
+        }
+      });
+      session.endSession();
+
+      const onAccountCredit = await this.refreshCustomerCredit(customerId);
+
+      return createResponse(true, appliedAmount > 0 ? 'Credit applied successfully' : 'No credit applied', {
+        appliedAmount,
+        appliedOrders,
+        onAccountCredit,
+      });
+    } catch (error) {
+      console.error('Error in applyOnAccountCredit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return the amounts allocated to an order (payments and applied credit) to the
+   * customer's on-account credit, e.g. when the order is cancelled or rejected
+   */
+  async releaseOrderAllocations(orderId) {
+    try {
+      const order = await Order.findById(orderId).select('_id customer totalAmount paidAmount returnedAmount');
+      if (!order) {
+        return createResponse(false, 'Order not found', null, 404);
+      }
+
+      const transactions = await Transaction.find({ 'allocations.order': order._id })
+        .select('_id allocations')
+        .lean();
+
+      const releasedAt = new Date();
+      let releasedAmount = 0;
+
+      for (const transaction of transactions) {
+        const amount = round2(
+          transaction.allocations
+            .filter(
+              (allocation) =>
+                allocation.order.toString() === order._id.toString() && !allocation.releasedAt && !allocation.reversedAt
+            )
+            .reduce((sum, allocation) => sum + allocation.amount, 0)
+        );
+        if (amount <= 0) continue;
+
+        await Transaction.updateOne(
+          { _id: transaction._id },
+          {
+            $inc: { unallocatedAmount: amount },
+            $set: { 'allocations.$[allocation].releasedAt': releasedAt },
+          },
+          {
+            arrayFilters: [
+              { 'allocation.order': order._id, 'allocation.releasedAt': { $exists: false }, 'allocation.reversedAt': { $exists: false } },
+            ],
+          }
+        );
+        releasedAmount = round2(releasedAmount + amount);
+      }
+
+      if (releasedAmount <= 0) {
+        return createResponse(true, 'No allocations to release', { releasedAmount: 0 });
+      }
+
+      const paidAmount = round2(Math.max(0, (order.paidAmount || 0) - releasedAmount));
+      const paymentStatus = paidAmount > 0 || order.returnedAmount > 0 ? 'partial' : 'pending';
+      await Order.updateOne({ _id: order._id }, { $set: { paidAmount, paymentStatus } });
+
+      const onAccountCredit = await this.refreshCustomerCredit(order.customer);
+
+      return createResponse(true, 'Order allocations released to on-account credit', {
+        releasedAmount,
+        paidAmount,
+        paymentStatus,
+        onAccountCredit,
+      });
+    } catch (error) {
+      console.error('Error in releaseOrderAllocations:', error);
+      throw error;
+    }
+  }
+
+  // What the order's payments still have allocated to it (not released or reversed)
+  async getOrderAllocatedAmount(orderId) {
+    const [result] = await Transaction.aggregate([
+      { $match: { 'allocations.order': new mongoose.Types.ObjectId(String(orderId)) } },
+      { $unwind: '$allocations' },
+      {
+        $match: {
+          'allocations.order': new mongoose.Types.ObjectId(String(orderId)),
+          'allocations.releasedAt': { $exists: false },
+          'allocations.reversedAt': { $exists: false },
+        },
+      },
+      { $group: { _id: null, amount: { $sum: '$allocations.amount' } } },
+    ]);
+    return round2(result?.amount || 0);
+  }
+
+  /**
+   * Return part of what was allocated to an order to the customer's on-account credit,
+   * newest allocation first. Used when a credit note covers goods that were already paid for.
+   * @returns {number} - Amount actually released (capped at what is allocated)
+   */
+  async releaseOrderAllocationAmount(orderId, amount) {
+    let left = round2(amount);
+    if (left <= 0) return 0;
+
+    const transactions = await Transaction.find({ 'allocations.order': orderId })
+      .sort({ transactionDate: -1, createdAt: -1 })
+      .select('_id allocations')
+      .lean();
+
+    const releasedAt = new Date();
+    let releasedAmount = 0;
+
+    for (const transaction of transactions) {
+      if (left <= 0) break;
+
+      let released = 0;
+      const allocations = [...transaction.allocations];
+      for (let i = allocations.length - 1; i >= 0 && left > 0; i--) {
+        const allocation = allocations[i];
+        if (allocation.order.toString() !== orderId.toString() || allocation.releasedAt || allocation.reversedAt) continue;
+
+        const part = round2(Math.min(allocation.amount, left));
+        if (part >= allocation.amount) {
+          allocations[i] = { ...allocation, releasedAt };
+        } else {
+          // Split the allocation so the released part keeps its own entry
+          allocations[i] = { ...allocation, amount: round2(allocation.amount - part) };
+          allocations.push({ ...allocation, amount: part, releasedAt });
+        }
+        released = round2(released + part);
+        left = round2(left - part);
+      }
+      if (released <= 0) continue;
+
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        { $set: { allocations }, $inc: { unallocatedAmount: released } }
+      );
+      releasedAmount = round2(releasedAmount + released);
+    }
+
+    if (releasedAmount > 0) {
+      await Order.updateOne({ _id: orderId }, { $inc: { paidAmount: -releasedAmount } });
+    }
+    return releasedAmount;
+  }
+
+  /**
+   * Undo everything a payment did to orders: take each active allocation off the order's
+   * paidAmount and reopen its paymentStatus. Allocations already released to on-account
+   * credit only need marking, as that credit is dropped with unallocatedAmount.
+   * @returns {Array} - Reopened orders with the amount taken back from each
+   */
+  async reverseAllocations(transaction, reversedAt = new Date()) {
+    const amountByOrder = new Map();
+    for (const allocation of transaction.allocations || []) {
+      if (allocation.reversedAt || allocation.releasedAt) continue;
+      const key = allocation.order.toString();
+      amountByOrder.set(key, round2((amountByOrder.get(key) || 0) + allocation.amount));
+    }
+
+    const orders = await Order.find({ _id: { $in: [...amountByOrder.keys()] } })
+      .select('_id orderNumber totalAmount paidAmount returnedAmount')
+      .lean();
+
+    const reopened = [];
+    for (const order of orders) {
+      const amount = amountByOrder.get(order._id.toString());
+      const paidAmount = round2(Math.max(0, (order.paidAmount || 0) - amount));
+      const paymentStatus =
+        orderDue({ ...order, paidAmount }) <= 0 ? 'paid' : paidAmount > 0 || order.returnedAmount > 0 ? 'partial' : 'pending';
+      await Order.updateOne({ _id: order._id }, { $set: { paidAmount, paymentStatus } });
+      // Marked order by order, so a retry after a failure does not take the amount back twice
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        { $set: { 'allocations.$[allocation].reversedAt': reversedAt } },
+        {
+          arrayFilters: [
+            { 'allocation.order': order._id, 'allocation.reversedAt': { $exists: false }, 'allocation.releasedAt': { $exists: false } },
+          ],
+        }
+      );
+      reopened.push({ order: order._id, orderNumber: order.orderNumber, amount, paidAmount, paymentStatus });
+    }
+
+    // Reopened orders already past their due date go straight back to overdue
+    const pastDue = await Order.aggregate([
+      {
+        $match: {
+          ...DELIVERED_ORDER_MATCH,
+          _id: { $in: reopened.map((entry) => entry.order) },
+          paymentStatus: { $in: ['pending', 'partial'] },
+        },
+      },
+      ...receivableStages(reversedAt),
+      { $match: { daysPastDue: { $gte: 1 } } },
+      { $project: { _id: 1 } },
+    ]);
+    if (pastDue.length > 0) {
+      const overdueIds = new Set(pastDue.map((order) => order._id.toString()));
+      await Order.updateMany({ _id: { $in: pastDue.map((order) => order._id) } }, { $set: { paymentStatus: 'overdue' } });
+      reopened.forEach((entry) => {
+        if (overdueIds.has(entry.order.toString())) entry.paymentStatus = 'overdue';
+      });
+    }
+
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      {
+        $set: { 'allocations.$[allocation].reversedAt': reversedAt, unallocatedAmount: 0 },
+      },
+      { arrayFilters: [{ 'allocation.reversedAt': { $exists: false } }] }
+    );
+
+    // Bounce charges this payment had recovered are owed again
+    for (const recovery of transaction.chargeRecoveries || []) {
+      await Transaction.updateOne(
+        { _id: recovery.transaction },
+        { $inc: { 'cheque.bounceChargeRecovered': -recovery.amount } }
+      );
+    }
+
+    return reopened;
+  }
+
+  /**
+   * Reverse a payment booked by mistake. Every order it settled gets back the exact amount
+   * allocated to it, its on-account credit is dropped, and a reversing entry is written next
+   * to the original. With reallocate, the same receipt is then allocated again (to orderIds,
+   * or oldest orders first) as a new transaction.
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} data - { reason, reallocate: { orderIds } }
+   * @param {string} userId - User reversing the payment
+   */
+  async reverseTransaction(transactionId, { reason, reallocate } = {}, userId) {
+    try {
+      if (!reason || !String(reason).trim()) {
+        return createResponse(false, 'Reversal reason is required', null, 400);
+      }
+
+      const transaction = await Transaction.findById(transactionId).lean();
+      if (!transaction) {
+        return createResponse(false, 'Transaction not found', null, 404);
+      }
+      if (transaction.reversalOf) {
+        return createResponse(false, 'A reversing entry cannot be reversed', null, 400);
+      }
+      if (transaction.cheque?.status === 'bounced') {
+        return createResponse(false, 'Transaction was already reversed by the cheque bounce', null, 400);
+      }
+      // Older payments were added to orders without recording where the money went
+      if (!transaction.allocations?.length && !transaction.unallocatedAmount && !transaction.chargeRecoveries?.length) {
+        return createResponse(
+          false,
+          'Transaction has no recorded allocations and cannot be reversed. Correct the orders it paid manually',
+          null,
+          400
+        );
+      }
+
+      const customerId =
+        transaction.customer ||
+        (transaction.transactionForModel === 'Customer'
+          ? transaction.transactionFor?.[0]
+          : (await Order.findById(transaction.transactionFor?.[0]).select('customer').lean())?.customer);
+      if (reallocate && !customerId) {
+        return createResponse(false, 'Transaction has no customer to re-allocate to', null, 400);
+      }
+
+      // The reversing entry is dated today; a re-allocation keeps the original payment date
+      const allocatedOrders = (transaction.allocations || []).map((allocation) => allocation.order);
+      for (const date of reallocate ? [new Date(), transaction.transactionDate] : [new Date()]) {
+        const closedDay = await this.lockedDateMessage({ orderIds: allocatedOrders, customerId }, date, {
+          userId,
+          action: 'UPDATE',
+          resourceId: transaction._id,
+          description: `Reversed payment of ${transaction.amountPaid}`,
+        });
+        if (closedDay) {
+          return createResponse(false, closedDay, null, 409);
+        }
+      }
+
+      const reversedAt = new Date();
+
+      // Claim the reversal first so two requests cannot both undo the payment
+      const claimed = await Transaction.updateOne(
+        { _id: transaction._id, reversal: { $exists: false } },
+        { $set: { reversal: { reversedAt, reversedBy: userId, reason: String(reason).trim() } } }
+      );
+      if (claimed.modifiedCount === 0) {
+        return createResponse(false, 'Transaction is already reversed', null, 409);
+      }
+
+      let reopenedOrders;
+      const reversingEntry = new Transaction({
+        transactionMode: transaction.transactionMode,
+        transactionForModel: transaction.transactionForModel,
+        transactionFor: transaction.transactionFor,
+        customer: customerId,
+        amountPaid: transaction.amountPaid,
+        unallocatedAmount: 0,
+        createdBy: userId,
+        createdFromService: 'transaction',
+        transactionDate: reversedAt,
+        reversalOf: transaction._id,
+      });
+      try {
+        reopenedOrders = await this.reverseAllocations(transaction, reversedAt);
+        await reversingEntry.save();
+      } catch (error) {
+        // Release the claim so the reversal can be retried; orders already reopened stay marked
+        await Transaction.updateOne({ _id: transaction._id }, { $unset: { reversal: 1 } });
+        throw error;
+      }
+
+      let reallocation = null;
+      let reallocationError = null;
+      if (reallocate) {
+        const result = await this.allocateCustomerPayment(
+          {
+            customerId,
+            amountPaid: transaction.amountPaid,
+            orderIds: reallocate.orderIds || [],
+            paymentMode: transaction.transactionMode,
+            transactionDate: transaction.transactionDate,
+            reference: transaction.reference,
+            reallocatedFrom: transaction._id,
+          },
+          userId
+        );
+        // The reversal stands either way; a failed re-allocation is reported, not dropped
+        if (result.success) reallocation = result.data;
+        else reallocationError = result.message;
+
+        // The cheque itself has not changed, only where its money went
+        if (transaction.cheque && reallocation?.transaction) {
+          await Transaction.updateOne({ _id: reallocation.transaction._id }, { $set: { cheque: transaction.cheque } });
+        }
+      }
+
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        {
+          $set: {
+            'reversal.reversingTransaction': reversingEntry._id,
+            ...(reallocation?.transaction ? { 'reversal.reallocatedTo': reallocation.transaction._id } : {}),
+          },
+        }
+      );
+
+      const onAccountCredit = customerId ? await this.refreshCustomerCredit(customerId) : 0;
+
+      await AuditLog.create({
+        user: userId,
+        action: 'UPDATE',
+        module: 'transactions',
+        resourceType: 'Transaction',
+        resourceId: transaction._id.toString(),
+        oldValues: { allocations: transaction.allocations, unallocatedAmount: transaction.unallocatedAmount },
+        newValues: {
+          reversingTransaction: reversingEntry.transactionId,
+          reopenedOrders,
+          reallocatedTo: reallocation?.transaction?.transactionId,
+        },
+        description: `Reversed payment ${transaction.transactionId} of ${transaction.amountPaid} (${String(reason).trim()})${reallocation?.transaction ? `, re-allocated as ${reallocation.transaction.transactionId}` : ''}${reallocationError ? `, re-allocation failed: ${reallocationError}` : ''}`,
+        ipAddress: '0.0.0.0',
+        userAgent: 'System',
+      });
+
+      if (reallocationError) {
+        return createResponse(
+          false,
+          `Payment reversed as ${reversingEntry.transactionId}, but re-allocation failed: ${reallocationError}`,
+          { reversingTransaction: reversingEntry.toObject(), reopenedOrders, onAccountCredit }
+        );
+      }
+
+      return createResponse(true, reallocation ? 'Payment reversed and re-allocated' : 'Payment reversed', {
+        reversingTransaction: reversingEntry.toObject(),
+        reopenedOrders,
+        reallocation,
+        onAccountCredit,
+      });
+    } catch (error) {
+      console.error('Error in reverseTransaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a cheque through clearing: received -> deposited -> cleared, or bounced from
+   * received/deposited. A bounce reverses every allocation of the payment, drops its
+   * on-account credit and can charge the customer a bounce fee.
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} data - { status, date, notes, reason, bounceCharge }
+   * @param {string} userId - User recording the change
+   */
+  async updateChequeStatus(transactionId, { status, date, notes, reason, bounceCharge } = {}, userId) {
+    try {
+      const transaction = await Transaction.findById(transactionId).lean();
+      if (!transaction) {
+        return createResponse(false, 'Transaction not found', null, 404);
+      }
+      if (transaction.transactionMode !== 'Cheque' || transaction.reversalOf) {
+        return createResponse(false, 'Transaction is not a cheque payment', null, 400);
+      }
+      if (transaction.reversal) {
+        return createResponse(false, 'Transaction was reversed; update the cheque on the payment that replaced it', null, 400);
+      }
+
+      if (!Object.keys(CHEQUE_TRANSITIONS).includes(status) || status === 'received') {
+        return createResponse(false, 'Invalid cheque status. Must be one of: deposited, cleared, bounced', null, 400);
+      }
+      const currentStatus = transaction.cheque?.status || 'received';
+      if (!CHEQUE_TRANSITIONS[currentStatus].includes(status)) {
+        return createResponse(false, `Cannot mark a ${currentStatus} cheque as ${status}`, null, 400);
+      }
+
+      const at = date ? new Date(date) : new Date();
+      if (isNaN(at.getTime())) {
+        return createResponse(false, 'Invalid date', null, 400);
+      }
+
+      const closedDay = await this.lockedDateMessage(
+        { orderIds: (transaction.allocations || []).map((allocation) => allocation.order), customerId: transaction.customer },
+        at,
+        { userId, action: 'UPDATE', resourceId: transaction._id, description: `Marked cheque as ${status}` }
+      );
+      if (closedDay) {
+        return createResponse(false, closedDay, null, 409);
+      }
+
+      const charge = round2(bounceCharge || 0);
+      if (status === 'bounced') {
+        if (!reason || !String(reason).trim()) {
+          return createResponse(false, 'Bounce reason is required', null, 400);
+        }
+        if (charge < 0) {
+          return createResponse(false, 'Bounce charge cannot be negative', null, 400);
+        }
+      }
+
+      const update = {
+        'cheque.status': status,
+        [`cheque.${status}At`]: at,
+      };
+      if (status === 'bounced') {
+        update['cheque.bounceReason'] = String(reason).trim();
+        update['cheque.bounceCharge'] = charge;
+        update['cheque.bounceChargeRecovered'] = 0;
+      }
+
+      // Guarded on the current status so a concurrent change is not applied twice
+      const result = await Transaction.updateOne(
+        { _id: transaction._id, 'cheque.status': transaction.cheque ? currentStatus : { $exists: false } },
+        {
+          $set: update,
+          $push: { 'cheque.history': { status, at, by: userId, notes: notes || reason } },
+        }
+      );
+      if (result.modifiedCount === 0) {
+        return createResponse(false, 'Cheque status changed meanwhile, please retry', null, 409);
+      }
+
+      let reopenedOrders = [];
+      if (status === 'bounced') {
+        reopenedOrders = await this.reverseAllocations(transaction, at);
+        await this.refreshCustomerCredit(transaction.customer);
+      }
+
+      await AuditLog.create({
+        user: userId,
+        action: 'UPDATE',
+        module: 'transactions',
+        resourceType: 'Transaction',
+        resourceId: transaction._id.toString(),
+        oldValues: { chequeStatus: currentStatus },
+        newValues: { chequeStatus: status, ...(status === 'bounced' ? { bounceCharge: charge, reopenedOrders } : {}) },
+        description:
+          status === 'bounced'
+            ? `Cheque ${transaction.cheque?.number || ''} of ${transaction.transactionId} bounced: ${String(reason).trim()}${reopenedOrders.length ? `; reopened ${reopenedOrders.map((o) => o.orderNumber).join(', ')}` : ''}`
+            : `Cheque ${transaction.cheque?.number || ''} of ${transaction.transactionId} marked ${status}`,
+        ipAddress: '0.0.0.0',
+        userAgent: 'System',
+      });
+
+      const updated = await Transaction.findById(transaction._id)
+        .populate('customer', 'businessName customerId phone')
+        .lean();
+
+      return createResponse(true, `Cheque marked ${status}`, { transaction: updated, reopenedOrders });
+    } catch (error) {
+      console.error('Error in updateChequeStatus:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cheques not yet deposited, by cheque date. Post-dated cheques show up once they fall
+   * due within the window (default the next 7 days); overdue ones are flagged.
+   */
+  async getChequeRegister(query = {}) {
+    try {
+      const { status = 'received', days = 7, customerId, postDatedOnly, dateFrom, dateTo } = query;
+
+      const filter = { transactionMode: 'Cheque', 'cheque.status': status, reversal: { $exists: false } };
+      if (customerId) filter.customer = customerId;
+
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      if (dateFrom || dateTo) {
+        filter['cheque.chequeDate'] = {};
+        if (dateFrom) filter['cheque.chequeDate'].$gte = new Date(dateFrom);
+        if (dateTo) filter['cheque.chequeDate'].$lte = new Date(dateTo);
+      } else if (status === 'received') {
+        const until = new Date(today.getTime() + (parseInt(days) + 1) * 24 * 60 * 60 * 1000 - 1);
+        filter['cheque.chequeDate'] = { $lte: until };
+      }
+      if (postDatedOnly === 'true') {
+        filter.$expr = { $gt: ['$cheque.chequeDate', '$transactionDate'] };
+      }
+
+      const transactions = await Transaction.find(filter)
+        .populate('customer', 'businessName customerId phone')
+        .select('transactionId transactionDate amountPaid customer cheque')
+        .sort({ 'cheque.chequeDate': 1 })
+        .lean();
+
+      const dayMs = 24 * 60 * 60 * 1000;
+      const cheques = transactions.map((transaction) => {
+        const chequeDate = new Date(transaction.cheque.chequeDate);
+        const daysToChequeDate = Math.floor((chequeDate - today) / dayMs);
+        return {
+          ...transaction,
+          postDated: chequeDate > new Date(transaction.transactionDate),
+          daysToChequeDate,
+          dueForDeposit: status === 'received' && daysToChequeDate <= 0,
+        };
+      });
+
+      return createResponse(true, 'Cheque register retrieved successfully', {
+        cheques,
+        summary: {
+          count: cheques.length,
+          totalAmount: round2(cheques.reduce((sum, cheque) => sum + cheque.amountPaid, 0)),
+          dueForDeposit: cheques.filter((cheque) => cheque.dueForDeposit).length,
+        },
+      });
+    } catch (error) {
+      console.error('Error in getChequeRegister:', error);
+      throw error;
+    }
+  }
+
+  // Bounce charges the customer still owes
+  async getOutstandingBounceCharges(customerId) {
+    const [result] = await Transaction.aggregate([
+      { $match: { customer: new mongoose.Types.ObjectId(String(customerId)), 'cheque.status': 'bounced' } },
+      { $group: { _id: null, total: { $sum: { $subtract: ['$cheque.bounceCharge', '$cheque.bounceChargeRecovered'] } } } },
+    ]);
+    return round2(Math.max(0, result?.total || 0));
+  }
+
+  /**
+   * Recompute the cached on-account credit of a customer from their transactions
+   */
+  async refreshCustomerCredit(customerId) {
+    const [result] = await Transaction.aggregate([
+      { $match: { customer: new mongoose.Types.ObjectId(String(customerId)), unallocatedAmount: { $gt: 0 } } },
+      { $group: { _id: null, total: { $sum: '$unallocatedAmount' } } },
+    ]);
+    const onAccountCredit = round2(result?.total || 0);
+    await Customer.updateOne({ _id: customerId }, { $set: { onAccountCredit } });
+    return onAccountCredit;
+  }
+
+  /**
+   * Get the on-account credit of a customer with the payments it comes from
+   */
+  async getCustomerCredit(customerId) {
+    try {
+      const customer = await Customer.findById(customerId)
+        .select('customerId businessName onAccountCredit autoApplyCredit')
+        .lean();
+      if (!customer) {
+        return createResponse(false, 'Customer not found', null, 404);
+      }
+
+      const credits = await Transaction.find({ customer: customerId, unallocatedAmount: { $gt: 0 } })
+        .sort({ transactionDate: 1, createdAt: 1 })
+        .select('transactionId transactionDate transactionMode amountPaid unallocatedAmount')
+        .lean();
+
+      return createResponse(true, 'Customer credit retrieved successfully', {
+        customer,
+        onAccountCredit: round2(credits.reduce((sum, credit) => sum + credit.unallocatedAmount, 0)),
+        credits,
+      });
+    } catch (error) {
+      console.error('Error in getCustomerCredit:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new TransactionService();
\ No newline at end of file
@@ -2,6 +2,12 @@ const { Transit, Godown, User } = require("../models");
 const { AuditLog } = require("../models");
 const { default: mongoose } = require("mongoose");
 const { uploadToS3 } = require("../utils/s3Upload");
+const productService = require("./product.service");
+const inventoryService = require("./inventory.service");
+const transitClaimService = require("./transitClaim.service");
+const godownService = require("./godown.service");
+const { Product } = require("../models");
+const { toKg } = require("../utils/units");
 
 class TransitService {
   // Get all transits with pagination and filtering
@@ -116,12 +122,15 @@ class TransitService {
   async getTransitById(transitId) {
     const transit = await Transit.findById(transitId)
       .populate("toLocation", "name address city")
+      .populate("fromGodown", "name code location")
       .populate("assignedTo", "firstName lastName email")
       .populate("driverId", "firstName lastName email phone")
       .populate("createdBy", "firstName lastName email")
       .populate("partiallyReceivedBy", "firstName lastName email")
       .populate("receivedBy", "firstName lastName email")
       .populate("statusHistory.changedBy", "firstName lastName email")
+      .populate("receipts.receivedBy", "firstName lastName email")
+      .populate("receipts.claim", "claimNumber status totalAmount")
       .lean();
 
     if (!transit) {
@@ -185,10 +194,15 @@ class TransitService {
     if (!Array.isArray(transitData.productDetails) || transitData.productDetails.length === 0) {
       throw new Error("At least one product detail is required");
     }
+    transitData.productDetails = await productService.attachProducts(transitData.productDetails);
 
     // Set createdBy to current user
     transitData.createdBy = currentUser._id;
 
+    // Transits start as Pending; any other requested status goes through the status flow so stock is posted
+    const requestedStatus = transitData.status;
+    delete transitData.status;
+
     // Process attachments if any - Upload to S3
     if (transitData.attachments && transitData.attachments.length > 0) {
       const processedAttachments = [];
@@ -233,6 +247,10 @@ class TransitService {
       },
     });
 
+    if (requestedStatus && requestedStatus !== transit.status) {
+      await this.updateTransitStatus(transit._id, requestedStatus, currentUser);
+    }
+
     return {
       success: true,
       message: "Transit created successfully",
@@ -293,6 +311,46 @@ if(!updateData.assignedTo){
       }
     }
 
+    if (Array.isArray(updateData.productDetails)) {
+      updateData.productDetails = await productService.attachProducts(updateData.productDetails);
+
+      // Received, damaged and short quantities are only recorded through status updates and receipts
+      updateData.productDetails = updateData.productDetails.map(
+        ({ receivedQuantity, damagedQuantity, shortQuantity, ...line }, index) => ({
+          ...line,
+          receivedQuantity: transit.productDetails[index]?.receivedQuantity || 0,
+          damagedQuantity: transit.productDetails[index]?.damagedQuantity || 0,
+          shortQuantity: transit.productDetails[index]?.shortQuantity || 0,
+        })
+      );
+    }
+
+    // Once dispatched, the stock has been posted: the load and its route are fixed
+    if (transit.status !== "Pending") {
+      const lineSignature = (lines) =>
+        JSON.stringify((lines || []).map((l) => [l.productName, Number(l.quantity), l.unit]));
+      const productsChanged = Array.isArray(updateData.productDetails) &&
+        lineSignature(updateData.productDetails) !== lineSignature(transit.productDetails);
+      const locationChanged =
+        (updateData.fromLocation && updateData.fromLocation !== transit.fromLocation) ||
+        (updateData.toLocation && updateData.toLocation.toString() !== transit.toLocation.toString());
+
+      if (productsChanged || locationChanged) {
+        throw new Error("Product details and locations cannot be changed after dispatch");
+      }
+    }
+
+    // Status changes go through updateTransitStatus so stock movements are posted
+    const requestedStatus = updateData.status;
+    const receivedItems = updateData.receivedItems;
+    if (requestedStatus === "Partially Received" && requestedStatus !== transit.status &&
+        (!Array.isArray(receivedItems) || receivedItems.length === 0)) {
+      throw new Error("Received quantities are required for a partial receipt");
+    }
+    delete updateData.status;
+    delete updateData.receivedItems;
+    delete updateData.fromGodown;
+
     // Store original data for audit log
     const originalData = {
       status: transit.status,
@@ -363,6 +421,10 @@ if(!updateData.assignedTo){
       },
     });
 
+    if (requestedStatus && requestedStatus !== transit.status) {
+      await this.updateTransitStatus(transit._id, requestedStatus, currentUser, "", receivedItems);
+    }
+
     return {
       success: true,
       message: "Transit updated successfully",
@@ -407,7 +469,7 @@ if(!updateData.assignedTo){
   }
 
   // Update transit status
-  async updateTransitStatus(transitId, status, currentUser, notes = "") {
+  async updateTransitStatus(transitId, status, currentUser, notes = "", receivedItems = []) {
     const transit = await Transit.findById(transitId);
 
     if (!transit) {
@@ -423,6 +485,8 @@ if(!updateData.assignedTo){
       "Cancelled": [],
     };
 
+    const previousStatus = transit.status;
+
     if (status !== transit.status) {
       const allowedTransitions = validStatusTransitions[transit.status] || [];
       if (!allowedTransitions.includes(status)) {
@@ -445,6 +509,9 @@ if(!updateData.assignedTo){
       transit.statusHistory.push(statusHistoryEntry);
     }
 
+    // Work out the stock movements (and validate received quantities) before anything is saved
+    const stockChange = await this.buildStatusMovements(transit, status, receivedItems);
+
     // Update the status
     transit.status = status;
     
@@ -457,6 +524,17 @@ if(!updateData.assignedTo){
     
     await transit.save();
 
+    if (stockChange.reverse) {
+      await inventoryService.reverseSourceMovements("Transit", transit._id, currentUser._id, `Transit ${transit.transitId} cancelled`);
+    } else if (stockChange.movements.length > 0) {
+      await inventoryService.postSourceMovements("Transit", transit._id, stockChange.movements, currentUser._id);
+    }
+
+    // Quantities written off as short on the final receipt are claimed from the transporter
+    if (stockChange.losses.length > 0) {
+      await transitClaimService.openClaim(transit, stockChange.losses, currentUser, { remarks: notes });
+    }
+
     // Log audit trail
     await AuditLog.create({
       user: currentUser._id,
@@ -469,7 +547,8 @@ if(!updateData.assignedTo){
         transitId: transit.transitId,
         newStatus: status,
         notes: notes,
-        previousStatus: transit.status,
+        previousStatus,
+        stockMovements: stockChange.reverse ? "reversed" : stockChange.movements.length,
       },
     });
 
@@ -480,6 +559,375 @@ if(!updateData.assignedTo){
     };
   }
 
+  // Record a receipt at the destination with received, damaged and short quantities per line.
+  // The transit becomes "Received" once every line is fully accounted for, otherwise
+  // "Partially Received". Damaged and short quantities open a claim against the transporter.
+  async receiveTransit(transitId, receiptData = {}, currentUser) {
+    const transit = await Transit.findById(transitId);
+
+    if (!transit) {
+      throw new Error("Transit not found");
+    }
+
+    if (!["In Transit", "Partially Received"].includes(transit.status)) {
+      throw new Error(`Cannot receive a transit with status ${transit.status}`);
+    }
+
+    const { items, remarks, photos = [] } = receiptData;
+    const receipts = this.applyReceiptItems(transit, items);
+    const stockChange = await this.buildReceiptMovements(transit, receipts);
+
+    const previousStatus = transit.status;
+    const isComplete = transit.productDetails.every((line) => this.getAccountedQuantity(line) >= line.quantity);
+    const status = isComplete ? "Received" : "Partially Received";
+
+    // Upload receipt photos to S3
+    const uploadedPhotos = [];
+    for (const file of photos) {
+      const s3Result = await uploadToS3(
+        file.buffer,
+        file.originalname,
+        file.mimetype,
+        'transit/receipts'
+      );
+
+      uploadedPhotos.push({
+        fileName: file.originalname,
+        fileType: file.mimetype,
+        fileSize: file.size,
+        url: s3Result.fileUrl,
+        uploadedAt: new Date()
+      });
+    }
+
+    transit.receipts.push({
+      items: receipts.map(({ line, receivedNow, damagedNow, shortNow, remarks: lineRemarks }) => ({
+        product: line.product,
+        productName: line.productName,
+        unit: line.unit,
+        receivedQuantity: receivedNow,
+        damagedQuantity: damagedNow,
+        shortQuantity: shortNow,
+        remarks: lineRemarks,
+      })),
+      photos: uploadedPhotos,
+      remarks,
+      receivedBy: currentUser._id,
+      receivedAt: new Date(),
+    });
+    const receipt = transit.receipts[transit.receipts.length - 1];
+
+    if (status !== previousStatus) {
+      transit.statusHistory.push({
+        status,
+        notes: remarks || "",
+        changedBy: currentUser._id,
+        changedAt: new Date()
+      });
+    }
+    transit.status = status;
+    if (status === "Partially Received") {
+      transit.partiallyReceivedBy = currentUser._id;
+    } else {
+      transit.receivedBy = currentUser._id;
+    }
+
+    await transit.save();
+
+    if (stockChange.movements.length > 0) {
+      await inventoryService.postSourceMovements("Transit", transit._id, stockChange.movements, currentUser._id);
+    }
+
+    if (stockChange.losses.length > 0) {
+      const claim = await transitClaimService.openClaim(transit, stockChange.losses, currentUser, {
+        remarks,
+        photos: uploadedPhotos,
+      });
+      receipt.claim = claim._id;
+      await transit.save();
+    }
+
+    // Log audit trail
+    await AuditLog.create({
+      user: currentUser._id,
+      action: "UPDATE",
+      module: "transits",
+      resourceType: "Transit",
+      resourceId: transit._id.toString(),
+      description: `Recorded receipt for transit ${transit.transitId} (${status})`,
+      metadata: {
+        transitId: transit.transitId,
+        previousStatus,
+        newStatus: status,
+        items: receipt.items,
+        remarks,
+      },
+    });
+
+    return {
+      success: true,
+      message: "Transit receipt recorded successfully",
+      data: await this.getTransitById(transit._id),
+    };
+  }
+
+  // Stock movements caused by moving a transit to `status`.
+  // Goods leave the source godown into the in-transit bucket of the destination on dispatch,
+  // and move from that bucket into the destination's stock as they are received.
+  // Line quantities are updated in place; `losses` lists short/damaged quantities to claim.
+  async buildStatusMovements(transit, status, receivedItems = []) {
+    const previousStatus = transit.status;
+
+    if (status === "In Transit" && previousStatus === "Pending") {
+      const fromGodown = await godownService.findGodownByLocation(transit.fromLocation);
+      transit.fromGodown = fromGodown ? fromGodown._id : undefined;
+
+      if (transit.fromGodown && transit.fromGodown.toString() === transit.toLocation.toString()) {
+        throw new Error("From location and to location cannot be the same");
+      }
+
+      const productsById = await this.getLineProducts(transit);
+      const movements = [];
+      for (const line of transit.productDetails) {
+        const quantityKg = this.getLineQuantityKg(line, line.quantity, productsById);
+        if (transit.fromGodown) {
+          movements.push(this.buildTransferMovement("Transfer Out", "On Hand", transit.fromGodown, line, quantityKg,
+            `Transit ${transit.transitId} dispatched`));
+        }
+        movements.push(this.buildTransferMovement("Transfer In", "In Transit", transit.toLocation, line, quantityKg,
+          `Transit ${transit.transitId} dispatched from ${transit.fromLocation}`));
+      }
+      return { movements, reverse: false, losses: [] };
+    }
+
+    if (status === "Received" || status === "Partially Received") {
+      const receipts = this.applyReceivedQuantities(transit, status, receivedItems);
+      return this.buildReceiptMovements(transit, receipts);
+    }
+
+    // Transits dispatched before stock postings existed have nothing in the in-transit bucket
+    const isDispatched = await inventoryService.hasActiveSourceMovements("Transit", transit._id);
+
+    if (status === "Cancelled" && isDispatched) {
+      const hasReceipts = transit.productDetails.some((line) => this.getAccountedQuantity(line) > 0);
+      if (!hasReceipts) {
+        return { movements: [], reverse: true, losses: [] };
+      }
+
+      // Part of the load already arrived: only the outstanding quantity goes back to the source
+      const productsById = await this.getLineProducts(transit);
+      const movements = [];
+      for (const line of transit.productDetails) {
+        const outstanding = line.quantity - this.getAccountedQuantity(line);
+        if (outstanding <= 0) continue;
+
+        const quantityKg = this.getLineQuantityKg(line, outstanding, productsById);
+        movements.push(this.buildTransferMovement("Transfer Out", "In Transit", transit.toLocation, line, quantityKg,
+          `Transit ${transit.transitId} cancelled`));
+        if (transit.fromGodown) {
+          movements.push(this.buildTransferMovement("Transfer In", "On Hand", transit.fromGodown, line, quantityKg,
+            `Transit ${transit.transitId} cancelled, returned to source`));
+        }
+      }
+      return { movements, reverse: false, losses: [] };
+    }
+
+    return { movements: [], reverse: false, losses: [] };
+  }
+
+  // Movements for quantities that arrived (or were written off) with one receipt.
+  // Good stock moves from the in-transit bucket into the destination; short and damaged
+  // quantities leave the in-transit bucket and are returned as losses for the claim.
+  async buildReceiptMovements(transit, receipts) {
+    // Transits dispatched before stock postings existed have nothing in the in-transit bucket
+    const isDispatched = await inventoryService.hasActiveSourceMovements("Transit", transit._id);
+    const productsById = await this.getLineProducts(transit);
+    const movements = [];
+    const losses = [];
+
+    for (const { line, receivedNow, damagedNow, shortNow, remarks } of receipts) {
+      if (receivedNow > 0) {
+        const quantityKg = this.getLineQuantityKg(line, receivedNow, productsById);
+        if (isDispatched) {
+          movements.push(this.buildTransferMovement("Transfer Out", "In Transit", transit.toLocation, line, quantityKg,
+            `Transit ${transit.transitId} received`));
+        }
+        movements.push(this.buildTransferMovement("Transfer In", "On Hand", transit.toLocation, line, quantityKg,
+          `Transit ${transit.transitId} received from ${transit.fromLocation}`));
+      }
+
+      if (damagedNow > 0 && isDispatched) {
+        movements.push(this.buildTransferMovement("Transfer Out", "In Transit", transit.toLocation, line,
+          this.getLineQuantityKg(line, damagedNow, productsById), `Transit ${transit.transitId} damaged in transit`));
+      }
+      if (shortNow > 0 && isDispatched) {
+        movements.push(this.buildTransferMovement("Transfer Out", "In Transit", transit.toLocation, line,
+          this.getLineQuantityKg(line, shortNow, productsById), `Transit ${transit.transitId} short on receipt`));
+      }
+
+      if (damagedNow > 0 || shortNow > 0) {
+        const shortKg = this.getLineQuantityKg(line, shortNow, productsById);
+        const damagedKg = this.getLineQuantityKg(line, damagedNow, productsById);
+        losses.push({
+          product: line.product,
+          productName: line.productName,
+          unit: line.unit,
+          shortQuantity: shortNow,
+          damagedQuantity: damagedNow,
+          shortKg,
+          damagedKg,
+          quantityKg: shortKg + damagedKg,
+          remarks,
+        });
+      }
+    }
+
+    return { movements, reverse: false, losses };
+  }
+
+  // Quantity of a line already received, damaged or written off as short
+  getAccountedQuantity(line) {
+    return (line.receivedQuantity || 0) + (line.damagedQuantity || 0) + (line.shortQuantity || 0);
+  }
+
+  // Find the transit line an item refers to, by product ID or by name
+  findLineIndex(lines, item) {
+    const index = lines.findIndex((line) =>
+      item.product
+        ? line.product && line.product.toString() === item.product.toString()
+        : line.productName === item.productName
+    );
+    if (index === -1) {
+      throw new Error(`Product ${item.productName || item.product} is not part of this transit`);
+    }
+    return index;
+  }
+
+  // Record cumulative received quantities per line (status updates).
+  // On "Received" any line not listed is taken as fully received, and what is still
+  // outstanding after that is written off as short.
+  applyReceivedQuantities(transit, status, receivedItems = []) {
+    const lines = transit.productDetails;
+    const received = new Map();
+
+    for (const item of receivedItems || []) {
+      const index = this.findLineIndex(lines, item);
+      const line = lines[index];
+      const quantity = Number(item.receivedQuantity);
+      if (item.receivedQuantity === undefined || item.receivedQuantity === "" || isNaN(quantity) || quantity < 0) {
+        throw new Error(`Invalid received quantity for ${line.productName}`);
+      }
+
+      const receivable = line.quantity - (line.damagedQuantity || 0) - (line.shortQuantity || 0);
+      if (quantity > receivable) {
+        throw new Error(`Received quantity for ${line.productName} cannot exceed the dispatched quantity (${receivable} ${line.unit})`);
+      }
+      if (quantity < (line.receivedQuantity || 0)) {
+        throw new Error(`Received quantity for ${line.productName} cannot be less than the quantity already received (${line.receivedQuantity} ${line.unit})`);
+      }
+      received.set(index, quantity);
+    }
+
+    if (status === "Partially Received" && received.size === 0) {
+      throw new Error("Received quantities are required for a partial receipt");
+    }
+
+    return lines.map((line, index) => {
+      const alreadyReceived = line.receivedQuantity || 0;
+      const receivable = line.quantity - (line.damagedQuantity || 0) - (line.shortQuantity || 0);
+      const total = received.has(index)
+        ? received.get(index)
+        : status === "Received" ? receivable : alreadyReceived;
+      const shortNow = status === "Received" ? receivable - total : 0;
+
+      line.receivedQuantity = total;
+      line.shortQuantity = (line.shortQuantity || 0) + shortNow;
+      return { line, receivedNow: total - alreadyReceived, damagedNow: 0, shortNow };
+    });
+  }
+
+  // Record one receipt (receive endpoint): quantities are what arrived with this unloading
+  applyReceiptItems(transit, items = []) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error("Receipt items are required");
+    }
+
+    const lines = transit.productDetails;
+    const byLine = new Map();
+
+    for (const item of items) {
+      const index = this.findLineIndex(lines, item);
+      const line = lines[index];
+      if (byLine.has(index)) {
+        throw new Error(`Product ${line.productName} is listed more than once`);
+      }
+
+      const quantities = {};
+      for (const field of ["receivedQuantity", "damagedQuantity", "shortQuantity"]) {
+        const value = item[field] === undefined || item[field] === "" ? 0 : Number(item[field]);
+        if (isNaN(value) || value < 0) {
+          throw new Error(`Invalid ${field} for ${line.productName}`);
+        }
+        quantities[field] = value;
+      }
+
+      const outstanding = line.quantity - this.getAccountedQuantity(line);
+      const total = quantities.receivedQuantity + quantities.damagedQuantity + quantities.shortQuantity;
+      if (total === 0) {
+        throw new Error(`Invalid quantities for ${line.productName}: nothing received, damaged or short`);
+      }
+      if (total > outstanding) {
+        throw new Error(`Invalid quantities for ${line.productName}: exceed the outstanding quantity (${outstanding} ${line.unit})`);
+      }
+
+      byLine.set(index, { ...quantities, remarks: item.remarks });
+    }
+
+    return [...byLine.entries()].map(([index, entry]) => {
+      const line = lines[index];
+      line.receivedQuantity = (line.receivedQuantity || 0) + entry.receivedQuantity;
+      line.damagedQuantity = (line.damagedQuantity || 0) + entry.damagedQuantity;
+      line.shortQuantity = (line.shortQuantity || 0) + entry.shortQuantity;
+      return {
+        line,
+        receivedNow: entry.receivedQuantity,
+        damagedNow: entry.damagedQuantity,
+        shortNow: entry.shortQuantity,
+        remarks: entry.remarks,
+      };
+    });
+  }
+
+  // Products referenced by the transit lines, keyed by ID
+  async getLineProducts(transit) {
+    const productIds = transit.productDetails.map((line) => line.product).filter(Boolean);
+    if (productIds.length === 0) return new Map();
+
+    const products = await Product.find({ _id: { $in: productIds } }).lean();
+    return new Map(products.map((p) => [p._id.toString(), p]));
+  }
+
+  // Convert a line quantity to KG; generic "Bags" are sized from the product's bag size
+  getLineQuantityKg(line, quantity, productsById) {
+    const product = line.product ? productsById.get(line.product.toString()) : null;
+    const packaging = product?.bagSizeKg ? `${product.bagSizeKg}kg` : "";
+    return toKg(quantity, line.unit, packaging);
+  }
+
+  buildTransferMovement(inventoryType, stockBucket, godown, line, quantityKg, note) {
+    return {
+      inventoryType,
+      stockBucket,
+      godown,
+      dateOfStock: new Date(),
+      quantity: quantityKg,
+      unit: "Kg",
+      product: line.product,
+      productName: line.productName,
+      additionalNotes: note,
+    };
+  }
+
   // Assign driver to transit
   async assignDriver(transitId, driverId, currentUser) {
     return await this.updateTransit(transitId, { driverId }, currentUser);
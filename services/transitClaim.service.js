@@ -0,0 +1,256 @@
+const { TransitClaim, AuditLog } = require("../models");
+const priceListService = require("./priceList.service");
+
+class TransitClaimService {
+  // Open a shortage/damage claim against the transporter of a transit, or add the
+  // losses to the claim already open for it. Each line is valued at the price list
+  // rate of the destination godown on the dispatch date.
+  async openClaim(transit, losses = [], currentUser, { remarks, photos = [] } = {}) {
+    if (!Array.isArray(losses) || losses.length === 0) return null;
+
+    const items = [];
+    for (const loss of losses) {
+      let ratePerKg = 0;
+      if (loss.product) {
+        const price = await priceListService.resolvePriceForGodown(loss.product, transit.toLocation, {
+          date: transit.dateOfDispatch,
+        });
+        ratePerKg = price?.pricePerKg || 0;
+      }
+
+      items.push({
+        ...loss,
+        ratePerKg,
+        amount: Math.round(loss.quantityKg * ratePerKg * 100) / 100,
+        recordedAt: new Date(),
+      });
+    }
+
+    let claim = await TransitClaim.findOne({ transit: transit._id, status: "Open" });
+    const isNew = !claim;
+
+    if (isNew) {
+      claim = new TransitClaim({
+        transit: transit._id,
+        transitId: transit.transitId,
+        transporterName: transit.transporterName || "Unspecified",
+        vehicleNumber: transit.vehicleNumber,
+        items,
+        remarks,
+        photos,
+        createdBy: currentUser._id,
+      });
+    } else {
+      claim.items.push(...items);
+      claim.photos.push(...photos);
+      if (remarks) {
+        claim.remarks = claim.remarks ? `${claim.remarks}\n${remarks}` : remarks;
+      }
+    }
+
+    claim.totalAmount = Math.round(claim.items.reduce((sum, item) => sum + (item.amount || 0), 0) * 100) / 100;
+    await claim.save();
+
+    await AuditLog.create({
+      user: currentUser._id,
+      action: isNew ? "CREATE" : "UPDATE",
+      module: "transits",
+      resourceType: "TransitClaim",
+      resourceId: claim._id.toString(),
+      newValues: claim.toObject(),
+      description: `${isNew ? "Opened" : "Updated"} claim ${claim.claimNumber} against ${claim.transporterName} for transit ${transit.transitId}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return claim;
+  }
+
+  // Get claims with filtering and pagination
+  async getClaims(query = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      transporterName,
+      transit,
+      dateFrom,
+      dateTo,
+    } = query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (transporterName) filter.transporterName = { $regex: transporterName, $options: "i" };
+    if (transit) filter.transit = transit;
+    if (dateFrom || dateTo) {
+      filter.createdAt = {};
+      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) filter.createdAt.$lte = new Date(dateTo);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [claims, total] = await Promise.all([
+      TransitClaim.find(filter)
+        .populate("transit", "transitId fromLocation toLocation dateOfDispatch status")
+        .populate("createdBy", "firstName lastName")
+        .populate("resolvedBy", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      TransitClaim.countDocuments(filter),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        claims,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    };
+  }
+
+  // Get claim by ID
+  async getClaimById(claimId) {
+    const claim = await TransitClaim.findById(claimId)
+      .populate("transit", "transitId fromLocation toLocation dateOfDispatch status vehicleNumber")
+      .populate("createdBy", "firstName lastName")
+      .populate("resolvedBy", "firstName lastName");
+
+    if (!claim) {
+      throw new Error("Claim not found");
+    }
+
+    return {
+      success: true,
+      data: { claim },
+    };
+  }
+
+  // Open claims grouped by transporter, with their value
+  async getOpenClaimsReport(query = {}) {
+    const { transporterName, dateFrom, dateTo } = query;
+
+    const filter = { status: "Open" };
+    if (transporterName) filter.transporterName = { $regex: transporterName, $options: "i" };
+    if (dateFrom || dateTo) {
+      filter.createdAt = {};
+      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) filter.createdAt.$lte = new Date(dateTo);
+    }
+
+    const transporters = await TransitClaim.aggregate([
+      { $match: filter },
+      {
+        $addFields: {
+          shortKg: { $sum: "$items.shortKg" },
+          damagedKg: { $sum: "$items.damagedKg" },
+        },
+      },
+      {
+        $group: {
+          _id: "$transporterName",
+          openClaims: { $sum: 1 },
+          shortKg: { $sum: "$shortKg" },
+          damagedKg: { $sum: "$damagedKg" },
+          totalAmount: { $sum: "$totalAmount" },
+          oldestClaimAt: { $min: "$createdAt" },
+          claims: {
+            $push: {
+              _id: "$_id",
+              claimNumber: "$claimNumber",
+              transitId: "$transitId",
+              vehicleNumber: "$vehicleNumber",
+              totalAmount: "$totalAmount",
+              createdAt: "$createdAt",
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          transporterName: "$_id",
+          openClaims: 1,
+          shortKg: { $round: ["$shortKg", 2] },
+          damagedKg: { $round: ["$damagedKg", 2] },
+          totalAmount: { $round: ["$totalAmount", 2] },
+          oldestClaimAt: 1,
+          claims: 1,
+        },
+      },
+      { $sort: { totalAmount: -1 } },
+    ]);
+
+    const totals = transporters.reduce(
+      (sum, t) => ({
+        openClaims: sum.openClaims + t.openClaims,
+        totalAmount: Math.round((sum.totalAmount + t.totalAmount) * 100) / 100,
+      }),
+      { openClaims: 0, totalAmount: 0 }
+    );
+
+    return {
+      success: true,
+      data: { transporters, totals },
+    };
+  }
+
+  // Settle or reject an open claim
+  async resolveClaim(claimId, { status, settledAmount, notes } = {}, currentUser) {
+    if (!["Settled", "Rejected"].includes(status)) {
+      throw new Error("Invalid claim status. Valid statuses are: Settled, Rejected");
+    }
+
+    const claim = await TransitClaim.findById(claimId);
+    if (!claim) {
+      throw new Error("Claim not found");
+    }
+    if (claim.status !== "Open") {
+      throw new Error(`Cannot change claim status from ${claim.status}`);
+    }
+
+    const oldValues = claim.toObject();
+
+    if (status === "Settled") {
+      const amount = settledAmount === undefined || settledAmount === "" ? claim.totalAmount : Number(settledAmount);
+      if (isNaN(amount) || amount < 0) {
+        throw new Error("Invalid settled amount");
+      }
+      claim.settledAmount = amount;
+    }
+
+    claim.status = status;
+    claim.resolutionNotes = notes;
+    claim.resolvedBy = currentUser._id;
+    claim.resolvedAt = new Date();
+    await claim.save();
+
+    await AuditLog.create({
+      user: currentUser._id,
+      action: status === "Settled" ? "APPROVE" : "REJECT",
+      module: "transits",
+      resourceType: "TransitClaim",
+      resourceId: claim._id.toString(),
+      oldValues,
+      newValues: claim.toObject(),
+      description: `${status} claim ${claim.claimNumber} against ${claim.transporterName}`,
+      ipAddress: "0.0.0.0",
+      userAgent: "System",
+    });
+
+    return {
+      success: true,
+      message: `Claim ${status.toLowerCase()} successfully`,
+      data: { claim },
+    };
+  }
+}
+
+module.exports = new TransitClaimService();
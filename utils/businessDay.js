@@ -0,0 +1,31 @@
+// Business days are YYYY-MM-DD keys in UTC, the same grouping $dateToString uses in the reports
+
+const { DAY_MS } = require("./receivables");
+
+const BUSINESS_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Business day a date falls on
+ * @param {Date|string} date - Any date (defaults to now)
+ * @returns {string} - YYYY-MM-DD
+ */
+const businessDateOf = (date = new Date()) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Start and end of a business day
+ * @param {string} businessDate - YYYY-MM-DD
+ * @returns {Object} - { start, end } covering the whole day
+ */
+const dayWindow = (businessDate) => {
+  const start = new Date(`${businessDate}T00:00:00.000Z`);
+  if (!BUSINESS_DATE_PATTERN.test(String(businessDate)) || isNaN(start.getTime())) {
+    throw new Error("Invalid date. Use YYYY-MM-DD");
+  }
+  return { start, end: new Date(start.getTime() + DAY_MS - 1) };
+};
+
+module.exports = {
+  BUSINESS_DATE_PATTERN,
+  businessDateOf,
+  dayWindow,
+};
@@ -101,6 +101,23 @@ const sendNewUserCredentialsEmail = async ({
   }
 };
 
+// Send any email; throws when SMTP is not configured or the send fails
+const sendMail = async ({ to, subject, html, text }) => {
+  const transporter = await getTransporter();
+  const info = await transporter.sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@dulletindustries.com',
+    to,
+    subject,
+    html,
+    text
+  });
+  return { messageId: info.messageId };
+};
+
+const isMailConfigured = () => Boolean(smtpConfig.host);
+
 module.exports = {
-  sendNewUserCredentialsEmail
+  sendNewUserCredentialsEmail,
+  sendMail,
+  isMailConfigured
 };
@@ -0,0 +1,145 @@
+// GST helpers: state codes, GSTIN checks, place of supply and financial years
+
+// GST state codes (first two digits of a GSTIN)
+const STATE_CODES = {
+  "jammu and kashmir": "01",
+  "himachal pradesh": "02",
+  punjab: "03",
+  chandigarh: "04",
+  uttarakhand: "05",
+  haryana: "06",
+  delhi: "07",
+  rajasthan: "08",
+  "uttar pradesh": "09",
+  bihar: "10",
+  sikkim: "11",
+  "arunachal pradesh": "12",
+  nagaland: "13",
+  manipur: "14",
+  mizoram: "15",
+  tripura: "16",
+  meghalaya: "17",
+  assam: "18",
+  "west bengal": "19",
+  jharkhand: "20",
+  odisha: "21",
+  chhattisgarh: "22",
+  "madhya pradesh": "23",
+  gujarat: "24",
+  "dadra and nagar haveli and daman and diu": "26",
+  maharashtra: "27",
+  karnataka: "29",
+  goa: "30",
+  lakshadweep: "31",
+  kerala: "32",
+  "tamil nadu": "33",
+  puducherry: "34",
+  "andaman and nicobar islands": "35",
+  telangana: "36",
+  "andhra pradesh": "37",
+  ladakh: "38",
+};
+
+// Older or informal spellings seen in addresses
+const STATE_ALIASES = {
+  "new delhi": "delhi",
+  "nct of delhi": "delhi",
+  orissa: "odisha",
+  uttaranchal: "uttarakhand",
+  pondicherry: "puducherry",
+  "j and k": "jammu and kashmir",
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const normalizeState = (state) => {
+  const key = String(state || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z ]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return STATE_ALIASES[key] || key;
+};
+
+/**
+ * GST state code for a state name, e.g. "Punjab" -> "03"
+ * @returns {string|null}
+ */
+const getStateCode = (state) => STATE_CODES[normalizeState(state)] || null;
+
+/**
+ * State name for a GST state code, e.g. "03" -> "Punjab"
+ * @returns {string|null}
+ */
+const getStateName = (code) => {
+  const name = Object.keys(STATE_CODES).find((key) => STATE_CODES[key] === code);
+  return name ? name.replace(/\b([a-z])/g, (c) => c.toUpperCase()).replace(/\bAnd\b/g, "and") : null;
+};
+
+const isValidGstin = (gstin) => GSTIN_PATTERN.test(String(gstin || "").trim().toUpperCase());
+
+/**
+ * Resolve a party's state: the address state when it is a known state, otherwise
+ * the state encoded in the GSTIN.
+ * @returns {Object} - { state, stateCode } (stateCode null when unknown)
+ */
+const resolveState = (addressState, gstin) => {
+  const stateCode = getStateCode(addressState);
+  if (stateCode) return { state: addressState, stateCode };
+
+  if (isValidGstin(gstin)) {
+    const code = String(gstin).trim().substring(0, 2);
+    return { state: getStateName(code) || addressState || "", stateCode: code };
+  }
+
+  return { state: addressState || "", stateCode: null };
+};
+
+/**
+ * Indian financial year (April to March) of a date
+ * @returns {Object} - { label: "2025-26", short: "2526", start, end }
+ */
+const getFinancialYear = (date = new Date()) => {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  const endYear = startYear + 1;
+  return {
+    label: `${startYear}-${String(endYear % 100).padStart(2, "0")}`,
+    short: `${String(startYear % 100).padStart(2, "0")}${String(endYear % 100).padStart(2, "0")}`,
+    start: new Date(startYear, 3, 1),
+    end: new Date(endYear, 2, 31, 23, 59, 59, 999),
+  };
+};
+
+// Unit Quantity Codes used by the e-invoice and e-way bill schemas
+const UNIT_QUANTITY_CODES = {
+  KG: "KGS",
+  Quintal: "QTL",
+  Ton: "TON",
+  Bags: "BAG",
+  "40Kg Bags": "BAG",
+};
+
+const getUnitQuantityCode = (unit) => UNIT_QUANTITY_CODES[unit] || "OTH";
+
+/**
+ * Date in the dd/mm/yyyy format of the GST portals
+ * @returns {string}
+ */
+const formatGstDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, "0")}/${String(d.getMonth() + 1).padStart(2, "0")}/${d.getFullYear()}`;
+};
+
+module.exports = {
+  STATE_CODES,
+  GSTIN_PATTERN,
+  getStateCode,
+  getStateName,
+  isValidGstin,
+  resolveState,
+  getFinancialYear,
+  getUnitQuantityCode,
+  formatGstDate,
+};
@@ -0,0 +1,83 @@
+// SMS and WhatsApp sending through a pluggable provider
+// A provider is an object with a `send({ channel, to, body })` method resolving to
+// `{ messageId }`; register a gateway with registerProvider and select it per channel
+// with SMS_PROVIDER / WHATSAPP_PROVIDER. A channel without a provider set is not used.
+// The built-in "console" and "file" providers only record the message, for local testing.
+
+const fs = require('fs');
+const path = require('path');
+
+const CHANNELS = ['sms', 'whatsapp'];
+
+const outboxFile = () =>
+  process.env.MESSAGE_OUTBOX_FILE || path.join(__dirname, '..', 'logs', 'messages.log');
+
+const messageId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const providers = {
+  console: {
+    send: async ({ channel, to, body }) => {
+      console.log(`📱 [${channel}] to ${to}:\n${body}`);
+      return { messageId: messageId('console') };
+    }
+  },
+  // Appends one JSON line per message
+  file: {
+    send: async ({ channel, to, body }) => {
+      const id = messageId('file');
+      const file = outboxFile();
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(
+        file,
+        JSON.stringify({ id, channel, to, body, sentAt: new Date().toISOString() }) + '\n'
+      );
+      return { messageId: id };
+    }
+  }
+};
+
+/**
+ * Add a provider, e.g. an SMS gateway client
+ * @param {string} name - Name used in SMS_PROVIDER / WHATSAPP_PROVIDER
+ * @param {Object} provider - Object with an async send({ channel, to, body }) returning { messageId }
+ */
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('Provider must have a send function');
+  }
+  providers[name] = provider;
+};
+
+// Name of the provider configured for a channel, if any
+const providerName = (channel) =>
+  (channel === 'whatsapp' ? process.env.WHATSAPP_PROVIDER : process.env.SMS_PROVIDER) || null;
+
+const isChannelConfigured = (channel) => Boolean(providerName(channel));
+
+/**
+ * Send an SMS or WhatsApp message with the channel's provider
+ * @param {Object} message - { channel: sms|whatsapp, to, body }
+ * @returns {Promise<Object>} - { provider, messageId }
+ */
+const sendMessage = async ({ channel, to, body }) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`Unsupported channel: ${channel}`);
+  }
+  const name = providerName(channel);
+  if (!name) {
+    throw new Error(`No messaging provider configured for ${channel}`);
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Messaging provider not registered: ${name}`);
+  }
+  const result = await provider.send({ channel, to, body });
+  return { provider: name, messageId: result?.messageId };
+};
+
+module.exports = {
+  registerProvider,
+  providerName,
+  isChannelConfigured,
+  sendMessage
+};
@@ -0,0 +1,92 @@
+// Helpers shared by the PDF documents (statements, invoices, delivery bills) built with pdfkit
+
+/**
+ * Create an A4 document and collect its output into a Buffer
+ * @param {Function} build - Receives the document and draws on it (doc.end() is called after)
+ * @returns {Promise<Buffer>} - PDF file
+ */
+const renderPdf = (build, options = {}) => {
+  const PDFDocument = require("pdfkit");
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40, ...options });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      build(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Table row drawer for fixed columns. Rows wrap their text, get a bottom rule and move to a
+ * new page (repeating the header row) when they do not fit.
+ * @param {PDFDocument} doc
+ * @param {Array} columns - [{ label, width, align }]
+ * @returns {Function} - drawRow(values, { bold })
+ */
+const createRowDrawer = (doc, columns) => {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+
+  const drawRow = (values, { bold = false } = {}) => {
+    const font = bold ? "Helvetica-Bold" : "Helvetica";
+    const rowHeight = Math.max(
+      ...values.map((value, i) =>
+        doc.font(font).fontSize(8).heightOfString(String(value), { width: columns[i].width - 4 })
+      ),
+      10
+    ) + 4;
+
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(columns.map((c) => c.label), { bold: true });
+    }
+
+    const y = doc.y;
+    let x = left;
+    values.forEach((value, i) => {
+      doc.font(font).fontSize(8)
+        .text(String(value), x + 2, y + 2, { width: columns[i].width - 4, align: columns[i].align });
+      x += columns[i].width;
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(right, y + rowHeight).strokeColor("#cccccc").lineWidth(0.5).stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  return drawRow;
+};
+
+/**
+ * Large diagonal text across every page, e.g. ORIGINAL / DUPLICATE
+ * Call before drawing the page content so the text stays behind it.
+ */
+const drawWatermark = (doc, text) => {
+  const draw = () => {
+    const { width, height } = doc.page;
+    doc.save();
+    doc.rotate(-45, { origin: [width / 2, height / 2] });
+    doc.font("Helvetica-Bold").fontSize(90).fillColor("#000000").fillOpacity(0.07)
+      .text(text, 0, height / 2 - 45, { width, align: "center", lineBreak: false });
+    doc.restore();
+    doc.fillOpacity(1).fillColor("#000000");
+    doc.x = doc.page.margins.left;
+    doc.y = doc.page.margins.top;
+  };
+
+  draw();
+  doc.on("pageAdded", draw);
+};
+
+module.exports = {
+  renderPdf,
+  createRowDrawer,
+  drawWatermark,
+};
@@ -0,0 +1,118 @@
+// Aggregation helpers for customer dues, shared by the ageing report and the overdue job
+// An order falls due `creditDays` after it was delivered
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payment states of orders that still have money to collect
+const OPEN_PAYMENT_STATUSES = ["pending", "partial", "overdue"];
+
+// Orders handed over to the customer; only these can fall due
+const DELIVERED_ORDER_MATCH = {
+  type: "order",
+  status: { $nin: ["cancelled", "rejected"] },
+  $or: [{ status: { $in: ["delivered", "completed"] } }, { deliveryStatus: "delivered" }],
+};
+
+/**
+ * What is still owed on an order: its total less payments and approved returns
+ * @param {Object} order - Order with totalAmount, paidAmount and returnedAmount
+ * @returns {number} - Amount due, never negative
+ */
+const orderDue = (order) =>
+  Math.max(0, (Number(order.totalAmount) || 0) - (Number(order.paidAmount) || 0) - (Number(order.returnedAmount) || 0));
+
+// Ageing buckets by days past the due date (upper bound inclusive, null = open ended).
+// An order due today (0 days past due) is still "notDue": it only turns overdue the next
+// day, which is also when the overdue job flags it and the customer balance counts it.
+const AGEING_BUCKETS = [
+  { key: "0-30", from: 1, to: 30 },
+  { key: "31-60", from: 31, to: 60 },
+  { key: "61-90", from: 61, to: 90 },
+  { key: "90+", from: 91, to: null },
+];
+
+/**
+ * Delivery date of an order. Older orders have no deliveryDate, so fall back to the
+ * driver's delivery time, then the approval time (approval marks the delivery in the
+ * quick flow), then the order date.
+ * @returns {Object} - MongoDB expression
+ */
+const deliveryDateExpression = () => ({
+  $ifNull: [
+    "$deliveryDate",
+    {
+      $ifNull: [
+        "$driverAssignment.deliveryAt",
+        { $ifNull: ["$managerApproval.approvedAt", "$orderDate"] },
+      ],
+    },
+  ],
+});
+
+/**
+ * Pipeline stages adding outstanding, deliveredOn, dueDate, daysPastDue and ageingBucket
+ * to delivered orders, dropping those with nothing outstanding. Joins the customer as
+ * `customerData` for its credit days.
+ * @param {Date} asOf - Reference date for days past due
+ * @returns {Array} - Aggregation stages
+ */
+const receivableStages = (asOf = new Date()) => [
+  {
+    $addFields: {
+      outstanding: {
+        $subtract: [
+          { $ifNull: ["$totalAmount", 0] },
+          { $add: [{ $ifNull: ["$paidAmount", 0] }, { $ifNull: ["$returnedAmount", 0] }] },
+        ],
+      },
+    },
+  },
+  { $match: { outstanding: { $gt: 0.009 } } },
+  {
+    $lookup: {
+      from: "customers",
+      localField: "customer",
+      foreignField: "_id",
+      as: "customerData",
+    },
+  },
+  { $unwind: { path: "$customerData", preserveNullAndEmptyArrays: true } },
+  { $addFields: { deliveredOn: deliveryDateExpression() } },
+  {
+    $addFields: {
+      dueDate: {
+        $add: ["$deliveredOn", { $multiply: [{ $ifNull: ["$customerData.creditDays", 0] }, DAY_MS] }],
+      },
+    },
+  },
+  {
+    $addFields: {
+      daysPastDue: { $floor: { $divide: [{ $subtract: [asOf, "$dueDate"] }, DAY_MS] } },
+    },
+  },
+  {
+    $addFields: {
+      ageingBucket: {
+        $switch: {
+          branches: AGEING_BUCKETS.map((bucket) => ({
+            case: bucket.to === null
+              ? { $gte: ["$daysPastDue", bucket.from] }
+              : { $and: [{ $gte: ["$daysPastDue", bucket.from] }, { $lte: ["$daysPastDue", bucket.to] }] },
+            then: bucket.key,
+          })),
+          default: "notDue",
+        },
+      },
+    },
+  },
+];
+
+module.exports = {
+  DAY_MS,
+  OPEN_PAYMENT_STATUSES,
+  DELIVERED_ORDER_MATCH,
+  AGEING_BUCKETS,
+  orderDue,
+  deliveryDateExpression,
+  receivableStages,
+};
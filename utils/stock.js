@@ -0,0 +1,33 @@
+// Stock movement helpers shared by the inventory service and the day book
+
+// Effect of each inventory type on stock on hand: 1 = inflow, -1 = outflow
+const STOCK_DIRECTION = {
+  "New Stock": 1,
+  "Stock Sold": -1,
+  "Damaged / Return": -1,
+  "Raw Material Consumed": -1,
+  "Transfer Out": -1,
+  "Transfer In": 1,
+  "Sales Return": 1,
+};
+
+// Movements in the in-transit bucket are not part of any godown's stock on hand.
+// Entries created before buckets existed have no stockBucket and count as on hand.
+const ON_HAND_FILTER = { stockBucket: { $ne: "In Transit" } };
+
+// Aggregation expression resolving the direction of a movement from its type
+const stockDirectionExpression = () => ({
+  $switch: {
+    branches: Object.entries(STOCK_DIRECTION).map(([type, direction]) => ({
+      case: { $eq: ["$inventoryType", type] },
+      then: direction,
+    })),
+    default: 0,
+  },
+});
+
+module.exports = {
+  STOCK_DIRECTION,
+  ON_HAND_FILTER,
+  stockDirectionExpression,
+};
@@ -0,0 +1,71 @@
+// Quantity conversion helpers shared by stock postings and reports
+// Every stock movement is normalised to KG before it is aggregated
+
+const KG_PER_UNIT = {
+  kg: 1,
+  quintal: 100,
+  ton: 1000,
+  "40kg bag": 40,
+  "40kg bags": 40,
+  "50kg bag": 50,
+  "50kg bags": 50,
+};
+
+/**
+ * Read the bag weight out of a packaging label such as "40kg Bags"
+ * @param {string} packaging - Packaging label from an order item
+ * @returns {number|null} - Bag weight in KG, or null when it cannot be read
+ */
+const getBagSizeKg = (packaging) => {
+  const match = String(packaging || "").match(/(\d+(?:\.\d+)?)\s*kg/i);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Convert a quantity in any supported unit to KG
+ * @param {number} quantity - Quantity in the given unit
+ * @param {string} unit - Unit label (KG, Kg, Quintal, Ton, 40Kg Bag, Bags...)
+ * @param {string} packaging - Packaging label, used to size generic "Bags"
+ * @returns {number} - Quantity in KG
+ */
+const toKg = (quantity, unit = "Kg", packaging = "") => {
+  const qty = Number(quantity) || 0;
+  const normalizedUnit = String(unit || "Kg").trim().toLowerCase();
+
+  if (KG_PER_UNIT[normalizedUnit] !== undefined) {
+    return qty * KG_PER_UNIT[normalizedUnit];
+  }
+
+  if (normalizedUnit === "bags" || normalizedUnit === "bag") {
+    const bagSizeKg = getBagSizeKg(packaging);
+    if (!bagSizeKg) {
+      throw new Error(`Cannot convert bags to KG without a bag size (packaging: ${packaging || "none"})`);
+    }
+    return qty * bagSizeKg;
+  }
+
+  throw new Error(`Unsupported unit: ${unit}`);
+};
+
+/**
+ * Build an aggregation expression that converts a quantity field to KG
+ * @param {string} quantityField - Field path holding the quantity (e.g. "$quantity")
+ * @param {string} unitField - Field path holding the unit label (e.g. "$unit")
+ * @returns {Object} - MongoDB $switch expression; unknown units are taken as KG
+ */
+const toKgExpression = (quantityField = "$quantity", unitField = "$unit") => ({
+  $switch: {
+    branches: Object.entries(KG_PER_UNIT).map(([unit, factor]) => ({
+      case: { $eq: [{ $toLower: unitField }, unit] },
+      then: { $multiply: [quantityField, factor] },
+    })),
+    default: quantityField,
+  },
+});
+
+module.exports = {
+  KG_PER_UNIT,
+  getBagSizeKg,
+  toKg,
+  toKgExpression,
+};